@@ -4,8 +4,13 @@
  */
 const app = require('../server/server');
 
-// Ensure CSV data is loaded on cold start
+// Ensure CSV data is loaded on cold start; the next request tries again if it fails
 module.exports = async (req, res) => {
-  await app._ensureData();
+  try {
+    await app._ensureData();
+  } catch (err) {
+    console.error('❌ Failed to load data:', err.message);
+    return res.status(503).json({ success: false, message: `Data is not available: ${err.message}` });
+  }
   return app(req, res);
 };
@@ -8,6 +8,10 @@ import Navbar from './components/Navbar';
 import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
 import Analytics from './pages/Analytics';
+import DataUpload from './pages/DataUpload';
+import AlertRules from './pages/AlertRules';
+import Bulletins from './pages/Bulletins';
+import Subscription from './pages/Subscription';
 import NotFound from './pages/NotFound';
 import { FiChevronUp } from 'react-icons/fi';
 
@@ -86,6 +90,10 @@ function AnimatedRoutes() {
           <Route path="/" element={<PageShell><Home /></PageShell>} />
           <Route path="/dashboard/:location" element={<PageShell><Dashboard /></PageShell>} />
           <Route path="/analytics/:location" element={<PageShell><Analytics /></PageShell>} />
+          <Route path="/upload" element={<PageShell><DataUpload /></PageShell>} />
+          <Route path="/alert-rules" element={<PageShell><AlertRules /></PageShell>} />
+          <Route path="/bulletins" element={<PageShell><Bulletins /></PageShell>} />
+          <Route path="/subscribe/:action" element={<PageShell><Subscription /></PageShell>} />
           <Route path="*" element={<PageShell><NotFound /></PageShell>} />
         </Routes>
       </AnimatePresence>
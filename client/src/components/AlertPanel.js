@@ -1,5 +1,9 @@
-import React from 'react';
-import { FiAlertTriangle, FiAlertCircle, FiInfo } from 'react-icons/fi';
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  FiAlertTriangle, FiAlertCircle, FiInfo, FiCheck, FiUser, FiBellOff, FiCheckCircle, FiRotateCcw, FiClock,
+} from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { changeAlertState } from '../utils/api';
 
 const typeConfig = {
   critical: {
@@ -19,58 +23,253 @@ const typeConfig = {
   },
 };
 
+const stateStyles = {
+  open: 'bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-200',
+  acknowledged: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-300',
+  assigned: 'bg-violet-100 text-violet-700 dark:bg-violet-900/40 dark:text-violet-300',
+  suppressed: 'bg-slate-100 text-slate-500 dark:bg-slate-800 dark:text-slate-400',
+  resolved: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300',
+};
+
+const ACTIVE_STATES = ['open', 'acknowledged', 'assigned'];
+
+const FILTERS = [
+  { value: 'active', label: 'Active' },
+  { value: 'open', label: 'Open' },
+  { value: 'acknowledged', label: 'Acknowledged' },
+  { value: 'assigned', label: 'Assigned' },
+  { value: 'suppressed', label: 'Suppressed' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'all', label: 'All' },
+];
+
+// Mirrors the server's allowed transitions (utils/alertLifecycle)
+const ACTIONS = [
+  { action: 'acknowledge', label: 'Acknowledge', icon: FiCheck, from: ['open'] },
+  { action: 'assign', label: 'Assign', icon: FiUser, from: ['open', 'acknowledged', 'assigned'] },
+  { action: 'suppress', label: 'Suppress', icon: FiBellOff, from: ['open', 'acknowledged', 'assigned'], comment: true },
+  { action: 'resolve', label: 'Resolve', icon: FiCheckCircle, from: ['open', 'acknowledged', 'assigned', 'suppressed'], comment: true },
+  { action: 'reopen', label: 'Reopen', icon: FiRotateCcw, from: ['resolved', 'suppressed'] },
+];
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+/**
+ * Alerts with their lifecycle: filter by state, and acknowledge, assign,
+ * suppress, resolve or reopen them with a comment (staff only: the token
+ * saved on the Bulletins page is sent along). Alerts without an id
+ * (derived from an older dataset version) are shown read-only.
+ */
 export default function AlertPanel({ alerts = [] }) {
-  if (!alerts.length) {
-    return (
-      <div className="glass-card p-5">
-        <h3 className="section-title">Alerts</h3>
-        <div className="flex items-center justify-center py-8 text-slate-400 dark:text-slate-500 text-sm">
-          <FiInfo className="mr-2" size={15} /> No active alerts at this time
-        </div>
-      </div>
-    );
-  }
+  const [items, setItems] = useState(alerts);
+  const [filter, setFilter] = useState('active');
+  const [pending, setPending] = useState(null); // { id, action }
+  const [form, setForm] = useState({ comment: '', assignee: '', until: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => { setItems(alerts); }, [alerts]);
+
+  const tracked = items.some((a) => a.id);
+  const counts = useMemo(() => {
+    const c = { active: 0, all: items.length };
+    for (const a of items) {
+      c[a.state] = (c[a.state] || 0) + 1;
+      if (ACTIVE_STATES.includes(a.state)) c.active++;
+    }
+    return c;
+  }, [items]);
+
+  const visible = !tracked || filter === 'all'
+    ? items
+    : items.filter((a) => (filter === 'active' ? ACTIVE_STATES.includes(a.state) : a.state === filter));
+
+  const startAction = (id, action) => {
+    setPending({ id, action });
+    setForm({ comment: '', assignee: '', until: '' });
+  };
+
+  const submit = async () => {
+    const spec = ACTIONS.find((a) => a.action === pending.action);
+    if (spec.comment && !form.comment.trim()) {
+      toast.error(`A comment is required to ${pending.action} an alert`);
+      return;
+    }
+    setSaving(true);
+    try {
+      const body = { comment: form.comment };
+      if (pending.action === 'assign') body.assignee = form.assignee;
+      if (pending.action === 'suppress' && form.until) body.until = new Date(form.until).toISOString();
+      const res = await changeAlertState(pending.id, pending.action, body);
+      setItems((prev) => prev.map((a) => (a.id === res.alert.id ? res.alert : a)));
+      setPending(null);
+      toast.success(`Alert ${res.alert.state}`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full text-xs bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-md px-2 py-1 text-slate-700 dark:text-slate-200';
 
   return (
     <div className="glass-card p-5">
-      <div className="flex items-center justify-between mb-4">
+      <div className="flex items-center justify-between mb-3">
         <h3 className="section-title mb-0">Alerts</h3>
         <span className="text-xs bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 px-2.5 py-1 rounded-md font-semibold">
-          {alerts.length} active
+          {tracked ? counts.active : items.length} active
         </span>
       </div>
-      <div className="space-y-3 max-h-[400px] overflow-y-auto pr-1">
-        {alerts.map((alert, i) => {
-          const config = typeConfig[alert.type] || typeConfig.info;
-          return (
-            <div
-              key={`${alert.type}-${alert.title}-${i}`}
-              className={`flex gap-3 p-3.5 rounded-xl border ${config.bg} animate-slide-up`}
-              style={{ animationDelay: `${i * 80}ms` }}
+
+      {tracked && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {FILTERS.map((f) => (
+            <button
+              key={f.value}
+              onClick={() => setFilter(f.value)}
+              className={`text-[11px] px-2 py-0.5 rounded-md font-medium transition-colors ${
+                filter === f.value
+                  ? 'bg-primary-500 text-white'
+                  : 'bg-slate-100 dark:bg-slate-800 text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700'
+              }`}
             >
-              {config.icon}
-              <div className="flex-1 min-w-0">
-                <div className="flex items-center gap-2 mb-1">
-                  <span className="font-semibold text-sm text-gray-800 dark:text-gray-100">
-                    {alert.title}
-                  </span>
-                  <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${config.badge} uppercase font-bold`}>
-                    {alert.type}
-                  </span>
-                </div>
-                <p className="text-xs text-gray-600 dark:text-gray-400 leading-relaxed">
-                  {alert.message}
-                </p>
-                {alert.recommendation && (
-                  <p className="text-xs text-gray-500 dark:text-gray-500 mt-1.5 italic">
-                    Tip: {alert.recommendation}
+              {f.label} <span className="opacity-70">{counts[f.value] || 0}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!visible.length ? (
+        <div className="flex items-center justify-center py-8 text-slate-400 dark:text-slate-500 text-sm">
+          <FiInfo className="mr-2" size={15} /> {items.length ? 'No alerts in this state' : 'No active alerts at this time'}
+        </div>
+      ) : (
+        <div className="space-y-3 max-h-[400px] overflow-y-auto pr-1">
+          {visible.map((alert, i) => {
+            const config = typeConfig[alert.type] || typeConfig.info;
+            const actions = alert.id ? ACTIONS.filter((a) => a.from.includes(alert.state)) : [];
+            const isPending = pending && pending.id === alert.id;
+            return (
+              <div
+                key={alert.id || `${alert.type}-${alert.title}-${i}`}
+                className={`flex gap-3 p-3.5 rounded-xl border ${config.bg} animate-slide-up ${alert.state === 'resolved' || alert.state === 'suppressed' ? 'opacity-75' : ''}`}
+                style={{ animationDelay: `${i * 80}ms` }}
+              >
+                {config.icon}
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className="font-semibold text-sm text-gray-800 dark:text-gray-100">
+                      {alert.title}
+                    </span>
+                    <span className={`text-[10px] px-1.5 py-0.5 rounded-full ${config.badge} uppercase font-bold`}>
+                      {alert.type}
+                    </span>
+                    {alert.state && (
+                      <span className={`text-[10px] px-1.5 py-0.5 rounded-full font-semibold ${stateStyles[alert.state]}`}>
+                        {alert.state}{alert.state === 'assigned' && alert.assignee ? ` · ${alert.assignee}` : ''}
+                      </span>
+                    )}
+                    {alert.scope === 'taluka' && (
+                      <span className="text-[10px] px-1.5 py-0.5 rounded-full font-semibold bg-teal-100 text-teal-700 dark:bg-teal-900/40 dark:text-teal-300">
+                        Taluka · {alert.target}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-600 dark:text-gray-400 leading-relaxed">
+                    {alert.message}
                   </p>
-                )}
+                  {alert.recommendation && (
+                    <p className="text-xs text-gray-500 dark:text-gray-500 mt-1.5 italic">
+                      Tip: {alert.recommendation}
+                    </p>
+                  )}
+
+                  {alert.id && (
+                    <p className="flex items-center gap-1 text-[10px] text-gray-400 mt-1.5">
+                      <FiClock size={10} />
+                      First seen {formatTime(alert.firstSeenAt)}
+                      {alert.active ? ` · last seen ${formatTime(alert.lastSeenAt)}` : ` · cleared ${formatTime(alert.clearedAt)}`}
+                      {alert.suppressedUntil && ` · muted until ${formatTime(alert.suppressedUntil)}`}
+                    </p>
+                  )}
+
+                  {actions.length > 0 && !isPending && (
+                    <div className="flex flex-wrap items-center gap-1.5 mt-2">
+                      {actions.map(({ action, label, icon: Icon }) => (
+                        <button
+                          key={action}
+                          onClick={() => startAction(alert.id, action)}
+                          className="flex items-center gap-1 text-[11px] px-2 py-0.5 rounded-md border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/40 text-slate-600 dark:text-slate-300 hover:bg-white dark:hover:bg-slate-800"
+                        >
+                          <Icon size={11} /> {label}
+                        </button>
+                      ))}
+                      <button
+                        onClick={() => setExpanded(expanded === alert.id ? null : alert.id)}
+                        className="text-[11px] text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 ml-auto"
+                      >
+                        {expanded === alert.id ? 'Hide history' : `History (${alert.history.length})`}
+                      </button>
+                    </div>
+                  )}
+
+                  {isPending && (
+                    <div className="mt-2 space-y-1.5">
+                      {pending.action === 'assign' && (
+                        <input
+                          className={inputClass}
+                          placeholder="Assign to (person or team)"
+                          value={form.assignee}
+                          onChange={(e) => setForm({ ...form, assignee: e.target.value })}
+                        />
+                      )}
+                      {pending.action === 'suppress' && (
+                        <label className="flex items-center gap-2 text-[11px] text-slate-500">
+                          Until
+                          <input
+                            type="datetime-local"
+                            className={inputClass}
+                            value={form.until}
+                            onChange={(e) => setForm({ ...form, until: e.target.value })}
+                          />
+                        </label>
+                      )}
+                      <textarea
+                        rows={2}
+                        className={inputClass}
+                        placeholder={ACTIONS.find((a) => a.action === pending.action).comment ? 'Comment (required)' : 'Comment (optional)'}
+                        value={form.comment}
+                        onChange={(e) => setForm({ ...form, comment: e.target.value })}
+                      />
+                      <div className="flex items-center gap-1.5">
+                        <button onClick={submit} disabled={saving} className="btn-primary text-[11px] px-2.5 py-1 capitalize">
+                          {pending.action}
+                        </button>
+                        <button onClick={() => setPending(null)} className="text-[11px] text-slate-400 hover:text-slate-600 px-1">
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {expanded === alert.id && (
+                    <ol className="mt-2 space-y-1 border-l-2 border-slate-200 dark:border-slate-700 pl-2">
+                      {[...alert.history].reverse().map((h) => (
+                        <li key={`${h.at}-${h.action}`} className="text-[10px] text-slate-500 dark:text-slate-400">
+                          <span className="font-semibold text-slate-600 dark:text-slate-300">{h.action}</span>
+                          {h.assignee && ` to ${h.assignee}`} by {h.by} · {formatTime(h.at)}
+                          {h.comment && <span className="block italic">&ldquo;{h.comment}&rdquo;</span>}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
               </div>
-            </div>
-          );
-        })}
-      </div>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,10 +1,23 @@
-import React, { useState } from 'react';
-import { FiChevronUp, FiChevronDown } from 'react-icons/fi';
+import React, { useMemo, useState } from 'react';
+import { FiChevronUp, FiChevronDown, FiAlertTriangle } from 'react-icons/fi';
+import { periodLabel } from '../utils/helpers';
 
-export default function DataTable({ data = [] }) {
+export default function DataTable({ data = [], anomalies = [] }) {
   const [sortField, setSortField] = useState('year');
   const [sortAsc, setSortAsc] = useState(true);
 
+  // Server-flagged readings, keyed by period and field
+  const flagged = useMemo(() => {
+    const map = new Map();
+    anomalies.forEach((a) => {
+      const key = `${a.period}|${a.field}`;
+      map.set(key, [...(map.get(key) || []), a]);
+    });
+    return map;
+  }, [anomalies]);
+  const shownAnomalies = data.reduce((n, row) => n + ['groundwaterLevel', 'consumption', 'ph']
+    .filter((field) => flagged.has(`${periodLabel(row)}|${field}`)).length, 0);
+
   const columns = [
     { key: 'year', label: 'Year' },
     { key: 'groundwaterLevel', label: 'Water Level (m)' },
@@ -59,10 +72,40 @@ export default function DataTable({ data = [] }) {
     );
   };
 
+  // Value cell, marked red with the reasons as a tooltip when the reading was flagged
+  const valueCell = (row, field) => {
+    const hits = flagged.get(`${periodLabel(row)}|${field}`);
+    if (!hits) {
+      return <td className="py-2.5 px-3 text-slate-600 dark:text-slate-300 tabular-nums">{row[field]}</td>;
+    }
+    return (
+      <td className="py-2.5 px-3 tabular-nums">
+        <span
+          className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded-md bg-red-50 text-red-700 dark:bg-red-950/30 dark:text-red-400 font-semibold cursor-help"
+          title={hits.map((a) => a.message).join('\n')}
+        >
+          {row[field]}
+          <FiAlertTriangle size={10} />
+        </span>
+      </td>
+    );
+  };
+
   return (
     <div className="bg-white dark:bg-slate-800/50 border border-slate-200/70 dark:border-slate-700/30 rounded-xl overflow-hidden">
       <div className="px-5 pt-4 pb-2">
         <h3 className="text-sm font-semibold text-slate-800 dark:text-slate-100 tracking-tight">Year-wise Data</h3>
+        {shownAnomalies > 0 && (
+          <p className="text-[11px] text-red-600 dark:text-red-400 mt-0.5 flex items-center gap-1">
+            <FiAlertTriangle size={11} />
+            {shownAnomalies} reading{shownAnomalies > 1 ? 's' : ''} flagged as anomalous — hover a marked value for why.
+          </p>
+        )}
+        {data.some((d) => d.isSynthetic) && (
+          <p className="text-[11px] text-violet-600 dark:text-violet-400 mt-0.5">
+            Rows marked Synthetic were generated from a single measured year and are not real observations.
+          </p>
+        )}
       </div>
       <div className="overflow-x-auto">
         <table className="w-full text-sm">
@@ -90,12 +133,22 @@ export default function DataTable({ data = [] }) {
                 key={`${row.location || row.year}-${row.year}`}
                 className="hover:bg-slate-50/60 dark:hover:bg-slate-700/20 transition-colors"
               >
-                <td className="py-2.5 px-3 font-semibold text-slate-800 dark:text-slate-200 tabular-nums">{row.year}</td>
-                <td className="py-2.5 px-3 text-slate-600 dark:text-slate-300 tabular-nums">{row.groundwaterLevel}</td>
+                <td className="py-2.5 px-3 font-semibold text-slate-800 dark:text-slate-200 tabular-nums whitespace-nowrap">
+                  {row.year}
+                  {row.isSynthetic && (
+                    <span
+                      className="ml-1.5 px-1.5 py-0.5 rounded text-[9px] font-bold uppercase bg-violet-50 text-violet-600 dark:bg-violet-950/30 dark:text-violet-400"
+                      title="Generated value — not a field measurement"
+                    >
+                      Synthetic
+                    </span>
+                  )}
+                </td>
+                {valueCell(row, 'groundwaterLevel')}
                 <td className="py-2.5 px-3 text-slate-600 dark:text-slate-300 tabular-nums">{row.rainfall}</td>
                 <td className="py-2.5 px-3 text-slate-600 dark:text-slate-300 tabular-nums">{row.depletionRate}</td>
-                <td className="py-2.5 px-3 text-slate-600 dark:text-slate-300 tabular-nums">{row.consumption}</td>
-                <td className="py-2.5 px-3 text-slate-600 dark:text-slate-300 tabular-nums">{row.ph}</td>
+                {valueCell(row, 'consumption')}
+                {valueCell(row, 'ph')}
                 <td className="py-2.5 px-3">{scarcityBadge(row.scarcityLevel)}</td>
                 <td className="py-2.5 px-3">
                   <span className="font-bold text-slate-800 dark:text-slate-100 tabular-nums">{row.waterScore}</span>
@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiBell, FiX, FiMail, FiSmartphone, FiPlus, FiCheckCircle } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { fetchSubscribeOptions, subscribeToLocations } from '../utils/api';
+
+const inputClass =
+  'w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg px-3 py-2 text-sm';
+
+const CHANNELS = {
+  email: { label: 'Email', icon: FiMail, placeholder: 'you@example.com', type: 'email' },
+  sms: { label: 'SMS', icon: FiSmartphone, placeholder: '+91 98000 00000', type: 'tel' },
+};
+
+/**
+ * "Follow this village" dialog: pick villages, give an email or phone number,
+ * then confirm from the link that is sent (double opt-in).
+ */
+export default function FollowLocation({ open, onClose, initialLocation, allLocations = [] }) {
+  const [options, setOptions] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [adding, setAdding] = useState('');
+  const [channel, setChannel] = useState('email');
+  const [address, setAddress] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [sentMessage, setSentMessage] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setLocations(initialLocation ? [initialLocation] : []);
+    setAdding('');
+    setErrors([]);
+    setSentMessage('');
+    fetchSubscribeOptions()
+      .then((res) => {
+        setOptions(res);
+        if (res.channels.length && !res.channels.includes('email')) setChannel(res.channels[0]);
+      })
+      .catch(() => setOptions({ channels: [], maxLocations: 10 }));
+  }, [open, initialLocation]);
+
+  const max = options?.maxLocations || 10;
+  const names = allLocations.map((l) => l.name || l);
+
+  const addLocation = () => {
+    const found = names.find((n) => n.toLowerCase() === adding.trim().toLowerCase());
+    if (!found) {
+      toast.error('Pick a village from the list');
+      return;
+    }
+    if (!locations.includes(found)) setLocations([...locations, found].slice(0, max));
+    setAdding('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors([]);
+    try {
+      const res = await subscribeToLocations({ locations, channel, address });
+      setSentMessage(res.message);
+    } catch (err) {
+      setErrors(err.errors.length ? err.errors : [err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-[9999] flex items-center justify-center bg-black/50 backdrop-blur-sm p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95, y: 20 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.95, y: 20 }}
+            transition={{ type: 'spring', damping: 25 }}
+            onClick={(e) => e.stopPropagation()}
+            className="glass-card w-full max-w-md p-6"
+          >
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h2 className="text-lg font-bold text-gray-800 dark:text-gray-100 flex items-center gap-2">
+                  <FiBell className="text-primary-500" /> Follow villages
+                </h2>
+                <p className="text-xs text-gray-400">
+                  A monthly status update, and a notice as soon as a village turns Critical.
+                </p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+                <FiX size={18} />
+              </button>
+            </div>
+
+            {sentMessage ? (
+              <div className="text-center py-4">
+                <FiCheckCircle className="mx-auto text-green-500 mb-2" size={32} />
+                <p className="text-sm text-gray-700 dark:text-gray-200 mb-4">{sentMessage}</p>
+                <button onClick={onClose} className="btn-primary text-sm">Done</button>
+              </div>
+            ) : options && !options.channels.length ? (
+              <p className="text-sm text-gray-500 py-4">Updates are not available on this server yet.</p>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="text-xs font-medium text-gray-500 mb-1 block">Villages ({locations.length}/{max})</label>
+                  <div className="flex flex-wrap gap-1.5 mb-2">
+                    {locations.map((name) => (
+                      <span key={name} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-primary-50 dark:bg-primary-950/30 text-primary-700 dark:text-primary-300">
+                        {name}
+                        <button type="button" onClick={() => setLocations(locations.filter((l) => l !== name))} aria-label={`Remove ${name}`}>
+                          <FiX size={11} />
+                        </button>
+                      </span>
+                    ))}
+                    {!locations.length && <span className="text-xs text-gray-400">None yet — add one below</span>}
+                  </div>
+                  {locations.length < max && (
+                    <div className="flex gap-2">
+                      <input
+                        list="follow-locations"
+                        value={adding}
+                        onChange={(e) => setAdding(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addLocation(); } }}
+                        placeholder="Add another village"
+                        className={inputClass}
+                      />
+                      <datalist id="follow-locations">
+                        {names.map((n) => <option key={n} value={n} />)}
+                      </datalist>
+                      <button type="button" onClick={addLocation} className="btn-secondary text-xs flex items-center gap-1">
+                        <FiPlus size={12} /> Add
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <label className="text-xs font-medium text-gray-500 mb-1 block">Send updates by</label>
+                  <div className="flex gap-2 mb-2">
+                    {(options?.channels || ['email']).map((c) => {
+                      const Icon = CHANNELS[c].icon;
+                      return (
+                        <button
+                          key={c}
+                          type="button"
+                          onClick={() => { setChannel(c); setAddress(''); }}
+                          className={`flex-1 flex items-center justify-center gap-1.5 py-2 rounded-lg text-xs font-medium border transition-colors ${
+                            channel === c
+                              ? 'bg-primary-600 text-white border-primary-600'
+                              : 'border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300'
+                          }`}
+                        >
+                          <Icon size={13} /> {CHANNELS[c].label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <input
+                    type={CHANNELS[channel].type}
+                    value={address}
+                    onChange={(e) => setAddress(e.target.value)}
+                    placeholder={CHANNELS[channel].placeholder}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+
+                {errors.length > 0 && (
+                  <ul className="text-xs text-red-500 space-y-0.5">
+                    {errors.map((e) => <li key={e}>{e}</li>)}
+                  </ul>
+                )}
+
+                <button type="submit" disabled={saving || !locations.length || !address.trim()} className="btn-primary w-full text-sm disabled:opacity-50">
+                  {saving ? 'Sending…' : 'Send confirmation link'}
+                </button>
+                <p className="text-[11px] text-gray-400 text-center">
+                  Nothing is sent until you confirm. Every message has a one-click unsubscribe link.
+                </p>
+              </form>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
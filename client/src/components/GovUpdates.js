@@ -1,6 +1,17 @@
 import React from 'react';
-import { FiExternalLink, FiFileText } from 'react-icons/fi';
+import { FiExternalLink, FiFileText, FiPaperclip, FiLink, FiCalendar, FiCpu } from 'react-icons/fi';
+import { bulletinAttachmentUrl } from '../utils/api';
 
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * Bulletins published by staff, then summaries generated from the data —
+ * the latter marked as auto-generated so they are not read as official notices.
+ */
 export default function GovUpdates({ updates = [] }) {
   const priorityBadge = (p) =>
     p === 'high' ? (
@@ -9,6 +20,12 @@ export default function GovUpdates({ updates = [] }) {
       </span>
     ) : null;
 
+  const autoBadge = (
+    <span className="text-[10px] px-1.5 py-0.5 rounded-md bg-slate-100 text-slate-500 dark:bg-slate-700/40 dark:text-slate-400 font-semibold uppercase flex items-center gap-1 whitespace-nowrap">
+      <FiCpu size={9} /> Auto-generated
+    </span>
+  );
+
   return (
     <div className="glass-card p-5">
       <h3 className="section-title flex items-center gap-1.5">
@@ -18,23 +35,69 @@ export default function GovUpdates({ updates = [] }) {
         {updates.map((u) => (
           <div
             key={u.id}
-            className="p-3.5 bg-white dark:bg-slate-800/40 border border-slate-200/70 dark:border-slate-700/30 rounded-lg hover:border-primary-300 dark:hover:border-primary-700/40 transition-colors"
+            className={`p-3.5 rounded-lg transition-colors ${
+              u.autoGenerated
+                ? 'bg-slate-50/60 dark:bg-slate-800/20 border border-dashed border-slate-200 dark:border-slate-700/40'
+                : 'bg-white dark:bg-slate-800/40 border border-slate-200/70 dark:border-slate-700/30 hover:border-primary-300 dark:hover:border-primary-700/40'
+            }`}
           >
             <div className="flex items-start justify-between gap-2 mb-1.5">
               <h4 className="font-semibold text-sm text-slate-800 dark:text-slate-100 leading-tight">
                 {u.title}
               </h4>
-              {priorityBadge(u.priority)}
+              <div className="flex items-center gap-1 shrink-0">
+                {priorityBadge(u.priority)}
+                {u.autoGenerated && autoBadge}
+              </div>
             </div>
-            <p className="text-xs text-slate-600 dark:text-slate-400 leading-relaxed mb-2">
+            <p className="text-xs text-slate-600 dark:text-slate-400 leading-relaxed mb-2 whitespace-pre-line">
               {u.body}
             </p>
-            <div className="flex items-center justify-between text-[11px] text-slate-400 dark:text-slate-500">
-              <span className="flex items-center gap-1">
-                <FiExternalLink size={10} />
-                {u.source}
+
+            {(u.attachments?.length > 0 || u.links?.length > 0) && (
+              <ul className="flex flex-wrap gap-1.5 mb-2">
+                {(u.attachments || []).map((a) => (
+                  <li key={a.id}>
+                    <a
+                      href={bulletinAttachmentUrl(u.bulletinId, a.id)}
+                      className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md text-[11px] bg-primary-50 dark:bg-primary-950/30 text-primary-700 dark:text-primary-300 hover:underline"
+                    >
+                      <FiPaperclip size={10} /> {a.name}
+                      <span className="text-primary-400">({formatSize(a.size)})</span>
+                    </a>
+                  </li>
+                ))}
+                {(u.links || []).map((l) => (
+                  <li key={l.url}>
+                    <a
+                      href={l.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md text-[11px] bg-primary-50 dark:bg-primary-950/30 text-primary-700 dark:text-primary-300 hover:underline"
+                    >
+                      <FiLink size={10} /> {l.name}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex items-center justify-between gap-2 text-[11px] text-slate-400 dark:text-slate-500">
+              <span className="flex items-center gap-1 min-w-0">
+                <FiExternalLink size={10} className="shrink-0" />
+                <span className="truncate">
+                  {u.source}
+                  {u.reference && ` · ${u.reference}`}
+                </span>
               </span>
-              <span>{u.date}</span>
+              {u.autoGenerated ? (
+                u.dataYear && <span className="whitespace-nowrap">From {u.dataYear} data</span>
+              ) : (
+                <span className="flex items-center gap-1 whitespace-nowrap" title="Validity">
+                  <FiCalendar size={10} />
+                  {formatDate(u.validFrom)} – {u.validUntil ? formatDate(u.validUntil) : 'until further notice'}
+                </span>
+              )}
             </div>
           </div>
         ))}
@@ -1,8 +1,9 @@
-import React, { useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, CircleMarker, Marker, useMap, ZoomControl, LayersControl, Tooltip } from 'react-leaflet';
+import React, { useEffect, useRef, useState } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Marker, useMap, ZoomControl, LayersControl, Tooltip, Pane, GeoJSON } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { getMarkerColor } from '../utils/helpers';
+import { getMarkerColor, getSpiColor, getSurfaceColor, SPI_LEGEND } from '../utils/helpers';
+import { fetchSurface } from '../utils/api';
 import { useTheme } from '../context/ThemeContext';
 import { useNavigate } from 'react-router-dom';
 
@@ -50,6 +51,16 @@ function FlyToCenter({ center, zoom }) {
   return null;
 }
 
+const STATUS_LEGEND = ['Safe', 'Warning', 'Critical'].map((label) => ({ label, color: getMarkerColor(label) }));
+
+// Metrics the district map can contour between stations
+const SURFACE_OPTIONS = [
+  { value: '', label: 'Off' },
+  { value: 'groundwaterLevel', label: 'Water level' },
+  { value: 'waterScore', label: 'Water score' },
+  { value: 'depletionRate', label: 'Depletion' },
+];
+
 // Tile layer URLs
 const TILE_LAYERS = {
   street: {
@@ -83,6 +94,24 @@ export default function MapComponent({ center, markers = [], zoom = 12, singleMa
   const { darkMode } = useTheme();
   const navigate = useNavigate();
   const mapRef = useRef(null);
+  // Marker colouring: water status, or drought category by SPI
+  const [colorBy, setColorBy] = useState('status');
+  // Contoured surface between stations (district overview only)
+  const [surfaceMetric, setSurfaceMetric] = useState('');
+  const [surfaceMethod, setSurfaceMethod] = useState('idw');
+  const [surface, setSurface] = useState(null);
+
+  useEffect(() => {
+    if (!surfaceMetric) {
+      setSurface(null);
+      return undefined;
+    }
+    let cancelled = false;
+    fetchSurface(surfaceMetric, surfaceMethod)
+      .then((res) => { if (!cancelled) setSurface(res); })
+      .catch(() => { if (!cancelled) setSurface(null); });
+    return () => { cancelled = true; };
+  }, [surfaceMetric, surfaceMethod]);
 
   const defaultCenter = center || { lat: 19.9975, lng: 73.7898 };
   const defaultTile = darkMode ? 'dark' : 'street';
@@ -112,6 +141,17 @@ export default function MapComponent({ center, markers = [], zoom = 12, singleMa
     }
   });
 
+  const spiLayer = colorBy === 'spi';
+  const hasSpi = allMarkers.some((m) => m.spi !== undefined);
+  const legendItems = spiLayer ? SPI_LEGEND : STATUS_LEGEND;
+  const bandCount = surface ? surface.thresholds.length : 0;
+  const bandColor = (i) => getSurfaceColor(i, bandCount, surface.metric.higherIsBetter);
+  const selectStyle = {
+    background: darkMode ? '#0f172a' : '#f8fafc',
+    color: darkMode ? '#cbd5e1' : '#334155',
+    border: darkMode ? '1px solid #334155' : '1px solid #e2e8f0',
+  };
+
   return (
     <div className="relative rounded-2xl overflow-hidden shadow-xl border border-white/10 dark:border-gray-700/30" style={{ height, minHeight: '300px' }}>
       {/* Gradient overlay at top for title */}
@@ -121,22 +161,72 @@ export default function MapComponent({ center, markers = [], zoom = 12, singleMa
       </div>
 
       {/* ===== Compact Color Legend ===== */}
-      <div className="absolute bottom-3 left-3 z-[1000] pointer-events-auto" style={{ maxWidth: '150px' }}>
+      <div className="absolute bottom-3 left-3 z-[1000] pointer-events-auto" style={{ maxWidth: surface ? '170px' : '150px' }}>
         <div className="rounded-xl p-2.5 text-[10px] leading-tight" style={{ background: darkMode ? 'rgba(15,23,42,0.88)' : 'rgba(255,255,255,0.92)', backdropFilter: 'blur(10px)', border: darkMode ? '1px solid rgba(51,65,85,0.5)' : '1px solid rgba(226,232,240,0.7)', boxShadow: '0 2px 12px rgba(0,0,0,0.12)' }}>
           <p className="font-bold text-[9px] uppercase tracking-wider mb-1.5" style={{ color: darkMode ? '#94a3b8' : '#64748b' }}>Legend</p>
-          {/* Status colors */}
-          <div className="flex items-center gap-1.5 mb-1">
-            <span style={{ width: 8, height: 8, borderRadius: '50%', background: '#22c55e', display: 'inline-block', border: '1.5px solid white', flexShrink: 0 }} />
-            <span style={{ color: darkMode ? '#cbd5e1' : '#334155' }}>Safe</span>
-          </div>
-          <div className="flex items-center gap-1.5 mb-1">
-            <span style={{ width: 8, height: 8, borderRadius: '50%', background: '#eab308', display: 'inline-block', border: '1.5px solid white', flexShrink: 0 }} />
-            <span style={{ color: darkMode ? '#cbd5e1' : '#334155' }}>Warning</span>
-          </div>
-          <div className="flex items-center gap-1.5 mb-1.5">
-            <span style={{ width: 8, height: 8, borderRadius: '50%', background: '#ef4444', display: 'inline-block', border: '1.5px solid white', flexShrink: 0 }} />
-            <span style={{ color: darkMode ? '#cbd5e1' : '#334155' }}>Critical</span>
-          </div>
+          {/* Layer toggle: status or drought (SPI) */}
+          {hasSpi && (
+            <div className="flex rounded-md overflow-hidden mb-1.5" style={{ border: darkMode ? '1px solid #334155' : '1px solid #e2e8f0' }}>
+              {[['status', 'Status'], ['spi', 'Drought (SPI)']].map(([key, label]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setColorBy(key)}
+                  className="flex-1 px-1 py-0.5 text-[9px] font-semibold"
+                  style={colorBy === key
+                    ? { background: '#0ea5e9', color: '#ffffff' }
+                    : { background: 'transparent', color: darkMode ? '#94a3b8' : '#64748b' }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {/* Marker colors of the active layer */}
+          {legendItems.map((c, i) => (
+            <div key={c.label} className={`flex items-center gap-1.5 ${i === legendItems.length - 1 ? 'mb-1.5' : 'mb-1'}`}>
+              <span style={{ width: 8, height: 8, borderRadius: '50%', background: c.color, display: 'inline-block', border: '1.5px solid white', flexShrink: 0 }} />
+              <span style={{ color: darkMode ? '#cbd5e1' : '#334155' }}>{c.label}</span>
+            </div>
+          ))}
+          {/* Contour surface: metric, method and bands */}
+          {showAllOverview && (
+            <>
+              <div style={{ height: 1, background: darkMode ? '#1e293b' : '#e2e8f0', margin: '3px 0' }} />
+              <div className="flex items-center gap-1 mb-1">
+                <span style={{ color: darkMode ? '#94a3b8' : '#64748b' }}>Contours</span>
+                <select value={surfaceMetric} onChange={(e) => setSurfaceMetric(e.target.value)} className="flex-1 rounded px-0.5 text-[9px]" style={selectStyle}>
+                  {SURFACE_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+              </div>
+              {surfaceMetric && (
+                <div className="flex items-center gap-1 mb-1">
+                  <span style={{ color: darkMode ? '#94a3b8' : '#64748b' }}>Method</span>
+                  <select value={surfaceMethod} onChange={(e) => setSurfaceMethod(e.target.value)} className="flex-1 rounded px-0.5 text-[9px]" style={selectStyle}>
+                    <option value="idw">IDW</option>
+                    <option value="kriging">Kriging</option>
+                  </select>
+                </div>
+              )}
+              {surface && [...surface.thresholds].reverse().map((t, k) => {
+                const i = bandCount - 1 - k;
+                const next = surface.thresholds[i + 1];
+                return (
+                  <div key={t} className="flex items-center gap-1.5 mb-0.5">
+                    <span style={{ width: 10, height: 8, borderRadius: 2, background: bandColor(i), opacity: 0.75, display: 'inline-block', flexShrink: 0 }} />
+                    <span style={{ color: darkMode ? '#cbd5e1' : '#334155' }}>
+                      {next !== undefined ? `${t}–${next}` : `≥ ${t}`}{surface.metric.unit && ` ${surface.metric.unit}`}
+                    </span>
+                  </div>
+                );
+              })}
+              {surface && (
+                <p style={{ color: darkMode ? '#475569' : '#94a3b8' }} className="mb-1">
+                  Blank beyond {surface.maxReachKm} km of a station
+                </p>
+              )}
+            </>
+          )}
           {/* Divider */}
           <div style={{ height: 1, background: darkMode ? '#1e293b' : '#e2e8f0', margin: '3px 0' }} />
           {/* Bubble size meaning */}
@@ -186,9 +276,28 @@ export default function MapComponent({ center, markers = [], zoom = 12, singleMa
 
         <FlyToCenter center={[defaultCenter.lat, defaultCenter.lng]} zoom={zoom} />
 
+        {/* Contour bands, each "at or above" polygon drawn over the one below it; the
+            pane (under the markers) carries the transparency so stacked bands don't blend */}
+        {surface && (
+          <Pane name="surface" style={{ zIndex: 350, opacity: 0.45 }}>
+            <GeoJSON
+              key={`${surface.metric.key}-${surface.method}-${bandCount}`}
+              data={surface.geojson}
+              interactive={false}
+              style={(feature) => ({
+                fillColor: bandColor(feature.properties.index),
+                fillOpacity: 1,
+                color: darkMode ? '#0f172a' : '#ffffff',
+                weight: 0.8,
+                opacity: 0.9,
+              })}
+            />
+          </Pane>
+        )}
+
         {/* Render location bubbles — Nashik regions only */}
         {allMarkers.map((m, i) => {
-          const color = getMarkerColor(m.status);
+          const color = spiLayer ? getSpiColor(m.spi, m.droughtCategory) : getMarkerColor(m.status);
 
           // Bubble radius based on waterScore — compact but visible
           const baseRadius = m.isSingle ? 18 : Math.max(6, Math.min(13, (m.waterScore || 50) / 6));
@@ -259,7 +368,7 @@ export default function MapComponent({ center, markers = [], zoom = 12, singleMa
                     <div className="jal-tt-header">
                       <span className="jal-tt-dot" style={{ background: color }} />
                       <span className="jal-tt-name">{m.location}</span>
-                      <span className="jal-tt-badge" style={{ background: color }}>{m.status}</span>
+                      <span className="jal-tt-badge" style={{ background: color }}>{spiLayer ? (m.spiClass || 'No SPI') : m.status}</span>
                     </div>
 
                     {/* Compact metrics grid */}
@@ -294,6 +403,9 @@ export default function MapComponent({ center, markers = [], zoom = 12, singleMa
                       {m.waterScore !== undefined && (
                         <span className="jal-tt-score">Score: <strong style={{ color }}>{m.waterScore}</strong></span>
                       )}
+                      {typeof m.spi === 'number' && (
+                        <span className="jal-tt-score">SPI: <strong style={{ color: getSpiColor(m.spi, m.droughtCategory) }}>{m.spi}</strong></span>
+                      )}
                       {m.scarcityLevel && (
                         <span className="jal-tt-scarcity">{m.scarcityLevel}</span>
                       )}
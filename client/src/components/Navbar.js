@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { Link, useNavigate, useLocation as useRouterLocation } from 'react-router-dom';
 import { useTheme } from '../context/ThemeContext';
 import { useLocation } from '../context/LocationContext';
-import { FiSun, FiMoon, FiDroplet, FiHome, FiBarChart2, FiMenu, FiX, FiActivity } from 'react-icons/fi';
+import { FiSun, FiMoon, FiDroplet, FiHome, FiBarChart2, FiMenu, FiX, FiActivity, FiUploadCloud, FiSliders, FiFileText } from 'react-icons/fi';
 import { AnimatePresence, motion } from 'framer-motion';
 
 export default function Navbar() {
@@ -69,6 +69,20 @@ export default function Navbar() {
               </>
             )}
 
+            <div className="w-px h-4 bg-slate-200 dark:bg-slate-700 mx-1" />
+            <Link to="/upload" className={linkClass(isActive('/upload'))}>
+              <FiUploadCloud size={14} />
+              <span>Data</span>
+            </Link>
+            <Link to="/alert-rules" className={linkClass(isActive('/alert-rules'))}>
+              <FiSliders size={14} />
+              <span>Rules</span>
+            </Link>
+            <Link to="/bulletins" className={linkClass(isActive('/bulletins'))}>
+              <FiFileText size={14} />
+              <span>Bulletins</span>
+            </Link>
+
             <div className="w-px h-4 bg-slate-200 dark:bg-slate-700 mx-1" />
 
             {/* Theme Toggle */}
@@ -153,6 +167,33 @@ export default function Navbar() {
                   </button>
                 </>
               )}
+              <Link
+                to="/upload"
+                onClick={() => setMobileOpen(false)}
+                className={`flex items-center gap-3 px-3 py-2.5 rounded-lg text-sm font-medium transition-colors ${
+                  isActive('/upload') ? 'bg-primary-50 dark:bg-primary-950/40 text-primary-700 dark:text-primary-300' : 'text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800'
+                }`}
+              >
+                <FiUploadCloud size={15} /> Data
+              </Link>
+              <Link
+                to="/alert-rules"
+                onClick={() => setMobileOpen(false)}
+                className={`flex items-center gap-3 px-3 py-2.5 rounded-lg text-sm font-medium transition-colors ${
+                  isActive('/alert-rules') ? 'bg-primary-50 dark:bg-primary-950/40 text-primary-700 dark:text-primary-300' : 'text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800'
+                }`}
+              >
+                <FiSliders size={15} /> Alert Rules
+              </Link>
+              <Link
+                to="/bulletins"
+                onClick={() => setMobileOpen(false)}
+                className={`flex items-center gap-3 px-3 py-2.5 rounded-lg text-sm font-medium transition-colors ${
+                  isActive('/bulletins') ? 'bg-primary-50 dark:bg-primary-950/40 text-primary-700 dark:text-primary-300' : 'text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800'
+                }`}
+              >
+                <FiFileText size={15} /> Bulletins
+              </Link>
             </div>
           </motion.div>
         )}
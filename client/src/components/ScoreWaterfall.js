@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import {
+  Chart as ChartJS, CategoryScale, LinearScale, BarElement, Tooltip,
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { useTheme } from '../context/ThemeContext';
+import { chartColors, formatNumber } from '../utils/helpers';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+const UP = '#22c55e';
+const DOWN = '#ef4444';
+const TOTAL = '#0ea5e9';
+
+const signed = (n, decimals = 1) => `${n > 0 ? '+' : ''}${formatNumber(n, decimals)}`;
+
+/**
+ * Waterfall of a score-breakdown response. With a previous year it walks
+ * from last year's score through each component's change to this year's;
+ * otherwise it stacks the component contributions up to the score.
+ */
+export default function ScoreWaterfall({ breakdown }) {
+  const { darkMode } = useTheme();
+  const colors = chartColors(darkMode);
+  const components = useMemo(() => (breakdown?.components || []).filter((c) => c.included), [breakdown]);
+  const previous = breakdown?.previous;
+
+  const { chartData, steps } = useMemo(() => {
+    if (!breakdown) return { chartData: null, steps: [] };
+    const bars = [];
+    let level = 0;
+    if (previous) {
+      bars.push({ label: `${previous.year} score`, range: [0, previous.rawScore], color: TOTAL, value: previous.waterScore });
+      level = previous.rawScore;
+    }
+    for (const c of components) {
+      const step = previous ? c.delta.contribution : c.contribution;
+      bars.push({ label: c.label, range: [level, level + step], color: step >= 0 ? UP : DOWN, value: step, component: c });
+      level += step;
+    }
+    bars.push({ label: `${breakdown.year} score`, range: [0, breakdown.rawScore], color: TOTAL, value: breakdown.waterScore });
+    return {
+      steps: bars,
+      chartData: {
+        labels: bars.map((b) => b.label),
+        datasets: [{
+          data: bars.map((b) => b.range),
+          backgroundColor: bars.map((b) => `${b.color}cc`),
+          borderColor: bars.map((b) => b.color),
+          borderWidth: 1,
+          borderRadius: 4,
+          borderSkipped: false,
+        }],
+      },
+    };
+  }, [breakdown, components, previous]);
+
+  if (!chartData) return null;
+
+  // Component whose change moved the score most
+  const driver = previous && components.length
+    ? components.reduce((a, b) => (Math.abs(b.delta.contribution) > Math.abs(a.delta.contribution) ? b : a))
+    : null;
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (ctx) => {
+            const step = steps[ctx.dataIndex];
+            if (!step.component) return `Score ${step.value}`;
+            const c = step.component;
+            const lines = [`${previous ? signed(step.value, 2) : formatNumber(step.value, 2)} pts`];
+            lines.push(`${c.label}: ${c.rawValue}${c.unit ? ` ${c.unit}` : ''} → sub-score ${c.subScore} × weight ${c.weight}`);
+            if (c.delta) lines.push(`Change since ${previous.year}: ${signed(c.delta.rawValue, 2)}${c.unit ? ` ${c.unit}` : ''}`);
+            return lines;
+          },
+        },
+      },
+    },
+    scales: {
+      x: { ticks: { color: colors.textColor, font: { size: 10 } }, grid: { display: false } },
+      y: { min: 0, ticks: { color: colors.textColor }, grid: { color: colors.gridColor } },
+    },
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800/50 border border-slate-200/70 dark:border-slate-700/30 rounded-xl p-5">
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-1">
+        <h3 className="text-sm font-semibold text-slate-800 dark:text-slate-100 tracking-tight">Why this score?</h3>
+        <span className="text-[11px] text-slate-400">
+          {breakdown.scoreProfile?.name} profile &middot; {breakdown.year}
+        </span>
+      </div>
+      <p className="text-[11px] text-slate-500 dark:text-slate-400 mb-3">
+        {driver
+          ? <>Score {breakdown.scoreChange === 0 ? 'unchanged' : `${breakdown.scoreChange > 0 ? 'rose' : 'fell'} ${Math.abs(breakdown.scoreChange)} pts`} since {previous.year}; biggest driver: <span className="font-semibold">{driver.label}</span> ({signed(driver.delta.contribution)} pts).</>
+          : <>Each component&apos;s weighted contribution to the score. No earlier year to compare against.</>}
+      </p>
+      <div className="h-[240px]">
+        <Bar data={chartData} options={options} />
+      </div>
+
+      <div className="overflow-x-auto mt-3">
+        <table className="w-full text-[11px]">
+          <thead>
+            <tr className="text-slate-400 uppercase tracking-wider text-left">
+              <th className="py-1.5 pr-3 font-semibold">Component</th>
+              <th className="py-1.5 pr-3 font-semibold">Value</th>
+              <th className="py-1.5 pr-3 font-semibold">Sub-score</th>
+              <th className="py-1.5 pr-3 font-semibold">Weight</th>
+              <th className="py-1.5 pr-3 font-semibold">Contribution</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100 dark:divide-slate-700/30 text-slate-600 dark:text-slate-300 tabular-nums">
+            {components.map((c) => (
+              <tr key={c.metric}>
+                <td className="py-1.5 pr-3 font-medium">{c.label}</td>
+                <td className="py-1.5 pr-3">
+                  {c.rawValue}{c.unit && ` ${c.unit}`}
+                  {c.delta && <span className="text-slate-400 ml-1">({signed(c.delta.rawValue, 2)})</span>}
+                </td>
+                <td className="py-1.5 pr-3">{formatNumber(c.subScore)}</td>
+                <td className="py-1.5 pr-3">{Math.round(c.weight * 100)}%</td>
+                <td className="py-1.5 pr-3 font-semibold">
+                  {formatNumber(c.contribution, 2)}
+                  {c.delta && (
+                    <span className={`ml-1 ${c.delta.contribution > 0 ? 'text-green-500' : c.delta.contribution < 0 ? 'text-red-500' : 'text-slate-400'}`}>
+                      ({signed(c.delta.contribution, 2)})
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Scatter } from 'react-chartjs-2';
+import { FiGrid } from 'react-icons/fi';
+import { fetchCorrelations } from '../../utils/api';
+import { CHART_PALETTE, chartColors, formatNumber } from '../../utils/helpers';
+import { useTheme } from '../../context/ThemeContext';
+
+const SHORT_LABELS = {
+  rainfall: 'Rain',
+  agriculturalUsage: 'Agri',
+  industrialUsage: 'Industry',
+  householdUsage: 'House',
+  depletionRate: 'Depletion',
+  groundwaterLevel: 'Level',
+};
+
+// Diverging scale: blue for positive, red for negative, stronger as |r| → 1
+function cellColor(r) {
+  if (r === null || r === undefined) return 'transparent';
+  const alpha = 0.12 + Math.abs(r) * 0.78;
+  return r >= 0 ? `rgba(59,130,246,${alpha})` : `rgba(239,68,68,${alpha})`;
+}
+
+function strengthOf(r) {
+  const a = Math.abs(r);
+  if (a >= 0.7) return 'strong';
+  if (a >= 0.4) return 'moderate';
+  if (a >= 0.2) return 'weak';
+  return 'negligible';
+}
+
+/**
+ * "What drives the water level": correlation matrix of rainfall, usage,
+ * depletion and water level (Pearson or Spearman, * where significant), and a
+ * scatter plot with the regression line for the selected pair. Scope is the
+ * location or its whole district.
+ */
+export default function CorrelationPanel({ locationName, granularity = 'yearly' }) {
+  const { darkMode } = useTheme();
+  const colors = chartColors(darkMode);
+  const [scope, setScope] = useState('location');
+  const [district, setDistrict] = useState(null);
+  const [method, setMethod] = useState('pearson');
+  const [pair, setPair] = useState(['rainfall', 'groundwaterLevel']);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setScope('location');
+    setDistrict(null);
+  }, [locationName]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    const params = scope === 'district' && district ? { district } : { location: locationName };
+    fetchCorrelations(params, granularity)
+      .then((res) => {
+        if (cancelled) return;
+        setResult(res);
+        if (res.scope.type === 'location') setDistrict(res.scope.district);
+      })
+      .catch((err) => { if (!cancelled) { setResult(null); setError(err.message); } });
+    return () => { cancelled = true; };
+  }, [locationName, granularity, scope, district]);
+
+  const [xKey, yKey] = pair;
+  const variables = result?.variables || [];
+  const xVar = variables.find((v) => v.key === xKey);
+  const yVar = variables.find((v) => v.key === yKey);
+  const pearson = result?.matrix.pearson[xKey]?.[yKey];
+  const cell = result?.matrix[method][xKey]?.[yKey];
+
+  const chartData = useMemo(() => {
+    if (!result) return null;
+    const points = result.points
+      .filter((p) => p[xKey] !== null && p[yKey] !== null)
+      .map((p) => ({ x: p[xKey], y: p[yKey], label: `${p.location} ${p.period}` }));
+    const datasets = [{
+      label: 'Readings',
+      data: points,
+      backgroundColor: `${CHART_PALETTE[0]}99`,
+      borderColor: CHART_PALETTE[0],
+      pointRadius: 4,
+      pointHoverRadius: 6,
+    }];
+    if (pearson && pearson.slope !== undefined && points.length) {
+      const xs = points.map((p) => p.x);
+      const line = [Math.min(...xs), Math.max(...xs)].map((x) => ({ x, y: pearson.intercept + pearson.slope * x }));
+      datasets.push({
+        label: 'Least-squares line',
+        data: line,
+        showLine: true,
+        borderColor: CHART_PALETTE[3],
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false,
+      });
+    }
+    return { datasets };
+  }, [result, xKey, yKey, pearson]);
+
+  if (!result) {
+    return error ? (
+      <div className="chart-container">
+        <h3 className="section-title flex items-center gap-2"><FiGrid /> Correlations &amp; Drivers</h3>
+        <p className="text-[11px] text-slate-400">{error}</p>
+      </div>
+    ) : null;
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { labels: { color: colors.textColor, usePointStyle: true, padding: 14, font: { size: 11 } } },
+      tooltip: {
+        backgroundColor: darkMode ? '#1e293b' : '#fff',
+        titleColor: darkMode ? '#e2e8f0' : '#1e293b',
+        bodyColor: darkMode ? '#cbd5e1' : '#475569',
+        borderColor: darkMode ? '#334155' : '#e2e8f0',
+        borderWidth: 1, cornerRadius: 10, padding: 12,
+        callbacks: {
+          label: (ctx) => {
+            const p = ctx.raw;
+            const prefix = p.label ? `${p.label}: ` : '';
+            return `${prefix}${formatNumber(p.x, 1)} ${xVar.unit}, ${formatNumber(p.y, 2)} ${yVar.unit}`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        ticks: { color: colors.textColor },
+        grid: { color: colors.gridColor },
+        title: { display: true, text: `${xVar.label} (${xVar.unit})`, color: colors.textColor },
+      },
+      y: {
+        ticks: { color: colors.textColor },
+        grid: { color: colors.gridColor },
+        title: { display: true, text: `${yVar.label} (${yVar.unit})`, color: colors.textColor },
+      },
+    },
+    animation: { duration: 600, easing: 'easeOutQuart' },
+  };
+
+  const toggle = (value, current, onChange, label) => (
+    <button
+      key={value}
+      onClick={() => onChange(value)}
+      className={`px-2 py-0.5 rounded-md text-[11px] font-medium transition-colors ${
+        current === value
+          ? 'bg-primary-500 text-white'
+          : 'text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-700/40'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  const step = granularity === 'yearly' ? 'yr' : granularity === 'seasonal' ? 'season' : 'mo';
+  const lagged = result.lagged.filter((l) => l.response === 'groundwaterLevel');
+  const lags = lagged[0]?.lags.map((l) => l.lag) || [];
+
+  return (
+    <div className="chart-container">
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-1">
+        <h3 className="section-title flex items-center gap-2"><FiGrid /> Correlations &amp; Drivers</h3>
+        <div className="flex items-center gap-2">
+          <div className="flex items-center gap-0.5 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg p-0.5">
+            {toggle('location', scope, setScope, locationName)}
+            {district && toggle('district', scope, setScope, `${district} district`)}
+          </div>
+          <div className="flex items-center gap-0.5 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg p-0.5">
+            {toggle('pearson', method, setMethod, 'Pearson')}
+            {toggle('spearman', method, setMethod, 'Spearman')}
+          </div>
+        </div>
+      </div>
+      <p className="text-[11px] text-slate-500 dark:text-slate-400 -mt-3 mb-3">
+        {result.observations} {granularity} readings from {result.series} location{result.series === 1 ? '' : 's'}
+        {' '}&middot; * significant at p &lt; {result.significanceLevel} &middot; click a cell to plot the pair
+      </p>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        <div className="overflow-x-auto">
+          <table className="w-full text-[11px] tabular-nums">
+            <thead>
+              <tr>
+                <th />
+                {variables.map((v) => (
+                  <th key={v.key} className="py-1 px-1 font-semibold text-slate-400 text-center" title={v.label}>{SHORT_LABELS[v.key]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {variables.map((row) => (
+                <tr key={row.key}>
+                  <th className="py-1 pr-2 font-semibold text-slate-400 text-right whitespace-nowrap" title={row.label}>{SHORT_LABELS[row.key]}</th>
+                  {variables.map((col) => {
+                    const c = result.matrix[method][row.key][col.key];
+                    const selected = row.key === xKey && col.key === yKey;
+                    const diagonal = row.key === col.key;
+                    return (
+                      <td key={col.key} className="p-0.5">
+                        <button
+                          disabled={diagonal}
+                          onClick={() => setPair([row.key, col.key])}
+                          title={c.r === null
+                            ? `Too few readings (${c.n})`
+                            : `${row.label} vs ${col.label}: r = ${c.r}, p = ${c.p}, n = ${c.n}`}
+                          style={{ backgroundColor: diagonal ? undefined : cellColor(c.r) }}
+                          className={`w-full h-9 rounded-md text-center font-semibold ${
+                            diagonal ? 'bg-slate-100 dark:bg-slate-800 text-slate-300 cursor-default' : 'text-slate-700 dark:text-slate-100'
+                          } ${selected ? 'ring-2 ring-primary-500' : ''}`}
+                        >
+                          {diagonal ? '—' : c.r === null ? '–' : `${formatNumber(c.r, 2)}${c.significant ? '*' : ''}`}
+                        </button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex items-center gap-2 mt-2 text-[10px] text-slate-400">
+            <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: cellColor(-1) }} /> −1
+            <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: cellColor(0) }} /> 0
+            <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: cellColor(1) }} /> +1
+          </div>
+
+          {lagged.length > 0 && (
+            <table className="w-full text-[11px] mt-4">
+              <thead>
+                <tr className="text-slate-400 uppercase tracking-wider text-left">
+                  <th className="py-1.5 pr-3 font-semibold">Water level vs</th>
+                  {lags.map((lag) => (
+                    <th key={lag} className="py-1.5 pr-3 font-semibold">{lag === 0 ? 'Same period' : `${lag} ${step} later`}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-700/30 text-slate-600 dark:text-slate-300 tabular-nums">
+                {lagged.map((l) => (
+                  <tr key={l.driver}>
+                    <td className="py-1.5 pr-3 font-medium">{variables.find((v) => v.key === l.driver)?.label}</td>
+                    {l.lags.map((c) => (
+                      <td key={c.lag} className={`py-1.5 pr-3 ${c.lag === l.strongestLag ? 'font-bold text-primary-600' : ''}`}>
+                        {c.r === null ? '–' : `${formatNumber(c.r, 2)}${c.significant ? '*' : ''}`}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          <p className="text-[11px] text-slate-500 dark:text-slate-400 mb-2">
+            {cell && cell.r !== null ? (
+              <>
+                {xVar.label} vs {yVar.label}: <span className="font-semibold">{method === 'pearson' ? 'r' : 'ρ'} = {formatNumber(cell.r, 2)}</span>
+                {' '}({strengthOf(cell.r)} {cell.r >= 0 ? 'positive' : 'negative'}, p = {cell.p < 0.001 ? '< 0.001' : formatNumber(cell.p, 3)}, n = {cell.n})
+                {!cell.significant && ' — not statistically significant'}
+              </>
+            ) : (
+              <>Too few readings to correlate {xVar.label} with {yVar.label}</>
+            )}
+          </p>
+          <div className="h-[300px]">
+            {chartData && <Scatter data={chartData} options={options} />}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
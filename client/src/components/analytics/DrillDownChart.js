@@ -2,7 +2,7 @@ import React, { useState, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Bar } from 'react-chartjs-2';
 import { FiArrowLeft, FiZoomIn } from 'react-icons/fi';
-import { CHART_PALETTE, chartColors } from '../../utils/helpers';
+import { CHART_PALETTE, chartColors, periodLabel } from '../../utils/helpers';
 import { useTheme } from '../../context/ThemeContext';
 
 /**
@@ -19,7 +19,7 @@ export default function DrillDownChart({ data = [] }) {
   const [selectedYear, setSelectedYear] = useState(null);
   const [selectedCat, setSelectedCat] = useState(null);
 
-  const years = useMemo(() => data.map((d) => d.year.toString()), [data]);
+  const years = useMemo(() => data.map((d) => periodLabel(d)), [data]);
 
   // Level 0: Total usage bar per year
   const totalUsageData = useMemo(() => ({
@@ -36,7 +36,7 @@ export default function DrillDownChart({ data = [] }) {
   // Level 1: Category breakdown for selected year
   const yearData = useMemo(() => {
     if (!selectedYear) return null;
-    const row = data.find((d) => d.year.toString() === selectedYear);
+    const row = data.find((d) => periodLabel(d) === selectedYear);
     if (!row) return null;
     return {
       labels: ['Agricultural', 'Industrial', 'Household'],
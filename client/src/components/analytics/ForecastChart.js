@@ -1,53 +1,51 @@
 import React, { useMemo } from 'react';
 import { Line } from 'react-chartjs-2';
-import { CHART_PALETTE, chartColors } from '../../utils/helpers';
+import { CHART_PALETTE, chartColors, periodLabel } from '../../utils/helpers';
 import { useTheme } from '../../context/ThemeContext';
 
+const inputCls = 'px-2 py-1 text-[11px] rounded-md border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900/40 text-slate-700 dark:text-slate-200';
+
 /**
- * Linear regression helper: returns { slope, intercept }
+ * Actual series followed by the server's forecast. `modelInfo` is the
+ * predictions response's entry for this field (model, backtest MAE/RMSE);
+ * with `onModelChange` a picker lets the user override the chosen model.
+ * `reliability` is the rolling-backtest rating from the same response.
+ * `scenario` (a scenario response, yearly only) is overlaid on the baseline.
  */
-function linearRegression(xs, ys) {
-  const n = xs.length;
-  if (n < 2) return { slope: 0, intercept: ys[0] || 0 };
-  let sx = 0, sy = 0, sxy = 0, sx2 = 0;
-  for (let i = 0; i < n; i++) {
-    sx += xs[i]; sy += ys[i]; sxy += xs[i] * ys[i]; sx2 += xs[i] * xs[i];
-  }
-  const slope = (n * sxy - sx * sy) / (n * sx2 - sx * sx) || 0;
-  const intercept = (sy - slope * sx) / n;
-  return { slope, intercept };
-}
-
-export default function ForecastChart({ data = [], predictions = [], field = 'groundwaterLevel', label = 'Water Level', unit = 'm' }) {
+export default function ForecastChart({
+  data = [], predictions = [], field = 'groundwaterLevel', label = 'Water Level', unit = 'm',
+  modelInfo, availableModels = [], model = 'auto', onModelChange, reliability, scenario,
+}) {
   const { darkMode } = useTheme();
   const colors = chartColors(darkMode);
 
-  const { actualLabels, actualValues, forecastLabels, forecastValues, allLabels } = useMemo(() => {
-    const aLabels = data.map((d) => d.year.toString());
+  const {
+    actualLabels, actualValues, forecastValues, allLabels, scenarioValues,
+  } = useMemo(() => {
+    const aLabels = data.map(periodLabel);
     const aValues = data.map((d) => d[field]);
 
-    // Use predictions from backend or compute locally
-    let fLabels, fValues;
-    if (predictions.length > 0 && predictions[0][field] !== undefined) {
-      fLabels = predictions.map((p) => `${p.year}`);
-      fValues = predictions.map((p) => p[field]);
-    } else {
-      const xs = data.map((d) => d.year);
-      const ys = data.map((d) => d[field]);
-      const { slope, intercept } = linearRegression(xs, ys);
-      const lastYear = xs[xs.length - 1] || 2021;
-      fLabels = [1, 2, 3, 4, 5].map((i) => `${lastYear + i}`);
-      fValues = fLabels.map((_, i) => +(slope * (lastYear + i + 1) + intercept).toFixed(2));
-    }
+    const forecast = predictions.filter((p) => p[field] !== undefined);
+    const fLabels = forecast.map(periodLabel);
+    const fValues = forecast.map((p) => p[field]);
+
+    // Scenario years can run past the forecast
+    const projected = (scenario?.projection || []).filter((p) => p.scenario[field] !== undefined);
+    const labels = [...aLabels, ...fLabels];
+    for (const p of projected) if (!labels.includes(String(p.year))) labels.push(String(p.year));
+    const byYear = new Map(projected.map((p) => [String(p.year), p.scenario[field]]));
+    const sValues = projected.length
+      ? labels.map((l, i) => (i === aLabels.length - 1 ? aValues[i] : byYear.get(l) ?? null))
+      : [];
 
     return {
       actualLabels: aLabels,
       actualValues: aValues,
-      forecastLabels: fLabels,
       forecastValues: fValues,
-      allLabels: [...aLabels, ...fLabels],
+      allLabels: labels,
+      scenarioValues: sValues,
     };
-  }, [data, predictions, field]);
+  }, [data, predictions, field, scenario]);
 
   // Guard: if no actual data, render a placeholder instead of crashing
   if (!actualLabels.length) {
@@ -61,6 +59,9 @@ export default function ForecastChart({ data = [], predictions = [], field = 'gr
     );
   }
 
+  const models = availableModels.filter((m) => m.fields.includes(field));
+  const backtest = modelInfo?.backtest;
+
   const paddingLength = Math.max(0, actualLabels.length - 1);
 
   const chartData = {
@@ -68,7 +69,7 @@ export default function ForecastChart({ data = [], predictions = [], field = 'gr
     datasets: [
       {
         label: `${label} (Actual)`,
-        data: [...actualValues, ...new Array(forecastLabels.length).fill(null)],
+        data: [...actualValues, ...new Array(allLabels.length - actualLabels.length).fill(null)],
         borderColor: CHART_PALETTE[0],
         backgroundColor: `${CHART_PALETTE[0]}20`,
         fill: true,
@@ -80,7 +81,7 @@ export default function ForecastChart({ data = [], predictions = [], field = 'gr
         pointBorderWidth: 2,
         borderWidth: 3,
       },
-      {
+      forecastValues.length > 0 && {
         label: `${label} (Predicted)`,
         data: [...new Array(paddingLength).fill(null), actualValues[actualValues.length - 1], ...forecastValues],
         borderColor: CHART_PALETTE[3],
@@ -96,7 +97,23 @@ export default function ForecastChart({ data = [], predictions = [], field = 'gr
         borderWidth: 2.5,
         pointStyle: 'triangle',
       },
-    ],
+      scenarioValues.length > 0 && {
+        label: `${label} (Scenario)`,
+        data: scenarioValues,
+        borderColor: CHART_PALETTE[4],
+        backgroundColor: 'transparent',
+        tension: 0.4,
+        borderDash: [3, 3],
+        pointRadius: 5,
+        pointHoverRadius: 8,
+        pointBackgroundColor: CHART_PALETTE[4],
+        pointBorderColor: '#fff',
+        pointBorderWidth: 2,
+        borderWidth: 2.5,
+        pointStyle: 'rectRot',
+        spanGaps: true,
+      },
+    ].filter(Boolean),
   };
 
   const options = {
@@ -113,8 +130,7 @@ export default function ForecastChart({ data = [], predictions = [], field = 'gr
         borderWidth: 1, cornerRadius: 10, padding: 12,
         callbacks: {
           label: (ctx) => {
-            const isPredicted = ctx.datasetIndex === 1;
-            return `${ctx.dataset.label}: ${ctx.parsed.y?.toFixed(2)} ${unit} ${isPredicted ? '(forecast)' : ''}`;
+            return `${ctx.dataset.label}: ${ctx.parsed.y?.toFixed(2)} ${unit}`;
           },
         },
       },
@@ -133,8 +149,20 @@ export default function ForecastChart({ data = [], predictions = [], field = 'gr
 
   return (
     <div className="chart-container">
-      <h3 className="section-title flex items-center gap-2">{label} Forecast</h3>
-      <p className="text-[11px] text-gray-400 -mt-3 mb-3">Solid = actual data | Dashed = linear regression forecast</p>
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <h3 className="section-title flex items-center gap-2">{label} Forecast</h3>
+        {onModelChange && models.length > 0 && (
+          <select value={model} onChange={(e) => onModelChange(e.target.value)} className={inputCls} data-no-pdf>
+            <option value="auto">Best on holdout</option>
+            {models.map((m) => <option key={m.model} value={m.model}>{m.label}</option>)}
+          </select>
+        )}
+      </div>
+      <p className="text-[11px] text-gray-400 -mt-3 mb-3">
+        {modelInfo
+          ? <>Solid = actual data | Dashed = {modelInfo.label} forecast{backtest && <> &middot; holdout MAE {backtest.mae} {unit}, RMSE {backtest.rmse} {unit} ({backtest.holdout} held out)</>}{reliability?.rating && <> &middot; {reliability.rating} reliability</>}{scenarioValues.length > 0 && <> | Dotted = scenario</>}</>
+          : 'Not enough history to forecast — solid line shows actual data only'}
+      </p>
       <div className="h-[320px]">
         <Line data={chartData} options={options} />
       </div>
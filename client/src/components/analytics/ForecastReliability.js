@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react';
+import { FiTarget } from 'react-icons/fi';
+import { fetchBacktest, fetchDistrictBacktest } from '../../utils/api';
+import { formatNumber } from '../../utils/helpers';
+
+const METRICS = [
+  { field: 'groundwaterLevel', label: 'Water Level', unit: 'm' },
+  { field: 'rainfall', label: 'Rainfall', unit: 'mm' },
+  { field: 'depletionRate', label: 'Depletion', unit: '%' },
+];
+
+const RATING_STYLES = {
+  high: 'text-green-600 bg-green-50 dark:bg-green-900/20',
+  medium: 'text-amber-600 bg-amber-50 dark:bg-amber-900/20',
+  low: 'text-red-600 bg-red-50 dark:bg-red-900/20',
+};
+
+const RATING_ADVICE = {
+  high: 'Past forecasts tracked what was later observed closely — the projection is a reasonable guide.',
+  medium: 'Past forecasts were roughly right; treat the projection as a direction rather than a number.',
+  low: 'Past forecasts missed by a wide margin — do not plan on the projection alone.',
+};
+
+/**
+ * "Forecast reliability": how the location's forecasts would have fared had
+ * they been made at each earlier point in its history (rolling-origin
+ * backtest), beside the pooled accuracy for its district.
+ */
+export default function ForecastReliability({ locationName, granularity = 'yearly', model = 'auto' }) {
+  const [result, setResult] = useState(null);
+  const [district, setDistrict] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    setDistrict(null);
+    fetchBacktest(locationName, granularity, model)
+      .then((res) => {
+        if (cancelled) return;
+        setResult(res);
+        if (!res.district) return;
+        fetchDistrictBacktest(res.district, granularity, model)
+          .then((d) => { if (!cancelled) setDistrict(d.districts?.[0] || null); })
+          .catch(() => {});
+      })
+      .catch(() => { if (!cancelled) setResult(null); });
+    return () => { cancelled = true; };
+  }, [locationName, granularity, model]);
+
+  if (!result) return null;
+
+  const { rating, reason } = result.reliability;
+  const horizons = result.metrics.groundwaterLevel.byHorizon.map((h) => h.horizon);
+  const step = granularity === 'yearly' ? 'yr' : granularity === 'seasonal' ? 'season' : 'mo';
+  const districtFirst = district?.metrics.groundwaterLevel.byHorizon[0];
+  const ownFirst = result.metrics.groundwaterLevel.byHorizon[0];
+
+  return (
+    <div className="chart-container">
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-1">
+        <h3 className="section-title flex items-center gap-2"><FiTarget /> Forecast Reliability</h3>
+        <span className={`text-[11px] font-semibold px-2.5 py-0.5 rounded-full ${RATING_STYLES[rating] || 'text-slate-500 bg-slate-100 dark:bg-slate-800'}`}>
+          {rating ? `${rating[0].toUpperCase()}${rating.slice(1)} reliability` : 'Not yet testable'}
+        </span>
+      </div>
+      <p className="text-[11px] text-slate-500 dark:text-slate-400 -mt-3 mb-3">
+        {reason}.{rating && ` ${RATING_ADVICE[rating]}`}
+      </p>
+
+      {result.origins > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-[11px]">
+            <thead>
+              <tr className="text-slate-400 uppercase tracking-wider text-left">
+                <th className="py-1.5 pr-3 font-semibold">Metric</th>
+                {horizons.map((h) => (
+                  <th key={h} className="py-1.5 pr-3 font-semibold">{h} {step} ahead</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 dark:divide-slate-700/30 text-slate-600 dark:text-slate-300 tabular-nums">
+              {METRICS.map(({ field, label, unit }) => (
+                <tr key={field}>
+                  <td className="py-1.5 pr-3 font-medium">{label}</td>
+                  {result.metrics[field].byHorizon.map((h) => (
+                    <td key={h.horizon} className="py-1.5 pr-3">
+                      <span className="font-semibold">{h.mape === null ? '–' : `${formatNumber(h.mape)}%`}</span>
+                      <span className="text-slate-400"> &plusmn;{formatNumber(h.mae, 2)} {unit}</span>
+                      <span className="block text-[10px] text-slate-400">{formatNumber(h.coverage, 0)}% in band &middot; {h.count} tests</span>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-[10px] text-slate-400 mt-2">
+            MAPE and mean absolute error of forecasts made from each earlier point in the history; &ldquo;in band&rdquo; is the share of
+            actual readings that fell inside the 95% confidence band (ideally about 95%).
+          </p>
+        </div>
+      )}
+
+      {districtFirst && (
+        <p className="text-[11px] text-slate-500 dark:text-slate-400 mt-3 pt-3 border-t border-slate-100 dark:border-slate-700/30">
+          {district.district} district: one-step water-level forecasts off by <span className="font-semibold">{formatNumber(districtFirst.mape)}%</span> on
+          average across {district.locationsTested} of {district.locationCount} locations with enough history
+          {ownFirst && ownFirst.mape !== null && districtFirst.mape !== null && (
+            <> &mdash; {locationName} is {ownFirst.mape <= districtFirst.mape ? 'more' : 'less'} predictable than the district as a whole</>
+          )}.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,12 @@
 import React from 'react';
 import { Line } from 'react-chartjs-2';
-import { CHART_PALETTE, chartColors } from '../../utils/helpers';
+import { CHART_PALETTE, chartColors, periodLabel } from '../../utils/helpers';
 import { useTheme } from '../../context/ThemeContext';
 
 export default function MultiAxisChart({ data = [] }) {
   const { darkMode } = useTheme();
   const colors = chartColors(darkMode);
-  const years = data.map((d) => d.year.toString());
+  const years = data.map((d) => periodLabel(d));
 
   const chartData = {
     labels: years,
@@ -1,35 +1,46 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { Line } from 'react-chartjs-2';
-import { CHART_PALETTE, chartColors } from '../../utils/helpers';
+import { CHART_PALETTE, chartColors, periodLabel } from '../../utils/helpers';
 import { useTheme } from '../../context/ThemeContext';
 
+// Fields the server checks for anomalies
+const FIELDS = [
+  { key: 'groundwaterLevel', label: 'Water Level', unit: 'm' },
+  { key: 'ph', label: 'pH', unit: '' },
+  { key: 'consumption', label: 'Consumption', unit: 'Ml' },
+];
+
+const TYPE_LABELS = { jump: 'Sudden jump', seasonal: 'Seasonal deviation', spatial: 'Disagrees with neighbours' };
+
 /**
- * Detect outliers using IQR method and overlay alert annotations on charts.
+ * Series chart with the readings the server flagged as anomalous
+ * (robust z-score jumps, seasonal residuals and spatial outliers) marked.
  */
-function detectOutliers(values) {
-  if (values.length < 3) return [];
-  const sorted = [...values].sort((a, b) => a - b);
-  const q1 = sorted[Math.floor(sorted.length * 0.25)];
-  const q3 = sorted[Math.floor(sorted.length * 0.75)];
-  const iqr = q3 - q1;
-  const lower = q1 - 1.5 * iqr;
-  const upper = q3 + 1.5 * iqr;
-  return values.map((v, i) => (v < lower || v > upper) ? i : -1).filter((i) => i >= 0);
-}
-
-export default function OutlierAlertChart({ data = [], field = 'groundwaterLevel', label = 'Water Level', unit = 'm' }) {
+export default function OutlierAlertChart({ data = [], anomalies = [], defaultField = 'groundwaterLevel' }) {
   const { darkMode } = useTheme();
   const colors = chartColors(darkMode);
-  const years = useMemo(() => data.map((d) => d.year.toString()), [data]);
+  const [field, setField] = useState(defaultField);
+  const { label, unit } = FIELDS.find((f) => f.key === field);
+  const unitSuffix = unit ? ` (${unit})` : '';
+  const years = useMemo(() => data.map((d) => periodLabel(d)), [data]);
   const values = useMemo(() => data.map((d) => d[field]), [data, field]);
 
-  const outlierIndices = useMemo(() => detectOutliers(values), [values]);
+  // Index of each flagged point in the series → its anomalies
+  const flaggedAt = useMemo(() => {
+    const map = new Map();
+    anomalies.filter((a) => a.field === field).forEach((a) => {
+      const i = years.indexOf(a.period);
+      if (i >= 0) map.set(i, [...(map.get(i) || []), a]);
+    });
+    return map;
+  }, [anomalies, field, years]);
+  const outlierIndices = [...flaggedAt.keys()].sort((a, b) => a - b);
 
   const chartData = {
     labels: years,
     datasets: [
       {
-        label: `${label} (${unit})`,
+        label: `${label}${unitSuffix}`,
         data: values,
         borderColor: CHART_PALETTE[0],
         backgroundColor: `${CHART_PALETTE[0]}15`,
@@ -78,10 +89,8 @@ export default function OutlierAlertChart({ data = [], field = 'groundwaterLevel
         borderWidth: 1, cornerRadius: 10, padding: 12,
         callbacks: {
           afterLabel: (ctx) => {
-            if (outlierIndices.includes(ctx.dataIndex) && ctx.datasetIndex === 0) {
-              return 'ANOMALY: Unusual value detected!\nThis data point deviates significantly from the trend.';
-            }
-            return '';
+            if (ctx.datasetIndex !== 0 || !flaggedAt.has(ctx.dataIndex)) return '';
+            return flaggedAt.get(ctx.dataIndex).map((a) => `ANOMALY (${TYPE_LABELS[a.type]}): ${a.message}`);
           },
         },
       },
@@ -91,7 +100,7 @@ export default function OutlierAlertChart({ data = [], field = 'groundwaterLevel
       y: {
         ticks: { color: colors.textColor },
         grid: { color: colors.gridColor },
-        title: { display: true, text: `${label} (${unit})`, color: colors.textColor },
+        title: { display: true, text: `${label}${unitSuffix}`, color: colors.textColor },
       },
     },
     animation: { duration: 800, easing: 'easeOutQuart' },
@@ -100,16 +109,25 @@ export default function OutlierAlertChart({ data = [], field = 'groundwaterLevel
   return (
     <div className="chart-container">
       <div className="flex items-center justify-between mb-1">
-        <h3 className="section-title flex items-center gap-2">Outlier Detection — {label}</h3>
-        {outlierIndices.length > 0 && (
-          <span className="text-[10px] bg-red-100 dark:bg-red-900/30 text-red-600 px-2 py-0.5 rounded-full font-bold">
-            {outlierIndices.length} anomal{outlierIndices.length > 1 ? 'ies' : 'y'}
-          </span>
-        )}
+        <h3 className="section-title flex items-center gap-2">Anomaly Detection — {label}</h3>
+        <div className="flex items-center gap-2">
+          {outlierIndices.length > 0 && (
+            <span className="text-[10px] bg-red-100 dark:bg-red-900/30 text-red-600 px-2 py-0.5 rounded-full font-bold">
+              {outlierIndices.length} anomal{outlierIndices.length > 1 ? 'ies' : 'y'}
+            </span>
+          )}
+          <select
+            value={field}
+            onChange={(e) => setField(e.target.value)}
+            className="text-[11px] bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-md px-1.5 py-0.5 text-slate-600 dark:text-slate-300"
+          >
+            {FIELDS.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </select>
+        </div>
       </div>
       <p className="text-[11px] text-gray-400 -mt-3 mb-3">
         {outlierIndices.length > 0
-          ? `Red markers indicate statistically abnormal data points (IQR method)`
+          ? 'Red markers are readings flagged by robust z-score tests: sudden jumps, seasonal deviations and disagreement with nearby stations'
           : 'No anomalies detected — data is within expected range'}
       </p>
       <div className="h-[300px]">
@@ -119,14 +137,14 @@ export default function OutlierAlertChart({ data = [], field = 'groundwaterLevel
       {/* Outlier detail cards */}
       {outlierIndices.length > 0 && (
         <div className="flex flex-wrap gap-2 mt-3">
-          {outlierIndices.map((idx) => (
-            <div key={idx} className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg px-3 py-2 text-xs">
+          {outlierIndices.flatMap((idx) => flaggedAt.get(idx).map((a) => (
+            <div key={a.id} className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg px-3 py-2 text-xs" title={a.message}>
               <span className="font-bold text-red-600">{years[idx]}:</span>
               <span className="text-gray-600 dark:text-gray-300 ml-1">
-                {label} = {values[idx]} {unit} — Critical deviation detected
+                {label} = {values[idx]} {unit} — {TYPE_LABELS[a.type]} (z {a.score}, {a.severity})
               </span>
             </div>
-          ))}
+          )))}
         </div>
       )}
     </div>
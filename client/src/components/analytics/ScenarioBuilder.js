@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { FiCloudRain, FiRotateCcw } from 'react-icons/fi';
+import { fetchScenario } from '../../utils/api';
+import { formatNumber } from '../../utils/helpers';
+
+const SLIDERS = [
+  { field: 'agriculturalUsage', label: 'Agricultural draw' },
+  { field: 'industrialUsage', label: 'Industrial draw' },
+  { field: 'householdUsage', label: 'Household draw' },
+  { field: 'rainfall', label: 'Rainfall vs normal' },
+];
+
+const NO_CHANGE = { agriculturalUsage: 0, industrialUsage: 0, householdUsage: 0, rainfall: 0 };
+
+const signed = (n, decimals = 2) => `${n > 0 ? '+' : ''}${formatNumber(n, decimals)}`;
+
+/**
+ * Scenario builder: % changes to the usage fields and rainfall for a number
+ * of years, projected through the server's water-balance model. Reports the
+ * result to `onResult` so the forecast chart can overlay it on the baseline.
+ */
+export default function ScenarioBuilder({ locationName, model = 'auto', onResult }) {
+  const [adjustments, setAdjustments] = useState(NO_CHANGE);
+  const [years, setYears] = useState(5);
+  const [durationYears, setDurationYears] = useState(5);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const changed = Object.values(adjustments).some((v) => v !== 0);
+
+  // Recompute shortly after the last slider move
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchScenario(locationName, { adjustments, years, durationYears: Math.min(durationYears, years), model })
+        .then((res) => { setResult(res); setError(''); })
+        .catch((err) => { setResult(null); setError(err.message); });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [locationName, adjustments, years, durationYears, model]);
+
+  // Only overlay once the scenario differs from the baseline
+  useEffect(() => {
+    onResult?.(changed ? result : null);
+  }, [result, changed, onResult]);
+
+  useEffect(() => () => onResult?.(null), [onResult]);
+
+  const last = result?.projection?.[result.projection.length - 1];
+  const inputCls = 'flex-1 accent-primary-500 h-1.5';
+
+  return (
+    <div className="chart-container">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+        <div>
+          <h3 className="section-title flex items-center gap-2"><FiCloudRain /> Scenario Builder</h3>
+          <p className="text-[11px] text-slate-400 -mt-3">
+            Change extraction and rainfall to see the water level, depletion and score year by year against the baseline forecast.
+          </p>
+        </div>
+        {changed && (
+          <button onClick={() => setAdjustments(NO_CHANGE)} className="btn-secondary text-xs flex items-center gap-1.5" data-no-pdf>
+            <FiRotateCcw size={12} /> Reset
+          </button>
+        )}
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-5">
+        <div className="space-y-3" data-no-pdf>
+          {SLIDERS.map(({ field, label }) => (
+            <div key={field} className="flex items-center gap-3">
+              <span className="text-xs font-semibold text-slate-600 dark:text-slate-300 w-36">{label}</span>
+              <input
+                type="range"
+                min={-50}
+                max={50}
+                step={5}
+                value={adjustments[field]}
+                onChange={(e) => setAdjustments((a) => ({ ...a, [field]: +e.target.value }))}
+                className={inputCls}
+              />
+              <span className="text-xs font-bold text-primary-600 w-12 text-right tabular-nums">{signed(adjustments[field], 0)}%</span>
+            </div>
+          ))}
+          <div className="flex items-center gap-3 pt-2 border-t border-slate-100 dark:border-slate-700/30">
+            <span className="text-xs font-semibold text-slate-600 dark:text-slate-300 w-36">Years projected</span>
+            <input type="range" min={1} max={10} value={years} onChange={(e) => setYears(+e.target.value)} className={inputCls} />
+            <span className="text-xs font-bold text-primary-600 w-12 text-right tabular-nums">{years}</span>
+          </div>
+          <div className="flex items-center gap-3">
+            <span className="text-xs font-semibold text-slate-600 dark:text-slate-300 w-36">Changes last</span>
+            <input
+              type="range"
+              min={1}
+              max={years}
+              value={Math.min(durationYears, years)}
+              onChange={(e) => setDurationYears(+e.target.value)}
+              className={inputCls}
+            />
+            <span className="text-xs font-bold text-primary-600 w-12 text-right tabular-nums">{Math.min(durationYears, years)} yr</span>
+          </div>
+          {result && (
+            <p className="text-[10px] text-slate-400">
+              Normal rainfall {formatNumber(result.normalRainfall, 0)} mm &middot; baseline: {result.baselineModel === 'persistence' ? 'latest reading held steady' : `${result.baselineModel} forecast`} &middot;
+              specific yield {result.parameters.specificYield}, area {result.parameters.areaKm2} km²
+            </p>
+          )}
+        </div>
+
+        <div>
+          {error && <div className="text-xs text-red-500 bg-red-50 dark:bg-red-900/20 rounded-lg p-3">{error}</div>}
+          {last && (
+            <p className="text-xs text-slate-600 dark:text-slate-300 mb-2">
+              By {last.year}: water level <span className="font-semibold">{formatNumber(last.scenario.groundwaterLevel, 2)} m</span>
+              {' '}({signed(last.change.groundwaterLevel)} m vs baseline), score{' '}
+              <span className="font-semibold">{last.scenario.waterScore}</span> ({last.scenario.status}).
+            </p>
+          )}
+          {result && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-[11px]">
+                <thead>
+                  <tr className="text-slate-400 uppercase tracking-wider text-left">
+                    <th className="py-1.5 pr-3 font-semibold">Year</th>
+                    <th className="py-1.5 pr-3 font-semibold">Level (m)</th>
+                    <th className="py-1.5 pr-3 font-semibold">Depletion (%)</th>
+                    <th className="py-1.5 pr-3 font-semibold">Score</th>
+                    <th className="py-1.5 pr-3 font-semibold">Stage</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100 dark:divide-slate-700/30 text-slate-600 dark:text-slate-300 tabular-nums">
+                  {result.projection.map((p) => (
+                    <tr key={p.year} className={p.adjusted ? '' : 'text-slate-400'}>
+                      <td className="py-1.5 pr-3 font-medium">{p.year}</td>
+                      <td className="py-1.5 pr-3">
+                        {formatNumber(p.scenario.groundwaterLevel, 2)}
+                        <span className={`ml-1 ${p.change.groundwaterLevel > 0 ? 'text-red-500' : p.change.groundwaterLevel < 0 ? 'text-green-500' : 'text-slate-400'}`}>
+                          ({signed(p.change.groundwaterLevel)})
+                        </span>
+                      </td>
+                      <td className="py-1.5 pr-3">{formatNumber(p.scenario.depletionRate, 2)}</td>
+                      <td className="py-1.5 pr-3">
+                        {p.scenario.waterScore} <span className="text-slate-400">{p.scenario.status}</span>
+                      </td>
+                      <td className="py-1.5 pr-3">
+                        {p.scenario.stageOfExtraction === null ? '–' : `${formatNumber(p.scenario.stageOfExtraction)}%`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-[10px] text-slate-400 mt-2">Greyed years are after the changes end; deeper levels carry over.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { FiSliders, FiSave, FiCheck } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import {
+  fetchScoreProfiles, fetchWhatIfScores, createScoreProfile, assignScoreProfile,
+} from '../../utils/api';
+import { CHART_PALETTE, chartColors, periodLabel } from '../../utils/helpers';
+import { useTheme } from '../../context/ThemeContext';
+
+const METRIC_LABELS = {
+  waterLevel: { label: 'Water Level', unit: 'm below ground' },
+  rainfall: { label: 'Rainfall', unit: 'mm' },
+  depletion: { label: 'Depletion Rate', unit: '%' },
+  ph: { label: 'pH', unit: '' },
+};
+
+// Editable copy of a profile; weights shown as whole percentages
+function toDraft(profile) {
+  return {
+    metrics: [...profile.metrics],
+    weights: Object.fromEntries(Object.entries(profile.weights).map(([m, w]) => [m, Math.round(w * 100)])),
+    thresholds: JSON.parse(JSON.stringify(profile.thresholds)),
+  };
+}
+
+/**
+ * "What-if" scoring editor: change a profile's metrics, weights and
+ * normalization ranges and see the location's scores recomputed on the
+ * server, next to the scores under the profile currently assigned to it.
+ */
+export default function ScoreWhatIf({ locationName, granularity = 'yearly', currentProfile, onApplied }) {
+  const { darkMode } = useTheme();
+  const colors = chartColors(darkMode);
+
+  const [profiles, setProfiles] = useState([]);
+  const [baseId, setBaseId] = useState(currentProfile?.id || 'default');
+  const [draft, setDraft] = useState(null);
+  const [edited, setEdited] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [saveName, setSaveName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchScoreProfiles()
+      .then((res) => setProfiles(res.profiles || []))
+      .catch((err) => toast.error(err.message));
+  }, []);
+
+  useEffect(() => {
+    if (currentProfile?.id) setBaseId(currentProfile.id);
+  }, [currentProfile?.id]);
+
+  // Start the draft from the chosen profile
+  useEffect(() => {
+    const base = profiles.find((p) => p.id === baseId);
+    if (base) {
+      setDraft(toDraft(base));
+      setEdited(false);
+    }
+  }, [profiles, baseId]);
+
+  // Recompute on the server shortly after the last edit
+  useEffect(() => {
+    if (!draft) return undefined;
+    const timer = setTimeout(() => {
+      const body = edited
+        ? { profile: { ...draft, weights: Object.fromEntries(Object.entries(draft.weights).map(([m, w]) => [m, w / 100])) } }
+        : { profileId: baseId };
+      fetchWhatIfScores(locationName, body, granularity)
+        .then((res) => { setResult(res); setError(''); })
+        .catch((err) => setError(err.message));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [draft, edited, baseId, locationName, granularity]);
+
+  const change = (fn) => {
+    setDraft((d) => fn(JSON.parse(JSON.stringify(d))));
+    setEdited(true);
+  };
+
+  const toggleMetric = (metric) => change((d) => {
+    d.metrics = d.metrics.includes(metric) ? d.metrics.filter((m) => m !== metric) : [...d.metrics, metric];
+    if (!d.weights[metric]) d.weights[metric] = 10;
+    return d;
+  });
+
+  const chartData = useMemo(() => {
+    const scores = result?.scores || [];
+    return {
+      labels: scores.map(periodLabel),
+      datasets: [
+        {
+          label: `Current (${result?.baselineProfile?.name || '–'})`,
+          data: scores.map((s) => s.baselineScore),
+          borderColor: '#94a3b8',
+          borderDash: [6, 3],
+          borderWidth: 2,
+          pointRadius: 3,
+          tension: 0.3,
+        },
+        {
+          label: 'What-if',
+          data: scores.map((s) => s.waterScore),
+          borderColor: CHART_PALETTE[0],
+          backgroundColor: `${CHART_PALETTE[0]}20`,
+          fill: true,
+          borderWidth: 3,
+          pointRadius: 4,
+          tension: 0.3,
+        },
+      ],
+    };
+  }, [result]);
+
+  const latest = result?.scores?.[result.scores.length - 1];
+  const base = profiles.find((p) => p.id === baseId);
+
+  const applyProfile = async (profileId, name) => {
+    setSaving(true);
+    try {
+      await assignScoreProfile('location', locationName, profileId);
+      toast.success(`${locationName} is now scored with "${name}"`);
+      onApplied?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveAndApply = async () => {
+    if (!saveName.trim()) {
+      toast.error('Name the profile before saving');
+      return;
+    }
+    setSaving(true);
+    try {
+      const weights = Object.fromEntries(Object.entries(draft.weights).map(([m, w]) => [m, w / 100]));
+      const res = await createScoreProfile({ name: saveName.trim(), ...draft, weights });
+      setProfiles((list) => [...list, res.profile]);
+      setSaveName('');
+      await applyProfile(res.profile.id, res.profile.name);
+      setBaseId(res.profile.id);
+    } catch (err) {
+      toast.error(err.message);
+      setSaving(false);
+    }
+  };
+
+  if (!draft) return null;
+
+  const inputCls = 'px-2 py-1 text-xs rounded-md border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900/40 text-slate-700 dark:text-slate-200';
+
+  return (
+    <div className="chart-container">
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+        <div>
+          <h3 className="section-title flex items-center gap-2"><FiSliders /> What-if Scoring</h3>
+          <p className="text-[11px] text-slate-400 -mt-3">
+            Currently scored with <span className="font-semibold text-slate-600 dark:text-slate-300">{currentProfile?.name || 'Standard'}</span>.
+            Adjust metrics, weights and ranges to see scores recomputed live.
+          </p>
+        </div>
+        <label className="text-xs text-slate-500 flex items-center gap-2">
+          Start from
+          <select value={baseId} onChange={(e) => setBaseId(e.target.value)} className={inputCls}>
+            {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-5">
+        {/* Editor */}
+        <div className="space-y-3">
+          {Object.entries(METRIC_LABELS).map(([metric, { label, unit }]) => {
+            const included = draft.metrics.includes(metric);
+            const t = draft.thresholds[metric];
+            return (
+              <div key={metric} className={`rounded-lg border border-slate-200/70 dark:border-slate-700/40 p-3 ${included ? '' : 'opacity-50'}`}>
+                <div className="flex items-center gap-3">
+                  <label className="flex items-center gap-2 text-xs font-semibold text-slate-600 dark:text-slate-300 w-36">
+                    <input type="checkbox" checked={included} onChange={() => toggleMetric(metric)} className="accent-primary-500" />
+                    {label}
+                  </label>
+                  <input
+                    type="range"
+                    min={0}
+                    max={100}
+                    disabled={!included}
+                    value={draft.weights[metric] || 0}
+                    onChange={(e) => change((d) => { d.weights[metric] = +e.target.value; return d; })}
+                    className="flex-1 accent-primary-500 h-1.5"
+                  />
+                  <span className="text-xs font-bold text-primary-600 w-10 text-right tabular-nums">{draft.weights[metric] || 0}</span>
+                </div>
+                {included && (
+                  <div className="grid grid-cols-2 gap-2 mt-2">
+                    {(metric === 'ph' ? ['ideal', 'range'] : ['min', 'max']).map((key) => (
+                      <label key={key} className="text-[10px] text-slate-400 uppercase tracking-wide">
+                        {key}{unit && ` (${unit})`}
+                        <input
+                          type="number"
+                          step="any"
+                          value={t[key]}
+                          onChange={(e) => change((d) => { d.thresholds[metric][key] = e.target.value === '' ? '' : +e.target.value; return d; })}
+                          className={`${inputCls} w-full`}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          <p className="text-[10px] text-slate-400">Weights are relative — they are scaled to sum to 100% over the included metrics.</p>
+        </div>
+
+        {/* Result */}
+        <div className="flex flex-col">
+          {error ? (
+            <div className="text-xs text-red-500 bg-red-50 dark:bg-red-900/20 rounded-lg p-3">{error}</div>
+          ) : latest && (
+            <div className="flex items-center gap-4 mb-3">
+              <div className="text-center">
+                <p className="text-[10px] text-slate-400 uppercase">Current</p>
+                <p className="text-2xl font-extrabold text-slate-500 tabular-nums">{latest.baselineScore}</p>
+                <p className="text-[10px] text-slate-400">{latest.baselineStatus}</p>
+              </div>
+              <span className="text-slate-300">→</span>
+              <div className="text-center">
+                <p className="text-[10px] text-slate-400 uppercase">What-if</p>
+                <p className="text-2xl font-extrabold text-primary-600 tabular-nums">{latest.waterScore}</p>
+                <p className="text-[10px] text-slate-400">{latest.status}</p>
+              </div>
+              <span className={`text-sm font-bold tabular-nums ${latest.change > 0 ? 'text-green-500' : latest.change < 0 ? 'text-red-500' : 'text-slate-400'}`}>
+                {latest.change > 0 ? '+' : ''}{latest.change}
+              </span>
+            </div>
+          )}
+          <div className="h-[220px]">
+            <Line data={chartData} options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              interaction: { intersect: false, mode: 'index' },
+              plugins: { legend: { labels: { color: colors.textColor, usePointStyle: true, font: { size: 11 } } } },
+              scales: {
+                x: { ticks: { color: colors.textColor }, grid: { color: colors.gridColor } },
+                y: { min: 0, max: 100, ticks: { color: colors.textColor }, grid: { color: colors.gridColor } },
+              },
+            }} />
+          </div>
+
+          <div className="mt-4 flex flex-wrap gap-2 items-center" data-no-pdf>
+            {!edited && base && base.id !== currentProfile?.id && (
+              <button onClick={() => applyProfile(base.id, base.name)} disabled={saving} className="btn-secondary text-xs flex items-center gap-1.5">
+                <FiCheck size={12} /> Apply &ldquo;{base.name}&rdquo; to {locationName}
+              </button>
+            )}
+            {edited && (
+              <>
+                <input
+                  value={saveName}
+                  onChange={(e) => setSaveName(e.target.value)}
+                  placeholder="New profile name"
+                  className={`${inputCls} w-44`}
+                />
+                <button onClick={saveAndApply} disabled={saving || !!error} className="btn-primary text-xs flex items-center gap-1.5">
+                  <FiSave size={12} /> Save &amp; apply to {locationName}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
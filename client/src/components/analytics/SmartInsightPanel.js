@@ -1,6 +1,7 @@
 import React, { useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { FiAlertCircle, FiInfo, FiTrendingDown, FiTrendingUp, FiCheckCircle } from 'react-icons/fi';
+import { periodLabel } from '../../utils/helpers';
 
 /**
  * Auto-generate data-driven insights from water data trends.
@@ -22,14 +23,14 @@ function generateInsights(data, predictions = []) {
         type: 'warning',
         icon: <FiTrendingDown />,
         title: 'Water Level Declining',
-        text: `Groundwater level increased by ${pctChange}% (deeper) from ${prev.year} to ${latest.year}. Higher values indicate deeper water tables and potential scarcity.`,
+        text: `Groundwater level increased by ${pctChange}% (deeper) from ${periodLabel(prev)} to ${periodLabel(latest)}. Higher values indicate deeper water tables and potential scarcity.`,
       });
     } else if (levelChange < 0) {
       insights.push({
         type: 'success',
         icon: <FiTrendingUp />,
         title: 'Water Level Improving',
-        text: `Groundwater level decreased by ${Math.abs(pctChange)}% (shallower) from ${prev.year} to ${latest.year}, indicating improved water availability.`,
+        text: `Groundwater level decreased by ${Math.abs(pctChange)}% (shallower) from ${periodLabel(prev)} to ${periodLabel(latest)}, indicating improved water availability.`,
       });
     }
   }
@@ -41,14 +42,14 @@ function generateInsights(data, predictions = []) {
       insights.push({
         type: 'danger',
         icon: <FiAlertCircle />,
-        text: `Rainfall in ${latest.year} (${latest.rainfall}mm) is ${((1 - latest.rainfall / avgRainfall) * 100).toFixed(0)}% below the average (${avgRainfall.toFixed(0)}mm). Low rainfall is strongly affecting groundwater levels.`,
+        text: `Rainfall in ${periodLabel(latest)} (${latest.rainfall}mm) is ${((1 - latest.rainfall / avgRainfall) * 100).toFixed(0)}% below the average (${avgRainfall.toFixed(0)}mm). Low rainfall is strongly affecting groundwater levels.`,
         title: 'Below-Average Rainfall',
       });
     } else if (latest.rainfall > avgRainfall * 1.15) {
       insights.push({
         type: 'success',
         icon: <FiCheckCircle />,
-        text: `Rainfall in ${latest.year} (${latest.rainfall}mm) is ${(((latest.rainfall / avgRainfall) - 1) * 100).toFixed(0)}% above average, potentially aiding groundwater recharge.`,
+        text: `Rainfall in ${periodLabel(latest)} (${latest.rainfall}mm) is ${(((latest.rainfall / avgRainfall) - 1) * 100).toFixed(0)}% above average, potentially aiding groundwater recharge.`,
         title: 'Above-Average Rainfall',
       });
     }
@@ -104,7 +105,7 @@ function generateInsights(data, predictions = []) {
         type: 'danger',
         icon: <FiTrendingDown />,
         title: 'Declining Forecast',
-        text: `Predictions suggest water levels may drop to ${lastPred.groundwaterLevel.toFixed(1)}m by ${lastPred.year}. Immediate conservation action needed.`,
+        text: `Predictions suggest water levels may drop to ${lastPred.groundwaterLevel.toFixed(1)}m by ${periodLabel(lastPred)}. Immediate conservation action needed.`,
       });
     }
   }
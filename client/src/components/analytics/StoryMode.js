@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FiBookOpen, FiX, FiAlertTriangle, FiTrendingDown, FiCheckCircle, FiDroplet } from 'react-icons/fi';
+import { periodLabel } from '../../utils/helpers';
 
 /**
  * Story Mode — "Explain Data" button that shows a narrative summary panel
@@ -31,7 +32,7 @@ export default function StoryMode({ data = [], predictions = [], locationName =
     sections.push({
       icon: <FiDroplet />,
       title: 'Overview',
-      content: `Analysis of ${n} years of groundwater data (${first.year}–${latest.year}) for ${locationName}. Current water sustainability score is ${score}/100 (${latest.status}).`,
+      content: `Analysis of ${n} ${latest.period ? 'periods' : 'years'} of groundwater data (${periodLabel(first)}–${periodLabel(latest)}) for ${locationName}. Current water sustainability score is ${score}/100 (${latest.status}).`,
     });
 
     // Key trends
@@ -79,7 +80,7 @@ export default function StoryMode({ data = [], predictions = [], locationName =
       sections.push({
         icon: <FiTrendingDown />,
         title: 'Future Outlook',
-        content: `Based on linear regression, by ${lastPred.year} the water level may reach ${lastPred.groundwaterLevel?.toFixed(1)}m with rainfall around ${lastPred.rainfall?.toFixed(0)}mm. ${
+        content: `Based on the forecast, by ${periodLabel(lastPred)} the water level may reach ${lastPred.groundwaterLevel?.toFixed(1)}m with rainfall around ${lastPred.rainfall?.toFixed(0)}mm. ${
           lastPred.groundwaterLevel > latest.groundwaterLevel * 1.05
             ? 'The declining trend requires urgent intervention.'
             : 'The situation appears relatively stable if conservation continues.'
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { Bar } from 'react-chartjs-2';
 import { FiPlay, FiPause, FiSkipBack, FiSkipForward } from 'react-icons/fi';
-import { CHART_PALETTE, chartColors } from '../../utils/helpers';
+import { CHART_PALETTE, chartColors, periodLabel } from '../../utils/helpers';
 import { useTheme } from '../../context/ThemeContext';
 
 export default function TimeSliderAnimation({ data = [] }) {
@@ -13,7 +13,7 @@ export default function TimeSliderAnimation({ data = [] }) {
   const intervalRef = useRef(null);
 
   const activeData = data[activeIndex] || {};
-  const year = activeData.year || '—';
+  const year = activeData.year ? periodLabel(activeData) : '—';
 
   const play = useCallback(() => {
     setPlaying(true);
@@ -133,7 +133,7 @@ export default function TimeSliderAnimation({ data = [] }) {
       <div className="flex items-center justify-center gap-2 mb-4">
         {data.map((d, i) => (
           <button
-            key={d.year}
+            key={periodLabel(d)}
             onClick={() => { setActiveIndex(i); setPlaying(false); }}
             className={`w-8 h-8 rounded-full text-xs font-bold transition-all duration-300 ${
               i === activeIndex
@@ -143,7 +143,7 @@ export default function TimeSliderAnimation({ data = [] }) {
                 : 'bg-gray-100 dark:bg-gray-800 text-gray-400'
             }`}
           >
-            {d.year.toString().slice(-2)}
+            {d.period ? i + 1 : d.year.toString().slice(-2)}
           </button>
         ))}
       </div>
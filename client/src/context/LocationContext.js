@@ -3,7 +3,8 @@ import React, { createContext, useContext, useState, useCallback } from 'react';
 const LocationContext = createContext();
 
 export function LocationProvider({ children }) {
-  // No localStorage — state resets on page refresh so citizen must search again
+  // No localStorage — state resets on page refresh so citizen must search again;
+  // to keep track of a village they follow it instead (components/FollowLocation)
   const [selectedLocation, setSelectedLocation] = useState('');
   const [allLocations, setAllLocations] = useState([]);
 
@@ -0,0 +1,612 @@
+import React, { useEffect, useMemo, useState, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Chart as ChartJS, CategoryScale, LinearScale, BarElement, Tooltip, Legend,
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { FiSliders, FiPlus, FiPlay, FiSave, FiRotateCcw, FiTrash2 } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import {
+  fetchAlertRules, createAlertRule, updateAlertRule, deleteAlertRule, resetAlertRule, testAlertRule,
+} from '../utils/api';
+import { chartColors } from '../utils/helpers';
+import { useTheme } from '../context/ThemeContext';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+const inputClass =
+  'w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg px-3 py-2 text-xs';
+
+const SEVERITY_STYLES = {
+  critical: 'bg-red-500 text-white',
+  warning: 'bg-yellow-500 text-white',
+  info: 'bg-blue-500 text-white',
+};
+const SEVERITY_COLORS = { critical: '#ef4444', warning: '#f59e0b', info: '#3b82f6' };
+
+const SCOPE_LABELS = { location: 'Location', taluka: 'Taluka', district: 'District' };
+const ORDER_COMPARISONS = ['>', '>=', '<', '<='];
+const CATEGORICAL_COMPARISONS = ['==', '!=', 'in'];
+
+const PLACEHOLDERS = {
+  location: '{location} {value} {threshold} {current}, any record field such as {rainfall}; trends add {periods} {change}, changes {before} {after} {change}',
+  group: '{target} {value} {threshold} {stations} {matched} {matchedList} {safeStations} {warningStations} {criticalStations}',
+};
+
+const NEW_RULE = {
+  name: '',
+  description: '',
+  category: '',
+  enabled: false,
+  scope: 'location',
+  targets: [],
+  metric: 'groundwaterLevel',
+  aggregate: null,
+  condition: { type: 'threshold', comparison: '>=', value: 12 },
+  severity: 'warning',
+  escalation: null,
+  title: '',
+  message: '',
+  recommendation: '',
+};
+
+const listText = (value) => (Array.isArray(value) ? value.join(', ') : value ?? '');
+
+// Text typed into a value box → what the rule stores for the comparison
+function parseValue(text, comparison, categorical) {
+  const parts = String(text).split(',').map((s) => s.trim()).filter(Boolean);
+  if (comparison === 'in') return categorical ? parts : parts.map(Number);
+  if (comparison === 'outside') return parts.map(Number);
+  if (categorical) return String(text).trim();
+  return String(text).trim() === '' ? null : Number(text);
+}
+
+function fromRule(rule) {
+  const c = rule.condition || {};
+  const agg = rule.aggregate || {};
+  const e = rule.escalation;
+  return {
+    name: rule.name || '',
+    description: rule.description || '',
+    category: rule.category || '',
+    enabled: rule.enabled !== false,
+    scope: rule.scope,
+    targets: (rule.targets || []).join(', '),
+    metric: rule.metric,
+    aggFn: agg.fn || 'avg',
+    useMatch: Boolean(agg.match),
+    matchComparison: agg.match?.comparison || '>=',
+    matchValue: listText(agg.match?.value),
+    condType: c.type || 'threshold',
+    comparison: c.comparison || '>=',
+    value: listText(c.value),
+    direction: c.direction || 'rising',
+    periods: c.periods || 3,
+    severity: rule.severity,
+    escalate: Boolean(e),
+    escValue: e ? e.value : '',
+    escSeverity: e ? e.severity : 'critical',
+    title: rule.title || '',
+    message: rule.message || '',
+    recommendation: rule.recommendation || '',
+  };
+}
+
+// Options the form offers for its current scope and metric
+function choicesFor(form, metrics) {
+  const categorical = Boolean(metrics[form.metric]?.categorical);
+  const group = form.scope !== 'location';
+  const conditionTypes = group || categorical ? ['threshold'] : ['threshold', 'trend', 'change'];
+  const condCategorical = categorical && !group;
+  let comparisons;
+  if (form.condType === 'change') comparisons = ORDER_COMPARISONS;
+  else if (condCategorical) comparisons = CATEGORICAL_COMPARISONS;
+  else comparisons = null; // all
+  return {
+    categorical, group, conditionTypes, condCategorical, comparisons,
+    aggregates: categorical ? ['count'] : null,
+    matchComparisons: categorical ? CATEGORICAL_COMPARISONS : null,
+  };
+}
+
+// Keep dependent fields valid after a change, e.g. a categorical metric can only be counted
+function settle(form, metrics, allComparisons, allAggregates) {
+  const next = { ...form };
+  const choices = choicesFor(next, metrics);
+  if (!choices.conditionTypes.includes(next.condType)) next.condType = 'threshold';
+  const { comparisons, aggregates, matchComparisons } = choicesFor(next, metrics);
+  if (!(comparisons || allComparisons).includes(next.comparison)) next.comparison = (comparisons || allComparisons)[0];
+  if (!(aggregates || allAggregates).includes(next.aggFn)) next.aggFn = (aggregates || allAggregates)[0];
+  if (!(matchComparisons || allComparisons).includes(next.matchComparison)) {
+    next.matchComparison = (matchComparisons || allComparisons)[0];
+  }
+  return next;
+}
+
+function toRule(form, base, metrics) {
+  const { group, condCategorical, categorical } = choicesFor(form, metrics);
+  let condition;
+  if (form.condType === 'trend') {
+    condition = { type: 'trend', direction: form.direction, periods: Number(form.periods) };
+  } else if (form.condType === 'change') {
+    condition = { type: 'change', comparison: form.comparison, value: parseValue(form.value, form.comparison, false) };
+  } else {
+    condition = { type: 'threshold', comparison: form.comparison, value: parseValue(form.value, form.comparison, condCategorical) };
+  }
+  const withMatch = form.useMatch || form.aggFn === 'count';
+  return {
+    ...base,
+    name: form.name,
+    description: form.description,
+    category: form.category,
+    enabled: form.enabled,
+    scope: form.scope,
+    targets: form.targets.split(',').map((t) => t.trim()).filter(Boolean),
+    metric: form.metric,
+    aggregate: group ? {
+      fn: form.aggFn,
+      ...(withMatch && {
+        match: { comparison: form.matchComparison, value: parseValue(form.matchValue, form.matchComparison, categorical) },
+      }),
+    } : null,
+    condition,
+    severity: form.severity,
+    escalation: form.escalate && form.condType === 'threshold' && ORDER_COMPARISONS.includes(form.comparison)
+      ? { ...(base.escalation || {}), value: parseValue(form.escValue, '>', false), severity: form.escSeverity }
+      : null,
+    title: form.title,
+    message: form.message,
+    recommendation: form.recommendation,
+  };
+}
+
+function Field({ label, children, className = '' }) {
+  return (
+    <label className={`block ${className}`}>
+      <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide">{label}</span>
+      <div className="mt-1">{children}</div>
+    </label>
+  );
+}
+
+function SeverityBadge({ severity }) {
+  return (
+    <span className={`text-[10px] px-1.5 py-0.5 rounded-full uppercase font-bold ${SEVERITY_STYLES[severity]}`}>
+      {severity}
+    </span>
+  );
+}
+
+/* ─── Rules, grouped by scope, with an enable switch each ─── */
+function RuleList({ rules, metrics, selectedId, onSelect, onToggle, onNew }) {
+  return (
+    <div className="glass-card p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="section-title mb-0 flex items-center gap-2"><FiSliders size={15} /> Rules</h3>
+        <button onClick={onNew} className="btn-secondary text-xs flex items-center gap-1 py-1.5 px-3">
+          <FiPlus size={12} /> New rule
+        </button>
+      </div>
+      {Object.keys(SCOPE_LABELS).map((scope) => {
+        const list = rules.filter((r) => r.scope === scope);
+        if (!list.length) return null;
+        return (
+          <div key={scope} className="mb-4">
+            <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1.5">{SCOPE_LABELS[scope]}</p>
+            <ul className="space-y-1">
+              {list.map((rule) => (
+                <li
+                  key={rule.id}
+                  className={`flex items-center gap-2 px-2.5 py-2 rounded-lg transition-colors ${
+                    rule.id === selectedId
+                      ? 'bg-primary-50 dark:bg-primary-950/40'
+                      : 'hover:bg-slate-100/60 dark:hover:bg-slate-800/40'
+                  }`}
+                >
+                  <button onClick={() => onSelect(rule)} className="flex-1 min-w-0 text-left">
+                    <span className={`block text-xs font-semibold truncate ${rule.enabled ? 'text-slate-800 dark:text-slate-100' : 'text-slate-400'}`}>
+                      {rule.name}
+                    </span>
+                    <span className="block text-[10px] text-slate-400 truncate">
+                      {metrics[rule.metric]?.label || rule.metric}
+                      {rule.targets.length > 0 && ` · ${rule.targets.length} target${rule.targets.length > 1 ? 's' : ''}`}
+                      {rule.builtIn ? (rule.updatedAt ? ' · built-in, edited' : ' · built-in') : ''}
+                    </span>
+                  </button>
+                  <SeverityBadge severity={rule.severity} />
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={() => onToggle(rule)}
+                    className="accent-primary-600"
+                    aria-label={`${rule.enabled ? 'Disable' : 'Enable'} ${rule.name}`}
+                  />
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ─── What a rule would have raised over the dataset's history ─── */
+function TestResults({ result }) {
+  const { darkMode } = useTheme();
+  const colors = chartColors(darkMode);
+  const { summary, byYear, current, firings, truncated } = result;
+
+  const chartData = useMemo(() => ({
+    labels: byYear.map((y) => y.year),
+    datasets: ['critical', 'warning', 'info'].map((severity) => ({
+      label: severity,
+      data: byYear.map((y) => y[severity]),
+      backgroundColor: `${SEVERITY_COLORS[severity]}cc`,
+      borderRadius: 4,
+      stack: 'fired',
+    })),
+  }), [byYear]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { labels: { color: colors.textColor, usePointStyle: true, padding: 12, font: { size: 11 } } },
+      tooltip: {
+        callbacks: {
+          footer: (items) => {
+            const y = byYear[items[0].dataIndex];
+            return `${y.fired} of ${y.evaluated} evaluated`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: { stacked: true, ticks: { color: colors.textColor }, grid: { color: colors.gridColor } },
+      y: {
+        stacked: true, beginAtZero: true, ticks: { color: colors.textColor, precision: 0 }, grid: { color: colors.gridColor },
+        title: { display: true, text: 'Alerts raised', color: colors.textColor },
+      },
+    },
+  };
+
+  return (
+    <div className="chart-container">
+      <h3 className="section-title mb-1 flex items-center gap-2"><FiPlay className="text-primary-500" /> Test Against History</h3>
+      <p className="text-xs text-slate-600 dark:text-slate-300 mb-3">
+        Fired <strong>{summary.fired}</strong> times for <strong>{summary.targets}</strong> target{summary.targets === 1 ? '' : 's'} in{' '}
+        <strong>{summary.yearsFired}</strong> of {summary.years} years
+        ({summary.bySeverity.critical} critical, {summary.bySeverity.warning} warning, {summary.bySeverity.info} info).
+        On the latest data it would raise <strong>{current.length}</strong> alert{current.length === 1 ? '' : 's'}.
+      </p>
+      {byYear.length > 0 && (
+        <div className="h-56 mb-4">
+          <Bar data={chartData} options={options} />
+        </div>
+      )}
+
+      {current.length > 0 && (
+        <div className="mb-4">
+          <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1.5">Would raise now</p>
+          <ul className="space-y-1 text-xs text-slate-600 dark:text-slate-300">
+            {current.slice(0, 10).map((a) => (
+              <li key={a.target} className="flex items-start gap-2">
+                <SeverityBadge severity={a.type} />
+                <span><strong>{a.target}</strong> — {a.message}</span>
+              </li>
+            ))}
+            {current.length > 10 && <li className="text-slate-400">and {current.length - 10} more</li>}
+          </ul>
+        </div>
+      )}
+
+      {firings.length > 0 && (
+        <div className="overflow-x-auto max-h-72 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="border-y border-slate-100 dark:border-slate-700/40 bg-slate-50/60 dark:bg-slate-900/30">
+                <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Year</th>
+                <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Target</th>
+                <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Severity</th>
+                <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Message</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 dark:divide-slate-700/30">
+              {firings.map((f) => (
+                <tr key={`${f.year}-${f.target}`}>
+                  <td className="py-1.5 px-2 tabular-nums">{f.year}</td>
+                  <td className="py-1.5 px-2 font-semibold text-slate-700 dark:text-slate-200 whitespace-nowrap">{f.target}</td>
+                  <td className="py-1.5 px-2"><SeverityBadge severity={f.type} /></td>
+                  <td className="py-1.5 px-2 text-slate-600 dark:text-slate-300">{f.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {truncated && <p className="text-[11px] text-slate-400 mt-2">Showing the latest {firings.length} firings</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Alert rules: the built-in conditions and custom ones, each editable and
+ * testable against the dataset's history before it is enabled.
+ */
+export default function AlertRules() {
+  const [vocab, setVocab] = useState({ metrics: {}, scopes: [], severities: [], comparisons: [], aggregates: [] });
+  const [rules, setRules] = useState([]);
+  const [base, setBase] = useState(NEW_RULE);
+  const [form, setForm] = useState(() => fromRule(NEW_RULE));
+  const [errors, setErrors] = useState([]);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const res = await fetchAlertRules();
+      setRules(res.rules || []);
+      setVocab({
+        metrics: res.metrics || {},
+        scopes: res.scopes || [],
+        severities: res.severities || [],
+        comparisons: res.comparisons || [],
+        aggregates: res.aggregates || [],
+      });
+      return res.rules || [];
+    } catch (err) {
+      toast.error(err.message);
+      return [];
+    }
+  }, []);
+
+  useEffect(() => { loadRules(); }, [loadRules]);
+
+  const select = (rule) => {
+    setBase(rule);
+    setForm(fromRule(rule));
+    setErrors([]);
+    setResult(null);
+  };
+
+  const update = (patch) => {
+    setForm((f) => settle({ ...f, ...patch }, vocab.metrics, vocab.comparisons, vocab.aggregates));
+  };
+
+  const choices = choicesFor(form, vocab.metrics);
+  const draft = () => toRule(form, base, vocab.metrics);
+
+  const run = async (action) => {
+    setBusy(true);
+    setErrors([]);
+    try {
+      await action();
+    } catch (err) {
+      setErrors(err.errors || []);
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const test = () => run(async () => {
+    const res = await testAlertRule(draft(), base.id);
+    setResult(res);
+  });
+
+  const save = () => run(async () => {
+    const res = base.id ? await updateAlertRule(base.id, draft()) : await createAlertRule(draft());
+    toast.success(`Rule "${res.rule.name}" saved`);
+    await loadRules();
+    setBase(res.rule);
+    setForm(fromRule(res.rule));
+  });
+
+  const reset = () => run(async () => {
+    const res = await resetAlertRule(base.id);
+    toast.success(`Rule "${res.rule.name}" reset to its default`);
+    await loadRules();
+    select(res.rule);
+  });
+
+  const remove = () => run(async () => {
+    await deleteAlertRule(base.id);
+    toast.success(`Rule "${base.name}" deleted`);
+    await loadRules();
+    select(NEW_RULE);
+  });
+
+  const toggle = async (rule) => {
+    try {
+      const res = await updateAlertRule(rule.id, { enabled: !rule.enabled });
+      await loadRules();
+      if (rule.id === base.id) {
+        setBase(res.rule);
+        setForm((f) => ({ ...f, enabled: res.rule.enabled }));
+      }
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const { metrics } = vocab;
+  const comparisons = choices.comparisons || vocab.comparisons;
+  const valueHint = form.comparison === 'in' ? 'comma-separated'
+    : form.comparison === 'outside' ? 'low, high' : metrics[form.metric]?.unit || '';
+
+  return (
+    <div className="max-w-6xl mx-auto px-3 sm:px-4 lg:px-6 pt-4 pb-6">
+      <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="mb-5">
+        <h1 className="text-lg sm:text-xl font-bold text-slate-800 dark:text-white tracking-tight">Alert Rules</h1>
+        <p className="text-[11px] sm:text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+          Define when alerts are raised for locations, talukas and districts, and test a rule against past years before enabling it
+        </p>
+      </motion.div>
+
+      <div className="grid lg:grid-cols-3 gap-4 sm:gap-6">
+        <RuleList
+          rules={rules}
+          metrics={metrics}
+          selectedId={base.id}
+          onSelect={select}
+          onToggle={toggle}
+          onNew={() => select(NEW_RULE)}
+        />
+
+        <div className="lg:col-span-2 space-y-4 sm:space-y-6">
+          <div className="glass-card p-5">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="section-title mb-0">{base.id ? `Edit: ${base.name}` : 'New rule'}</h3>
+              <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300">
+                <input type="checkbox" checked={form.enabled} onChange={(e) => update({ enabled: e.target.checked })} className="accent-primary-600" />
+                Enabled
+              </label>
+            </div>
+
+            <div className="grid sm:grid-cols-2 gap-3">
+              <Field label="Name"><input value={form.name} onChange={(e) => update({ name: e.target.value })} className={inputClass} /></Field>
+              <Field label="Category"><input value={form.category} onChange={(e) => update({ category: e.target.value })} placeholder={metrics[form.metric]?.label} className={inputClass} /></Field>
+              <Field label="Description" className="sm:col-span-2">
+                <input value={form.description} onChange={(e) => update({ description: e.target.value })} className={inputClass} />
+              </Field>
+
+              <Field label="Scope">
+                <select value={form.scope} onChange={(e) => update({ scope: e.target.value })} className={inputClass}>
+                  {vocab.scopes.map((s) => <option key={s} value={s}>{SCOPE_LABELS[s] || s}</option>)}
+                </select>
+              </Field>
+              <Field label={`${SCOPE_LABELS[form.scope]} names`}>
+                <input value={form.targets} onChange={(e) => update({ targets: e.target.value })} placeholder="All — or comma-separated names" className={inputClass} />
+              </Field>
+
+              <Field label="Metric">
+                <select value={form.metric} onChange={(e) => update({ metric: e.target.value })} className={inputClass}>
+                  {Object.entries(metrics).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+                </select>
+              </Field>
+              {choices.group ? (
+                <Field label="Across the stations">
+                  <select value={form.aggFn} onChange={(e) => update({ aggFn: e.target.value })} className={inputClass}>
+                    {(choices.aggregates || vocab.aggregates).map((fn) => <option key={fn} value={fn}>{fn}</option>)}
+                  </select>
+                </Field>
+              ) : (
+                <Field label="Condition">
+                  <select value={form.condType} onChange={(e) => update({ condType: e.target.value })} className={inputClass}>
+                    {choices.conditionTypes.map((t) => <option key={t} value={t}>{t}</option>)}
+                  </select>
+                </Field>
+              )}
+
+              {choices.group && (
+                <div className="sm:col-span-2">
+                  {form.aggFn !== 'count' && (
+                    <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 mb-1">
+                      <input type="checkbox" checked={form.useMatch} onChange={(e) => update({ useMatch: e.target.checked })} className="accent-primary-600" />
+                      Also count the stations where…
+                    </label>
+                  )}
+                  {(form.useMatch || form.aggFn === 'count') && (
+                    <div className="flex gap-2">
+                      <span className="text-xs text-slate-500 self-center whitespace-nowrap">{form.aggFn === 'count' ? 'Count stations where' : ''} {metrics[form.metric]?.label}</span>
+                      <select value={form.matchComparison} onChange={(e) => update({ matchComparison: e.target.value })} className={`${inputClass} w-24`}>
+                        {(choices.matchComparisons || vocab.comparisons).map((c) => <option key={c} value={c}>{c}</option>)}
+                      </select>
+                      <input value={form.matchValue} onChange={(e) => update({ matchValue: e.target.value })} className={inputClass} />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {form.condType === 'trend' ? (
+                <>
+                  <Field label="Direction">
+                    <select value={form.direction} onChange={(e) => update({ direction: e.target.value })} className={inputClass}>
+                      <option value="rising">rising</option>
+                      <option value="falling">falling</option>
+                    </select>
+                  </Field>
+                  <Field label="For at least (consecutive years)">
+                    <input type="number" min="1" max="20" value={form.periods} onChange={(e) => update({ periods: e.target.value })} className={inputClass} />
+                  </Field>
+                </>
+              ) : (
+                <Field label={form.condType === 'change' ? 'Change (later half vs earlier half)' : 'Raise when'} className="sm:col-span-2">
+                  <div className="flex gap-2">
+                    <select value={form.comparison} onChange={(e) => update({ comparison: e.target.value })} className={`${inputClass} w-24`}>
+                      {comparisons.map((c) => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                    <input value={form.value} onChange={(e) => update({ value: e.target.value })} placeholder={valueHint} className={inputClass} />
+                  </div>
+                </Field>
+              )}
+
+              <Field label="Severity">
+                <select value={form.severity} onChange={(e) => update({ severity: e.target.value })} className={inputClass}>
+                  {vocab.severities.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </Field>
+              {form.condType === 'threshold' && ORDER_COMPARISONS.includes(form.comparison) && (
+                <div>
+                  <label className="flex items-center gap-1.5 text-xs text-slate-600 dark:text-slate-300 mb-1">
+                    <input type="checkbox" checked={form.escalate} onChange={(e) => update({ escalate: e.target.checked })} className="accent-primary-600" />
+                    Escalate beyond
+                  </label>
+                  {form.escalate && (
+                    <div className="flex gap-2">
+                      <input value={form.escValue} onChange={(e) => update({ escValue: e.target.value })} className={inputClass} />
+                      <select value={form.escSeverity} onChange={(e) => update({ escSeverity: e.target.value })} className={`${inputClass} w-28`}>
+                        {vocab.severities.map((s) => <option key={s} value={s}>{s}</option>)}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <Field label="Title" className="sm:col-span-2">
+                <input value={form.title} onChange={(e) => update({ title: e.target.value })} className={inputClass} />
+              </Field>
+              <Field label="Message" className="sm:col-span-2">
+                <textarea rows={2} value={form.message} onChange={(e) => update({ message: e.target.value })} className={inputClass} />
+              </Field>
+              <Field label="Recommendation" className="sm:col-span-2">
+                <textarea rows={2} value={form.recommendation} onChange={(e) => update({ recommendation: e.target.value })} className={inputClass} />
+              </Field>
+            </div>
+            <p className="text-[11px] text-slate-400 mt-2">
+              Placeholders: {choices.group ? PLACEHOLDERS.group : PLACEHOLDERS.location}
+            </p>
+
+            {errors.length > 0 && (
+              <ul className="mt-3 text-xs text-red-600 dark:text-red-400 list-disc list-inside space-y-0.5">
+                {errors.map((e) => <li key={e}>{e}</li>)}
+              </ul>
+            )}
+
+            <div className="flex flex-wrap gap-2 mt-4">
+              <button onClick={test} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5">
+                <FiPlay size={13} /> Test against history
+              </button>
+              <button onClick={save} disabled={busy} className="btn-primary text-sm flex items-center gap-1.5 py-2 px-4">
+                <FiSave size={13} /> Save
+              </button>
+              {base.builtIn && base.updatedAt && (
+                <button onClick={reset} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5">
+                  <FiRotateCcw size={13} /> Reset to default
+                </button>
+              )}
+              {base.id && !base.builtIn && (
+                <button onClick={remove} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5 text-red-600">
+                  <FiTrash2 size={13} /> Delete
+                </button>
+              )}
+            </div>
+          </div>
+
+          {result && <TestResults result={result} />}
+        </div>
+      </div>
+    </div>
+  );
+}
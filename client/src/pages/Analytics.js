@@ -9,11 +9,11 @@ import {
 import { Bar, Doughnut } from 'react-chartjs-2';
 import { FiArrowLeft, FiDownload } from 'react-icons/fi';
 import {
-  fetchWaterData, fetchPredictions, fetchLocations,
+  fetchWaterData, fetchPredictions, fetchLocations, fetchAnomalies,
 } from '../utils/api';
 import { useTheme } from '../context/ThemeContext';
 import { useLocation } from '../context/LocationContext';
-import { CHART_PALETTE, chartColors, formatNumber, getScoreGrade } from '../utils/helpers';
+import { CHART_PALETTE, chartColors, formatNumber, getScoreGrade, periodLabel } from '../utils/helpers';
 import LoadingSpinner from '../components/LoadingSpinner';
 import toast from 'react-hot-toast';
 import { generateReport } from '../utils/pdfReport';
@@ -31,6 +31,10 @@ import DetailedIndexPanel from '../components/analytics/DetailedIndexPanel';
 import StoryMode from '../components/analytics/StoryMode';
 import OutlierAlertChart from '../components/analytics/OutlierAlertChart';
 import TimeSliderAnimation from '../components/analytics/TimeSliderAnimation';
+import ScoreWhatIf from '../components/analytics/ScoreWhatIf';
+import ForecastReliability from '../components/analytics/ForecastReliability';
+import ScenarioBuilder from '../components/analytics/ScenarioBuilder';
+import CorrelationPanel from '../components/analytics/CorrelationPanel';
 
 ChartJS.register(
   CategoryScale, LinearScale, PointElement, LineElement,
@@ -47,6 +51,13 @@ const DEFAULT_FILTERS = {
   selectedLocations: [],
 };
 
+// Series granularity; seasonal and monthly need dated observations
+const GRANULARITY_OPTIONS = [
+  { value: 'yearly', label: 'Yearly' },
+  { value: 'seasonal', label: 'Seasonal' },
+  { value: 'monthly', label: 'Monthly' },
+];
+
 export default function Analytics() {
   const { location: paramLoc } = useParams();
   const locationName = decodeURIComponent(paramLoc);
@@ -64,12 +75,17 @@ export default function Analytics() {
 
   const [waterData, setWaterData] = useState([]);
   const [predictions, setPredictions] = useState([]);
+  const [forecastMeta, setForecastMeta] = useState(null);
+  const [forecastModel, setForecastModel] = useState('auto');
+  const [scenario, setScenario] = useState(null);
+  const [anomalies, setAnomalies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [allLocationNames, setAllLocationNames] = useState([]);
   const [filters, setFilters] = useState(DEFAULT_FILTERS);
   const [yearBounds, setYearBounds] = useState({ min: 2016, max: 2021 });
   const [exporting, setExporting] = useState(false);
+  const [granularity, setGranularity] = useState('yearly');
 
   const colors = chartColors(darkMode);
 
@@ -78,13 +94,11 @@ export default function Analytics() {
     setLoading(true);
     setError('');
     try {
-      const [wRes, pRes, locRes] = await Promise.all([
-        fetchWaterData(locationName),
-        fetchPredictions(locationName, 5),
+      const [wRes, locRes] = await Promise.all([
+        fetchWaterData(locationName, granularity),
         fetchLocations(),
       ]);
       setWaterData(wRes.data || []);
-      setPredictions(pRes.predictions || []);
       setAllLocationNames((locRes.data || []).map((l) => l.name));
       selectLocation(locationName);
 
@@ -95,15 +109,53 @@ export default function Analytics() {
         setFilters((f) => ({ ...f, yearMin: bounds.min, yearMax: bounds.max }));
       }
     } catch (err) {
+      if (granularity !== 'yearly') {
+        // Location has no dated observations — fall back to the yearly series
+        toast.error(`No ${granularity} observations for ${locationName}`);
+        setGranularity('yearly');
+        return;
+      }
       setError(err.message);
       toast.error(err.message);
     } finally {
       setLoading(false);
     }
-  }, [locationName, selectLocation]);
+  }, [locationName, selectLocation, granularity]);
 
   useEffect(() => { loadData(); }, [loadData]);
 
+  // Predictions need 2+ periods; locations with a single measurement simply have none
+  useEffect(() => {
+    let cancelled = false;
+    fetchPredictions(locationName, granularity === 'yearly' ? 5 : 4, granularity, forecastModel)
+      .then((res) => {
+        if (cancelled) return;
+        setPredictions(res.predictions || []);
+        setForecastMeta(res);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (forecastModel !== 'auto') {
+          // Series too short for the chosen model — go back to automatic selection
+          toast.error(err.message);
+          setForecastModel('auto');
+          return;
+        }
+        setPredictions([]);
+        setForecastMeta(null);
+      });
+    return () => { cancelled = true; };
+  }, [locationName, granularity, forecastModel]);
+
+  // Readings the server flagged as anomalous in this series
+  useEffect(() => {
+    let cancelled = false;
+    fetchAnomalies(locationName, granularity)
+      .then((res) => { if (!cancelled) setAnomalies(res.anomalies || []); })
+      .catch(() => { if (!cancelled) setAnomalies([]); });
+    return () => { cancelled = true; };
+  }, [locationName, granularity]);
+
   // ─── FILTERED DATA ─────────────────────────────────────────────
   const filtered = useMemo(() => {
     return waterData.filter((d) => {
@@ -113,7 +165,8 @@ export default function Analytics() {
     });
   }, [waterData, filters]);
 
-  const years = filtered.map((d) => d.year.toString());
+  const years = filtered.map(periodLabel);
+  const syntheticCount = filtered.filter((d) => d.isSynthetic).length;
   const latestData = filtered.length > 0 ? filtered[filtered.length - 1] : null;
   const grade = latestData ? getScoreGrade(latestData.waterScore) : { grade: '–', label: '–' };
 
@@ -263,9 +316,30 @@ export default function Analytics() {
           </h1>
           <p className="text-[11px] sm:text-xs text-slate-500 dark:text-slate-400 mt-0.5">
             Forecasting, insights & data analysis
+            {latestData?.scoreProfile && <> &middot; scored with the <span className="font-medium">{latestData.scoreProfile.name}</span> profile</>}
           </p>
+          {syntheticCount > 0 && (
+            <p className="text-[11px] text-violet-600 dark:text-violet-400 mt-1">
+              {syntheticCount} of {filtered.length} records in view are synthetic (generated, not measured) &mdash; trends and forecasts below include them.
+            </p>
+          )}
         </div>
         <div className="flex flex-wrap gap-2" data-no-pdf>
+          <div className="flex rounded-lg border border-slate-200 dark:border-slate-700/40 overflow-hidden text-xs">
+            {GRANULARITY_OPTIONS.map((g) => (
+              <button
+                key={g.value}
+                onClick={() => setGranularity(g.value)}
+                className={`px-3 py-1.5 font-medium transition-colors ${
+                  granularity === g.value
+                    ? 'bg-primary-500 text-white'
+                    : 'bg-white dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 hover:text-primary-500'
+                }`}
+              >
+                {g.label}
+              </button>
+            ))}
+          </div>
           <StoryMode data={filtered} predictions={predictions} locationName={locationName} />
           <button onClick={exportPDF} disabled={exporting} className="btn-secondary flex items-center gap-1.5 text-sm">
             <FiDownload size={13} /> {exporting ? 'Exporting...' : 'Export PDF'}
@@ -296,16 +370,50 @@ export default function Analytics() {
         </motion.div>
       </div>
 
+      {/* ───── What-if scoring ───── */}
+      <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.18 }} className="mb-4 sm:mb-6" data-no-pdf>
+        <ScoreWhatIf
+          locationName={locationName}
+          granularity={granularity}
+          currentProfile={latestData?.scoreProfile}
+          onApplied={loadData}
+        />
+      </motion.div>
+
       {/* ───── ROW 2: Forecast + Multi-Axis ───── */}
       <div className="grid md:grid-cols-2 gap-4 sm:gap-6 mb-4 sm:mb-6">
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.2 }}>
-          <ForecastChart data={filtered} predictions={predictions} field="groundwaterLevel" label="Water Level" unit="m" />
+          <ForecastChart
+            data={filtered}
+            predictions={predictions}
+            field="groundwaterLevel"
+            label="Water Level"
+            unit="m"
+            modelInfo={forecastMeta?.models?.groundwaterLevel}
+            availableModels={forecastMeta?.availableModels}
+            model={forecastModel}
+            onModelChange={setForecastModel}
+            reliability={forecastMeta?.reliability}
+            scenario={granularity === 'yearly' ? scenario : null}
+          />
         </motion.div>
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.25 }}>
           <MultiAxisChart data={filtered} />
         </motion.div>
       </div>
 
+      {/* ───── Scenario builder (yearly water balance) ───── */}
+      {granularity === 'yearly' && (
+        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.26 }} className="mb-4 sm:mb-6">
+          <ScenarioBuilder locationName={locationName} model={forecastModel} onResult={setScenario} />
+        </motion.div>
+      )}
+
+      {/* ───── Forecast reliability ───── */}
+      <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.27 }} className="mb-4 sm:mb-6">
+        <ForecastReliability locationName={locationName} granularity={granularity} model={forecastModel} />
+      </motion.div>
+
       {/* ───── ROW 3: Drill-Down + Usage Bar ───── */}
       <div className="grid md:grid-cols-2 gap-4 sm:gap-6 mb-4 sm:mb-6">
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.3 }}>
@@ -348,7 +456,7 @@ export default function Analytics() {
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.45 }}>
           {pieData && (
             <div className="chart-container flex flex-col items-center">
-              <h3 className="section-title self-start flex items-center gap-2">Water Usage Distribution ({latestData?.year})</h3>
+              <h3 className="section-title self-start flex items-center gap-2">Water Usage Distribution ({latestData && periodLabel(latestData)})</h3>
               <div className="h-[300px] w-[300px]">
                 <Doughnut data={pieData} options={{
                   responsive: true, maintainAspectRatio: false,
@@ -379,13 +487,18 @@ export default function Analytics() {
       {/* ───── ROW 5.5: Outlier Detection + Time Slider ───── */}
       <div className="grid md:grid-cols-2 gap-4 sm:gap-6 mb-4 sm:mb-6">
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.52 }}>
-          <OutlierAlertChart data={filtered} field="groundwaterLevel" label="Water Level" unit="m" />
+          <OutlierAlertChart data={filtered} anomalies={anomalies} />
         </motion.div>
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.54 }}>
           <TimeSliderAnimation data={filtered} />
         </motion.div>
       </div>
 
+      {/* ───── Correlations & drivers ───── */}
+      <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.545 }} className="mb-4 sm:mb-6">
+        <CorrelationPanel locationName={locationName} granularity={granularity} />
+      </motion.div>
+
       {/* ───── ROW 6: Location Comparison ───── */}
       <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.55 }} className="mb-4 sm:mb-6">
         <LocationComparison currentLocation={locationName} allLocations={allLocationNames} />
@@ -396,13 +509,16 @@ export default function Analytics() {
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.6 }} className="bg-white dark:bg-slate-800/50 border border-slate-200/70 dark:border-slate-700/30 rounded-xl overflow-hidden mb-4 sm:mb-6">
           <div className="px-5 pt-4 pb-2">
             <h3 className="text-sm font-semibold text-slate-800 dark:text-slate-100 tracking-tight">Prediction Table with Confidence Intervals</h3>
-            <p className="text-[11px] text-slate-400 mt-0.5">95% confidence bands widen with forecast horizon</p>
+            <p className="text-[11px] text-slate-400 mt-0.5">
+              95% confidence bands widen with forecast horizon
+              {forecastMeta?.models && <> &middot; water level: {forecastMeta.models.groundwaterLevel.label}, rainfall: {forecastMeta.models.rainfall.label}, depletion: {forecastMeta.models.depletionRate.label}</>}
+            </p>
           </div>
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
               <thead>
                 <tr className="border-y border-slate-100 dark:border-slate-700/40 bg-slate-50/60 dark:bg-slate-900/30">
-                  <th className="py-2.5 px-4 text-left text-[11px] font-semibold text-slate-500 uppercase tracking-wider">Year</th>
+                  <th className="py-2.5 px-4 text-left text-[11px] font-semibold text-slate-500 uppercase tracking-wider">{granularity === 'yearly' ? 'Year' : 'Period'}</th>
                   <th className="py-2.5 px-4 text-left text-[11px] font-semibold text-slate-500 uppercase tracking-wider">Water Level (m)</th>
                   <th className="py-2.5 px-4 text-left text-[11px] font-semibold text-slate-500 uppercase tracking-wider">Rainfall (mm)</th>
                   <th className="py-2.5 px-4 text-left text-[11px] font-semibold text-slate-500 uppercase tracking-wider">Depletion (%)</th>
@@ -416,8 +532,8 @@ export default function Analytics() {
                   const trend = p.groundwaterLevel - prevLevel;
                   const confColor = p.confidenceLevel === 'high' ? 'text-green-500 bg-green-50 dark:bg-green-900/20' : p.confidenceLevel === 'medium' ? 'text-amber-500 bg-amber-50 dark:bg-amber-900/20' : 'text-red-500 bg-red-50 dark:bg-red-900/20';
                   return (
-                    <tr key={p.year} className="hover:bg-slate-50/60 dark:hover:bg-slate-700/20 transition-colors">
-                      <td className="py-2.5 px-4 font-bold text-primary-600 tabular-nums">{p.year}</td>
+                    <tr key={periodLabel(p)} className="hover:bg-slate-50/60 dark:hover:bg-slate-700/20 transition-colors">
+                      <td className="py-2.5 px-4 font-bold text-primary-600 tabular-nums">{periodLabel(p)}</td>
                       <td className="py-2.5 px-4 text-slate-600 dark:text-slate-300 tabular-nums">
                         {formatNumber(p.groundwaterLevel, 2)}
                         {p.groundwaterLevelCI && (
@@ -459,7 +575,7 @@ export default function Analytics() {
             </table>
           </div>
           <p className="text-[10px] text-slate-400 px-5 py-3">
-            Predictions based on linear regression with 95% confidence intervals. Bands widen with forecast distance. Indicative only.
+            Predictions from the model with the lowest holdout error (or the one picked on the forecast chart), with 95% confidence intervals. Bands widen with forecast distance. Indicative only.
           </p>
         </motion.div>
       )}
@@ -0,0 +1,485 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+  FiFileText, FiPlus, FiSave, FiSend, FiClock, FiSlash, FiTrash2, FiPaperclip, FiX, FiLock, FiLogOut, FiEyeOff,
+} from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import {
+  fetchLocations, fetchManagedBulletins, createBulletin, updateBulletin, deleteBulletin, publishBulletin,
+  expireBulletin, uploadBulletinAttachments, deleteBulletinAttachment, bulletinAttachmentUrl, STAFF_KEY,
+} from '../utils/api';
+
+const inputClass =
+  'w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg px-3 py-2 text-xs';
+
+const STATE_STYLES = {
+  active: 'bg-green-500 text-white',
+  scheduled: 'bg-blue-500 text-white',
+  draft: 'bg-slate-400 text-white',
+  expired: 'bg-slate-200 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+};
+const STATE_ORDER = ['active', 'scheduled', 'draft', 'expired'];
+const SCOPE_LABELS = { district: 'District', taluka: 'Taluka', location: 'Location' };
+
+const NEW_BULLETIN = {
+  title: '',
+  body: '',
+  source: '',
+  reference: '',
+  priority: 'normal',
+  scope: 'district',
+  targets: [],
+  publishAt: null,
+  expiresAt: null,
+  links: [],
+  attachments: [],
+  history: [],
+};
+
+// ISO ⇄ the local "YYYY-MM-DDTHH:mm" a datetime-local input holds
+function toLocalInput(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatDateTime = (iso) =>
+  new Date(iso).toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+function fromBulletin(b) {
+  return {
+    title: b.title || '',
+    body: b.body || '',
+    source: b.source || '',
+    reference: b.reference || '',
+    priority: b.priority || 'normal',
+    scope: b.scope || 'district',
+    targets: (b.targets || []).join(', '),
+    publishAt: toLocalInput(b.publishAt),
+    expiresAt: toLocalInput(b.expiresAt),
+    links: (b.links || []).map((l) => (l.name && l.name !== l.url ? `${l.name} | ${l.url}` : l.url)).join('\n'),
+  };
+}
+
+// One link per line: "Name | https://…" or just the URL
+function toBulletin(form) {
+  return {
+    title: form.title,
+    body: form.body,
+    source: form.source,
+    reference: form.reference,
+    priority: form.priority,
+    scope: form.scope,
+    targets: form.targets.split(',').map((t) => t.trim()).filter(Boolean),
+    publishAt: fromLocalInput(form.publishAt),
+    expiresAt: fromLocalInput(form.expiresAt),
+    links: form.links.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => {
+      const at = line.lastIndexOf('|');
+      return at < 0 ? { url: line } : { name: line.slice(0, at).trim(), url: line.slice(at + 1).trim() };
+    }),
+  };
+}
+
+function Field({ label, children, className = '' }) {
+  return (
+    <label className={`block ${className}`}>
+      <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide">{label}</span>
+      <div className="mt-1">{children}</div>
+    </label>
+  );
+}
+
+function StateBadge({ state }) {
+  return (
+    <span className={`text-[10px] px-1.5 py-0.5 rounded-full uppercase font-bold ${STATE_STYLES[state]}`}>
+      {state}
+    </span>
+  );
+}
+
+/* ─── Staff token prompt ─── */
+function SignIn({ onSubmit, busy }) {
+  const [value, setValue] = useState('');
+  return (
+    <div className="glass-card p-6 max-w-md mx-auto">
+      <h3 className="section-title flex items-center gap-2"><FiLock size={15} /> Staff sign-in</h3>
+      <p className="text-xs text-slate-500 dark:text-slate-400 mb-4">
+        Publishing bulletins and changing shared settings such as alert rules needs a staff token issued by the server administrator (STAFF_TOKENS).
+      </p>
+      <form onSubmit={(e) => { e.preventDefault(); onSubmit(value.trim()); }} className="flex gap-2">
+        <input type="password" value={value} onChange={(e) => setValue(e.target.value)} placeholder="Staff token" className={inputClass} />
+        <button type="submit" disabled={busy || !value.trim()} className="btn-primary text-sm disabled:opacity-50">Sign in</button>
+      </form>
+    </div>
+  );
+}
+
+/* ─── Bulletins, grouped by state ─── */
+function BulletinList({ bulletins, counts, selectedId, onSelect, onNew }) {
+  return (
+    <div className="glass-card p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="section-title mb-0 flex items-center gap-2"><FiFileText size={15} /> Bulletins</h3>
+        <button onClick={onNew} className="btn-secondary text-xs flex items-center gap-1 py-1.5 px-3">
+          <FiPlus size={12} /> New bulletin
+        </button>
+      </div>
+      {STATE_ORDER.map((state) => {
+        const list = bulletins.filter((b) => b.state === state);
+        if (!list.length) return null;
+        return (
+          <div key={state} className="mb-4">
+            <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1.5">
+              {state} ({counts[state]})
+            </p>
+            <ul className="space-y-1">
+              {list.map((b) => (
+                <li key={b.id}>
+                  <button
+                    onClick={() => onSelect(b)}
+                    className={`w-full text-left px-2.5 py-2 rounded-lg transition-colors ${
+                      b.id === selectedId ? 'bg-primary-50 dark:bg-primary-950/40' : 'hover:bg-slate-100/60 dark:hover:bg-slate-800/40'
+                    }`}
+                  >
+                    <span className="block text-xs font-semibold text-slate-800 dark:text-slate-100 truncate">{b.title}</span>
+                    <span className="block text-[10px] text-slate-400 truncate">
+                      {SCOPE_LABELS[b.scope]}{b.targets.length ? `: ${b.targets.join(', ')}` : ' — all'}
+                      {b.priority === 'high' && ' · priority'}
+                      {b.attachments.length > 0 && ` · ${b.attachments.length} file${b.attachments.length > 1 ? 's' : ''}`}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+      {!bulletins.length && <p className="text-xs text-slate-400">No bulletins yet</p>}
+    </div>
+  );
+}
+
+/**
+ * Government bulletins: staff draft, publish, schedule and expire the
+ * advisories shown under Government Updates, with attachments.
+ */
+export default function Bulletins() {
+  const [token, setToken] = useState(() => localStorage.getItem(STAFF_KEY) || '');
+  const [data, setData] = useState(null);
+  const [places, setPlaces] = useState({ location: [], taluka: [], district: [] });
+  const [base, setBase] = useState(NEW_BULLETIN);
+  const [form, setForm] = useState(() => fromBulletin(NEW_BULLETIN));
+  const [errors, setErrors] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async (staffToken) => {
+    try {
+      const res = await fetchManagedBulletins(staffToken);
+      setData(res);
+      return res.bulletins;
+    } catch (err) {
+      toast.error(err.message);
+      setData(null);
+      setToken('');
+      localStorage.removeItem(STAFF_KEY);
+      return [];
+    }
+  }, []);
+
+  useEffect(() => {
+    if (token) load(token);
+  }, [token, load]);
+
+  useEffect(() => {
+    fetchLocations()
+      .then((res) => {
+        const locs = res.data || [];
+        const names = (key) => [...new Set(locs.map((l) => l[key]).filter(Boolean))].sort();
+        setPlaces({ location: names('name'), taluka: names('taluka'), district: names('district') });
+      })
+      .catch(() => {});
+  }, []);
+
+  const signIn = (value) => {
+    localStorage.setItem(STAFF_KEY, value);
+    setToken(value);
+  };
+
+  const signOut = () => {
+    localStorage.removeItem(STAFF_KEY);
+    setToken('');
+    setData(null);
+  };
+
+  const select = (b) => {
+    setBase(b);
+    setForm(fromBulletin(b));
+    setErrors([]);
+  };
+
+  const update = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  const run = async (action) => {
+    setBusy(true);
+    setErrors([]);
+    try {
+      await action();
+    } catch (err) {
+      setErrors(err.errors || []);
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Reload the list and keep the bulletin just changed selected
+  const settle = async (bulletin, message) => {
+    toast.success(message);
+    const list = await load(token);
+    select(list.find((b) => b.id === bulletin.id) || bulletin);
+  };
+
+  const save = () => run(async () => {
+    const res = base.id
+      ? await updateBulletin(token, base.id, toBulletin(form))
+      : await createBulletin(token, { ...toBulletin(form), status: 'draft' });
+    await settle(res.bulletin, `Bulletin "${res.bulletin.title}" saved`);
+  });
+
+  const publish = () => run(async () => {
+    const fields = toBulletin(form);
+    let { bulletin } = base.id
+      ? await updateBulletin(token, base.id, fields)
+      : await createBulletin(token, { ...fields, status: 'draft' });
+    ({ bulletin } = await publishBulletin(token, bulletin.id, { publishAt: fields.publishAt, expiresAt: fields.expiresAt }));
+    await settle(bulletin, bulletin.state === 'scheduled'
+      ? `Scheduled for ${formatDateTime(bulletin.publishAt)}`
+      : `Bulletin "${bulletin.title}" published`);
+  });
+
+  const unpublish = () => run(async () => {
+    const res = await updateBulletin(token, base.id, { status: 'draft' });
+    await settle(res.bulletin, 'Taken off the public feeds');
+  });
+
+  const expire = () => run(async () => {
+    const res = await expireBulletin(token, base.id);
+    await settle(res.bulletin, `Bulletin "${res.bulletin.title}" expired`);
+  });
+
+  const remove = () => run(async () => {
+    await deleteBulletin(token, base.id);
+    toast.success(`Bulletin "${base.title}" deleted`);
+    await load(token);
+    select(NEW_BULLETIN);
+  });
+
+  const attach = (files) => run(async () => {
+    const formData = new FormData();
+    [...files].forEach((f) => formData.append('files', f));
+    const res = await uploadBulletinAttachments(token, base.id, formData);
+    await settle(res.bulletin, `${files.length} file${files.length > 1 ? 's' : ''} attached`);
+  });
+
+  const detach = (attachment) => run(async () => {
+    const res = await deleteBulletinAttachment(token, base.id, attachment.id);
+    await settle(res.bulletin, `${attachment.name} removed`);
+  });
+
+  const header = (
+    <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="mb-5 flex items-start justify-between gap-3">
+      <div>
+        <h1 className="text-lg sm:text-xl font-bold text-slate-800 dark:text-white tracking-tight">Government Bulletins</h1>
+        <p className="text-[11px] sm:text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+          Publish, schedule and expire advisories for the district, a taluka or specific locations
+        </p>
+      </div>
+      {data && (
+        <button onClick={signOut} className="btn-secondary text-xs flex items-center gap-1 py-1.5 px-3">
+          <FiLogOut size={12} /> {data.staff}
+        </button>
+      )}
+    </motion.div>
+  );
+
+  if (!data) {
+    return (
+      <div className="max-w-6xl mx-auto px-3 sm:px-4 lg:px-6 pt-4 pb-6">
+        {header}
+        <SignIn onSubmit={signIn} busy={Boolean(token)} />
+      </div>
+    );
+  }
+
+  const state = base.id ? base.state : null;
+  const scheduling = form.publishAt && new Date(form.publishAt) > new Date();
+  const maxMb = Math.round(data.maxAttachmentBytes / 1024 / 1024);
+
+  return (
+    <div className="max-w-6xl mx-auto px-3 sm:px-4 lg:px-6 pt-4 pb-6">
+      {header}
+
+      <div className="grid lg:grid-cols-3 gap-4 sm:gap-6">
+        <BulletinList
+          bulletins={data.bulletins}
+          counts={data.counts}
+          selectedId={base.id}
+          onSelect={select}
+          onNew={() => select(NEW_BULLETIN)}
+        />
+
+        <div className="lg:col-span-2 glass-card p-5">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="section-title mb-0">{base.id ? `Edit: ${base.title}` : 'New bulletin'}</h3>
+            {state && <StateBadge state={state} />}
+          </div>
+
+          <div className="grid sm:grid-cols-2 gap-3">
+            <Field label="Title" className="sm:col-span-2">
+              <input value={form.title} onChange={(e) => update({ title: e.target.value })} className={inputClass} />
+            </Field>
+            <Field label="Issued by">
+              <input value={form.source} onChange={(e) => update({ source: e.target.value })} placeholder="e.g. Office of the District Collector, Nashik" className={inputClass} />
+            </Field>
+            <Field label="Reference">
+              <input value={form.reference} onChange={(e) => update({ reference: e.target.value })} placeholder="Order or circular number" className={inputClass} />
+            </Field>
+
+            <Field label="Scope">
+              <select value={form.scope} onChange={(e) => update({ scope: e.target.value })} className={inputClass}>
+                {data.scopes.map((s) => <option key={s} value={s}>{SCOPE_LABELS[s] || s}</option>)}
+              </select>
+            </Field>
+            <Field label={`${SCOPE_LABELS[form.scope]} names`}>
+              <input
+                value={form.targets}
+                onChange={(e) => update({ targets: e.target.value })}
+                list="bulletin-targets"
+                placeholder={form.scope === 'district' ? 'All — or comma-separated names' : 'Comma-separated names'}
+                className={inputClass}
+              />
+              <datalist id="bulletin-targets">
+                {places[form.scope].map((n) => <option key={n} value={n} />)}
+              </datalist>
+            </Field>
+
+            <Field label="Valid from">
+              <input type="datetime-local" value={form.publishAt} onChange={(e) => update({ publishAt: e.target.value })} className={inputClass} />
+            </Field>
+            <Field label="Valid until">
+              <input type="datetime-local" value={form.expiresAt} onChange={(e) => update({ expiresAt: e.target.value })} className={inputClass} />
+            </Field>
+
+            <Field label="Priority">
+              <select value={form.priority} onChange={(e) => update({ priority: e.target.value })} className={inputClass}>
+                {data.priorities.map((p) => <option key={p} value={p}>{p}</option>)}
+              </select>
+            </Field>
+            <div />
+
+            <Field label="Bulletin" className="sm:col-span-2">
+              <textarea rows={5} value={form.body} onChange={(e) => update({ body: e.target.value })} className={inputClass} />
+            </Field>
+            <Field label="Links (one per line: Name | URL)" className="sm:col-span-2">
+              <textarea rows={2} value={form.links} onChange={(e) => update({ links: e.target.value })} placeholder="Circular | https://…" className={inputClass} />
+            </Field>
+          </div>
+          <p className="text-[11px] text-slate-400 mt-2">
+            Leave "Valid from" empty to publish straight away, and "Valid until" empty to keep it up until it is expired.
+          </p>
+
+          <div className="mt-4">
+            <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide">Attachments</span>
+            {base.id ? (
+              <>
+                <ul className="mt-1 space-y-1">
+                  {base.attachments.map((a) => (
+                    <li key={a.id} className="flex items-center gap-2 text-xs">
+                      <FiPaperclip size={11} className="text-slate-400" />
+                      {state === 'active' ? (
+                        <a href={bulletinAttachmentUrl(base.id, a.id)} className="text-primary-600 dark:text-primary-400 hover:underline truncate">
+                          {a.name}
+                        </a>
+                      ) : (
+                        <span className="text-slate-600 dark:text-slate-300 truncate">{a.name}</span>
+                      )}
+                      <span className="text-slate-400">{Math.max(1, Math.round(a.size / 1024))} KB</span>
+                      <button onClick={() => detach(a)} disabled={busy} className="text-slate-400 hover:text-red-500" aria-label={`Remove ${a.name}`}>
+                        <FiX size={12} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                {base.attachments.length < data.maxAttachments && (
+                  <label className="btn-secondary text-xs inline-flex items-center gap-1 mt-2 cursor-pointer">
+                    <FiPlus size={12} /> Attach files
+                    <input
+                      type="file"
+                      multiple
+                      accept={data.attachmentTypes.join(',')}
+                      className="hidden"
+                      disabled={busy}
+                      onChange={(e) => { if (e.target.files.length) attach(e.target.files); e.target.value = ''; }}
+                    />
+                  </label>
+                )}
+                <p className="text-[11px] text-slate-400 mt-1">
+                  {data.attachmentTypes.join(' ')} · up to {maxMb} MB each, {data.maxAttachments} per bulletin.
+                  The public can download them while the bulletin is active.
+                </p>
+              </>
+            ) : (
+              <p className="text-[11px] text-slate-400 mt-1">Save the bulletin to attach files.</p>
+            )}
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="mt-3 text-xs text-red-600 dark:text-red-400 list-disc list-inside space-y-0.5">
+              {errors.map((e) => <li key={e}>{e}</li>)}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap gap-2 mt-4">
+            <button onClick={save} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5">
+              <FiSave size={13} /> {base.id ? 'Save' : 'Save draft'}
+            </button>
+            {state !== 'active' && (
+              <button onClick={publish} disabled={busy} className="btn-primary text-sm flex items-center gap-1.5 py-2 px-4">
+                {scheduling ? <><FiClock size={13} /> Schedule</> : <><FiSend size={13} /> Publish</>}
+              </button>
+            )}
+            {(state === 'active' || state === 'scheduled') && (
+              <>
+                <button onClick={expire} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5">
+                  <FiSlash size={13} /> Expire now
+                </button>
+                <button onClick={unpublish} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5">
+                  <FiEyeOff size={13} /> Back to draft
+                </button>
+              </>
+            )}
+            {base.id && (
+              <button onClick={remove} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5 text-red-600">
+                <FiTrash2 size={13} /> Delete
+              </button>
+            )}
+          </div>
+
+          {base.history.length > 0 && (
+            <div className="mt-5">
+              <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1.5">History</p>
+              <ul className="space-y-0.5 text-[11px] text-slate-500 dark:text-slate-400">
+                {[...base.history].reverse().map((h) => (
+                  <li key={`${h.at}-${h.action}`}>
+                    {formatDateTime(h.at)} — <strong className="text-slate-600 dark:text-slate-300">{h.by}</strong> {h.action}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
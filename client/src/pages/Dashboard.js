@@ -7,12 +7,14 @@ import {
 } from 'react-icons/fi';
 import { useLocation } from '../context/LocationContext';
 import {
-  fetchWaterData, fetchLatestData, fetchLocationByName, fetchLocationSummary,
+  fetchWaterData, fetchLatestData, fetchLocationByName, fetchLocationSummary, fetchScoreBreakdown,
+  fetchAnomalies,
 } from '../utils/api';
 import KPICard from '../components/KPICard';
 import MapComponent from '../components/MapComponent';
 import DataTable from '../components/DataTable';
 import WaterScoreGauge from '../components/WaterScoreGauge';
+import ScoreWaterfall from '../components/ScoreWaterfall';
 import LoadingSpinner from '../components/LoadingSpinner';
 import toast from 'react-hot-toast';
 
@@ -35,21 +37,27 @@ export default function Dashboard() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [summary, setSummary] = useState(null);
+  const [breakdown, setBreakdown] = useState(null);
+  const [anomalies, setAnomalies] = useState([]);
 
   const loadData = useCallback(async () => {
     setLoading(true);
     setError('');
     try {
-      const [wRes, lRes, locRes, sumRes] = await Promise.all([
+      const [wRes, lRes, locRes, sumRes, bdRes, anRes] = await Promise.all([
         fetchWaterData(locationName),
         fetchLatestData(locationName),
         fetchLocationByName(locationName).catch(() => null),
         fetchLocationSummary(locationName).catch(() => null),
+        fetchScoreBreakdown(locationName).catch(() => null),
+        fetchAnomalies(locationName).catch(() => null),
       ]);
       setWaterData(wRes.data || []);
       setLatest(lRes.data || null);
       setLocInfo(locRes?.data || null);
       setSummary(sumRes?.summary || null);
+      setBreakdown(bdRes?.success ? bdRes : null);
+      setAnomalies(anRes?.anomalies || []);
       selectLocation(locationName);
     } catch (err) {
       setError(err.message);
@@ -165,6 +173,12 @@ export default function Dashboard() {
                   Years: {summary.yearsAvailable?.join(', ')}
                 </span>
               </div>
+              {summary.syntheticYears?.length > 0 && (
+                <p className="text-[11px] text-violet-600 dark:text-violet-400 mt-2">
+                  {summary.syntheticYears.length} of {summary.yearsAvailable.length} years ({summary.syntheticYears.join(', ')}) are synthesized, not measured.
+                  {summary.isSynthetic && ' The latest values shown below are synthetic.'}
+                </p>
+              )}
             </div>
           </div>
         </motion.div>
@@ -249,6 +263,9 @@ export default function Dashboard() {
                     status: latest.status,
                     waterScore: latest.waterScore,
                     scarcityLevel: latest.scarcityLevel,
+                    spi: latest.spi,
+                    spiClass: latest.spiClass,
+                    droughtCategory: latest.droughtCategory,
                   }
                 : null
             }
@@ -291,13 +308,25 @@ export default function Dashboard() {
         </motion.div>
       </div>
 
+      {/* Score breakdown */}
+      {breakdown && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+          className="mb-5"
+        >
+          <ScoreWaterfall breakdown={breakdown} />
+        </motion.div>
+      )}
+
       {/* Data Table */}
       <motion.div
         initial={{ opacity: 0, y: 10 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ delay: 0.6 }}
       >
-        <DataTable data={waterData} />
+        <DataTable data={waterData} anomalies={anomalies} />
       </motion.div>
 
       {/* Quick Summary */}
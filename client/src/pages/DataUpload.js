@@ -0,0 +1,455 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FiUploadCloud, FiColumns, FiSave, FiTrash2, FiCheck, FiEye } from 'react-icons/fi';
+import {
+  fetchMappings, createMapping, deleteMapping, uploadSampleFile, uploadDataFile, commitUploadPreview, fetchImportJob,
+} from '../utils/api';
+import toast from 'react-hot-toast';
+
+const FIELD_LABELS = {
+  location: 'Location',
+  year: 'Year',
+  observationDate: 'Observation Date',
+  month: 'Month',
+  season: 'Season',
+  consumption: 'Consumption',
+  perCapitaUsage: 'Per Capita Usage',
+  agriculturalUsage: 'Agricultural Usage',
+  industrialUsage: 'Industrial Usage',
+  householdUsage: 'Household Usage',
+  rainfall: 'Rainfall',
+  depletionRate: 'Depletion Rate',
+  scarcityLevel: 'Scarcity Level',
+  ph: 'pH',
+  groundwaterLevel: 'Groundwater Level',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  taluka: 'Taluka',
+};
+
+const ACCEPTED_FILES = '.csv,.xlsx,.json,.geojson';
+const isSpreadsheet = (file) => /\.xlsx$/i.test(file?.name || '');
+
+// Position of a report entry: spreadsheet rows also name their sheet
+const rowLabel = (r) => (r.sheet ? `${r.sheet} row ${r.row}` : `Row ${r.row}`);
+
+const JOB_POLL_MS = 1000;
+
+const PHASE_LABELS = {
+  uploading: 'Uploading',
+  queued: 'Queued',
+  parsing: 'Reading & validating rows',
+  diffing: 'Comparing with current data',
+  ingesting: 'Writing to the dataset',
+  done: 'Done',
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Follow an import job until it finishes, reporting progress as it goes.
+ * Resolves with the job's result body, rejects with its error message.
+ */
+async function waitForJob(jobId, onProgress) {
+  for (;;) {
+    const { data: job } = await fetchImportJob(jobId);
+    onProgress(job);
+    if (job.state === 'completed') return job.result;
+    if (job.state === 'failed') {
+      const err = new Error(job.result?.message || 'Import failed');
+      err.result = job.result;
+      throw err;
+    }
+    await sleep(JOB_POLL_MS);
+  }
+}
+
+const inputClass =
+  'w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg px-3 py-2 text-xs';
+
+export default function DataUpload() {
+  const [profiles, setProfiles] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [requiredFields, setRequiredFields] = useState([]);
+  const [units, setUnits] = useState({});
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const res = await fetchMappings();
+      setProfiles(res.profiles || []);
+      setFields(res.fields || []);
+      setRequiredFields(res.requiredFields || []);
+      setUnits(res.units || {});
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }, []);
+
+  useEffect(() => { loadProfiles(); }, [loadProfiles]);
+
+  return (
+    <div className="max-w-6xl mx-auto px-3 sm:px-4 lg:px-6 pt-4 pb-6">
+      <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="mb-5">
+        <h1 className="text-lg sm:text-xl font-bold text-slate-800 dark:text-white tracking-tight">Data Upload</h1>
+        <p className="text-[11px] sm:text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+          Ingest monitoring data and manage column mappings for CGWB, GSDA and taluka office files
+        </p>
+      </motion.div>
+
+      <div className="grid lg:grid-cols-2 gap-4 sm:gap-6">
+        <UploadPanel profiles={profiles} />
+        <MappingBuilder
+          fields={fields}
+          requiredFields={requiredFields}
+          units={units}
+          profiles={profiles}
+          onSaved={loadProfiles}
+        />
+      </div>
+    </div>
+  );
+}
+
+/* ─── Upload a file with a chosen mapping profile ─── */
+function UploadPanel({ profiles }) {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState('default');
+  const [sheets, setSheets] = useState([]);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // Uploads and commits run as background import jobs; follow them to the end
+  const runJob = async (start) => {
+    setBusy(true);
+    setResult(null);
+    setProgress({ phase: 'uploading', percent: 0 });
+    try {
+      const { jobId } = await start();
+      const res = await waitForJob(jobId, setProgress);
+      setResult(res);
+      toast.success(res.message);
+    } catch (err) {
+      if (err.result) setResult(err.result);
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+      setProgress(null);
+    }
+  };
+
+  const chooseFile = async (chosen) => {
+    setFile(chosen);
+    setResult(null);
+    setSheets([]);
+    setSelectedSheets([]);
+    if (!isSpreadsheet(chosen)) return;
+    // Read the workbook's sheet names so the user can pick which to ingest
+    const form = new FormData();
+    form.append('csvFile', chosen);
+    try {
+      const res = await uploadSampleFile(form);
+      setSheets(res.sheets || []);
+      setSelectedSheets(res.sheets || []);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const toggleSheet = (name) => {
+    setSelectedSheets((s) => (s.includes(name) ? s.filter((x) => x !== name) : [...s, name]));
+  };
+
+  const submit = async (dryRun) => {
+    if (!file) return toast.error('Choose a file first');
+    if (sheets.length && !selectedSheets.length) return toast.error('Select at least one sheet');
+    const form = new FormData();
+    form.append('csvFile', file);
+    const params = { mapping, async: true, ...(dryRun ? { dryRun: true } : {}) };
+    if (sheets.length && selectedSheets.length < sheets.length) params.sheets = selectedSheets.join(',');
+    await runJob(() => uploadDataFile(form, params, (e) => {
+      if (e.total) setProgress({ phase: 'uploading', percent: Math.round((e.loaded / e.total) * 100) });
+    }));
+  };
+
+  const commit = () => runJob(() => commitUploadPreview(result.previewId, { async: true }));
+
+  return (
+    <div className="glass-card p-5">
+      <h3 className="section-title flex items-center gap-2"><FiUploadCloud size={15} /> Upload Data</h3>
+      <div className="space-y-3">
+        <input type="file" accept={ACCEPTED_FILES} onChange={(e) => chooseFile(e.target.files[0] || null)} className="text-xs" />
+        <p className="text-[11px] text-slate-400 -mt-1">CSV, Excel (.xlsx), JSON records or GeoJSON point features</p>
+        {sheets.length > 0 && (
+          <div>
+            <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide">Sheets</label>
+            <div className="flex flex-wrap gap-1.5 mt-1">
+              {sheets.map((name) => (
+                <button
+                  key={name}
+                  onClick={() => toggleSheet(name)}
+                  className={`text-xs px-2.5 py-1 rounded-lg font-medium transition-all duration-200 ${
+                    selectedSheets.includes(name)
+                      ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300 ring-1 ring-primary-300 dark:ring-primary-700'
+                      : 'bg-gray-100 dark:bg-gray-800 text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {selectedSheets.includes(name) ? '✓ ' : ''}{name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+        <div>
+          <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide">Mapping profile</label>
+          <select value={mapping} onChange={(e) => setMapping(e.target.value)} className={`${inputClass} mt-1`}>
+            {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => submit(true)} disabled={busy} className="btn-secondary text-sm flex items-center gap-1.5">
+            <FiEye size={13} /> Preview
+          </button>
+          <button onClick={() => submit(false)} disabled={busy} className="btn-primary text-sm flex items-center gap-1.5 py-2 px-4">
+            <FiUploadCloud size={13} /> Upload
+          </button>
+        </div>
+      </div>
+
+      {progress && <ImportProgress progress={progress} />}
+      {result && <UploadResult result={result} onCommit={commit} busy={busy} />}
+    </div>
+  );
+}
+
+function ImportProgress({ progress }) {
+  const { phase, percent, progress: counts = {}, queuePosition } = progress;
+  return (
+    <div className="mt-4 text-xs text-slate-600 dark:text-slate-300">
+      <div className="flex justify-between mb-1">
+        <span>
+          {PHASE_LABELS[phase] || phase}
+          {queuePosition > 0 && ` (position ${queuePosition})`}
+          {counts.processedRows > 0 && ` · ${counts.processedRows.toLocaleString()} rows`}
+          {counts.rejected > 0 && ` · ${counts.rejected.toLocaleString()} rejected`}
+        </span>
+        <span className="tabular-nums">{percent}%</span>
+      </div>
+      <div className="h-2 rounded-full bg-slate-100 dark:bg-slate-800 overflow-hidden">
+        <motion.div
+          className="h-full bg-primary-500"
+          initial={false}
+          animate={{ width: `${percent}%` }}
+          transition={{ duration: 0.3 }}
+        />
+      </div>
+    </div>
+  );
+}
+
+function UploadResult({ result, onCommit, busy }) {
+  const { report, diff } = result;
+  return (
+    <div className="mt-4 space-y-3 text-xs text-slate-600 dark:text-slate-300">
+      <p className="font-semibold text-slate-800 dark:text-slate-100">{result.message}</p>
+      {diff && (
+        <div className="p-3 rounded-lg bg-slate-50 dark:bg-slate-800/40 border border-slate-200/70 dark:border-slate-700/30">
+          <p>
+            {diff.summary.newLocations} new locations &middot; {diff.summary.newLocationYears} new location-years &middot;{' '}
+            {diff.summary.changedRecords} changed records &middot; {diff.summary.statusChanges} status changes
+          </p>
+          {diff.summary.newLocations > 0 && diff.summary.newLocationStatuses && (
+            <p>
+              New locations start as: {diff.summary.newLocationStatuses.Safe} Safe &middot;{' '}
+              {diff.summary.newLocationStatuses.Warning} Warning &middot; {diff.summary.newLocationStatuses.Critical} Critical
+            </p>
+          )}
+          {result.previewId && (
+            <button onClick={onCommit} disabled={busy} className="btn-primary text-xs mt-2 py-1.5 px-3 flex items-center gap-1">
+              <FiCheck size={12} /> Commit this upload
+            </button>
+          )}
+        </div>
+      )}
+      {report?.locationsUpdated?.length > 0 && (
+        <p>Coordinates updated for {report.locationsUpdated.join(', ')}</p>
+      )}
+      {report?.rejected?.length > 0 && (
+        <div>
+          <p className="font-semibold text-red-600 dark:text-red-400 mb-1">Rejected rows ({report.rejectedCount ?? report.rejected.length}{report.rejectedCount > report.rejected.length ? `, first ${report.rejected.length} shown` : ''})</p>
+          <ul className="max-h-[160px] overflow-y-auto space-y-1">
+            {report.rejected.map((r) => (
+              <li key={rowLabel(r)}>{rowLabel(r)}{r.location ? ` (${r.location})` : ''}: {r.errors.map((e) => e.message).join('; ')}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {report?.warnings?.length > 0 && (
+        <div>
+          <p className="font-semibold text-amber-600 dark:text-amber-400 mb-1">Warnings ({report.warningCount ?? report.warnings.length}{report.warningCount > report.warnings.length ? `, first ${report.warnings.length} shown` : ''})</p>
+          <ul className="max-h-[120px] overflow-y-auto space-y-1">
+            {report.warnings.map((w, i) => <li key={`${rowLabel(w)}-${i}`}>{rowLabel(w)}: {w.message}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ─── Build a column mapping profile from a sample file ─── */
+function MappingBuilder({ fields, requiredFields, units, profiles, onSaved }) {
+  const [sampleFile, setSampleFile] = useState(null);
+  const [sheets, setSheets] = useState([]);
+  const [sheet, setSheet] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [sampleRows, setSampleRows] = useState([]);
+  const [columns, setColumns] = useState({});
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadSample = async (file, sheetName) => {
+    if (!file) return;
+    const form = new FormData();
+    form.append('csvFile', file);
+    setBusy(true);
+    try {
+      const res = await uploadSampleFile(form, sheetName ? { sheets: sheetName } : {});
+      setSampleFile(file);
+      setSheets(res.sheets || []);
+      setSheet(sheetName || res.sheets?.[0] || '');
+      setHeaders(res.headers || []);
+      setSampleRows(res.sampleRows || []);
+      setColumns(res.suggested?.columns || {});
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setColumn = (field, patch) => {
+    setColumns((c) => {
+      const next = { ...(c[field] || { unit: units[field]?.base || null }), ...patch };
+      if (!next.source) {
+        const { [field]: _removed, ...rest } = c;
+        return rest;
+      }
+      return { ...c, [field]: next };
+    });
+  };
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      await createMapping({ name, columns });
+      toast.success(`Mapping "${name}" saved`);
+      setName('');
+      onSaved();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (id) => {
+    try {
+      await deleteMapping(id);
+      onSaved();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const firstRow = sampleRows[0] || {};
+
+  return (
+    <div className="glass-card p-5">
+      <h3 className="section-title flex items-center gap-2"><FiColumns size={15} /> Column Mapping</h3>
+      <p className="text-[11px] text-slate-400 -mt-3 mb-3">Load a sample file, match its columns to JalRakshya fields and save the profile</p>
+
+      <input type="file" accept={ACCEPTED_FILES} disabled={busy} onChange={(e) => loadSample(e.target.files[0])} className="text-xs mb-3" />
+
+      {sheets.length > 1 && (
+        <div className="mb-3">
+          <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide">Sample sheet</label>
+          <select value={sheet} disabled={busy} onChange={(e) => loadSample(sampleFile, e.target.value)} className={`${inputClass} mt-1`}>
+            {sheets.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {headers.length > 0 && (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-y border-slate-100 dark:border-slate-700/40 bg-slate-50/60 dark:bg-slate-900/30">
+                  <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Field</th>
+                  <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Source column</th>
+                  <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Unit</th>
+                  <th className="py-2 px-2 text-left font-semibold text-slate-500 uppercase tracking-wider">Sample</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-700/30">
+                {fields.map((field) => {
+                  const col = columns[field];
+                  return (
+                    <tr key={field}>
+                      <td className="py-1.5 px-2 font-semibold text-slate-700 dark:text-slate-200 whitespace-nowrap">
+                        {FIELD_LABELS[field] || field}
+                        {requiredFields.includes(field) && <span className="text-red-500 ml-0.5">*</span>}
+                      </td>
+                      <td className="py-1.5 px-2">
+                        <select value={col?.source || ''} onChange={(e) => setColumn(field, { source: e.target.value })} className={inputClass}>
+                          <option value="">— not mapped —</option>
+                          {headers.map((h) => <option key={h} value={h}>{h}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-1.5 px-2">
+                        {units[field] ? (
+                          <select
+                            value={col?.unit || units[field].base}
+                            disabled={!col}
+                            onChange={(e) => setColumn(field, { unit: e.target.value })}
+                            className={inputClass}
+                          >
+                            {units[field].options.map((u) => <option key={u} value={u}>{u}</option>)}
+                          </select>
+                        ) : <span className="text-slate-400">–</span>}
+                      </td>
+                      <td className="py-1.5 px-2 text-slate-500 tabular-nums whitespace-nowrap">{col ? firstRow[col.source] : ''}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex gap-2 mt-3">
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Profile name, e.g. GSDA Sinnar" className={inputClass} />
+            <button onClick={save} disabled={busy || !name.trim()} className="btn-primary text-sm flex items-center gap-1.5 py-2 px-4 whitespace-nowrap">
+              <FiSave size={13} /> Save
+            </button>
+          </div>
+        </>
+      )}
+
+      {profiles.filter((p) => !p.builtIn).length > 0 && (
+        <div className="mt-5">
+          <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Saved profiles</p>
+          <ul className="space-y-1.5">
+            {profiles.filter((p) => !p.builtIn).map((p) => (
+              <li key={p.id} className="flex items-center justify-between text-xs text-slate-600 dark:text-slate-300">
+                <span>{p.name} <span className="text-slate-400">({Object.keys(p.columns).length} columns)</span></span>
+                <button onClick={() => remove(p.id)} className="text-slate-400 hover:text-red-500" aria-label={`Delete ${p.name}`}>
+                  <FiTrash2 size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,13 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiSearch, FiMapPin, FiDroplet, FiTrendingUp, FiShield, FiArrowRight, FiDatabase, FiCpu, FiBarChart2 } from 'react-icons/fi';
+import { FiSearch, FiMapPin, FiDroplet, FiTrendingUp, FiShield, FiArrowRight, FiDatabase, FiCpu, FiBarChart2, FiBell } from 'react-icons/fi';
 import { useLocation } from '../context/LocationContext';
 import { fetchLocations, fetchDistrictStats, fetchAllOverview, fetchAlerts, fetchGovUpdates, fetchSearchSuggestions, fetchDistrictAlerts, fetchDistrictGovUpdates } from '../utils/api';
 import MapComponent from '../components/MapComponent';
 import AlertPanel from '../components/AlertPanel';
 import GovUpdates from '../components/GovUpdates';
+import FollowLocation from '../components/FollowLocation';
 import toast from 'react-hot-toast';
 
 export default function Home() {
@@ -28,6 +29,7 @@ export default function Home() {
   const [navigating, setNavigating] = useState(false);
   const [navigatingTo, setNavigatingTo] = useState('');
   const [suggestions, setSuggestions] = useState([]);
+  const [followOpen, setFollowOpen] = useState(false);
 
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -109,6 +111,9 @@ export default function Home() {
       ph: loc.ph,
       consumption: loc.consumption,
       perCapitaUsage: loc.perCapitaUsage,
+      spi: loc.spi,
+      spiClass: loc.spiClass,
+      droughtCategory: loc.droughtCategory,
     }));
   }, [overviewData]);
 
@@ -456,12 +461,21 @@ export default function Home() {
                 )}
               </p>
               {exploredLocation && (
-                <button
-                  onClick={() => navigate(`/dashboard/${encodeURIComponent(exploredLocation)}`)}
-                  className="btn-secondary text-xs flex items-center gap-1"
-                >
-                  Dashboard <FiArrowRight size={12} />
-                </button>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setFollowOpen(true)}
+                    className="btn-secondary text-xs flex items-center gap-1"
+                    title="Get a monthly update and a notice if it turns Critical"
+                  >
+                    <FiBell size={12} /> Follow
+                  </button>
+                  <button
+                    onClick={() => navigate(`/dashboard/${encodeURIComponent(exploredLocation)}`)}
+                    className="btn-secondary text-xs flex items-center gap-1"
+                  >
+                    Dashboard <FiArrowRight size={12} />
+                  </button>
+                </div>
               )}
             </div>
             <div className="grid md:grid-cols-2 gap-4">
@@ -469,6 +483,12 @@ export default function Home() {
               <GovUpdates updates={govUpdates} />
             </div>
           </motion.div>
+          <FollowLocation
+            open={followOpen}
+            onClose={() => setFollowOpen(false)}
+            initialLocation={exploredLocation}
+            allLocations={locations}
+          />
         </div>
       </section>
 
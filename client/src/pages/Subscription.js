@@ -0,0 +1,95 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiCheckCircle, FiXCircle, FiBellOff, FiHome } from 'react-icons/fi';
+import { confirmSubscription, unsubscribe } from '../utils/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const STATUS_STYLES = {
+  Safe: 'text-green-500',
+  Warning: 'text-amber-500',
+  Critical: 'text-red-500',
+};
+
+/**
+ * Landing page for the links in citizen messages:
+ * /subscribe/confirm?token=… and /subscribe/unsubscribe?token=…
+ */
+export default function Subscription() {
+  const { action } = useParams();
+  const [params] = useSearchParams();
+  const token = params.get('token');
+  const [state, setState] = useState({ loading: true });
+  const done = useRef(false); // the links are one-shot: don't post twice in StrictMode
+
+  useEffect(() => {
+    if (done.current) return;
+    done.current = true;
+    if (!token || !['confirm', 'unsubscribe'].includes(action)) {
+      setState({ loading: false, error: 'This link is incomplete.' });
+      return;
+    }
+    const call = action === 'confirm' ? confirmSubscription : unsubscribe;
+    call(token)
+      .then((res) => setState({ loading: false, ...res }))
+      .catch((err) => setState({ loading: false, error: err.message }));
+  }, [action, token]);
+
+  if (state.loading) return <LoadingSpinner />;
+
+  const sub = state.subscription;
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 16 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white dark:bg-slate-800/50 border border-slate-200 dark:border-slate-700/30 rounded-xl p-8 text-center max-w-md w-full"
+      >
+        {state.error ? (
+          <>
+            <FiXCircle className="mx-auto text-red-500 mb-3" size={36} />
+            <h1 className="text-lg font-bold text-slate-800 dark:text-slate-100 mb-2">Link not valid</h1>
+            <p className="text-sm text-slate-500 dark:text-slate-400 mb-6">{state.error}</p>
+          </>
+        ) : action === 'confirm' ? (
+          <>
+            <FiCheckCircle className="mx-auto text-green-500 mb-3" size={36} />
+            <h1 className="text-lg font-bold text-slate-800 dark:text-slate-100 mb-2">You're following {sub.locations.join(', ')}</h1>
+            <p className="text-sm text-slate-500 dark:text-slate-400 mb-4">
+              Updates go to {sub.address}: a monthly status update
+              {sub.nextDigestAt && <> (next on {new Date(sub.nextDigestAt).toLocaleDateString()})</>}, and a notice as
+              soon as a village turns Critical.
+            </p>
+            {state.summaries?.length > 0 && (
+              <div className="text-left border border-slate-200 dark:border-slate-700/40 rounded-lg divide-y divide-slate-100 dark:divide-slate-700/40 mb-6">
+                {state.summaries.map((s) => (
+                  <Link
+                    key={s.location}
+                    to={`/dashboard/${encodeURIComponent(s.location)}`}
+                    className="flex items-center justify-between px-3 py-2 text-sm hover:bg-slate-50 dark:hover:bg-slate-700/30"
+                  >
+                    <span className="text-slate-700 dark:text-slate-200">{s.location}</span>
+                    <span className={`font-semibold ${STATUS_STYLES[s.status] || ''}`}>
+                      {s.status} · {s.waterScore}
+                    </span>
+                  </Link>
+                ))}
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <FiBellOff className="mx-auto text-slate-400 mb-3" size={36} />
+            <h1 className="text-lg font-bold text-slate-800 dark:text-slate-100 mb-2">You're unsubscribed</h1>
+            <p className="text-sm text-slate-500 dark:text-slate-400 mb-6">
+              {sub.address} will get no more updates about {sub.locations.join(', ')}.
+            </p>
+          </>
+        )}
+        <Link to="/" className="btn-primary inline-flex items-center gap-1.5 text-sm">
+          <FiHome size={13} /> Home
+        </Link>
+      </motion.div>
+    </div>
+  );
+}
@@ -8,12 +8,27 @@ const api = axios.create({
   headers: { 'Content-Type': 'application/json' },
 });
 
+// Staff token saved by signing in on the Bulletins page (STAFF_TOKENS on the server)
+export const STAFF_KEY = 'jalrakshya_staff_token';
+
+// Changes to shared settings (alert rules, mappings, …) are staff-only: send
+// the saved token with every write that does not carry its own
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(STAFF_KEY);
+  if (token && config.method !== 'get' && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (res) => res.data,
   (err) => {
     const message = err.response?.data?.message || err.message || 'Network Error';
-    return Promise.reject(new Error(message));
+    const error = new Error(message);
+    error.errors = err.response?.data?.errors || []; // validation problems, when the server lists them
+    return Promise.reject(error);
   }
 );
 
@@ -25,8 +40,8 @@ export const fetchLocationByName = (name) =>
   api.get(`/locations/${encodeURIComponent(name)}`);
 
 // ---- Water Data APIs ----
-export const fetchWaterData = (location) =>
-  api.get(`/water/${encodeURIComponent(location)}`);
+export const fetchWaterData = (location, granularity = 'yearly') =>
+  api.get(`/water/${encodeURIComponent(location)}`, { params: { granularity } });
 
 export const fetchLatestData = (location) =>
   api.get(`/water/${encodeURIComponent(location)}/latest`);
@@ -37,8 +52,17 @@ export const fetchAlerts = (location) =>
 export const fetchGovUpdates = (location) =>
   api.get(`/water/${encodeURIComponent(location)}/gov-updates`);
 
-export const fetchPredictions = (location, years = 3) =>
-  api.get(`/water/${encodeURIComponent(location)}/predictions`, { params: { years } });
+// `years` is the number of periods ahead at the chosen granularity; `model` 'auto' picks by holdout error
+export const fetchPredictions = (location, years = 3, granularity = 'yearly', model = 'auto') =>
+  api.get(`/water/${encodeURIComponent(location)}/predictions`, { params: { years, granularity, model } });
+
+// Rolling-origin accuracy of the forecasts for one location
+export const fetchBacktest = (location, granularity = 'yearly', model = 'auto', horizon = 3) =>
+  api.get(`/water/${encodeURIComponent(location)}/backtest`, { params: { granularity, model, horizon } });
+
+// Pooled forecast accuracy per district (one district when given)
+export const fetchDistrictBacktest = (district, granularity = 'yearly', model = 'auto', horizon = 3) =>
+  api.get('/water/backtest/district', { params: { district, granularity, model, horizon } });
 
 export const fetchAllOverview = () => api.get('/water/overview/all');
 
@@ -57,18 +81,153 @@ export const fetchLocationSummary = (location) =>
 
 export const fetchRankings = () => api.get('/water/rankings');
 
-export const fetchYearlyChanges = (location) =>
-  api.get(`/water/${encodeURIComponent(location)}/yearly-changes`);
+export const fetchYearlyChanges = (location, granularity = 'yearly') =>
+  api.get(`/water/${encodeURIComponent(location)}/yearly-changes`, { params: { granularity } });
+
+// Readings flagged by the server's anomaly detection (jumps, seasonal residuals, spatial outliers)
+export const fetchAnomalies = (location, granularity = 'yearly') =>
+  api.get(`/water/${encodeURIComponent(location)}/anomalies`, { params: { granularity } });
 
 export const fetchSearchSuggestions = (q) =>
   api.get('/water/search-suggestions', { params: { q } });
 
 export const fetchHeatmapData = () => api.get('/water/heatmap-data');
 
+// Interpolated surface (IDW or kriging) contoured into GeoJSON bands
+// Correlations between rainfall, usage, depletion and water level ({ location } or { district })
+export const fetchCorrelations = (params = {}, granularity = 'yearly') =>
+  api.get('/water/analysis/correlations', { params: { ...params, granularity } });
+
+export const fetchSurface = (metric = 'groundwaterLevel', method = 'idw') =>
+  api.get('/water/surface', { params: { metric, method } });
+
+export const fetchScoreBreakdown = (location, year) =>
+  api.get(`/water/${encodeURIComponent(location)}/score-breakdown`, { params: year ? { year } : {} });
+
+// Re-score a location under an unsaved profile ({ profile }) or a saved one ({ profileId })
+export const fetchWhatIfScores = (location, body, granularity = 'yearly') =>
+  api.post(`/water/${encodeURIComponent(location)}/what-if`, body, { params: { granularity } });
+
+// Project a location under % changes to usage and rainfall ({ adjustments, years, durationYears, model })
+export const fetchScenario = (location, body) =>
+  api.post(`/water/${encodeURIComponent(location)}/scenario`, body);
+
 // ---- Upload ----
-export const uploadCSV = (formData) =>
-  api.post('/upload/csv', formData, {
+// Large files can take a while to send — no request timeout, optional byte progress
+export const uploadDataFile = (formData, params = {}, onUploadProgress) =>
+  api.post('/upload/file', formData, {
+    params,
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 0,
+    onUploadProgress,
+  });
+
+export const commitUploadPreview = (previewId, params = {}) =>
+  api.post(`/upload/commit/${encodeURIComponent(previewId)}`, null, { params });
+
+export const fetchImportJob = (jobId) =>
+  api.get(`/upload/jobs/${encodeURIComponent(jobId)}`);
+
+export const uploadSampleFile = (formData, params = {}) =>
+  api.post('/upload/sample', formData, {
+    params,
     headers: { 'Content-Type': 'multipart/form-data' },
   });
 
+// ---- Column mapping profiles ----
+export const fetchMappings = () => api.get('/mappings');
+
+export const createMapping = (profile) => api.post('/mappings', profile);
+
+export const updateMapping = (id, profile) =>
+  api.put(`/mappings/${encodeURIComponent(id)}`, profile);
+
+export const deleteMapping = (id) =>
+  api.delete(`/mappings/${encodeURIComponent(id)}`);
+
+// ---- Scoring profiles ----
+export const fetchScoreProfiles = () => api.get('/score-profiles');
+
+export const createScoreProfile = (profile) => api.post('/score-profiles', profile);
+
+export const updateScoreProfile = (id, profile) =>
+  api.put(`/score-profiles/${encodeURIComponent(id)}`, profile);
+
+export const deleteScoreProfile = (id) =>
+  api.delete(`/score-profiles/${encodeURIComponent(id)}`);
+
+// scope: 'location' | 'district'
+export const assignScoreProfile = (scope, target, profileId) =>
+  api.put(`/score-profiles/assignments/${scope}/${encodeURIComponent(target)}`, { profileId });
+
+export const removeScoreProfileAssignment = (scope, target) =>
+  api.delete(`/score-profiles/assignments/${scope}/${encodeURIComponent(target)}`);
+
+// ---- Alert lifecycle ----
+// action: acknowledge | assign | suppress | resolve | reopen; body: { comment, assignee, until, user }
+export const changeAlertState = (id, action, body = {}) =>
+  api.post(`/alerts/${encodeURIComponent(id)}/${action}`, body);
+
+// ---- Alert rules ----
+export const fetchAlertRules = () => api.get('/alert-rules');
+
+export const createAlertRule = (rule) => api.post('/alert-rules', rule);
+
+export const updateAlertRule = (id, rule) =>
+  api.put(`/alert-rules/${encodeURIComponent(id)}`, rule);
+
+export const deleteAlertRule = (id) =>
+  api.delete(`/alert-rules/${encodeURIComponent(id)}`);
+
+export const resetAlertRule = (id) =>
+  api.post(`/alert-rules/${encodeURIComponent(id)}/reset`);
+
+// Replay a rule over the dataset's history; id is omitted for an unsaved rule
+export const testAlertRule = (rule, id) =>
+  api.post(id ? `/alert-rules/${encodeURIComponent(id)}/test` : '/alert-rules/test', rule, { timeout: 60000 });
+
+// ---- Citizen subscriptions ----
+export const fetchSubscribeOptions = () => api.get('/subscribe/options');
+
+// body: { locations, channel: 'email' | 'sms', address }
+export const subscribeToLocations = (body) => api.post('/subscribe', body);
+
+export const confirmSubscription = (token) => api.post('/subscribe/confirm', { token });
+
+export const unsubscribe = (token) => api.post('/subscribe/unsubscribe', { token });
+
+// ---- Government bulletins ----
+// Where a bulletin attachment downloads from (a plain link, so no token: active bulletins only)
+export const bulletinAttachmentUrl = (bulletinId, attachmentId) =>
+  `${API_BASE}/bulletins/${encodeURIComponent(bulletinId)}/attachments/${encodeURIComponent(attachmentId)}`;
+
+// Managing bulletins needs a staff token (STAFF_TOKENS on the server)
+const asStaff = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+export const fetchManagedBulletins = (token) => api.get('/bulletins/manage', asStaff(token));
+
+export const createBulletin = (token, bulletin) => api.post('/bulletins', bulletin, asStaff(token));
+
+export const updateBulletin = (token, id, bulletin) =>
+  api.put(`/bulletins/${encodeURIComponent(id)}`, bulletin, asStaff(token));
+
+export const deleteBulletin = (token, id) =>
+  api.delete(`/bulletins/${encodeURIComponent(id)}`, asStaff(token));
+
+// body: { publishAt, expiresAt } — publishAt in the future schedules it
+export const publishBulletin = (token, id, body = {}) =>
+  api.post(`/bulletins/${encodeURIComponent(id)}/publish`, body, asStaff(token));
+
+export const expireBulletin = (token, id) =>
+  api.post(`/bulletins/${encodeURIComponent(id)}/expire`, null, asStaff(token));
+
+export const uploadBulletinAttachments = (token, id, formData) =>
+  api.post(`/bulletins/${encodeURIComponent(id)}/attachments`, formData, {
+    headers: { ...asStaff(token).headers, 'Content-Type': 'multipart/form-data' },
+    timeout: 0,
+  });
+
+export const deleteBulletinAttachment = (token, id, attachmentId) =>
+  api.delete(`/bulletins/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}`, asStaff(token));
+
 export default api;
@@ -28,6 +28,36 @@ export function getMarkerColor(status) {
   }
 }
 
+// SPI drought categories for the map's drought layer, driest first
+export const SPI_LEGEND = [
+  { key: 'extreme', label: 'Extreme drought', color: '#7f1d1d' },
+  { key: 'severe', label: 'Severe drought', color: '#dc2626' },
+  { key: 'moderate', label: 'Moderate drought', color: '#f97316' },
+  { key: 'normal', label: 'Near normal', color: '#22c55e' },
+  { key: 'wet', label: 'Wet', color: '#3b82f6' },
+  { key: 'none', label: 'No SPI', color: '#6b7280' },
+];
+
+export function getSpiColor(spi, droughtCategory) {
+  let key = 'none';
+  if (droughtCategory) key = droughtCategory;
+  else if (typeof spi === 'number') key = spi >= 1 ? 'wet' : 'normal';
+  return SPI_LEGEND.find((c) => c.key === key).color;
+}
+
+// Contour bands of the map surface, best to worst
+const SURFACE_PALETTE = ['#15803d', '#22c55e', '#84cc16', '#eab308', '#f59e0b', '#f97316', '#ef4444', '#b91c1c'];
+
+/**
+ * Colour of contour band `index` of `count` — green for the good end of the
+ * metric, red for the bad end
+ */
+export function getSurfaceColor(index, count, higherIsBetter) {
+  const position = count > 1 ? index / (count - 1) : 0;
+  const t = higherIsBetter ? 1 - position : position;
+  return SURFACE_PALETTE[Math.round(t * (SURFACE_PALETTE.length - 1))];
+}
+
 export function getScarcityColor(level) {
   const map = {
     Low: '#22c55e',
@@ -44,6 +74,11 @@ export function formatNumber(num, decimals = 1) {
   return Number(num).toFixed(decimals);
 }
 
+/** Axis / table label of a series entry: "2023", "2023 Pre-monsoon" or "2023-05" */
+export function periodLabel(d) {
+  return d.period || String(d.year);
+}
+
 export function getScoreGrade(score) {
   if (score >= 80) return { grade: 'A', label: 'Excellent' };
   if (score >= 70) return { grade: 'B', label: 'Good' };
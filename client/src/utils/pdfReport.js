@@ -423,7 +423,7 @@ function drawPredictionTable(pdf, predictions, latestData, startY) {
 
   setFont(pdf, 'italic', 7);
   pdf.setTextColor(...BRAND.slate500);
-  pdf.text('Predictions are based on linear regression modelling. Values are indicative and subject to change.', MARGIN, y + 3);
+  pdf.text('Predictions come from the forecasting model with the lowest holdout error. Values are indicative and subject to change.', MARGIN, y + 3);
   y += 10;
 
   return y;
@@ -572,7 +572,7 @@ export async function generateReport({
     latestData ? `  •  Latest depletion rate stands at ${latestData.depletionRate?.toFixed(2)}%, which requires ${latestData.depletionRate > 1.5 ? 'immediate attention' : 'ongoing monitoring'}.` : '',
     '',
     'Disclaimer:',
-    '  The predictions and insights in this report are generated using statistical models (linear regression).',
+    '  The predictions and insights in this report are generated using statistical models (trend, smoothing, ARIMA and regression).',
     '  They are indicative and should not be used as the sole basis for policy decisions. Always consult local',
     '  hydrogeological experts and the latest CGWB reports for authoritative guidance.',
     '',
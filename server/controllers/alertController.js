@@ -0,0 +1,104 @@
+const store = require('../dataStore');
+const {
+  ALERT_STATES, ALERT_SCOPES, ALERT_ACTIONS, refreshAlerts, listAlerts, getAlert,
+  validateTransition, transitionAlert, auditTrail, summarizeAlerts,
+} = require('../utils/alertLifecycle');
+
+// Who made a change: the staff member whose token came with it
+function actorOf(req) {
+  return req.staff || 'anonymous';
+}
+
+/**
+ * Look up an alert by id.
+ * @throws {Error} with status 404 when it does not exist
+ */
+function findAlert(id) {
+  const alert = getAlert(id);
+  if (!alert) {
+    const err = new Error(`Alert not found: ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return alert;
+}
+
+/**
+ * GET /api/alerts?state=&scope=&target=&type=&assignee=&limit=
+ * Tracked alerts across every location, taluka and district; `state=active`
+ * matches open, acknowledged and assigned alerts
+ */
+exports.listAlerts = async (req, res, next) => {
+  try {
+    const { state, scope, target, type, assignee } = req.query;
+    const errors = [];
+    if (state && state !== 'active' && !ALERT_STATES.includes(state)) {
+      errors.push(`state must be active or one of ${ALERT_STATES.join(', ')}`);
+    }
+    if (scope && !ALERT_SCOPES.includes(scope)) errors.push(`scope must be one of ${ALERT_SCOPES.join(', ')}`);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid alert filter', errors });
+    }
+    await refreshAlerts(await store.atVersion());
+    const alerts = listAlerts({ state, scope, target, type, assignee });
+    const limit = parseInt(req.query.limit, 10) || 200;
+    res.json({
+      success: true,
+      summary: summarizeAlerts(alerts),
+      alerts: alerts.slice(0, limit),
+      count: Math.min(alerts.length, limit),
+      states: ALERT_STATES,
+      actions: Object.keys(ALERT_ACTIONS),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/alerts/audit?by=&action=&limit=
+ * Every state change across alerts, newest first
+ */
+exports.getAuditTrail = async (req, res, next) => {
+  try {
+    const entries = auditTrail({ by: req.query.by, action: req.query.action });
+    const limit = parseInt(req.query.limit, 10) || 200;
+    res.json({ success: true, entries: entries.slice(0, limit), count: Math.min(entries.length, limit) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/alerts/:id
+ * One alert with its full history
+ */
+exports.getAlertById = async (req, res, next) => {
+  try {
+    res.json({ success: true, alert: findAlert(req.params.id) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/alerts/:id/:action  (acknowledge | assign | suppress | resolve | reopen)
+ * Body: { comment?, assignee? (assign), until? (suppress) } — the staff member is recorded as the actor
+ * Suppress and resolve need a comment.
+ */
+exports.changeAlertState = async (req, res, next) => {
+  try {
+    const alert = findAlert(req.params.id);
+    const { action } = req.params;
+    const body = req.body || {};
+    const problems = validateTransition(alert, action, body);
+    if (problems.length) {
+      const status = ALERT_ACTIONS[action] && !ALERT_ACTIONS[action].from.includes(alert.state) ? 409 : 400;
+      return res.status(status).json({ success: false, message: `Cannot ${action} alert`, errors: problems });
+    }
+    const updated = await transitionAlert(alert, action, body, actorOf(req));
+    res.json({ success: true, alert: updated });
+  } catch (err) {
+    next(err);
+  }
+};
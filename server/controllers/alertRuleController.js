@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const store = require('../dataStore');
+const { resolveView } = require('../utils/datasetView');
+const { replayAlertRule } = require('../utils/alertEngine');
+const {
+  RULE_SCOPES, RULE_SEVERITIES, RULE_METRICS, CONDITION_TYPES, COMPARISONS, AGGREGATES,
+  validateAlertRule, normalizeAlertRule, listAlertRules, getAlertRule, getDefaultAlertRule,
+  saveAlertRule, removeAlertRule,
+} = require('../utils/alertRules');
+
+/**
+ * Look up an alert rule by id.
+ * @throws {Error} with status 404 when it does not exist
+ */
+function findRule(id) {
+  const rule = getAlertRule(id);
+  if (!rule) {
+    const err = new Error(`Alert rule not found: ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return rule;
+}
+
+// Problems with a rule, including targets the live dataset does not know
+function ruleProblems(rule) {
+  const problems = validateAlertRule(rule);
+  if (problems.length || !rule.targets || !rule.targets.length) return problems;
+  const locations = store.getAllLocations();
+  for (const target of rule.targets) {
+    const exists = rule.scope === 'location'
+      ? !!store.getLocationByName(target)
+      : locations.some((l) => l[rule.scope] === target);
+    if (!exists) problems.push(`Unknown ${rule.scope}: ${target}`);
+  }
+  return problems;
+}
+
+function invalid(res, problems) {
+  return res.status(400).json({ success: false, message: 'Invalid alert rule', errors: problems });
+}
+
+/**
+ * GET /api/alert-rules
+ * Built-in and custom rules, and the vocabulary a rule can use.
+ */
+exports.listRules = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      rules: listAlertRules(),
+      metrics: RULE_METRICS,
+      scopes: RULE_SCOPES,
+      severities: RULE_SEVERITIES,
+      conditionTypes: CONDITION_TYPES,
+      comparisons: COMPARISONS,
+      aggregates: AGGREGATES,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/alert-rules/:id
+ */
+exports.getRuleById = async (req, res, next) => {
+  try {
+    const rule = findRule(req.params.id);
+    res.json({ success: true, rule, default: getDefaultAlertRule(rule.id) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/alert-rules
+ * A custom rule. Alerts are re-evaluated on the next request for them.
+ */
+exports.createRule = async (req, res, next) => {
+  try {
+    const problems = ruleProblems(req.body);
+    if (problems.length) return invalid(res, problems);
+    const now = new Date().toISOString();
+    const rule = normalizeAlertRule({
+      ...req.body,
+      id: crypto.randomUUID(),
+      builtIn: false,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await saveAlertRule(rule);
+    res.status(201).json({ success: true, rule });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/alert-rules/:id
+ * Built-in rules can be edited too; their shipped definition stays available
+ * through POST /:id/reset.
+ */
+exports.updateRule = async (req, res, next) => {
+  try {
+    const existing = findRule(req.params.id);
+    const merged = {
+      ...existing, ...req.body, id: existing.id, builtIn: existing.builtIn, createdAt: existing.createdAt,
+    };
+    const problems = ruleProblems(merged);
+    if (problems.length) return invalid(res, problems);
+    const rule = normalizeAlertRule({ ...merged, updatedAt: new Date().toISOString() });
+    await saveAlertRule(rule);
+    res.json({ success: true, rule });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/alert-rules/:id
+ * Custom rules only; their alerts resolve on the next evaluation.
+ */
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const rule = findRule(req.params.id);
+    if (rule.builtIn) {
+      return res.status(400).json({
+        success: false, message: 'Built-in rules cannot be deleted — disable or reset it instead',
+      });
+    }
+    await removeAlertRule(rule.id);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/alert-rules/:id/reset
+ * Restore a built-in rule to its shipped definition.
+ */
+exports.resetRule = async (req, res, next) => {
+  try {
+    const rule = findRule(req.params.id);
+    if (!rule.builtIn) {
+      return res.status(400).json({ success: false, message: 'Only built-in rules can be reset' });
+    }
+    await removeAlertRule(rule.id);
+    res.json({ success: true, rule: getAlertRule(rule.id) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/alert-rules/test?version=
+ * Replay an unsaved rule (the body) over the dataset's history.
+ */
+exports.testDraftRule = async (req, res, next) => {
+  try {
+    const problems = ruleProblems(req.body);
+    if (problems.length) return invalid(res, problems);
+    const view = await resolveView(req, res);
+    const rule = normalizeAlertRule({ ...req.body, id: req.body.id || 'draft', builtIn: false });
+    res.json({ success: true, rule, ...replayAlertRule(rule, view) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/alert-rules/:id/test?version=
+ * Replay a saved rule — with any changes in the body applied — over the
+ * dataset's history.
+ */
+exports.testRule = async (req, res, next) => {
+  try {
+    const existing = findRule(req.params.id);
+    const merged = { ...existing, ...req.body, id: existing.id, builtIn: existing.builtIn };
+    const problems = ruleProblems(merged);
+    if (problems.length) return invalid(res, problems);
+    const view = await resolveView(req, res);
+    const rule = normalizeAlertRule(merged);
+    res.json({ success: true, rule, ...replayAlertRule(rule, view) });
+  } catch (err) {
+    next(err);
+  }
+};
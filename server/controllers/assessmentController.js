@@ -0,0 +1,120 @@
+const { resolveView } = require('../utils/datasetView');
+const {
+  CATEGORIES, INFILTRATION_PRESETS, PARAMETERS,
+  getAssessmentConfig, validateAssessmentConfig, saveAssessmentConfig,
+  assessLocation, assessDistrict,
+} = require('../utils/groundwaterAssessment');
+
+/**
+ * Each district's locations paired with their latest yearly record
+ * @returns {Map<string, Array<{ location: Object, latest: Object }>>}
+ */
+function membersByDistrict(view) {
+  const districts = new Map();
+  for (const location of view.getAllLocations()) {
+    const latest = view.getLatestByLocation(location.name);
+    if (!latest) continue;
+    const district = location.district || 'Unknown';
+    if (!districts.has(district)) districts.set(district, []);
+    districts.get(district).push({ location, latest });
+  }
+  return districts;
+}
+
+/**
+ * GET /api/assessment/config
+ * Parameters in effect (defaults and overrides), what each one means, presets and category bounds.
+ */
+exports.getConfig = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      config: getAssessmentConfig(),
+      parameters: PARAMETERS,
+      infiltrationPresets: INFILTRATION_PRESETS,
+      categories: CATEGORIES.map((c) => ({ category: c.category, maxStage: Number.isFinite(c.maxStage) ? c.maxStage : null })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/assessment/config
+ * Body: { defaults?, districts?: { [district]: params }, locations?: { [location]: params } }
+ * Sections that are sent replace the stored ones; omitted sections are kept.
+ */
+exports.updateConfig = async (req, res, next) => {
+  try {
+    const problems = validateAssessmentConfig(req.body);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid assessment configuration', errors: problems });
+    }
+    const config = await saveAssessmentConfig(req.body);
+    console.log('💧 Groundwater assessment parameters updated');
+    res.json({ success: true, config });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/assessment/locations/:location?year=
+ * Stage of extraction and category for one year (the latest by default),
+ * with the stage in every year on record.
+ */
+exports.getLocationAssessment = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location } = req.params;
+    const loc = view.getLocationByName(location);
+    let records = view.getWaterByLocation(location);
+    if (!loc || !records.length) {
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+    }
+    if (req.query.year) {
+      const year = Number(req.query.year);
+      const upTo = records.filter((r) => r.year <= year);
+      if (!upTo.length || upTo[upTo.length - 1].year !== year) {
+        return res.status(404).json({ success: false, message: `No ${year} record for ${location}` });
+      }
+      records = upTo;
+    }
+    res.json({ success: true, assessment: assessLocation(records, loc) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/assessment/districts
+ * Every district's aggregate stage and category, most stressed first.
+ */
+exports.getDistrictAssessments = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const districts = [...membersByDistrict(view)]
+      .map(([district, members]) => assessDistrict(district, members))
+      .sort((a, b) => (b.stageOfExtraction ?? -1) - (a.stageOfExtraction ?? -1));
+    res.json({ success: true, districts, count: districts.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/assessment/districts/:district
+ */
+exports.getDistrictAssessment = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { district } = req.params;
+    const members = membersByDistrict(view).get(district);
+    if (!members) {
+      return res.status(404).json({ success: false, message: `No data found for district: ${district}` });
+    }
+    res.json({ success: true, assessment: assessDistrict(district, members) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const store = require('../dataStore');
+const { staffFor } = require('../utils/staffAuth');
+const {
+  BULLETIN_SCOPES, BULLETIN_PRIORITIES, BULLETIN_STATES, ATTACHMENT_TYPES, ATTACHMENT_MAX_BYTES, MAX_ATTACHMENTS,
+  validateBulletin, normalizeBulletin, listBulletins, getBulletin, bulletinCounts, activeBulletinsFor,
+  saveBulletin, removeBulletin, attachmentProblems, addAttachments, removeAttachment, readAttachment,
+} = require('../utils/bulletins');
+
+/**
+ * Look up a bulletin by id.
+ * @throws {Error} with status 404 when it does not exist
+ */
+function findBulletin(id) {
+  const bulletin = getBulletin(id);
+  if (!bulletin) {
+    const err = new Error(`Bulletin not found: ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return bulletin;
+}
+
+// Whether the live dataset knows a bulletin target
+function targetExists(scope, name) {
+  if (scope === 'location') return !!store.getLocationByName(name);
+  return store.getAllLocations().some((l) => l[scope] === name);
+}
+
+function invalid(res, problems) {
+  return res.status(400).json({ success: false, message: 'Invalid bulletin', errors: problems });
+}
+
+// What the public sees of a bulletin: not who wrote or edited it
+function publicBulletin(b) {
+  const { history, createdBy, updatedBy, status, ...rest } = b;
+  return rest;
+}
+
+// Fields staff can set directly; the rest are kept by the server
+const EDITABLE = ['title', 'body', 'source', 'reference', 'priority', 'scope', 'targets', 'status', 'publishAt', 'expiresAt', 'links'];
+const editable = (body) => Object.fromEntries(EDITABLE.filter((k) => body && k in body).map((k) => [k, body[k]]));
+
+/**
+ * GET /api/bulletins
+ * Active bulletins: district-wide, or those reaching one location (`?location=`)
+ * through its district, taluka or name.
+ */
+exports.listPublished = async (req, res, next) => {
+  try {
+    let place = null;
+    if (req.query.location) {
+      place = store.getLocationByName(req.query.location);
+      if (!place) return res.status(404).json({ success: false, message: `Unknown location: ${req.query.location}` });
+    }
+    const bulletins = activeBulletinsFor(place).map(publicBulletin);
+    res.json({ success: true, bulletins, count: bulletins.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/bulletins/manage   (staff)
+ * Every bulletin with its state and history, and what a bulletin can hold.
+ */
+exports.listAll = async (req, res, next) => {
+  try {
+    const { state } = req.query;
+    if (state && !BULLETIN_STATES.includes(state)) {
+      return res.status(400).json({ success: false, message: `state must be one of ${BULLETIN_STATES.join(', ')}` });
+    }
+    res.json({
+      success: true,
+      staff: req.staff,
+      bulletins: listBulletins({ state }),
+      counts: bulletinCounts(),
+      scopes: BULLETIN_SCOPES,
+      priorities: BULLETIN_PRIORITIES,
+      states: BULLETIN_STATES,
+      attachmentTypes: Object.keys(ATTACHMENT_TYPES),
+      maxAttachmentBytes: ATTACHMENT_MAX_BYTES,
+      maxAttachments: MAX_ATTACHMENTS,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/bulletins/:id
+ * An active bulletin; staff (with their token) see any, with its history.
+ */
+exports.getBulletinById = async (req, res, next) => {
+  try {
+    const bulletin = findBulletin(req.params.id);
+    if (staffFor(req)) return res.json({ success: true, bulletin });
+    if (bulletin.state !== 'active') return res.status(404).json({ success: false, message: `Bulletin not found: ${req.params.id}` });
+    res.json({ success: true, bulletin: publicBulletin(bulletin) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/bulletins   (staff)
+ * A draft, or a bulletin published straight away (`status: "published"`,
+ * from `publishAt` when it is given).
+ */
+exports.createBulletin = async (req, res, next) => {
+  try {
+    const fields = editable(req.body);
+    const problems = validateBulletin(fields, targetExists);
+    if (problems.length) return invalid(res, problems);
+    const bulletin = normalizeBulletin({
+      ...fields,
+      id: crypto.randomUUID(),
+      attachments: [],
+      createdBy: req.staff,
+      createdAt: new Date().toISOString(),
+    });
+    const saved = await saveBulletin(bulletin, req.staff, bulletin.status === 'published' ? 'published' : 'created');
+    console.log(`📰 Bulletin "${saved.title}" ${saved.state === 'draft' ? 'drafted' : saved.state} by ${req.staff}`);
+    res.status(201).json({ success: true, bulletin: saved });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/bulletins/:id   (staff)
+ * Edit any field; `status: "draft"` takes a bulletin off the public feeds.
+ */
+exports.updateBulletin = async (req, res, next) => {
+  try {
+    const existing = findBulletin(req.params.id);
+    const merged = { ...existing, ...editable(req.body) };
+    const problems = validateBulletin(merged, targetExists);
+    if (problems.length) return invalid(res, problems);
+    let action = 'edited';
+    if (merged.status !== existing.status) action = merged.status === 'published' ? 'published' : 'unpublished';
+    const bulletin = await saveBulletin(normalizeBulletin(merged), req.staff, action);
+    res.json({ success: true, bulletin });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/bulletins/:id/publish   (staff)
+ * Publish now, or schedule with `{ publishAt }`; `{ expiresAt }` sets the end
+ * of its validity.
+ */
+exports.publishBulletin = async (req, res, next) => {
+  try {
+    const existing = findBulletin(req.params.id);
+    const body = req.body || {};
+    const merged = {
+      ...existing,
+      status: 'published',
+      publishAt: body.publishAt || (existing.state === 'scheduled' ? existing.publishAt : new Date().toISOString()),
+      expiresAt: 'expiresAt' in body ? body.expiresAt : existing.expiresAt,
+    };
+    const problems = merged.expiresAt && Date.parse(merged.expiresAt) <= Date.now()
+      ? ['expiresAt is in the past: give a later expiry (or none) to publish it again']
+      : validateBulletin(merged, targetExists);
+    if (problems.length) return invalid(res, problems);
+    const bulletin = await saveBulletin(normalizeBulletin(merged), req.staff,
+      Date.parse(merged.publishAt) > Date.now() ? `scheduled for ${merged.publishAt}` : 'published');
+    console.log(`📰 Bulletin "${bulletin.title}" ${bulletin.state} by ${req.staff}`);
+    res.json({ success: true, bulletin });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/bulletins/:id/expire   (staff)
+ * End a published bulletin's validity now. A scheduled one never appears.
+ */
+exports.expireBulletin = async (req, res, next) => {
+  try {
+    const existing = findBulletin(req.params.id);
+    if (existing.state === 'draft' || existing.state === 'expired') {
+      const message = existing.state === 'expired' ? 'This bulletin has already expired' : 'Only a published bulletin can be expired';
+      return res.status(409).json({ success: false, message });
+    }
+    const now = new Date().toISOString();
+    const bulletin = await saveBulletin({
+      ...existing,
+      publishAt: existing.state === 'scheduled' ? now : existing.publishAt,
+      expiresAt: now,
+    }, req.staff, 'expired');
+    res.json({ success: true, bulletin });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/bulletins/:id   (staff)
+ * Remove a bulletin and its attachments. Expiring keeps the record; this does not.
+ */
+exports.deleteBulletin = async (req, res, next) => {
+  try {
+    const bulletin = findBulletin(req.params.id);
+    await removeBulletin(bulletin.id);
+    console.log(`🗑️  Bulletin "${bulletin.title}" deleted by ${req.staff}`);
+    res.json({ success: true, deleted: bulletin.id });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/bulletins/:id/attachments   (staff)
+ * Multipart upload of one or more `files`.
+ */
+exports.addBulletinAttachments = async (req, res, next) => {
+  try {
+    const existing = findBulletin(req.params.id);
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ success: false, message: 'No file uploaded' });
+    const problems = files.flatMap(attachmentProblems);
+    if (existing.attachments.length + files.length > MAX_ATTACHMENTS) {
+      problems.push(`A bulletin can have at most ${MAX_ATTACHMENTS} attachments`);
+    }
+    if (problems.length) return res.status(400).json({ success: false, message: 'Invalid attachment', errors: problems });
+    const bulletin = await addAttachments(existing.id, files, req.staff);
+    res.status(201).json({ success: true, bulletin });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/bulletins/:id/attachments/:attachmentId   (staff)
+ */
+exports.deleteBulletinAttachment = async (req, res, next) => {
+  try {
+    findBulletin(req.params.id);
+    const bulletin = await removeAttachment(req.params.id, req.params.attachmentId, req.staff);
+    if (!bulletin) return res.status(404).json({ success: false, message: `Attachment not found: ${req.params.attachmentId}` });
+    res.json({ success: true, bulletin });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/bulletins/:id/attachments/:attachmentId
+ * Download an attachment of an active bulletin (any bulletin, for staff).
+ */
+exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const bulletin = findBulletin(req.params.id);
+    const file = (bulletin.state === 'active' || staffFor(req))
+      && await readAttachment(bulletin.id, req.params.attachmentId);
+    if (!file) return res.status(404).json({ success: false, message: `Attachment not found: ${req.params.attachmentId}` });
+    res.attachment(file.attachment.name);
+    res.type(file.attachment.contentType);
+    res.send(file.content);
+  } catch (err) {
+    next(err);
+  }
+};
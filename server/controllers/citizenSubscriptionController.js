@@ -0,0 +1,91 @@
+const store = require('../dataStore');
+const { channelStatus } = require('../notifications');
+const {
+  CITIZEN_CHANNELS, MAX_FOLLOWED, validateCitizenRequest, subscribeWait, requestCitizenSubscription,
+  confirmCitizenSubscription, unsubscribeCitizen, publicCitizen,
+} = require('../notifications/citizens');
+
+/**
+ * GET /api/subscribe/options
+ * How a citizen can follow villages on this server.
+ */
+exports.getOptions = async (req, res, next) => {
+  try {
+    const configured = channelStatus().filter((c) => c.configured).map((c) => c.name);
+    res.json({
+      success: true,
+      channels: CITIZEN_CHANNELS.filter((c) => configured.includes(c)),
+      maxLocations: MAX_FOLLOWED,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/subscribe
+ * Ask to follow villages: { locations, channel: 'email' | 'sms', address }.
+ * Answers the same whether or not the address is already subscribed; nothing
+ * is sent to it beyond the confirmation link until that is followed.
+ * Requests are limited per client and confirmations overall (429 with Retry-After).
+ */
+exports.subscribe = async (req, res, next) => {
+  try {
+    const wait = subscribeWait(req.ip);
+    if (wait > 0) {
+      const seconds = Math.ceil(wait / 1000);
+      res.set('Retry-After', String(seconds));
+      return res.status(429).json({ success: false, message: `Too many subscription requests: try again in ${Math.ceil(seconds / 60)} min` });
+    }
+    const problems = validateCitizenRequest(req.body, (name) => !!store.getLocationByName(name));
+    const channel = channelStatus().find((c) => c.name === req.body.channel);
+    if (!problems.length && !(channel && channel.configured)) {
+      problems.push(`${req.body.channel === 'sms' ? 'SMS' : 'Email'} updates are not available on this server`);
+    }
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid subscription request', errors: problems });
+    }
+    await requestCitizenSubscription(req.body, req.ip);
+    res.status(202).json({
+      success: true,
+      message: `We sent a confirmation link to your ${req.body.channel === 'sms' ? 'phone' : 'email'}. Follow it within 48 hours to start your updates.`,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/subscribe/confirm  { token }
+ * The second half of the double opt-in.
+ */
+exports.confirm = async (req, res, next) => {
+  try {
+    const view = await store.atVersion();
+    const citizen = await confirmCitizenSubscription(req.body.token, view);
+    if (!citizen) {
+      return res.status(404).json({ success: false, message: 'This confirmation link has expired or was already used' });
+    }
+    const summaries = citizen.locations.map((name) => view.getLocationSummary(name)).filter(Boolean)
+      .map((s) => ({ location: s.location, year: s.year, waterScore: s.waterScore, status: s.status, trend: s.trend }));
+    res.json({ success: true, subscription: publicCitizen(citizen), summaries });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/subscribe/unsubscribe  { token }
+ * One click from the link in any message; repeating it is harmless.
+ */
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const citizen = await unsubscribeCitizen(req.body.token);
+    if (!citizen) {
+      return res.status(404).json({ success: false, message: 'This unsubscribe link is not valid' });
+    }
+    res.json({ success: true, subscription: publicCitizen(citizen) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,12 +1,13 @@
-const store = require('../dataStore');
+const { resolveView } = require('../utils/datasetView');
 
 /**
  * GET /api/locations
  */
-exports.getAllLocations = (req, res, next) => {
+exports.getAllLocations = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { search, page = 1, limit = 200 } = req.query;
-    const all = store.getAllLocations(search);
+    const all = view.getAllLocations(search);
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const start = (pageNum - 1) * limitNum;
@@ -30,9 +31,10 @@ exports.getAllLocations = (req, res, next) => {
 /**
  * GET /api/locations/:name
  */
-exports.getLocationByName = (req, res, next) => {
+exports.getLocationByName = async (req, res, next) => {
   try {
-    const location = store.getLocationByName(req.params.name);
+    const view = await resolveView(req, res);
+    const location = view.getLocationByName(req.params.name);
     if (!location) {
       return res.status(404).json({ success: false, message: 'Location not found' });
     }
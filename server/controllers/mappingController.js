@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const store = require('../dataStore');
+const {
+  DEFAULT_PROFILE, FIELD_UNITS, MAPPABLE_FIELDS, REQUIRED_FIELDS, validateProfile,
+} = require('../utils/columnMapping');
+
+const profiles = () => store.getStorage().collection('mappingprofiles');
+
+/**
+ * Look up a mapping profile by id ('default' is built in).
+ * @throws {Error} with status 404 when it does not exist
+ */
+async function getProfile(id) {
+  if (!id || id === DEFAULT_PROFILE.id) return DEFAULT_PROFILE;
+  const profile = await profiles().get(id);
+  if (!profile) {
+    const err = new Error(`Mapping profile not found: ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return profile;
+}
+exports.getProfile = getProfile;
+
+/**
+ * GET /api/mappings
+ * Saved profiles plus the built-in default, and the fields/units a profile can use.
+ */
+exports.listProfiles = async (req, res, next) => {
+  try {
+    const saved = await profiles().list();
+    saved.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({
+      success: true,
+      profiles: [DEFAULT_PROFILE, ...saved],
+      fields: MAPPABLE_FIELDS,
+      requiredFields: REQUIRED_FIELDS,
+      units: Object.fromEntries(
+        Object.entries(FIELD_UNITS).map(([f, u]) => [f, { base: u.base, options: Object.keys(u.factors) }])
+      ),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/mappings/:id
+ */
+exports.getProfileById = async (req, res, next) => {
+  try {
+    const profile = await getProfile(req.params.id);
+    res.json({ success: true, profile });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/mappings
+ */
+exports.createProfile = async (req, res, next) => {
+  try {
+    const problems = validateProfile(req.body);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid mapping profile', errors: problems });
+    }
+    const now = new Date().toISOString();
+    const profile = {
+      id: crypto.randomUUID(),
+      name: req.body.name.trim(),
+      description: req.body.description || '',
+      columns: req.body.columns,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await profiles().put(profile);
+    res.status(201).json({ success: true, profile });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/mappings/:id
+ */
+exports.updateProfile = async (req, res, next) => {
+  try {
+    if (req.params.id === DEFAULT_PROFILE.id) {
+      return res.status(400).json({ success: false, message: 'The built-in default profile cannot be changed' });
+    }
+    const existing = await getProfile(req.params.id);
+    const merged = { ...existing, ...req.body, id: existing.id };
+    const problems = validateProfile(merged);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid mapping profile', errors: problems });
+    }
+    const profile = { ...merged, name: merged.name.trim(), updatedAt: new Date().toISOString() };
+    await profiles().put(profile);
+    res.json({ success: true, profile });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/mappings/:id
+ */
+exports.deleteProfile = async (req, res, next) => {
+  try {
+    if (req.params.id === DEFAULT_PROFILE.id) {
+      return res.status(400).json({ success: false, message: 'The built-in default profile cannot be deleted' });
+    }
+    const removed = await profiles().remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const store = require('../dataStore');
+const {
+  SEVERITIES, DIGEST_MODES, validateSubscription, normalizeSubscription, publicSubscription,
+  listSubscriptions, getSubscription, saveSubscription, removeSubscription,
+} = require('../notifications/subscriptions');
+const {
+  DELIVERY_STATUSES, channelStatus, listDeliveries, getDelivery, publicDelivery, retryWait, retryDelivery, sendTest,
+} = require('../notifications');
+const { citizenStats } = require('../notifications/citizens');
+const { webhookTargetProblems } = require('../notifications/webhook');
+
+/**
+ * Look up a subscription by id.
+ * @throws {Error} with status 404 when it does not exist
+ */
+function findSubscription(id) {
+  const subscription = getSubscription(id);
+  if (!subscription) {
+    const err = new Error(`Subscription not found: ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return subscription;
+}
+
+// Problems with a subscription, including places the live dataset does not
+// know, channels that cannot send and webhooks aimed inside the network
+async function subscriptionProblems(subscription) {
+  const problems = validateSubscription(subscription);
+  if (problems.length) return problems;
+  if (subscription.channel === 'webhook') problems.push(...await webhookTargetProblems(subscription.address.trim()));
+  const channel = channelStatus().find((c) => c.name === subscription.channel);
+  // Staff may subscribe to a simulated channel to try it out; citizens never see one
+  if (!channel.configured && !channel.simulated) {
+    problems.push(`The ${subscription.channel} channel is not configured on this server`);
+  }
+  const locations = store.getAllLocations();
+  for (const name of subscription.locations || []) {
+    const known = locations.some((l) => l.name === name || l.taluka === name || l.district === name);
+    if (!known) problems.push(`Unknown location, taluka or district: ${name}`);
+  }
+  return problems;
+}
+
+function invalid(res, problems) {
+  return res.status(400).json({ success: false, message: 'Invalid subscription', errors: problems });
+}
+
+/**
+ * GET /api/notifications/channels
+ * Which channels this server can send over.
+ */
+exports.getChannels = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      channels: channelStatus(),
+      severities: SEVERITIES,
+      digestModes: DIGEST_MODES,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/notifications/subscriptions?owner=
+ */
+exports.listSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = listSubscriptions({ owner: req.query.owner }).map(publicSubscription);
+    res.json({ success: true, subscriptions, count: subscriptions.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/notifications/subscriptions/:id
+ */
+exports.getSubscriptionById = async (req, res, next) => {
+  try {
+    res.json({ success: true, subscription: publicSubscription(findSubscription(req.params.id)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/notifications/subscriptions
+ * A webhook subscription's signing secret is generated unless given, and is
+ * only ever returned here.
+ */
+exports.createSubscription = async (req, res, next) => {
+  try {
+    const problems = await subscriptionProblems(req.body);
+    if (problems.length) return invalid(res, problems);
+    const now = new Date().toISOString();
+    const { user, ...fields } = req.body;
+    const subscription = normalizeSubscription({
+      ...fields,
+      id: crypto.randomUUID(),
+      owner: req.staff,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await saveSubscription(subscription);
+    res.status(201).json({ success: true, subscription: { ...publicSubscription(subscription), secret: subscription.secret } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/notifications/subscriptions/:id
+ * Send `rotateSecret: true` to replace a webhook's signing secret; the new one
+ * is returned.
+ */
+exports.updateSubscription = async (req, res, next) => {
+  try {
+    const existing = findSubscription(req.params.id);
+    const { rotateSecret, secret, user, ...changes } = req.body || {};
+    const merged = {
+      ...existing, ...changes, id: existing.id, owner: existing.owner, createdAt: existing.createdAt,
+    };
+    if (rotateSecret || merged.channel !== existing.channel) merged.secret = null;
+    const problems = await subscriptionProblems(merged);
+    if (problems.length) return invalid(res, problems);
+    const subscription = normalizeSubscription({ ...merged, updatedAt: new Date().toISOString() });
+    await saveSubscription(subscription);
+    const shown = publicSubscription(subscription);
+    if (subscription.secret && subscription.secret !== existing.secret) shown.secret = subscription.secret;
+    res.json({ success: true, subscription: shown });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/notifications/subscriptions/:id
+ * Deliveries still queued for it fail on their next attempt.
+ */
+exports.deleteSubscription = async (req, res, next) => {
+  try {
+    const subscription = findSubscription(req.params.id);
+    await removeSubscription(subscription.id);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/notifications/subscriptions/:id/test
+ * Send a sample alert now. Answers 502 with the delivery when the attempt
+ * fails (it is retried like any other).
+ */
+exports.testSubscription = async (req, res, next) => {
+  try {
+    const delivery = await sendTest(findSubscription(req.params.id));
+    const sent = delivery.status === 'sent';
+    res.status(sent ? 200 : 502).json({
+      success: sent,
+      ...(!sent && { message: `Test notification failed: ${delivery.lastError}` }),
+      delivery,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/notifications/deliveries?status=&audience=&subscriptionId=&limit=
+ * The outbox, newest first; `audience` is staff or citizen. Citizens'
+ * addresses are masked.
+ */
+exports.listDeliveries = async (req, res, next) => {
+  try {
+    const { status, audience, subscriptionId } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery filter',
+        errors: [`status must be one of ${DELIVERY_STATUSES.join(', ')}`],
+      });
+    }
+    const deliveries = listDeliveries({ status, audience, subscriptionId });
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const byStatus = {};
+    for (const s of DELIVERY_STATUSES) byStatus[s] = deliveries.filter((d) => d.status === s).length;
+    res.json({
+      success: true,
+      byStatus,
+      deliveries: deliveries.slice(0, limit).map(publicDelivery),
+      count: Math.min(deliveries.length, limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/notifications/citizens
+ * Citizen subscriptions by status and followers per location — counts only.
+ */
+exports.getCitizenStats = async (req, res, next) => {
+  try {
+    res.json({ success: true, ...citizenStats() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/notifications/deliveries/:id/retry
+ * Send a pending or failed delivery now — at most once a minute per delivery
+ * (ten minutes for a citizen's) and 30 times an hour per staff member.
+ */
+exports.retryDelivery = async (req, res, next) => {
+  try {
+    const delivery = getDelivery(req.params.id);
+    if (!delivery) {
+      const err = new Error(`Delivery not found: ${req.params.id}`);
+      err.status = 404;
+      throw err;
+    }
+    if (delivery.status === 'sent' || delivery.status === 'batched') {
+      return res.status(400).json({ success: false, message: `Cannot retry a delivery that is ${delivery.status}` });
+    }
+    const wait = retryWait(delivery, req.staff);
+    if (wait) {
+      const seconds = Math.ceil(wait / 1000);
+      res.set('Retry-After', String(seconds));
+      return res.status(429).json({ success: false, message: `Too many retries: try again in ${seconds} s` });
+    }
+    const result = await retryDelivery(delivery, req.staff);
+    res.json({ success: true, delivery: publicDelivery(result) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const store = require('../dataStore');
+const { flushCache } = require('./waterController');
+const { DEFAULT_SCORE_PROFILE, SCORE_METRICS } = require('../utils/waterScore');
+const {
+  ASSIGNMENT_SCOPES, assignmentId, validateScoreProfile, normalizeScoreProfile,
+  listScoreProfiles, getScoreProfile, saveScoreProfile, removeScoreProfile,
+  listAssignments, assignScoreProfile, removeAssignment,
+} = require('../utils/scoreProfiles');
+
+/**
+ * Look up a scoring profile by id ('default' is built in).
+ * @throws {Error} with status 404 when it does not exist
+ */
+function findProfile(id) {
+  const profile = getScoreProfile(id);
+  if (!profile) {
+    const err = new Error(`Scoring profile not found: ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return profile;
+}
+
+/**
+ * Check an assignment target exists in the live dataset.
+ * @throws {Error} with status 400/404
+ */
+function checkTarget(scope, target) {
+  if (!ASSIGNMENT_SCOPES.includes(scope)) {
+    const err = new Error(`scope must be one of ${ASSIGNMENT_SCOPES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  const exists = scope === 'location'
+    ? !!store.getLocationByName(target)
+    : store.getAllLocations().some((l) => l.district === target);
+  if (!exists) {
+    const err = new Error(`Unknown ${scope}: ${target}`);
+    err.status = 404;
+    throw err;
+  }
+}
+
+/**
+ * GET /api/score-profiles
+ * Saved profiles plus the built-in default, current assignments and the metrics a profile can use.
+ */
+exports.listProfiles = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      profiles: listScoreProfiles(),
+      assignments: listAssignments(),
+      metrics: SCORE_METRICS,
+      scopes: ASSIGNMENT_SCOPES,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/score-profiles/:id
+ */
+exports.getProfileById = async (req, res, next) => {
+  try {
+    const profile = findProfile(req.params.id);
+    const assignments = listAssignments().filter((a) => a.profileId === profile.id);
+    res.json({ success: true, profile, assignments });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/score-profiles
+ */
+exports.createProfile = async (req, res, next) => {
+  try {
+    const problems = validateScoreProfile(req.body);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid scoring profile', errors: problems });
+    }
+    const now = new Date().toISOString();
+    const profile = normalizeScoreProfile({
+      id: crypto.randomUUID(),
+      name: req.body.name.trim(),
+      description: req.body.description || '',
+      metrics: req.body.metrics,
+      weights: req.body.weights,
+      thresholds: req.body.thresholds,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await saveScoreProfile(profile);
+    res.status(201).json({ success: true, profile });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/score-profiles/:id
+ */
+exports.updateProfile = async (req, res, next) => {
+  try {
+    if (req.params.id === DEFAULT_SCORE_PROFILE.id) {
+      return res.status(400).json({ success: false, message: 'The built-in default profile cannot be changed' });
+    }
+    const existing = findProfile(req.params.id);
+    const merged = { ...existing, ...req.body, id: existing.id, createdAt: existing.createdAt };
+    const problems = validateScoreProfile(merged);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid scoring profile', errors: problems });
+    }
+    const profile = normalizeScoreProfile({
+      ...merged,
+      name: merged.name.trim(),
+      updatedAt: new Date().toISOString(),
+    });
+    await saveScoreProfile(profile);
+    flushCache();
+    res.json({ success: true, profile });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/score-profiles/:id
+ * Locations and districts that used the profile fall back to the default.
+ */
+exports.deleteProfile = async (req, res, next) => {
+  try {
+    if (req.params.id === DEFAULT_SCORE_PROFILE.id) {
+      return res.status(400).json({ success: false, message: 'The built-in default profile cannot be deleted' });
+    }
+    const removedAssignments = await removeScoreProfile(req.params.id);
+    if (!removedAssignments) {
+      return res.status(404).json({ success: false, message: 'Scoring profile not found' });
+    }
+    flushCache();
+    res.json({ success: true, removedAssignments });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/score-profiles/assignments
+ */
+exports.listAssignments = async (req, res, next) => {
+  try {
+    res.json({ success: true, assignments: listAssignments() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/score-profiles/assignments/:scope/:target
+ * Body: { profileId }
+ */
+exports.assignProfile = async (req, res, next) => {
+  try {
+    const { scope, target } = req.params;
+    checkTarget(scope, target);
+    const profile = findProfile(req.body.profileId);
+    const assignment = await assignScoreProfile(scope, target, profile.id);
+    flushCache();
+    console.log(`⚖️  Scoring profile "${profile.name}" assigned to ${scope} ${target}`);
+    res.json({ success: true, assignment });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/score-profiles/assignments/:scope/:target
+ */
+exports.unassignProfile = async (req, res, next) => {
+  try {
+    const removed = await removeAssignment(assignmentId(req.params.scope, req.params.target));
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Assignment not found' });
+    }
+    flushCache();
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,57 @@
+const store = require('../dataStore');
+const { flushCache } = require('./waterController');
+const { diffVersions } = require('../utils/versionDiff');
+
+/**
+ * GET /api/versions
+ */
+exports.listVersions = async (req, res, next) => {
+  try {
+    const versions = await store.listVersions();
+    res.json({ success: true, versions, current: store.getCurrentVersion(), count: versions.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/versions/diff?from=X&to=Y
+ * `to` defaults to the current version.
+ */
+exports.diffVersions = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ success: false, message: 'Please provide the from query parameter' });
+    }
+    const [fromView, toView] = await Promise.all([store.atVersion(from), store.atVersion(to)]);
+    res.json({ success: true, diff: diffVersions(fromView, toView) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/versions/:version/rollback (staff; recorded with the staff member as uploader)
+ * Body: { note? }
+ */
+exports.rollback = async (req, res, next) => {
+  try {
+    const target = parseInt(req.params.version, 10);
+    if (target === store.getCurrentVersion()) {
+      return res.status(400).json({ success: false, message: `Version ${target} is already current` });
+    }
+    const entry = await store.rollbackTo(req.params.version, {
+      uploader: req.staff,
+      note: req.body.note,
+    });
+    flushCache();
+    res.json({
+      success: true,
+      message: `Rolled back to version ${entry.rollbackOf} (recorded as version ${entry.version})`,
+      version: entry,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,34 +1,69 @@
 const NodeCache = require('node-cache');
+const { calculateWaterScore, explainWaterScore, getStatus } = require('../utils/waterScore');
 const {
-  calculateWaterScore, getStatus,
-  predictFuture,
-} = require('../utils/waterScore');
-const { generateAlerts, generateGovUpdates, generateDistrictAlerts, generateDistrictGovUpdates } = require('../utils/alertEngine');
+  parseForecastModel, listForecastModels, forecast, rollingBacktest, mergeBacktests,
+} = require('../utils/forecasting');
+const { validateScenario, runScenario } = require('../utils/scenario');
+const { ANOMALY_FIELDS, ANOMALY_TYPES, summarizeAnomalies } = require('../utils/anomalyDetection');
+const {
+  SURFACE_METRICS, SURFACE_METHODS, DEFAULT_RESOLUTION, MAX_RESOLUTION, DEFAULT_LEVELS, MAX_LEVELS,
+  interpolateSurface,
+} = require('../utils/spatialInterpolation');
+const { MAX_LAG, analyzeCorrelations } = require('../utils/correlation');
+const { generateAlerts, generateGovUpdates, generateDistrictGovUpdates } = require('../utils/alertEngine');
+const { activeBulletinsFor, bulletinUpdate } = require('../utils/bulletins');
+const {
+  refreshAlerts, listAlerts, groupAlerts, summarizeAlerts,
+} = require('../utils/alertLifecycle');
 const store = require('../dataStore');
+const { resolveView } = require('../utils/datasetView');
+const { parseGranularity } = require('../utils/granularity');
+const {
+  getScoreProfile, validateScoreProfile, normalizeScoreProfile, profileRef,
+} = require('../utils/scoreProfiles');
 
-// Cache with 5-minute TTL
+// Cache with 5-minute TTL — keys carry the dataset version they were computed from
 const cache = new NodeCache({ stdTTL: 300 });
 
 /** Flush all cached responses (call after data mutations like CSV upload) */
 exports.flushCache = () => cache.flushAll();
 
 /**
- * GET /api/water/:location
+ * Rolling backtest of a location's forecasts, shared by the predictions,
+ * backtest and district backtest endpoints: with model=auto it refits every
+ * model (the Holt-Winters grid included) at every origin, so it runs once
+ * per dataset version, location, granularity, model and horizon.
+ */
+function backtestFor(view, location, { granularity, model, horizon }) {
+  const cacheKey = `backtest_${location}_${granularity}_${model}_${horizon}_v${view.version}`;
+  let result = cache.get(cacheKey);
+  if (!result) {
+    result = rollingBacktest(view.getWaterByLocation(location, granularity), { granularity, model, horizon });
+    cache.set(cacheKey, result);
+  }
+  return result;
+}
+
+/**
+ * GET /api/water/:location?granularity=yearly|seasonal|monthly
  */
-exports.getWaterDataByLocation = (req, res, next) => {
+exports.getWaterDataByLocation = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { location } = req.params;
-    const cacheKey = `water_${location}`;
+    const granularity = parseGranularity(req.query.granularity);
+    const cacheKey = `water_${location}_${granularity}_v${view.version}`;
     const cached = cache.get(cacheKey);
     if (cached) return res.json(cached);
 
-    const data = store.getWaterByLocation(location);
+    const data = view.getWaterByLocation(location, granularity);
     if (!data.length) {
-      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+      const suffix = granularity === 'yearly' ? '' : ` (no dated observations for ${granularity} series)`;
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}${suffix}` });
     }
 
-    const enriched = data.map((d) => store.enrichRecord(d));
-    const response = { success: true, data: enriched, count: enriched.length };
+    const enriched = data.map((d) => view.enrichRecord(d));
+    const response = { success: true, granularity, data: enriched, count: enriched.length };
     cache.set(cacheKey, response);
     res.json(response);
   } catch (err) {
@@ -39,14 +74,15 @@ exports.getWaterDataByLocation = (req, res, next) => {
 /**
  * GET /api/water/:location/latest
  */
-exports.getLatestData = (req, res, next) => {
+exports.getLatestData = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { location } = req.params;
-    const data = store.getLatestByLocation(location);
+    const data = view.getLatestByLocation(location);
     if (!data) {
       return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
     }
-    const enriched = store.enrichRecord(data);
+    const enriched = view.enrichRecord(data);
     res.json({ success: true, data: enriched });
   } catch (err) {
     next(err);
@@ -55,18 +91,31 @@ exports.getLatestData = (req, res, next) => {
 
 /**
  * GET /api/water/:location/alerts
- * Now passes full history for trend-based alerts
+ * Tracked alerts of the location and its taluka — active and resolved, with
+ * their state and history. Against an older ?version= the location's alerts
+ * are derived afresh instead (no lifecycle), including trend-based alerts
+ * from the full history.
  */
-exports.getAlerts = (req, res, next) => {
+exports.getAlerts = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { location } = req.params;
-    const latest = store.getLatestByLocation(location);
+    const latest = view.getLatestByLocation(location);
     if (!latest) {
       return res.status(404).json({ success: false, message: 'No data found' });
     }
-    const history = store.getWaterByLocation(location);
-    const alerts = generateAlerts(latest, history);
-    res.json({ success: true, alerts, count: alerts.length });
+    if (view.version !== store.getCurrentVersion()) {
+      const history = view.getWaterByLocation(location);
+      const alerts = generateAlerts({ ...latest, ...view.getDrought(latest) }, history, view.getScoreProfile(location));
+      return res.json({ success: true, tracked: false, alerts, count: alerts.length });
+    }
+    await refreshAlerts(view);
+    const loc = view.getLocationByName(location);
+    const alerts = [
+      ...listAlerts({ scope: 'location', target: location }),
+      ...(loc && loc.taluka ? listAlerts({ scope: 'taluka', target: loc.taluka }) : []),
+    ];
+    res.json({ success: true, tracked: true, alerts, count: alerts.length, summary: summarizeAlerts(alerts) });
   } catch (err) {
     next(err);
   }
@@ -74,18 +123,20 @@ exports.getAlerts = (req, res, next) => {
 
 /**
  * GET /api/water/district-alerts
- * District-wide alerts aggregated from all locations
+ * District-wide alerts aggregated from the stations of each district, tracked
+ * like location alerts
  */
-exports.getDistrictAlerts = (req, res, next) => {
+exports.getDistrictAlerts = async (req, res, next) => {
   try {
-    const cached = cache.get('district-alerts');
-    if (cached) return res.json(cached);
-
-    const overview = store.getOverviewData();
-    const alerts = generateDistrictAlerts(overview);
-    const result = { success: true, alerts, count: alerts.length };
-    cache.set('district-alerts', result);
-    res.json(result);
+    const view = await resolveView(req, res);
+    if (view.version !== store.getCurrentVersion()) {
+      const alerts = [...groupAlerts(view, 'district')]
+        .flatMap(([target, list]) => list.map((alert) => ({ ...alert, scope: 'district', target })));
+      return res.json({ success: true, tracked: false, alerts, count: alerts.length });
+    }
+    await refreshAlerts(view);
+    const alerts = listAlerts({ scope: 'district' });
+    res.json({ success: true, tracked: true, alerts, count: alerts.length, summary: summarizeAlerts(alerts) });
   } catch (err) {
     next(err);
   }
@@ -93,18 +144,21 @@ exports.getDistrictAlerts = (req, res, next) => {
 
 /**
  * GET /api/water/district-gov-updates
- * District-wide government updates (not location-specific)
+ * Active district-wide bulletins, then auto-generated district summaries
+ * (`autoGenerated: true`). Only the summaries are cached: bulletins come and
+ * go with their validity dates.
  */
-exports.getDistrictGovUpdates = (req, res, next) => {
+exports.getDistrictGovUpdates = async (req, res, next) => {
   try {
-    const cached = cache.get('district-gov-updates');
-    if (cached) return res.json(cached);
-
-    const overview = store.getOverviewData();
-    const updates = generateDistrictGovUpdates(overview);
-    const result = { success: true, updates };
-    cache.set('district-gov-updates', result);
-    res.json(result);
+    const view = await resolveView(req, res);
+    const cacheKey = `district-gov-updates_v${view.version}`;
+    let summaries = cache.get(cacheKey);
+    if (!summaries) {
+      summaries = generateDistrictGovUpdates(view.getOverviewData());
+      cache.set(cacheKey, summaries);
+    }
+    const bulletins = activeBulletinsFor(null).map(bulletinUpdate);
+    res.json({ success: true, updates: [...bulletins, ...summaries], bulletinCount: bulletins.length });
   } catch (err) {
     next(err);
   }
@@ -112,39 +166,305 @@ exports.getDistrictGovUpdates = (req, res, next) => {
 
 /**
  * GET /api/water/:location/gov-updates
+ * Active bulletins reaching the location (through its district, taluka or
+ * name), then auto-generated summaries of its latest readings
  */
-exports.getGovUpdates = (req, res, next) => {
+exports.getGovUpdates = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { location } = req.params;
-    const data = store.getWaterByLocation(location);
+    const data = view.getWaterByLocation(location);
     if (!data.length) {
       return res.status(404).json({ success: false, message: 'No data found' });
     }
-    const updates = generateGovUpdates(data);
-    res.json({ success: true, updates });
+    const bulletins = activeBulletinsFor(view.getLocationByName(location)).map(bulletinUpdate);
+    res.json({ success: true, updates: [...bulletins, ...generateGovUpdates(data)], bulletinCount: bulletins.length });
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * GET /api/water/:location/predictions
+ * Validate ?horizon= for backtests (1–12, default 3)
+ * @throws {Error} with status 400
+ */
+function parseHorizon(value) {
+  if (value === undefined || value === '') return 3;
+  const horizon = Number(value);
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > 12) {
+    const err = new Error('horizon must be a whole number from 1 to 12');
+    err.status = 400;
+    throw err;
+  }
+  return horizon;
+}
+
+/**
+ * GET /api/water/:location/predictions?years=3&granularity=yearly|seasonal|monthly&model=auto
+ * `years` is the number of periods to predict at the chosen granularity.
+ * `model` names a forecasting model; `auto` (default) picks the one with the
+ * lowest holdout error. The response reports the model used and its MAE/RMSE.
+ * Confidence levels come from the location's rolling backtest when it has
+ * enough history for one.
  */
-exports.getPredictions = (req, res, next) => {
+exports.getPredictions = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { location } = req.params;
-    const yearsAhead = parseInt(req.query.years) || 3;
-    const data = store.getWaterByLocation(location);
+    const granularity = parseGranularity(req.query.granularity);
+    const model = parseForecastModel(req.query.model);
+    const periodsAhead = parseInt(req.query.years) || 3;
+    const cacheKey = `predictions_${location}_${granularity}_${model}_${periodsAhead}_v${view.version}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return res.json(cached);
+    const data = view.getWaterByLocation(location, granularity);
 
     if (data.length < 2) {
+      const unit = granularity === 'yearly' ? 'years' : granularity === 'seasonal' ? 'seasonal readings' : 'months';
       return res.status(400).json({
         success: false,
-        message: 'Need at least 2 years of data for predictions',
+        message: `Need at least 2 ${unit} of data for predictions`,
       });
     }
 
-    const predictions = predictFuture(data, yearsAhead);
-    res.json({ success: true, predictions, basedOn: data.length });
+    const evaluation = backtestFor(view, location, { granularity, model, horizon: Math.min(periodsAhead, 12) });
+    const result = forecast(data, {
+      periodsAhead, granularity, model, accuracy: evaluation.origins ? evaluation.metrics : null,
+    });
+    const response = {
+      success: true,
+      granularity,
+      requestedModel: model,
+      model: result.model,
+      backtest: result.models.groundwaterLevel.backtest,
+      models: result.models,
+      availableModels: listForecastModels(),
+      reliability: evaluation.reliability,
+      confidenceBasis: result.confidenceBasis,
+      predictions: result.predictions,
+      basedOn: data.length,
+    };
+    cache.set(cacheKey, response);
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/water/:location/backtest?granularity=&model=auto&horizon=3
+ * Rolling-origin evaluation of the forecasts: from every point in the history,
+ * forecast up to `horizon` periods using only earlier readings and compare with
+ * what was observed. Reports MAE, MAPE (%) and 95%-band coverage (%) per metric
+ * and horizon, and a reliability rating.
+ */
+exports.getBacktest = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location } = req.params;
+    const granularity = parseGranularity(req.query.granularity);
+    const model = parseForecastModel(req.query.model);
+    const horizon = parseHorizon(req.query.horizon);
+    const data = view.getWaterByLocation(location, granularity);
+    if (!data.length) {
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+    }
+
+    const { origins, metrics, reliability } = backtestFor(view, location, { granularity, model, horizon });
+    res.json({
+      success: true,
+      location,
+      district: view.getLocationByName(location)?.district || null,
+      granularity,
+      model,
+      horizon,
+      basedOn: data.length,
+      origins,
+      metrics,
+      reliability,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/water/backtest/district?district=&granularity=&model=auto&horizon=3
+ * District-wide forecast accuracy: every location's rolling backtest pooled per
+ * district (one district with ?district=), with each location's one-step
+ * water-level error so the weak spots stand out.
+ */
+exports.getDistrictBacktest = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const granularity = parseGranularity(req.query.granularity);
+    const model = parseForecastModel(req.query.model);
+    const horizon = parseHorizon(req.query.horizon);
+    const only = req.query.district;
+    const cacheKey = `backtest_district_${only || '*'}_${granularity}_${model}_${horizon}_v${view.version}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const groups = new Map();
+    for (const loc of view.getAllLocations()) {
+      const district = loc.district || 'Unknown';
+      if (only && district !== only) continue;
+      if (!groups.has(district)) groups.set(district, []);
+      groups.get(district).push(loc.name);
+    }
+    if (only && !groups.size) {
+      return res.status(404).json({ success: false, message: `No data found for district: ${only}` });
+    }
+
+    const districts = [...groups].map(([district, names]) => {
+      const tested = [];
+      for (const name of names) {
+        const result = backtestFor(view, name, { granularity, model, horizon });
+        if (result.origins) tested.push({ name, result });
+      }
+      const pooled = mergeBacktests(tested.map((t) => t.result), horizon);
+      return {
+        district,
+        locationCount: names.length,
+        locationsTested: tested.length,
+        ...pooled,
+        locations: tested
+          .map(({ name, result }) => ({
+            location: name,
+            origins: result.origins,
+            rating: result.reliability.rating,
+            waterLevelMape: result.metrics.groundwaterLevel.byHorizon[0]?.mape ?? null,
+          }))
+          .sort((a, b) => (b.waterLevelMape ?? -1) - (a.waterLevelMape ?? -1)),
+      };
+    });
+
+    const response = { success: true, granularity, model, horizon, districts };
+    cache.set(cacheKey, response);
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/water/:location/scenario
+ * Body: { adjustments: { agriculturalUsage?, industrialUsage?, householdUsage?, rainfall? }
+ *         (% change; rainfall relative to the location's normal), years?, durationYears?, model? }
+ * Projects water level, depletion rate, score and status year by year under the
+ * adjustments, beside the baseline forecast.
+ */
+exports.runScenario = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location } = req.params;
+    const problems = validateScenario(req.body);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid scenario', errors: problems });
+    }
+    const model = parseForecastModel(req.body.model);
+    const history = view.getWaterByLocation(location);
+    const loc = view.getLocationByName(location);
+    if (!history.length || !loc) {
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+    }
+
+    const profile = view.getScoreProfile(location);
+    const result = runScenario(history, loc, profile, { ...req.body, model });
+    res.json({
+      success: true,
+      location,
+      district: loc.district,
+      scoreProfile: profileRef(profile),
+      basedOn: history.length,
+      ...result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/water/:location/score-breakdown?year=
+ * Each score component's raw value, sub-score, weight and contribution for a
+ * year (latest by default), with the change since the previous year on record.
+ */
+exports.getScoreBreakdown = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location } = req.params;
+    const records = view.getWaterByLocation(location);
+    if (!records.length) {
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year, 10) : records[records.length - 1].year;
+    const at = records.findIndex((r) => r.year === year);
+    if (at === -1) {
+      return res.status(404).json({ success: false, message: `No ${year} record for location: ${location}` });
+    }
+
+    const profile = view.getScoreProfile(location);
+    const breakdown = explainWaterScore(records[at], profile, at > 0 ? records[at - 1] : null);
+    res.json({
+      success: true,
+      location,
+      year,
+      scoreProfile: profileRef(profile),
+      status: getStatus(breakdown.waterScore),
+      ...breakdown,
+      scoreChange: breakdown.previous ? breakdown.waterScore - breakdown.previous.waterScore : null,
+      isSynthetic: !!records[at].isSynthetic,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/water/:location/what-if?granularity=yearly|seasonal|monthly
+ * Re-score a location's series under another profile without saving anything.
+ * Body: { profile: { metrics, weights, thresholds } } or { profileId }
+ */
+exports.getWhatIfScores = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location } = req.params;
+    const data = view.getWaterByLocation(location, parseGranularity(req.query.granularity));
+    if (!data.length) {
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+    }
+
+    let profile;
+    if (req.body.profileId) {
+      profile = getScoreProfile(req.body.profileId);
+      if (!profile) {
+        return res.status(404).json({ success: false, message: `Scoring profile not found: ${req.body.profileId}` });
+      }
+    } else {
+      const problems = validateScoreProfile(req.body.profile, { requireName: false });
+      if (problems.length) {
+        return res.status(400).json({ success: false, message: 'Invalid scoring profile', errors: problems });
+      }
+      profile = normalizeScoreProfile({ id: null, name: 'What-if', ...req.body.profile });
+    }
+
+    const baseline = view.getScoreProfile(location);
+    const scores = data.map((d) => {
+      const score = calculateWaterScore(d, profile);
+      const baseScore = calculateWaterScore(d, baseline);
+      return {
+        year: d.year,
+        ...(d.period ? { period: d.period } : {}),
+        waterScore: score,
+        status: getStatus(score),
+        baselineScore: baseScore,
+        baselineStatus: getStatus(baseScore),
+        change: score - baseScore,
+      };
+    });
+
+    res.json({ success: true, location, profile, baselineProfile: profileRef(baseline), scores });
   } catch (err) {
     next(err);
   }
@@ -153,10 +473,11 @@ exports.getPredictions = (req, res, next) => {
 /**
  * GET /api/water/:location/summary
  */
-exports.getLocationSummary = (req, res, next) => {
+exports.getLocationSummary = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { location } = req.params;
-    const summary = store.getLocationSummary(location);
+    const summary = view.getLocationSummary(location);
     if (!summary) {
       return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
     }
@@ -167,23 +488,227 @@ exports.getLocationSummary = (req, res, next) => {
 };
 
 /**
- * GET /api/water/:location/yearly-changes
+ * GET /api/water/:location/yearly-changes?granularity=yearly|seasonal|monthly
  */
-exports.getYearlyChanges = (req, res, next) => {
+exports.getYearlyChanges = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { location } = req.params;
-    const changes = store.getYearlyChanges(location);
+    const changes = view.getYearlyChanges(location, parseGranularity(req.query.granularity));
     res.json({ success: true, changes, count: changes.length });
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * GET /api/water/:location/spi?granularity=yearly|seasonal|monthly
+ * Standardized Precipitation Index for every period, with the rainfall
+ * climatologies (gamma fits) the periods were compared against
+ */
+exports.getSpi = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location } = req.params;
+    const granularity = parseGranularity(req.query.granularity);
+    const cacheKey = `spi_${location}_${granularity}_v${view.version}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const result = view.getSpiSeries(location, granularity);
+    if (!result) {
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+    }
+    const latest = result.series[result.series.length - 1];
+    const response = {
+      success: true,
+      location,
+      granularity,
+      latest,
+      climatologies: result.climatologies,
+      data: result.series,
+      count: result.series.length,
+    };
+    cache.set(cacheKey, response);
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Validate anomaly filters from the query string
+function anomalyFilter(query) {
+  const filter = {};
+  if (query.type) {
+    if (!ANOMALY_TYPES.includes(query.type)) {
+      const err = new Error(`type must be one of ${ANOMALY_TYPES.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    filter.type = query.type;
+  }
+  if (query.field) {
+    if (!ANOMALY_FIELDS[query.field]) {
+      const err = new Error(`field must be one of ${Object.keys(ANOMALY_FIELDS).join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    filter.field = query.field;
+  }
+  if (query.severity) filter.severity = query.severity;
+  if (query.year) filter.year = query.year;
+  return filter;
+}
+
+/**
+ * GET /api/water/anomalies?type=&field=&severity=&year=&limit=
+ * Anomalous readings across all locations, newest first
+ */
+exports.getAnomalies = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const filter = anomalyFilter(req.query);
+    const anomalies = await view.getAnomalies(filter);
+    const limit = parseInt(req.query.limit, 10) || 200;
+    res.json({
+      success: true,
+      summary: summarizeAnomalies(anomalies),
+      anomalies: anomalies.slice(0, limit),
+      count: Math.min(anomalies.length, limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/water/:location/anomalies?type=&field=&granularity=
+ * Anomalous readings of one location; `granularity` keeps those flagged in
+ * that series (yearly jumps and spatial, or seasonal/monthly residuals)
+ */
+exports.getLocationAnomalies = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location } = req.params;
+    if (!view.getLatestByLocation(location)) {
+      return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+    }
+    let anomalies = await view.getAnomalies({ ...anomalyFilter(req.query), location });
+    if (req.query.granularity) {
+      const granularity = parseGranularity(req.query.granularity);
+      anomalies = anomalies.filter((a) => a.granularity === granularity);
+    }
+    res.json({ success: true, location, summary: summarizeAnomalies(anomalies), anomalies, count: anomalies.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/water/surface?metric=groundwaterLevel|waterScore|depletionRate&method=idw|kriging&resolution=&levels=
+ * Interpolated surface of a metric over the district from each station's
+ * latest reading, contoured into GeoJSON polygons for the map
+ */
+exports.getSurface = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const metric = req.query.metric || 'groundwaterLevel';
+    const method = req.query.method || 'idw';
+    const resolution = req.query.resolution ? parseInt(req.query.resolution, 10) : DEFAULT_RESOLUTION;
+    const levels = req.query.levels ? parseInt(req.query.levels, 10) : DEFAULT_LEVELS;
+    const errors = [];
+    if (!SURFACE_METRICS[metric]) errors.push(`metric must be one of ${Object.keys(SURFACE_METRICS).join(', ')}`);
+    if (!SURFACE_METHODS.includes(method)) errors.push(`method must be one of ${SURFACE_METHODS.join(', ')}`);
+    if (!(resolution >= 10 && resolution <= MAX_RESOLUTION)) errors.push(`resolution must be from 10 to ${MAX_RESOLUTION}`);
+    if (!(levels >= 2 && levels <= MAX_LEVELS)) errors.push(`levels must be from 2 to ${MAX_LEVELS}`);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid surface request', errors });
+    }
+
+    const cacheKey = `surface_${metric}_${method}_${resolution}_${levels}_v${view.version}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const stations = view.getOverviewData().map((d) => ({
+      lat: d.coordinates.latitude,
+      lng: d.coordinates.longitude,
+      value: d[metric],
+    }));
+    const surface = interpolateSurface(stations, { method, resolution, levels });
+    const response = { success: true, metric: { key: metric, ...SURFACE_METRICS[metric] }, ...surface };
+    cache.set(cacheKey, response);
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/water/analysis/correlations?location=|district=&granularity=&maxLag=
+ * Pearson and Spearman correlations, with significance, between rainfall,
+ * each usage category, depletion and water level — for one location, one
+ * district's locations pooled, or every location. Also returns lagged
+ * correlations of each driver against later water levels and the points
+ * behind them for scatter plots. Synthetic records are left out.
+ */
+exports.getCorrelations = async (req, res, next) => {
+  try {
+    const view = await resolveView(req, res);
+    const { location, district } = req.query;
+    const granularity = parseGranularity(req.query.granularity);
+    const maxLag = req.query.maxLag !== undefined ? parseInt(req.query.maxLag, 10) : MAX_LAG;
+    const errors = [];
+    if (location && district) errors.push('Give either location or district, not both');
+    if (!(maxLag >= 0 && maxLag <= 5)) errors.push('maxLag must be from 0 to 5');
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid correlation request', errors });
+    }
+
+    const cacheKey = `correlations_${location || ''}_${district || ''}_${granularity}_${maxLag}_v${view.version}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    let scope;
+    let members;
+    if (location) {
+      const loc = view.getLocationByName(location);
+      if (!loc) return res.status(404).json({ success: false, message: `No data found for location: ${location}` });
+      scope = { type: 'location', name: location, district: loc.district || null };
+      members = [loc];
+    } else if (district) {
+      members = view.getAllLocations().filter((l) => (l.district || '').toLowerCase() === district.toLowerCase());
+      if (!members.length) return res.status(404).json({ success: false, message: `No locations found in district: ${district}` });
+      scope = { type: 'district', name: members[0].district };
+    } else {
+      members = view.getAllLocations();
+      scope = { type: 'all', name: 'All locations' };
+    }
+
+    const seriesList = members
+      .map((l) => view.getWaterByLocation(l.name, granularity).filter((r) => !r.isSynthetic))
+      .filter((series) => series.length);
+    const analysis = analyzeCorrelations(seriesList, { maxLag });
+    const keys = analysis.variables.map((v) => v.key);
+    const points = seriesList.flat().slice(-2000).map((r) => {
+      const point = { location: r.location, period: r.period || String(r.year) };
+      for (const key of keys) point[key] = typeof r[key] === 'number' ? r[key] : null;
+      return point;
+    });
+
+    const response = { success: true, scope, granularity, ...analysis, points };
+    cache.set(cacheKey, response);
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * GET /api/water/compare?loc1=X&loc2=Y
  */
-exports.compareLocations = (req, res, next) => {
+exports.compareLocations = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { loc1, loc2 } = req.query;
     if (!loc1 || !loc2) {
       return res.status(400).json({
@@ -192,19 +717,23 @@ exports.compareLocations = (req, res, next) => {
       });
     }
 
-    const data1 = store.getWaterByLocation(loc1);
-    const data2 = store.getWaterByLocation(loc2);
+    const data1 = view.getWaterByLocation(loc1);
+    const data2 = view.getWaterByLocation(loc2);
 
-    const enrich = (arr) => arr.map((d) => {
-      const score = calculateWaterScore(d);
+    const enrich = (arr, profile) => arr.map((d) => {
+      const score = calculateWaterScore(d, profile);
       return { ...d, waterScore: score, status: getStatus(score) };
     });
+    const side = (name, data) => {
+      const profile = view.getScoreProfile(name);
+      return { name, scoreProfile: profileRef(profile), data: enrich(data, profile) };
+    };
 
     res.json({
       success: true,
       comparison: {
-        location1: { name: loc1, data: enrich(data1) },
-        location2: { name: loc2, data: enrich(data2) },
+        location1: side(loc1, data1),
+        location2: side(loc2, data2),
       },
     });
   } catch (err) {
@@ -215,13 +744,14 @@ exports.compareLocations = (req, res, next) => {
 /**
  * GET /api/water/overview/all
  */
-exports.getAllOverview = (req, res, next) => {
+exports.getAllOverview = async (req, res, next) => {
   try {
-    const cacheKey = 'all_overview';
+    const view = await resolveView(req, res);
+    const cacheKey = `all_overview_v${view.version}`;
     const cached = cache.get(cacheKey);
     if (cached) return res.json(cached);
 
-    const overview = store.getOverviewData();
+    const overview = view.getOverviewData();
     const response = { success: true, data: overview, count: overview.length };
     cache.set(cacheKey, response);
     res.json(response);
@@ -233,9 +763,10 @@ exports.getAllOverview = (req, res, next) => {
 /**
  * GET /api/water/stats/district
  */
-exports.getDistrictStats = (req, res, next) => {
+exports.getDistrictStats = async (req, res, next) => {
   try {
-    const stats = store.getEnhancedDistrictStats();
+    const view = await resolveView(req, res);
+    const stats = view.getEnhancedDistrictStats();
     res.json({ success: true, stats });
   } catch (err) {
     next(err);
@@ -245,13 +776,14 @@ exports.getDistrictStats = (req, res, next) => {
 /**
  * GET /api/water/rankings
  */
-exports.getRankings = (req, res, next) => {
+exports.getRankings = async (req, res, next) => {
   try {
-    const cacheKey = 'rankings';
+    const view = await resolveView(req, res);
+    const cacheKey = `rankings_v${view.version}`;
     const cached = cache.get(cacheKey);
     if (cached) return res.json(cached);
 
-    const rankings = store.getRankings();
+    const rankings = view.getRankings();
     const response = { success: true, rankings, count: rankings.length };
     cache.set(cacheKey, response);
     res.json(response);
@@ -263,10 +795,11 @@ exports.getRankings = (req, res, next) => {
 /**
  * GET /api/water/search-suggestions?q=...
  */
-exports.getSearchSuggestions = (req, res, next) => {
+exports.getSearchSuggestions = async (req, res, next) => {
   try {
+    const view = await resolveView(req, res);
     const { q } = req.query;
-    const suggestions = store.getSearchSuggestions(q || '');
+    const suggestions = view.getSearchSuggestions(q || '');
     res.json({ success: true, suggestions });
   } catch (err) {
     next(err);
@@ -276,13 +809,14 @@ exports.getSearchSuggestions = (req, res, next) => {
 /**
  * GET /api/water/heatmap-data
  */
-exports.getHeatmapData = (req, res, next) => {
+exports.getHeatmapData = async (req, res, next) => {
   try {
-    const cacheKey = 'heatmap_data';
+    const view = await resolveView(req, res);
+    const cacheKey = `heatmap_data_v${view.version}`;
     const cached = cache.get(cacheKey);
     if (cached) return res.json(cached);
 
-    const data = store.getHeatmapData();
+    const data = view.getHeatmapData();
     const response = { success: true, data, count: data.length };
     cache.set(cacheKey, response);
     res.json(response);
@@ -1,13 +1,26 @@
 /**
- * In-Memory Data Store
- * Loads CSV data at startup — no MongoDB needed.
+ * Data Store
+ * Serves all queries from an in-memory working set. Persistence is delegated
+ * to a storage adapter (see storage/) — in-memory by default, MongoDB when
+ * STORAGE_DRIVER=mongo so uploads survive restarts and instances share data.
  */
 const path = require('path');
 const { parseCSV } = require('./utils/csvParser');
+const { createStorage } = require('./storage');
+const { buildIndex, updateIndex } = require('./utils/datasetIndex');
+const { recordKey, seriesFor, isObservation, DEFAULT_GRANULARITY } = require('./utils/granularity');
 const {
   calculateWaterScore, getStatus, getStatusColor,
   calculateWQI, calculateDepletionIndex, calculateSustainabilityScore,
 } = require('./utils/waterScore');
+const { loadScoreProfiles, resolveScoreProfile, profileRef } = require('./utils/scoreProfiles');
+const { loadAssessmentConfig } = require('./utils/groundwaterAssessment');
+const { loadAlerts } = require('./utils/alertLifecycle');
+const { loadAlertRules } = require('./utils/alertRules');
+const { loadNotifications } = require('./notifications');
+const { loadBulletins } = require('./utils/bulletins');
+const { fitClimatology, computeSpi, classifySpi } = require('./utils/droughtIndex');
+const { detectAnomalies } = require('./utils/anomalyDetection');
 
 // Fallback coordinates (Nashik city center) when CSV has no lat/lng
 function generateCoordinates(locationName) {
@@ -24,27 +37,168 @@ function generateCoordinates(locationName) {
   };
 }
 
-// Enrich a record with computed fields
-function enrichRecord(d) {
-  const score = calculateWaterScore(d);
+/**
+ * Scoring profile assigned to a location (directly or through its district)
+ * @param {string} name - Location name
+ * @param {Map} [locationByName] - Location lookup of the view being queried
+ */
+function scoreProfileFor(name, locationByName = index.locationByName) {
+  const loc = locationByName.get(name);
+  return resolveScoreProfile(name, loc && loc.district);
+}
+
+// ====== DROUGHT INDEX (SPI) ======
+// Fitted rainfall climatologies per dataset index, filled on first use
+const climatologyCache = new WeakMap();
+
+// Which part of the year a series entry covers: its month, its season, or the whole year
+function subPeriodOf(d) {
+  if (d.granularity === 'monthly') return d.month;
+  if (d.granularity === 'seasonal') return d.season;
+  return 'year';
+}
+
+function rainfallSamples(idx, name, granularity, sub) {
+  const series = granularity === 'yearly'
+    ? idx.byLocation.get(name) || []
+    : seriesFor(idx.records.get(name) || [], granularity);
+  return series.filter((e) => subPeriodOf(e) === sub).map((e) => e.rainfall);
+}
+
+/**
+ * Rainfall climatology a location's SPI is computed against: its own record
+ * of the same period in other years. Other stations' rainfall is never pooled
+ * in, so a location with fewer than MIN_SPI_SAMPLES readings has no SPI.
+ * @returns {Object|null} fitted climatology with `basis: 'location'`
+ */
+function climatologyFor(name, granularity, sub, idx = index) {
+  let cache = climatologyCache.get(idx);
+  if (!cache) {
+    cache = new Map();
+    climatologyCache.set(idx, cache);
+  }
+  const key = `${name}|${granularity}|${sub}`;
+  if (!cache.has(key)) {
+    const own = fitClimatology(rainfallSamples(idx, name, granularity, sub));
+    cache.set(key, own && { basis: 'location', ...own });
+  }
+  return cache.get(key);
+}
+
+/**
+ * SPI of a series entry (yearly, seasonal or monthly) — all fields null when
+ * there is no climatology to compare against
+ * @param {Object} d - Series entry
+ * @param {Object} [idx] - Index of the view being queried
+ */
+function droughtFor(d, idx = index) {
+  const none = { spi: null, spiClass: null, droughtCategory: null, spiBasis: null };
+  // Raw dated observations are not a period total — only series entries are comparable
+  if (isObservation(d) && !d.granularity) return none;
+  const climatology = climatologyFor(d.location, d.granularity || DEFAULT_GRANULARITY, subPeriodOf(d), idx);
+  if (!climatology) return none;
+  const spi = computeSpi(d.rainfall, climatology);
+  return { spi, ...classifySpi(spi), spiBasis: climatology.basis };
+}
+
+// ====== ANOMALIES ======
+// Detected anomalies per dataset index — started in the background when a
+// dataset is loaded or ingested, so requests only wait for what is unfinished
+const anomalyCache = new WeakMap();
+
+function anomaliesFor(idx = index) {
+  if (!anomalyCache.has(idx)) {
+    const pending = detectAnomalies(idx);
+    anomalyCache.set(idx, pending);
+    pending.catch(() => anomalyCache.delete(idx));
+  }
+  return anomalyCache.get(idx);
+}
+
+/**
+ * Enrich a record with computed fields. Views pass the scoring profile and
+ * SPI of their own dataset version (see view.enrichRecord).
+ */
+function enrichRecord(d, profile, drought) {
+  const score = calculateWaterScore(d, profile);
   return {
     ...d,
     waterScore: score,
     status: getStatus(score),
     statusColor: getStatusColor(score),
+    scoreProfile: profileRef(profile),
     wqi: calculateWQI(d.ph),
     depletionIndex: calculateDepletionIndex(d.depletionRate),
     sustainabilityScore: calculateSustainabilityScore(d),
+    ...drought,
   };
 }
 
 // ====== DATA ARRAYS ======
 let waterData = [];   // Array of water records (from CSV)
-let locations = [];    // Array of { name, latitude, longitude, district, state }
+let locations = [];    // Array of { name, latitude, longitude, taluka, district, state }
+let index = buildIndex(waterData, locations); // Secondary indexes for queries
+let current = createView(waterData, locations, 0, index); // Query view over the live dataset
+let recordIndex = new Map(); // recordKey → position in waterData, for O(1) upserts
+
+// Opt-in: expand single-year locations into synthetic 2016–2021 history
+const SYNTHETIC_HISTORY = process.env.SYNTHETIC_HISTORY === 'true';
+
+// ====== PERSISTENCE ======
+let storage = null;    // Storage adapter (memory | mongo)
+let revision = 0;      // Adapter revision the working set was loaded from
+let lastSyncAt = 0;
+const SYNC_INTERVAL_MS = parseInt(process.env.STORE_SYNC_INTERVAL_MS, 10) || 5000;
+let writeChain = Promise.resolve(); // Tail of the dataset write lock
+
+/**
+ * Run a dataset write (upload, rollback, reload from storage) once every
+ * earlier one has settled, so two writes never interleave around their awaits.
+ * @param {Function} task - async () => result
+ * @returns {Promise} the task's result
+ */
+function exclusive(task) {
+  const run = writeChain.then(task, task);
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+// Versions whose full snapshot is kept (0 keeps all); older ones keep only their metadata
+const retentionSetting = parseInt(process.env.VERSION_RETENTION, 10);
+const VERSION_RETENTION = retentionSetting >= 0 ? retentionSetting : 20;
+
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+/**
+ * Swap the storage adapter (e.g. a Mongo adapter pointed at a test database).
+ * Call before loadData().
+ */
+function setStorage(adapter) {
+  storage = adapter;
+  revision = 0;
+  lastSyncAt = 0;
+}
+
+function buildLocation(row) {
+  const coords = (row.latitude && row.longitude)
+    ? { latitude: row.latitude, longitude: row.longitude }
+    : generateCoordinates(row.location);
+  return {
+    name: row.location,
+    ...coords,
+    taluka: row.taluka || null,
+    district: 'Nashik',
+    state: 'Maharashtra',
+  };
+}
 
 /**
  * Generate multi-year data from a single row.
  * Creates records for 2016–2021 with realistic variations.
+ * Only the base row is a measurement — every other record is marked isSynthetic.
  */
 function generateMultiYearData(baseRow) {
   const years = [2016, 2017, 2018, 2019, 2020, 2021];
@@ -58,7 +212,7 @@ function generateMultiYearData(baseRow) {
 
   for (const year of years) {
     if (year === baseRow.year) {
-      records.push({ ...baseRow });
+      records.push({ ...baseRow, isSynthetic: false });
     } else {
       // Generate variation based on year offset from base
       const offset = year - baseRow.year;
@@ -100,449 +254,866 @@ function generateMultiYearData(baseRow) {
         ph: newPh,
         groundwaterLevel: newLevel,
         lastUpdated: new Date(),
+        isSynthetic: true,
       });
     }
   }
   return records;
 }
 
+// Works in both local dev and Vercel serverless
+// __dirname is more reliable than process.cwd() in serverless environments
+const BUNDLED_CSV = path.resolve(__dirname, '..', 'new_nsk_gwater.csv');
+
 /**
- * Load CSV data into memory
+ * Build the dataset from a CSV (the bundled one by default)
+ * @param {string} [csvPath]
+ * @param {Object} [options]
+ * @param {boolean} [options.syntheticHistory] - Expand single-year locations (SYNTHETIC_HISTORY by default)
  */
-async function loadData() {
-  // Works in both local dev and Vercel serverless
-  // __dirname is more reliable than process.cwd() in serverless environments
-  const csvPath = path.resolve(__dirname, '..', 'new_nsk_gwater.csv');
-  try {
-    const rows = await parseCSV(csvPath);
-    console.log(`📄 Parsed ${rows.length} CSV rows from new_nsk_gwater.csv`);
-
-    // Since each location only has 1 year, generate multi-year data (2016-2021)
-    waterData = [];
-    for (const row of rows) {
-      const multiYear = generateMultiYearData(row);
-      waterData.push(...multiYear);
+async function buildDatasetFromCSV(csvPath = BUNDLED_CSV, { syntheticHistory = SYNTHETIC_HISTORY } = {}) {
+  const rows = await parseCSV(csvPath);
+  console.log(`📄 Parsed ${rows.length} CSV rows from ${path.basename(csvPath)}`);
+
+  // Group by location to see whether the file already carries a time series
+  const byLocation = new Map();
+  for (const row of rows) {
+    if (!byLocation.has(row.location)) byLocation.set(row.location, []);
+    byLocation.get(row.location).push(row);
+  }
+  const multiYear = [...byLocation.values()].filter((g) => new Set(g.map((r) => r.year)).size > 1).length;
+  console.log(`📅 ${multiYear} of ${byLocation.size} locations have multi-year history in the CSV`);
+
+  const records = [];
+  let synthetic = 0;
+  for (const group of byLocation.values()) {
+    // Real series are used as-is; synthesis only fills single-year locations when opted in
+    if (syntheticHistory && group.length === 1) {
+      const expanded = generateMultiYearData(group[0]);
+      synthetic += expanded.filter((r) => r.isSynthetic).length;
+      records.push(...expanded);
+    } else {
+      records.push(...group.map((r) => ({ ...r, isSynthetic: false })));
     }
-    console.log(`📊 Generated ${waterData.length} water records (6 years per location)`);
-
-    // Extract unique locations — use real lat/lng from CSV when available
-    const seen = new Set();
-    locations = [];
-    for (const r of rows) {
-      if (!seen.has(r.location)) {
-        seen.add(r.location);
-        const coords = (r.latitude && r.longitude)
-          ? { latitude: r.latitude, longitude: r.longitude }
-          : generateCoordinates(r.location);
-        locations.push({
-          name: r.location,
-          ...coords,
-          district: 'Nashik',
-          state: 'Maharashtra',
-        });
-      }
+  }
+  if (synthetic) {
+    console.log(`🧪 SYNTHETIC_HISTORY on: generated ${synthetic} synthetic records (flagged isSynthetic)`);
+  }
+  console.log(`📊 Loaded ${records.length} water records`);
+
+  // Extract unique locations — use real lat/lng from CSV when available
+  const seen = new Set();
+  const locs = [];
+  for (const r of rows) {
+    if (!seen.has(r.location)) {
+      seen.add(r.location);
+      locs.push(buildLocation(r));
     }
-    console.log(`📍 Found ${locations.length} unique locations`);
-  } catch (err) {
-    console.error('❌ Failed to load CSV:', err.message);
   }
+  return { waterData: records, locations: locs };
 }
 
 /**
- * Add more water data rows (from CSV upload)
+ * Replace the working set with the adapter's current dataset
+ * @param {Object} [firstVersion] - Metadata for the version recorded when storage has none yet
  */
-function addWaterData(rows) {
-  for (const row of rows) {
-    // Remove existing record with same location+year
-    waterData = waterData.filter(
-      (d) => !(d.location === row.location && d.year === row.year)
-    );
-    waterData.push(row);
-
-    // Add location if new — use real coordinates from CSV if available
-    if (!locations.find((l) => l.name === row.location)) {
-      const coords = (row.latitude && row.longitude)
-        ? { latitude: row.latitude, longitude: row.longitude }
-        : generateCoordinates(row.location);
-      locations.push({
-        name: row.location,
-        ...coords,
-        district: 'Nashik',
-        state: 'Maharashtra',
-      });
-    }
+async function hydrate(firstVersion) {
+  const adapter = getStorage();
+  const dataset = await adapter.loadDataset();
+  const versions = await adapter.listVersions();
+  setDataset(dataset);
+  revision = await adapter.getRevision();
+  lastSyncAt = Date.now();
+
+  // Freshly seeded storage, or storage written before versioning existed:
+  // record what it holds as the first version
+  if (!versions.length) {
+    await recordVersion(firstVersion || { source: 'baseline', note: 'Dataset present before versioning was enabled' });
+  } else {
+    setCurrent(versions[versions.length - 1].version);
   }
 }
 
-// ====== QUERY FUNCTIONS ======
-
-function getWaterByLocation(locationName) {
-  return waterData
-    .filter((d) => d.location === locationName)
-    .sort((a, b) => a.year - b.year);
+/**
+ * Replace the working set wholesale and rebuild the upsert and query indexes
+ */
+function setDataset(dataset) {
+  waterData = dataset.waterData;
+  locations = dataset.locations;
+  recordIndex = new Map(waterData.map((r, i) => [recordKey(r), i]));
+  index = buildIndex(waterData, locations);
 }
 
-function getLatestByLocation(locationName) {
-  const records = getWaterByLocation(locationName);
-  return records.length ? records[records.length - 1] : null;
+function setCurrent(version) {
+  current = createView(waterData, locations, version, index);
+  if (!anomalyCache.has(index)) {
+    anomaliesFor(index)
+      .then(({ all }) => {
+        if (all.length) console.log(`🔎 ${all.length} anomalous readings flagged (dataset v${version})`);
+      })
+      .catch((err) => console.error('❌ Anomaly detection failed:', err.message));
+  }
 }
 
-function getAllLocations(search) {
-  let result = [...locations].sort((a, b) => a.name.localeCompare(b.name));
-  if (search) {
-    const lower = search.toLowerCase();
-    result = result.filter((l) => l.name.toLowerCase().includes(lower));
+/**
+ * Snapshot the working set as a new dataset version
+ * @param {Object} meta - { source, uploader, filename, mapping, rowCounts, note, rollbackOf }
+ */
+async function recordVersion(meta) {
+  const adapter = getStorage();
+  const version = await adapter.nextVersion();
+  const entry = {
+    version,
+    createdAt: new Date().toISOString(),
+    uploader: meta.uploader || 'system',
+    filename: meta.filename || null,
+    mapping: meta.mapping || null,
+    source: meta.source || 'upload',
+    rowCounts: meta.rowCounts || null,
+    recordCount: waterData.length,
+    locationCount: locations.length,
+    rollbackOf: meta.rollbackOf || null,
+    note: meta.note || null,
+  };
+  await adapter.saveVersion(entry, { waterData, locations });
+  setCurrent(version);
+  if (VERSION_RETENTION) {
+    // The version is saved and live; a failed prune is retried with the next one
+    await adapter.pruneVersions(VERSION_RETENTION)
+      .catch((err) => console.error('❌ Pruning old dataset versions failed:', err.message));
   }
-  return result;
+  return entry;
 }
 
-function getLocationByName(name) {
-  return locations.find((l) => l.name === name) || null;
+/**
+ * Load data into memory. Seeds the storage backend from the bundled CSV
+ * when it is empty, otherwise loads what the backend already holds.
+ * @throws {Error} when storage cannot be reached or read, so the server does
+ *   not start (or answer) with an empty dataset
+ */
+async function loadData() {
+  const adapter = getStorage();
+  await adapter.connect();
+  await loadScoreProfiles(adapter);
+  await loadAssessmentConfig(adapter);
+  await loadAlerts(adapter);
+  await loadAlertRules(adapter);
+  await loadNotifications(adapter);
+  await loadBulletins(adapter);
+  await exclusive(async () => {
+    let firstVersion;
+    if (await adapter.isEmpty()) {
+      await adapter.replaceDataset(await buildDatasetFromCSV());
+      firstVersion = { source: 'initial', filename: 'new_nsk_gwater.csv' };
+    } else {
+      console.log(`💾 Loading persisted dataset from ${adapter.driver} storage`);
+    }
+    await hydrate(firstVersion);
+  });
+  console.log(`📍 Found ${locations.length} unique locations (dataset v${current.version})`);
 }
 
-function getOverviewData() {
-  // Latest data for each location
-  const latestMap = {};
-  for (const d of waterData) {
-    if (!latestMap[d.location] || d.year > latestMap[d.location].year) {
-      latestMap[d.location] = d;
-    }
-  }
+/**
+ * Reload the working set (and scoring profiles, assessment settings, alerts, alert rules,
+ * notification subscriptions and deliveries, bulletins) if another instance has written
+ * to shared storage. Checks at most once per STORE_SYNC_INTERVAL_MS. Resolves
+ * true when anything was reloaded, so cached scores can be dropped.
+ */
+async function syncData() {
+  if (!storage || Date.now() - lastSyncAt < SYNC_INTERVAL_MS) return false;
+  lastSyncAt = Date.now();
+  const profilesChanged = await loadScoreProfiles(storage);
+  const settingsChanged = await loadAssessmentConfig(storage);
+  await loadAlerts(storage); // alerts and their rules are not cached, so never a reason to flush
+  await loadAlertRules(storage);
+  await loadNotifications(storage);
+  await loadBulletins(storage);
+  const latest = await storage.getRevision();
+  if (latest === revision) return profilesChanged || settingsChanged;
+  await exclusive(hydrate);
+  return true;
+}
 
-  const locMap = {};
-  for (const l of locations) {
-    locMap[l.name] = { latitude: l.latitude, longitude: l.longitude };
-  }
+/** Revision of the dataset currently held in memory (changes on every write) */
+function getRevision() {
+  return revision;
+}
 
-  return Object.values(latestMap).map((d) => {
-    const score = calculateWaterScore(d);
-    return {
-      location: d.location,
-      year: d.year,
-      waterScore: score,
-      status: getStatus(score),
-      statusColor: getStatusColor(score),
-      scarcityLevel: d.scarcityLevel,
-      groundwaterLevel: d.groundwaterLevel,
-      rainfall: d.rainfall,
-      depletionRate: d.depletionRate,
-      ph: d.ph,
-      consumption: d.consumption,
-      perCapitaUsage: d.perCapitaUsage,
-      coordinates: locMap[d.location] || { latitude: 19.9975, longitude: 73.7898 },
-    };
+/**
+ * Add more water data rows (from an upload), persist them and record a version.
+ * Storage is written first: if it fails, the working set is left as it was.
+ * Builds new arrays rather than mutating, so older version views stay intact.
+ * @param {Array} rows - Validated records
+ * @param {Object} [meta] - Version metadata (uploader, filename, rowCounts)
+ * @param {Array} [coordinates] - { name, latitude, longitude } for locations whose
+ *   position the upload states explicitly (e.g. GeoJSON point features)
+ * @param {Object} [options]
+ * @param {number} [options.baseRevision] - Refuse with a 409 if the dataset is no
+ *   longer at this revision when the write's turn comes (a stale dry-run preview)
+ * @returns {Promise<Object>} the new version entry
+ */
+function addWaterData(rows, meta = {}, coordinates = [], { baseRevision } = {}) {
+  return exclusive(() => {
+    if (baseRevision !== undefined && baseRevision !== revision) {
+      const err = new Error('Dataset has changed since this preview was made');
+      err.status = 409;
+      throw err;
+    }
+    return writeWaterData(rows, meta, coordinates);
   });
 }
 
-function getDistrictStats() {
-  // Latest data per location
-  const latestMap = {};
-  for (const d of waterData) {
-    if (!latestMap[d.location] || d.year > latestMap[d.location].year) {
-      latestMap[d.location] = d;
+/**
+ * Fold an upload's locations into the held ones: new names are added and
+ * stated positions or talukas replace the held ones.
+ * @returns {{ locations: Array, newLocations: Array, moved: Array }}
+ */
+function mergeLocations(held, incoming, talukas, positions) {
+  const known = new Set(held.map((l) => l.name));
+  const newLocations = [];
+  for (const row of incoming) {
+    // Add location if new — use real coordinates from the upload if available
+    if (!known.has(row.location)) {
+      known.add(row.location);
+      newLocations.push(buildLocation({ ...row, taluka: talukas.get(row.location) }));
     }
   }
+  const moved = [];
+  const relocated = held.map((l) => {
+    const pos = positions.get(l.name);
+    const taluka = talukas.get(l.name) || l.taluka || null;
+    const samePosition = !pos || (pos.latitude === l.latitude && pos.longitude === l.longitude);
+    if (samePosition && taluka === (l.taluka || null)) return l;
+    const updated = { ...l, ...(!samePosition && { latitude: pos.latitude, longitude: pos.longitude }), taluka };
+    moved.push(updated);
+    return updated;
+  });
+  for (const pos of positions.values()) {
+    if (!known.has(pos.name)) {
+      known.add(pos.name);
+      newLocations.push(buildLocation({ location: pos.name, latitude: pos.latitude, longitude: pos.longitude }));
+    }
+  }
+  return { locations: [...relocated, ...newLocations], newLocations, moved };
+}
 
-  const latestArr = Object.values(latestMap);
-  if (latestArr.length === 0) return {};
-
-  let totalWaterLevel = 0, totalRainfall = 0, totalDepletion = 0;
-  let criticalCount = 0, warningCount = 0, safeCount = 0;
+async function writeWaterData(rows, meta, coordinates) {
+  const incoming = new Map(rows.map((r) => [recordKey(r), r]));
+  // A taluka stated in the upload replaces the one held
+  const talukas = new Map();
+  for (const row of incoming.values()) {
+    if (row.taluka) talukas.set(row.location, row.taluka);
+  }
+  // Explicit coordinates win over generated ones for known locations
+  const positions = new Map(coordinates.map((c) => [c.name, c]));
+  for (const row of incoming.values()) {
+    if (row.latitude && row.longitude && !positions.has(row.location)) {
+      positions.set(row.location, { name: row.location, latitude: row.latitude, longitude: row.longitude });
+    }
+  }
 
-  for (const d of latestArr) {
-    totalWaterLevel += d.groundwaterLevel || 0;
-    totalRainfall += d.rainfall || 0;
-    totalDepletion += d.depletionRate || 0;
+  const planned = mergeLocations(locations, incoming.values(), talukas, positions);
+  const adapter = getStorage();
+  if (rows.length) revision = await adapter.upsertWaterRecords(rows);
+  if (planned.newLocations.length || planned.moved.length) {
+    revision = await adapter.upsertLocations([...planned.moved, ...planned.newLocations]);
+  }
 
-    if (d.scarcityLevel === 'Severe' || d.scarcityLevel === 'Extreme') {
-      criticalCount++;
-    } else if (d.scarcityLevel === 'High') {
-      warningCount++;
+  // Merge into the working set as it is now, not as it was before the awaits
+  const { locations: merged, newLocations, moved } = mergeLocations(locations, incoming.values(), talukas, positions);
+  // Copy once, then replace records with the same key (location+year+date) in place
+  // through the index — linear in dataset + upload size
+  const next = waterData.slice();
+  for (const [key, row] of incoming) {
+    const at = recordIndex.get(key);
+    if (at === undefined) {
+      recordIndex.set(key, next.length);
+      next.push(row);
     } else {
-      safeCount++;
+      next[at] = row;
     }
   }
+  waterData = next;
+  locations = merged;
+  index = updateIndex(index, [...incoming.values()], locations);
 
-  const n = latestArr.length;
-  return {
-    totalLocations: n,
-    avgWaterLevel: +(totalWaterLevel / n).toFixed(2),
-    avgRainfall: +(totalRainfall / n).toFixed(1),
-    avgDepletion: +(totalDepletion / n).toFixed(2),
-    criticalCount,
-    warningCount,
-    safeCount,
-  };
+  return recordVersion({
+    source: 'upload',
+    ...meta,
+    rowCounts: {
+      ingested: incoming.size,
+      newLocations: newLocations.length,
+      relocated: moved.length,
+      ...(meta.rowCounts || {}),
+    },
+  });
+}
+
+// ====== VERSIONS ======
+
+// Views over historical versions, loaded on demand
+const versionCache = new Map();
+const VERSION_CACHE_SIZE = 5;
+
+async function listVersions() {
+  const versions = await getStorage().listVersions();
+  return versions.map((v) => ({ ...v, current: v.version === current.version }));
 }
 
 /**
- * Get a consolidated summary for a single location.
- * Returns latest data, score, alert count estimate, trend direction, YoY changes, and a narrative.
+ * Query view for a dataset version (the live view when version is omitted).
+ * @throws {Error} with status 404 for an unknown version, 410 for one whose
+ *   snapshot was pruned
  */
-function getLocationSummary(locationName) {
-  const records = getWaterByLocation(locationName);
-  if (!records.length) return null;
-
-  const latest = records[records.length - 1];
-  const enriched = enrichRecord(latest);
-
-  // Trend direction based on water score change over available years
-  let trend = 'stable';
-  let yoyChanges = [];
-  if (records.length >= 2) {
-    const prev = records[records.length - 2];
-    const prevScore = calculateWaterScore(prev);
-    const currScore = enriched.waterScore;
-    const diff = currScore - prevScore;
-    if (diff > 3) trend = 'improving';
-    else if (diff < -3) trend = 'declining';
-
-    // Year-over-year changes for all consecutive pairs
-    for (let i = 1; i < records.length; i++) {
-      const cur = records[i];
-      const prv = records[i - 1];
-      yoyChanges.push({
-        from: prv.year,
-        to: cur.year,
-        waterLevelChange: +((cur.groundwaterLevel - prv.groundwaterLevel) / (prv.groundwaterLevel || 1) * 100).toFixed(1),
-        rainfallChange: +((cur.rainfall - prv.rainfall) / (prv.rainfall || 1) * 100).toFixed(1),
-        depletionChange: +((cur.depletionRate - prv.depletionRate) / (prv.depletionRate || 1) * 100).toFixed(1),
-      });
-    }
-  }
+async function atVersion(version) {
+  if (version === undefined || version === null || version === '') return current;
+  const v = parseInt(version, 10);
+  if (v === current.version) return current;
+  if (versionCache.has(v)) return versionCache.get(v);
 
-  // Quick alert count estimate
-  let alertCount = 0;
-  if (latest.groundwaterLevel >= 12) alertCount++;
-  if (latest.depletionRate >= 5) alertCount++;
-  if (latest.rainfall <= 700) alertCount++;
-  if (latest.ph < 6.5 || latest.ph > 8.0) alertCount++;
-  if (latest.scarcityLevel === 'Severe' || latest.scarcityLevel === 'Extreme') alertCount++;
+  const dataset = Number.isInteger(v) ? await getStorage().loadVersion(v) : null;
+  if (!dataset) {
+    const pruned = Number.isInteger(v) && (await getStorage().listVersions()).some((m) => m.version === v && m.pruned);
+    const err = new Error(pruned
+      ? `Dataset version ${v} is no longer kept: only the newest ${VERSION_RETENTION} versions can be viewed or restored`
+      : `Dataset version not found: ${version}`);
+    err.status = pruned ? 410 : 404;
+    throw err;
+  }
+  const view = createView(dataset.waterData, dataset.locations, v);
+  if (versionCache.size >= VERSION_CACHE_SIZE) {
+    versionCache.delete(versionCache.keys().next().value);
+  }
+  versionCache.set(v, view);
+  return view;
+}
 
-  // Narrative sentence
-  const narrative = `${locationName} has a water score of ${enriched.waterScore}/100 (${enriched.status}). ` +
-    `The groundwater level is ${latest.groundwaterLevel}m with ${latest.rainfall}mm rainfall. ` +
-    `Trend is ${trend} with ${alertCount} active alert${alertCount !== 1 ? 's' : ''}.`;
+/**
+ * Roll the live dataset back to an earlier version. History is kept: the
+ * rollback itself becomes a new version whose contents equal the target's.
+ */
+function rollbackTo(version, meta = {}) {
+  return exclusive(() => restoreVersion(version, meta));
+}
 
-  return {
-    location: locationName,
-    year: latest.year,
-    waterScore: enriched.waterScore,
-    status: enriched.status,
-    statusColor: enriched.statusColor,
-    groundwaterLevel: latest.groundwaterLevel,
-    rainfall: latest.rainfall,
-    depletionRate: latest.depletionRate,
-    ph: latest.ph,
-    scarcityLevel: latest.scarcityLevel,
-    wqi: enriched.wqi,
-    depletionIndex: enriched.depletionIndex,
-    sustainabilityScore: enriched.sustainabilityScore,
-    trend,
-    alertCount,
-    yoyChanges,
-    narrative,
-    yearsAvailable: records.map(r => r.year),
-  };
+async function restoreVersion(version, meta) {
+  const target = await atVersion(version);
+  const adapter = getStorage();
+  const dataset = await adapter.loadVersion(target.version);
+  revision = await adapter.replaceDataset(dataset);
+  setDataset(dataset);
+  return recordVersion({
+    source: 'rollback',
+    uploader: meta.uploader,
+    note: meta.note,
+    rollbackOf: target.version,
+  });
 }
 
+// ====== QUERY FUNCTIONS ======
+
 /**
- * Rank all locations by water score (descending).
+ * Build the query functions over one dataset. The live dataset and every
+ * historical version served via ?version= get their own view; views never
+ * mutate the arrays they are given.
+ * @param {Array} waterData - Water records
+ * @param {Array} locations - Location documents
+ * @param {number} version - Dataset version the arrays belong to
+ * @param {Object} [index] - Secondary indexes (utils/datasetIndex), built if omitted
  */
-function getRankings() {
-  const latestMap = {};
-  for (const d of waterData) {
-    if (!latestMap[d.location] || d.year > latestMap[d.location].year) {
-      latestMap[d.location] = d;
+function createView(waterData, locations, version, index = buildIndex(waterData, locations)) {
+  const { records: recordsByLocation, byLocation, byYear, latest, locationByName } = index;
+  let sortedLocations = null; // built on first use
+  const profileOf = (name) => scoreProfileFor(name, locationByName);
+  const droughtOf = (d) => droughtFor(d, index);
+
+  // A record with its computed fields, scored and SPI-indexed against this version
+  function enrich(d) {
+    return enrichRecord(d, profileOf(d.location), droughtOf(d));
+  }
+
+  /**
+   * A location's series, oldest first. Yearly (default) has one entry per year;
+   * seasonal and monthly are built from dated observations and carry a
+   * `period` label ("2023 Pre-monsoon", "2023-05").
+   * Callers may sort or splice what they get back, so hand out copies.
+   */
+  function getWaterByLocation(locationName, granularity = DEFAULT_GRANULARITY) {
+    if (granularity !== 'yearly') return seriesFor(recordsByLocation.get(locationName) || [], granularity);
+    const records = byLocation.get(locationName);
+    return records ? records.slice() : [];
+  }
+
+  // Every stored record of a location — annual records and dated observations
+  function getRecordsByLocation(locationName) {
+    const records = recordsByLocation.get(locationName);
+    return records ? records.slice() : [];
+  }
+
+  function getLatestByLocation(locationName) {
+    return latest.get(locationName) || null;
+  }
+
+  function getRecordsByYear(year) {
+    const records = byYear.get(Number(year));
+    return records ? records.slice() : [];
+  }
+
+  function getYears() {
+    return [...byYear.keys()].sort((a, b) => a - b);
+  }
+
+  function getAllLocations(search) {
+    if (!sortedLocations) sortedLocations = [...locations].sort((a, b) => a.name.localeCompare(b.name));
+    let result = sortedLocations.slice();
+    if (search) {
+      const lower = search.toLowerCase();
+      result = result.filter((l) => l.name.toLowerCase().includes(lower));
+    }
+    return result;
+  }
+
+  function getLocationByName(name) {
+    return locationByName.get(name) || null;
+  }
+
+  // Scoring profile in effect for a location
+  function getScoreProfile(name) {
+    return profileOf(name);
+  }
+
+  /**
+   * Anomalous readings, newest first (see utils/anomalyDetection)
+   * @param {Object} [filter] - { location, type, field, severity, year }
+   */
+  async function getAnomalies(filter = {}) {
+    const { all, byLocation } = await anomaliesFor(index);
+    let result = filter.location ? byLocation.get(filter.location) || [] : all;
+    for (const key of ['type', 'field', 'severity']) {
+      if (filter[key]) result = result.filter((a) => a[key] === filter[key]);
+    }
+    if (filter.year) result = result.filter((a) => a.year === Number(filter.year));
+    return result.slice();
+  }
+
+  // SPI fields (spi, spiClass, droughtCategory, spiBasis) of a series entry
+  function getDrought(record) {
+    return droughtOf(record);
+  }
+
+  function getOverviewData() {
+    return [...latest.values()].map((d) => {
+      const loc = locationByName.get(d.location);
+      const profile = profileOf(d.location);
+      const score = calculateWaterScore(d, profile);
+      return {
+        location: d.location,
+        year: d.year,
+        waterScore: score,
+        status: getStatus(score),
+        statusColor: getStatusColor(score),
+        scoreProfile: profileRef(profile),
+        scarcityLevel: d.scarcityLevel,
+        groundwaterLevel: d.groundwaterLevel,
+        rainfall: d.rainfall,
+        depletionRate: d.depletionRate,
+        ph: d.ph,
+        consumption: d.consumption,
+        perCapitaUsage: d.perCapitaUsage,
+        ...droughtOf(d),
+        isSynthetic: !!d.isSynthetic,
+        coordinates: loc
+          ? { latitude: loc.latitude, longitude: loc.longitude }
+          : { latitude: 19.9975, longitude: 73.7898 },
+      };
+    });
+  }
+
+  function getDistrictStats() {
+    // Latest data per location
+    const latestArr = [...latest.values()];
+    if (latestArr.length === 0) return {};
+
+    let totalWaterLevel = 0, totalRainfall = 0, totalDepletion = 0;
+    let criticalCount = 0, warningCount = 0, safeCount = 0;
+
+    for (const d of latestArr) {
+      totalWaterLevel += d.groundwaterLevel || 0;
+      totalRainfall += d.rainfall || 0;
+      totalDepletion += d.depletionRate || 0;
+
+      if (d.scarcityLevel === 'Severe' || d.scarcityLevel === 'Extreme') {
+        criticalCount++;
+      } else if (d.scarcityLevel === 'High') {
+        warningCount++;
+      } else {
+        safeCount++;
+      }
     }
+
+    const n = latestArr.length;
+    return {
+      totalLocations: n,
+      avgWaterLevel: +(totalWaterLevel / n).toFixed(2),
+      avgRainfall: +(totalRainfall / n).toFixed(1),
+      avgDepletion: +(totalDepletion / n).toFixed(2),
+      criticalCount,
+      warningCount,
+      safeCount,
+    };
   }
 
-  const ranked = Object.values(latestMap).map(d => {
-    const enriched = enrichRecord(d);
-    // Compute trend from historical
-    const records = getWaterByLocation(d.location);
+  /**
+   * Get a consolidated summary for a single location.
+   * Returns latest data, score, alert count estimate, trend direction, YoY changes, and a narrative.
+   */
+  function getLocationSummary(locationName) {
+    const records = getWaterByLocation(locationName);
+    if (!records.length) return null;
+    const observations = (recordsByLocation.get(locationName) || []).filter(isObservation);
+    const latestObservation = observations.reduce(
+      (best, r) => (!best || r.observationDate > best.observationDate ? r : best), null);
+
+    const latest = records[records.length - 1];
+    const profile = profileOf(locationName);
+    const enriched = enrichRecord(latest, profile, droughtOf(latest));
+
+    // Trend direction based on water score change over available years
     let trend = 'stable';
+    let yoyChanges = [];
     if (records.length >= 2) {
       const prev = records[records.length - 2];
-      const prevScore = calculateWaterScore(prev);
-      const diff = enriched.waterScore - prevScore;
+      const prevScore = calculateWaterScore(prev, profile);
+      const currScore = enriched.waterScore;
+      const diff = currScore - prevScore;
       if (diff > 3) trend = 'improving';
       else if (diff < -3) trend = 'declining';
+
+      // Year-over-year changes for all consecutive pairs
+      for (let i = 1; i < records.length; i++) {
+        const cur = records[i];
+        const prv = records[i - 1];
+        yoyChanges.push({
+          from: prv.year,
+          to: cur.year,
+          waterLevelChange: +((cur.groundwaterLevel - prv.groundwaterLevel) / (prv.groundwaterLevel || 1) * 100).toFixed(1),
+          rainfallChange: +((cur.rainfall - prv.rainfall) / (prv.rainfall || 1) * 100).toFixed(1),
+          depletionChange: +((cur.depletionRate - prv.depletionRate) / (prv.depletionRate || 1) * 100).toFixed(1),
+        });
+      }
     }
+
+    // Quick alert count estimate
+    let alertCount = 0;
+    if (latest.groundwaterLevel >= 12) alertCount++;
+    if (latest.depletionRate >= 5) alertCount++;
+    if (latest.rainfall <= 700) alertCount++;
+    if (latest.ph < 6.5 || latest.ph > 8.0) alertCount++;
+    if (latest.scarcityLevel === 'Severe' || latest.scarcityLevel === 'Extreme') alertCount++;
+
+    // Narrative sentence
+    const narrative = `${locationName} has a water score of ${enriched.waterScore}/100 (${enriched.status}). ` +
+      `The groundwater level is ${latest.groundwaterLevel}m with ${latest.rainfall}mm rainfall. ` +
+      `Trend is ${trend} with ${alertCount} active alert${alertCount !== 1 ? 's' : ''}.`;
+
     return {
-      location: d.location,
+      location: locationName,
+      year: latest.year,
       waterScore: enriched.waterScore,
       status: enriched.status,
       statusColor: enriched.statusColor,
-      scarcityLevel: d.scarcityLevel,
-      groundwaterLevel: d.groundwaterLevel,
-      rainfall: d.rainfall,
-      depletionRate: d.depletionRate,
+      scoreProfile: enriched.scoreProfile,
+      groundwaterLevel: latest.groundwaterLevel,
+      rainfall: latest.rainfall,
+      depletionRate: latest.depletionRate,
+      ph: latest.ph,
+      scarcityLevel: latest.scarcityLevel,
+      wqi: enriched.wqi,
+      depletionIndex: enriched.depletionIndex,
+      sustainabilityScore: enriched.sustainabilityScore,
       trend,
+      alertCount,
+      yoyChanges,
+      narrative,
+      yearsAvailable: records.map(r => r.year),
+      granularities: observations.length ? ['yearly', 'seasonal', 'monthly'] : ['yearly'],
+      latestObservation: latestObservation && {
+        observationDate: latestObservation.observationDate,
+        season: latestObservation.season,
+        groundwaterLevel: latestObservation.groundwaterLevel,
+        rainfall: latestObservation.rainfall,
+      },
+      syntheticYears: records.filter(r => r.isSynthetic).map(r => r.year),
+      isSynthetic: !!latest.isSynthetic,
     };
-  });
-
-  ranked.sort((a, b) => b.waterScore - a.waterScore);
-  ranked.forEach((item, i) => { item.rank = i + 1; });
-  return ranked;
-}
+  }
 
-/**
- * Get year-over-year percentage changes for a location.
- */
-function getYearlyChanges(locationName) {
-  const records = getWaterByLocation(locationName);
-  if (records.length < 2) return [];
-
-  const changes = [];
-  for (let i = 1; i < records.length; i++) {
-    const cur = records[i];
-    const prv = records[i - 1];
-    const safeDiv = (a, b) => b !== 0 ? +((a - b) / Math.abs(b) * 100).toFixed(1) : 0;
-
-    changes.push({
-      from: prv.year,
-      to: cur.year,
-      waterLevel: { prev: prv.groundwaterLevel, curr: cur.groundwaterLevel, changePct: safeDiv(cur.groundwaterLevel, prv.groundwaterLevel) },
-      rainfall: { prev: prv.rainfall, curr: cur.rainfall, changePct: safeDiv(cur.rainfall, prv.rainfall) },
-      depletion: { prev: prv.depletionRate, curr: cur.depletionRate, changePct: safeDiv(cur.depletionRate, prv.depletionRate) },
-      consumption: { prev: prv.consumption, curr: cur.consumption, changePct: safeDiv(cur.consumption, prv.consumption) },
-      ph: { prev: prv.ph, curr: cur.ph, changePct: safeDiv(cur.ph, prv.ph) },
+  /**
+   * Rank all locations by water score (descending).
+   */
+  function getRankings() {
+    const ranked = [...latest.values()].map(d => {
+      const profile = profileOf(d.location);
+      const enriched = enrichRecord(d, profile, droughtOf(d));
+      // Compute trend from historical
+      const records = byLocation.get(d.location);
+      let trend = 'stable';
+      if (records.length >= 2) {
+        const prev = records[records.length - 2];
+        const prevScore = calculateWaterScore(prev, profile);
+        const diff = enriched.waterScore - prevScore;
+        if (diff > 3) trend = 'improving';
+        else if (diff < -3) trend = 'declining';
+      }
+      return {
+        location: d.location,
+        waterScore: enriched.waterScore,
+        status: enriched.status,
+        statusColor: enriched.statusColor,
+        scoreProfile: enriched.scoreProfile,
+        scarcityLevel: d.scarcityLevel,
+        groundwaterLevel: d.groundwaterLevel,
+        rainfall: d.rainfall,
+        depletionRate: d.depletionRate,
+        isSynthetic: !!d.isSynthetic,
+        trend,
+      };
     });
+
+    ranked.sort((a, b) => b.waterScore - a.waterScore);
+    ranked.forEach((item, i) => { item.rank = i + 1; });
+    return ranked;
   }
-  return changes;
-}
 
-/**
- * Smart search suggestions — returns locations with embedded preview data.
- */
-function getSearchSuggestions(query) {
-  if (!query || query.length < 1) return [];
-  const lower = query.toLowerCase();
-  const matching = locations.filter(l => l.name.toLowerCase().includes(lower)).slice(0, 10);
-
-  return matching.map(loc => {
-    const latest = getLatestByLocation(loc.name);
-    if (!latest) return { name: loc.name, district: loc.district };
-    const score = calculateWaterScore(latest);
-    const status = getStatus(score);
-
-    // Quick trend
-    const records = getWaterByLocation(loc.name);
-    let trend = 'stable';
-    if (records.length >= 2) {
-      const prevScore = calculateWaterScore(records[records.length - 2]);
-      const diff = score - prevScore;
-      if (diff > 3) trend = 'improving';
-      else if (diff < -3) trend = 'declining';
-    }
+  /**
+   * Get period-over-period percentage changes for a location
+   * (year-over-year by default; `from`/`to` are period labels otherwise).
+   */
+  function getYearlyChanges(locationName, granularity = DEFAULT_GRANULARITY) {
+    const records = getWaterByLocation(locationName, granularity);
+    if (records.length < 2) return [];
+    const labelOf = (r) => (granularity === 'yearly' ? r.year : r.period);
 
-    return {
-      name: loc.name,
-      district: loc.district,
-      waterScore: score,
-      status,
-      trend,
-      scarcityLevel: latest.scarcityLevel,
-      groundwaterLevel: latest.groundwaterLevel,
-    };
-  });
-}
+    const changes = [];
+    for (let i = 1; i < records.length; i++) {
+      const cur = records[i];
+      const prv = records[i - 1];
+      const safeDiv = (a, b) => b !== 0 ? +((a - b) / Math.abs(b) * 100).toFixed(1) : 0;
 
-/**
- * Get lightweight heatmap data [lat, lng, intensity] for map visualization.
- */
-function getHeatmapData() {
-  const latestMap = {};
-  for (const d of waterData) {
-    if (!latestMap[d.location] || d.year > latestMap[d.location].year) {
-      latestMap[d.location] = d;
+      changes.push({
+        from: labelOf(prv),
+        to: labelOf(cur),
+        waterLevel: { prev: prv.groundwaterLevel, curr: cur.groundwaterLevel, changePct: safeDiv(cur.groundwaterLevel, prv.groundwaterLevel) },
+        rainfall: { prev: prv.rainfall, curr: cur.rainfall, changePct: safeDiv(cur.rainfall, prv.rainfall) },
+        depletion: { prev: prv.depletionRate, curr: cur.depletionRate, changePct: safeDiv(cur.depletionRate, prv.depletionRate) },
+        consumption: { prev: prv.consumption, curr: cur.consumption, changePct: safeDiv(cur.consumption, prv.consumption) },
+        ph: { prev: prv.ph, curr: cur.ph, changePct: safeDiv(cur.ph, prv.ph) },
+      });
     }
+    return changes;
   }
 
-  return Object.values(latestMap).map(d => {
-    const loc = locations.find(l => l.name === d.location);
-    if (!loc) return null;
-    // Intensity: invert water score so stressed areas glow hotter
-    const score = calculateWaterScore(d);
-    const intensity = Math.max(0.1, (100 - score) / 100);
-    return {
-      lat: loc.latitude,
-      lng: loc.longitude,
-      intensity: +intensity.toFixed(2),
-      location: d.location,
-      waterScore: score,
-      status: getStatus(score),
-    };
-  }).filter(Boolean);
-}
+  /**
+   * SPI for every period of a location's series, with the climatologies each
+   * period was compared against (one per month or season for sub-annual series)
+   * @returns {Object|null} null when the location has no data at that granularity
+   */
+  function getSpiSeries(locationName, granularity = DEFAULT_GRANULARITY) {
+    const records = getWaterByLocation(locationName, granularity);
+    if (!records.length) return null;
+    const climatologies = new Map();
+    const series = records.map((r) => {
+      const sub = subPeriodOf(r);
+      if (!climatologies.has(sub)) {
+        climatologies.set(sub, { subPeriod: sub, ...(climatologyFor(locationName, granularity, sub, index) || { basis: null }) });
+      }
+      return {
+        period: r.period || String(r.year),
+        year: r.year,
+        ...(granularity === 'monthly' && { month: r.month }),
+        ...(granularity === 'seasonal' && { season: r.season }),
+        rainfall: r.rainfall,
+        isSynthetic: !!r.isSynthetic,
+        ...droughtOf(r),
+      };
+    });
+    return { series, climatologies: [...climatologies.values()] };
+  }
 
-/**
- * Enhanced District Stats with trends, best/worst locations, average change rates.
- */
-function getEnhancedDistrictStats() {
-  const base = getDistrictStats();
-
-  // Get rankings for best/worst
-  const rankings = getRankings();
-  const best5 = rankings.slice(0, 5).map(r => ({ location: r.location, score: r.waterScore, status: r.status }));
-  const worst5 = rankings.slice(-5).reverse().map(r => ({ location: r.location, score: r.waterScore, status: r.status }));
-
-  // Average YoY change across all locations
-  let totalWLChange = 0, totalRFChange = 0, totalDPChange = 0, changeCount = 0;
-  for (const loc of locations) {
-    const records = getWaterByLocation(loc.name);
-    if (records.length >= 2) {
-      const first = records[0];
-      const last = records[records.length - 1];
-      totalWLChange += last.groundwaterLevel - first.groundwaterLevel;
-      totalRFChange += last.rainfall - first.rainfall;
-      totalDPChange += last.depletionRate - first.depletionRate;
-      changeCount++;
-    }
+  /**
+   * Smart search suggestions — returns locations with embedded preview data.
+   */
+  function getSearchSuggestions(query) {
+    if (!query || query.length < 1) return [];
+    const lower = query.toLowerCase();
+    const matching = locations.filter(l => l.name.toLowerCase().includes(lower)).slice(0, 10);
+
+    return matching.map(loc => {
+      const latest = getLatestByLocation(loc.name);
+      if (!latest) return { name: loc.name, district: loc.district };
+      const profile = profileOf(loc.name);
+      const score = calculateWaterScore(latest, profile);
+      const status = getStatus(score);
+
+      // Quick trend
+      const records = byLocation.get(loc.name);
+      let trend = 'stable';
+      if (records.length >= 2) {
+        const prevScore = calculateWaterScore(records[records.length - 2], profile);
+        const diff = score - prevScore;
+        if (diff > 3) trend = 'improving';
+        else if (diff < -3) trend = 'declining';
+      }
+
+      return {
+        name: loc.name,
+        district: loc.district,
+        waterScore: score,
+        status,
+        scoreProfile: profileRef(profile),
+        trend,
+        scarcityLevel: latest.scarcityLevel,
+        groundwaterLevel: latest.groundwaterLevel,
+      };
+    });
   }
 
-  // Trend distribution
-  let improving = 0, stable = 0, declining = 0;
-  for (const r of rankings) {
-    if (r.trend === 'improving') improving++;
-    else if (r.trend === 'declining') declining++;
-    else stable++;
+  /**
+   * Get lightweight heatmap data [lat, lng, intensity] for map visualization.
+   */
+  function getHeatmapData() {
+    return [...latest.values()].map(d => {
+      const loc = locationByName.get(d.location);
+      if (!loc) return null;
+      // Intensity: invert water score so stressed areas glow hotter
+      const profile = profileOf(d.location);
+      const score = calculateWaterScore(d, profile);
+      const intensity = Math.max(0.1, (100 - score) / 100);
+      return {
+        lat: loc.latitude,
+        lng: loc.longitude,
+        intensity: +intensity.toFixed(2),
+        location: d.location,
+        waterScore: score,
+        status: getStatus(score),
+        scoreProfile: profileRef(profile),
+      };
+    }).filter(Boolean);
   }
 
-  // District trend direction
-  let districtTrend = 'stable';
-  if (declining > improving * 1.5) districtTrend = 'declining';
-  else if (improving > declining * 1.5) districtTrend = 'improving';
+  /**
+   * Enhanced District Stats with trends, best/worst locations, average change rates.
+   */
+  function getEnhancedDistrictStats() {
+    const base = getDistrictStats();
+
+    // Get rankings for best/worst
+    const rankings = getRankings();
+    const best5 = rankings.slice(0, 5).map(r => ({ location: r.location, score: r.waterScore, status: r.status }));
+    const worst5 = rankings.slice(-5).reverse().map(r => ({ location: r.location, score: r.waterScore, status: r.status }));
+
+    // Average YoY change across all locations
+    let totalWLChange = 0, totalRFChange = 0, totalDPChange = 0, changeCount = 0;
+    for (const loc of locations) {
+      const records = byLocation.get(loc.name) || [];
+      if (records.length >= 2) {
+        const first = records[0];
+        const last = records[records.length - 1];
+        totalWLChange += last.groundwaterLevel - first.groundwaterLevel;
+        totalRFChange += last.rainfall - first.rainfall;
+        totalDPChange += last.depletionRate - first.depletionRate;
+        changeCount++;
+      }
+    }
+
+    // Trend distribution
+    let improving = 0, stable = 0, declining = 0;
+    for (const r of rankings) {
+      if (r.trend === 'improving') improving++;
+      else if (r.trend === 'declining') declining++;
+      else stable++;
+    }
+
+    // District trend direction
+    let districtTrend = 'stable';
+    if (declining > improving * 1.5) districtTrend = 'declining';
+    else if (improving > declining * 1.5) districtTrend = 'improving';
+
+    return {
+      ...base,
+      best5,
+      worst5,
+      districtTrend,
+      trendDistribution: { improving, stable, declining },
+      avgChangeRates: changeCount > 0 ? {
+        waterLevel: +(totalWLChange / changeCount).toFixed(2),
+        rainfall: +(totalRFChange / changeCount).toFixed(1),
+        depletion: +(totalDPChange / changeCount).toFixed(2),
+      } : null,
+    };
+  }
+
+  function getAllRecords() {
+    return waterData;
+  }
 
   return {
-    ...base,
-    best5,
-    worst5,
-    districtTrend,
-    trendDistribution: { improving, stable, declining },
-    avgChangeRates: changeCount > 0 ? {
-      waterLevel: +(totalWLChange / changeCount).toFixed(2),
-      rainfall: +(totalRFChange / changeCount).toFixed(1),
-      depletion: +(totalDPChange / changeCount).toFixed(2),
-    } : null,
+    version,
+    enrichRecord: enrich,
+    getAllRecords,
+    getWaterByLocation,
+    getRecordsByLocation,
+    getLatestByLocation,
+    getRecordsByYear,
+    getYears,
+    getAllLocations,
+    getLocationByName,
+    getScoreProfile,
+    getDrought,
+    getAnomalies,
+    getOverviewData,
+    getDistrictStats,
+    getLocationSummary,
+    getRankings,
+    getYearlyChanges,
+    getSpiSeries,
+    getSearchSuggestions,
+    getHeatmapData,
+    getEnhancedDistrictStats,
   };
 }
 
 module.exports = {
   loadData,
+  syncData,
+  setStorage,
+  getStorage,
+  buildDatasetFromCSV,
+  getRevision,
   addWaterData,
-  enrichRecord,
-  getWaterByLocation,
-  getLatestByLocation,
-  getAllLocations,
-  getLocationByName,
-  getOverviewData,
-  getDistrictStats,
-  getLocationSummary,
-  getRankings,
-  getYearlyChanges,
-  getSearchSuggestions,
-  getHeatmapData,
-  getEnhancedDistrictStats,
+  listVersions,
+  atVersion,
+  rollbackTo,
+  // Live-dataset queries
+  getCurrentVersion: () => current.version,
+  enrichRecord: (...args) => current.enrichRecord(...args),
+  getWaterByLocation: (...args) => current.getWaterByLocation(...args),
+  getRecordsByLocation: (...args) => current.getRecordsByLocation(...args),
+  getLatestByLocation: (...args) => current.getLatestByLocation(...args),
+  getRecordsByYear: (...args) => current.getRecordsByYear(...args),
+  getYears: (...args) => current.getYears(...args),
+  getAllLocations: (...args) => current.getAllLocations(...args),
+  getLocationByName: (...args) => current.getLocationByName(...args),
+  getScoreProfile: (...args) => current.getScoreProfile(...args),
+  getDrought: (...args) => current.getDrought(...args),
+  getAnomalies: (...args) => current.getAnomalies(...args),
+  getOverviewData: (...args) => current.getOverviewData(...args),
+  getDistrictStats: (...args) => current.getDistrictStats(...args),
+  getLocationSummary: (...args) => current.getLocationSummary(...args),
+  getRankings: (...args) => current.getRankings(...args),
+  getYearlyChanges: (...args) => current.getYearlyChanges(...args),
+  getSpiSeries: (...args) => current.getSpiSeries(...args),
+  getSearchSuggestions: (...args) => current.getSearchSuggestions(...args),
+  getHeatmapData: (...args) => current.getHeatmapData(...args),
+  getEnhancedDistrictStats: (...args) => current.getEnhancedDistrictStats(...args),
 };
@@ -21,6 +21,11 @@ const locationSchema = new mongoose.Schema(
       min: -180,
       max: 180,
     },
+    taluka: {
+      type: String,
+      default: null,
+      trim: true,
+    },
     district: {
       type: String,
       default: 'Nashik',
@@ -14,6 +14,24 @@ const waterDataSchema = new mongoose.Schema(
       min: 2000,
       max: 2100,
     },
+    // Dated observations (e.g. pre-/post-monsoon readings, monthly rainfall);
+    // all three are null for annual records
+    observationDate: {
+      type: String,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+      default: null,
+    },
+    month: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: null,
+    },
+    season: {
+      type: String,
+      enum: ['winter', 'pre-monsoon', 'monsoon', 'post-monsoon'],
+      default: null,
+    },
     consumption: {
       type: Number,
       default: 0,
@@ -65,6 +83,10 @@ const waterDataSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    isSynthetic: {
+      type: Boolean,
+      default: false,
+    },
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -75,7 +97,7 @@ const waterDataSchema = new mongoose.Schema(
   }
 );
 
-waterDataSchema.index({ location: 1, year: 1 }, { unique: true });
+waterDataSchema.index({ location: 1, year: 1, observationDate: 1 }, { unique: true });
 waterDataSchema.index({ scarcityLevel: 1 });
 waterDataSchema.index({ year: 1 });
 
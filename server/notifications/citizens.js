@@ -0,0 +1,345 @@
+/**
+ * Citizen Subscriptions
+ * Lets anyone follow a few villages by email or SMS, without an account.
+ *
+ *   pending       – asked for; a confirmation link was sent (double opt-in)
+ *   confirmed     – receives a monthly status digest, and a notice as soon
+ *                   as a followed village turns Critical
+ *   unsubscribed  – left with the one-click link every message carries
+ *
+ * A confirmation link is valid for CONFIRM_TTL_MS. Confirming an address that
+ * already follows villages adds the new ones to that subscription. Tokens
+ * never leave this module except in the messages sent to the subscriber.
+ * Subscriptions are held in memory and written through to storage.
+ */
+const crypto = require('crypto');
+const { addressProblems } = require('./subscriptions');
+const { renderCitizenMessage } = require('./messages');
+const {
+  settings, saveDelivery, registerAudience, newDelivery, listDeliveries, maskAddress,
+} = require('./outbox');
+
+const CITIZENS_COLLECTION = 'citizensubscriptions';
+const CITIZEN_CHANNELS = ['email', 'sms'];
+const MAX_FOLLOWED = 10;
+const CONFIRM_TTL_MS = 48 * 60 * 60 * 1000;
+const RESEND_INTERVAL_MS = 10 * 60 * 1000; // a pending address gets at most one confirmation this often
+const UNSUBSCRIBED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Subscribe requests accepted from one client, and confirmation messages
+// sent in all, per REQUEST_WINDOW_MS (counted on this instance)
+const REQUEST_WINDOW_MS = 60 * 60 * 1000;
+const MAX_REQUESTS_PER_CLIENT = 5;
+const MAX_CONFIRMATIONS_PER_WINDOW = parseInt(process.env.CITIZEN_CONFIRMATIONS_PER_HOUR, 10) || 200;
+
+let adapter = null;
+let citizens = new Map(); // id → subscription
+let signature = '';       // detects changes written by other instances
+const requestsByClient = new Map(); // client → times of its recent requests
+let confirmationsSent = [];          // times of recent confirmation messages
+
+/**
+ * Load citizen subscriptions from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when they differ from what was held before
+ */
+async function loadCitizenSubscriptions(storageAdapter) {
+  adapter = storageAdapter;
+  const docs = await adapter.collection(CITIZENS_COLLECTION).list();
+  const next = docs.map((d) => `${d.id}@${d.updatedAt}`).sort().join(',');
+  if (next === signature) return false;
+  signature = next;
+  citizens = new Map(docs.map((d) => [d.id, d]));
+  return true;
+}
+
+async function save(citizen) {
+  citizen.updatedAt = new Date().toISOString();
+  await adapter.collection(CITIZENS_COLLECTION).put(citizen);
+  citizens.set(citizen.id, citizen);
+  return citizen;
+}
+
+async function remove(id) {
+  await adapter.collection(CITIZENS_COLLECTION).remove(id);
+  citizens.delete(id);
+}
+
+const token = () => crypto.randomBytes(24).toString('hex');
+const normalizeAddress = (channel, address) => {
+  const value = String(address).trim();
+  return channel === 'sms' ? value.replace(/[\s-]/g, '') : value.toLowerCase();
+};
+
+// Unconfirmed and unsubscribed deliveries are not sent; a pending
+// subscription only receives its confirmation
+registerAudience('citizen', {
+  find(id, delivery) {
+    const citizen = citizens.get(id);
+    if (!citizen || citizen.status === 'unsubscribed') return null;
+    if (citizen.status === 'pending' && delivery.kind !== 'confirm') return null;
+    return citizen;
+  },
+  render: renderCitizenMessage,
+});
+
+/** The first of next month at the digest hour */
+function nextMonthlyDigest(now, { digestHour }) {
+  const due = new Date(now);
+  due.setDate(1);
+  due.setMonth(due.getMonth() + 1);
+  due.setHours(digestHour, 0, 0, 0);
+  return due.toISOString();
+}
+
+/** A subscription as the public API shows it */
+function publicCitizen(c) {
+  return {
+    channel: c.channel,
+    address: maskAddress(c.channel, c.address),
+    locations: c.locations,
+    status: c.status,
+    confirmedAt: c.confirmedAt,
+    nextDigestAt: c.status === 'confirmed' ? c.nextDigestAt : null,
+  };
+}
+
+/**
+ * Check a request to follow villages.
+ * @param {Object} body - { channel, address, locations }
+ * @param {Function} exists - (name) => whether the location is known
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateCitizenRequest(body, exists) {
+  if (!body || typeof body !== 'object') return ['Request body is required'];
+  const problems = [];
+  if (!CITIZEN_CHANNELS.includes(body.channel)) {
+    problems.push(`channel must be one of ${CITIZEN_CHANNELS.join(', ')}`);
+  } else {
+    problems.push(...addressProblems(body.channel, body.address));
+  }
+  const { locations } = body;
+  if (!Array.isArray(locations) || !locations.length || !locations.every((l) => typeof l === 'string')) {
+    problems.push('locations must be a non-empty list of location names');
+  } else {
+    if (new Set(locations).size > MAX_FOLLOWED) problems.push(`At most ${MAX_FOLLOWED} locations can be followed`);
+    for (const name of locations) {
+      if (!exists(name.trim())) problems.push(`Unknown location: ${name}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * How long a client must wait before asking to subscribe again: each client
+ * may ask MAX_REQUESTS_PER_CLIENT times per window, and the server sends at
+ * most MAX_CONFIRMATIONS_PER_WINDOW confirmations in all, whatever the address.
+ * @param {string} client - Who is asking (their IP address)
+ * @returns {number} milliseconds (0 when they may ask now)
+ */
+function subscribeWait(client, now = Date.now()) {
+  const recent = (requestsByClient.get(client) || []).filter((t) => t > now - REQUEST_WINDOW_MS);
+  const perClient = recent.length >= MAX_REQUESTS_PER_CLIENT ? recent[0] + REQUEST_WINDOW_MS - now : 0;
+  confirmationsSent = confirmationsSent.filter((t) => t > now - REQUEST_WINDOW_MS);
+  const overall = confirmationsSent.length >= MAX_CONFIRMATIONS_PER_WINDOW
+    ? confirmationsSent[0] + REQUEST_WINDOW_MS - now
+    : 0;
+  return Math.max(0, perClient, overall);
+}
+
+// Count a client's request, forgetting clients with none left in the window
+function countRequest(client, now = Date.now()) {
+  for (const [key, times] of requestsByClient) {
+    if (times[times.length - 1] <= now - REQUEST_WINDOW_MS) requestsByClient.delete(key);
+  }
+  requestsByClient.set(client, [...(requestsByClient.get(client) || []).filter((t) => t > now - REQUEST_WINDOW_MS), now]);
+}
+
+/**
+ * Record a request to follow villages and send its confirmation link. Asking
+ * again for a pending address within RESEND_INTERVAL_MS updates the request
+ * without sending another message. Check subscribeWait first.
+ * @param {Object} body - A validated { channel, address, locations }
+ * @param {string} client - Who is asking (their IP address)
+ */
+async function requestCitizenSubscription(body, client) {
+  countRequest(client);
+  const now = new Date().toISOString();
+  const channel = body.channel;
+  const address = normalizeAddress(channel, body.address);
+  const locations = [...new Set(body.locations.map((l) => l.trim()))];
+
+  const recent = [...citizens.values()].find((c) => c.status === 'pending'
+    && c.channel === channel && c.address === address
+    && Date.now() - Date.parse(c.requestedAt) < RESEND_INTERVAL_MS);
+  if (recent) {
+    recent.locations = [...new Set([...recent.locations, ...locations])].slice(0, MAX_FOLLOWED);
+    await save(recent);
+    return;
+  }
+
+  const citizen = await save({
+    id: crypto.randomUUID(),
+    channel,
+    address,
+    locations,
+    status: 'pending',
+    confirmToken: token(),
+    unsubscribeToken: token(),
+    requestedAt: now,
+    confirmedAt: null,
+    unsubscribedAt: null,
+    lastStatus: {},
+    nextDigestAt: null,
+    createdAt: now,
+  });
+  await saveDelivery(newDelivery({ ...citizen, name: 'Citizen' }, { audience: 'citizen', kind: 'confirm' }));
+  confirmationsSent.push(Date.now());
+  console.log(`📨 Confirmation queued for a citizen following ${locations.join(', ')}`);
+}
+
+// What a delivery keeps of a location summary
+const digestEntry = (s) => ({
+  location: s.location,
+  year: s.year,
+  waterScore: s.waterScore,
+  status: s.status,
+  trend: s.trend,
+  groundwaterLevel: s.groundwaterLevel,
+  rainfall: s.rainfall,
+  depletionRate: s.depletionRate,
+  alertCount: s.alertCount,
+});
+
+// Current status of each location, for notices and digests
+function statusesOf(locations, view) {
+  const statuses = {};
+  for (const name of locations) {
+    const summary = view.getLocationSummary(name);
+    if (summary) statuses[name] = summary.status;
+  }
+  return statuses;
+}
+
+/**
+ * Confirm a pending subscription.
+ * @param {string} confirmToken - From the confirmation link
+ * @param {Object} view - The live dataset view
+ * @returns {Promise<Object|null>} the confirmed subscription, or null when the
+ *   link is unknown, used or expired
+ */
+async function confirmCitizenSubscription(confirmToken, view) {
+  const pending = confirmToken && [...citizens.values()]
+    .find((c) => c.status === 'pending' && c.confirmToken === confirmToken);
+  if (!pending || Date.now() - Date.parse(pending.requestedAt) > CONFIRM_TTL_MS) return null;
+  const now = new Date();
+
+  const existing = [...citizens.values()].find((c) => c.status === 'confirmed'
+    && c.channel === pending.channel && c.address === pending.address);
+  if (existing) {
+    existing.locations = [...new Set([...existing.locations, ...pending.locations])].slice(0, MAX_FOLLOWED);
+    existing.lastStatus = { ...statusesOf(existing.locations, view), ...existing.lastStatus };
+    await remove(pending.id);
+    return save(existing);
+  }
+  return save(Object.assign(pending, {
+    status: 'confirmed',
+    confirmToken: null,
+    confirmedAt: now.toISOString(),
+    lastStatus: statusesOf(pending.locations, view),
+    nextDigestAt: nextMonthlyDigest(now, settings()),
+  }));
+}
+
+/**
+ * Stop every message to a subscription. Repeating it is harmless.
+ * @param {string} unsubscribeToken - From the link in any message
+ * @returns {Promise<Object|null>} the subscription, or null for an unknown link
+ */
+async function unsubscribeCitizen(unsubscribeToken) {
+  const citizen = unsubscribeToken && [...citizens.values()].find((c) => c.unsubscribeToken === unsubscribeToken);
+  if (!citizen) return null;
+  if (citizen.status === 'unsubscribed') return citizen;
+  console.log(`📭 A citizen unsubscribed from ${citizen.locations.join(', ')}`);
+  return save(Object.assign(citizen, {
+    status: 'unsubscribed', confirmToken: null, unsubscribedAt: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Queue a notice for villages that have turned Critical since last checked,
+ * queue monthly digests that are due, and forget expired requests. Run by the
+ * notifier on every tick.
+ * @param {Object} view - The live dataset view
+ */
+async function checkFollowedLocations(view) {
+  const now = new Date();
+  const opts = settings();
+  const summaries = new Map(); // location → summary, shared by every subscriber this tick
+  const summaryOf = (name) => {
+    if (!summaries.has(name)) summaries.set(name, view.getLocationSummary(name));
+    return summaries.get(name);
+  };
+
+  for (const citizen of [...citizens.values()]) {
+    const age = now - Date.parse(citizen.updatedAt);
+    if ((citizen.status === 'pending' && now - Date.parse(citizen.requestedAt) > CONFIRM_TTL_MS)
+      || (citizen.status === 'unsubscribed' && age > UNSUBSCRIBED_RETENTION_MS)) {
+      await remove(citizen.id);
+      continue;
+    }
+    if (citizen.status !== 'confirmed') continue;
+
+    let changed = false;
+    const turnedCritical = [];
+    for (const name of citizen.locations) {
+      const summary = summaryOf(name);
+      if (!summary || citizen.lastStatus[name] === summary.status) continue;
+      if (summary.status === 'Critical') turnedCritical.push(digestEntry(summary));
+      citizen.lastStatus[name] = summary.status;
+      changed = true;
+    }
+    if (turnedCritical.length) {
+      await saveDelivery(newDelivery({ ...citizen, name: 'Citizen' }, {
+        audience: 'citizen', kind: 'critical', summaries: turnedCritical,
+      }));
+    }
+    if (citizen.nextDigestAt <= now.toISOString()) {
+      const digest = citizen.locations.map(summaryOf).filter(Boolean).map(digestEntry);
+      if (digest.length) {
+        await saveDelivery(newDelivery({ ...citizen, name: 'Citizen' }, {
+          audience: 'citizen', kind: 'monthly', summaries: digest,
+        }));
+      }
+      citizen.nextDigestAt = nextMonthlyDigest(now, opts);
+      changed = true;
+    }
+    if (changed) await save(citizen);
+  }
+}
+
+/** Counts for staff: subscriptions by status, followers per location */
+function citizenStats() {
+  const byStatus = { pending: 0, confirmed: 0, unsubscribed: 0 };
+  const followers = {};
+  for (const c of citizens.values()) {
+    byStatus[c.status]++;
+    if (c.status !== 'confirmed') continue;
+    for (const name of c.locations) followers[name] = (followers[name] || 0) + 1;
+  }
+  const sent = listDeliveries({ audience: 'citizen', status: 'sent' }).length;
+  return { byStatus, followers, sent };
+}
+
+module.exports = {
+  CITIZEN_CHANNELS,
+  MAX_FOLLOWED,
+  loadCitizenSubscriptions,
+  validateCitizenRequest,
+  subscribeWait,
+  requestCitizenSubscription,
+  confirmCitizenSubscription,
+  unsubscribeCitizen,
+  publicCitizen,
+  checkFollowedLocations,
+  citizenStats,
+};
@@ -0,0 +1,40 @@
+/**
+ * Email Channel
+ * Sends notifications over SMTP. Configured by SMTP_HOST (the channel is off
+ * without it), SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM.
+ * For local testing point it at the bundled sink: `npm run sink:smtp`.
+ */
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'JalRakshya Alerts <alerts@jalrakshya.local>';
+
+/**
+ * @param {Object} [env] - Settings (process.env by default)
+ * @returns {Object|null} the channel, or null when SMTP is not configured
+ */
+function createEmailChannel(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'email',
+    description: `SMTP via ${env.SMTP_HOST}`,
+
+    /** @param {Object} message - { subject, text } */
+    async send(subscription, message) {
+      await transporter.sendMail({
+        from: env.SMTP_FROM || DEFAULT_FROM,
+        to: subscription.address,
+        subject: message.subject,
+        text: message.text,
+      });
+    },
+  };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,185 @@
+/**
+ * Alert Notifications
+ * Sends alerts that are raised, return or escalate to the staff subscriptions
+ * that want them (notifications/subscriptions), over email, SMS or signed
+ * webhooks, and keeps citizens who follow a village informed
+ * (notifications/citizens). Messages go through the outbox
+ * (notifications/outbox), which retries failures with backoff.
+ *
+ * The notifier ticks every NOTIFY_INTERVAL_MS: it re-evaluates alerts against
+ * the live dataset — so an upload notifies even when nobody has the dashboard
+ * open — checks followed villages, closes due digests and sends what is due.
+ * With shared storage, run it in one instance only (NOTIFY_ENABLED=false in
+ * the others).
+ */
+const { onAlertsRaised, refreshAlerts } = require('../utils/alertLifecycle');
+const { getSubscription, subscribersFor, loadSubscriptions } = require('./subscriptions');
+const { loadCitizenSubscriptions, checkFollowedLocations } = require('./citizens');
+const { renderMessage } = require('./messages');
+const {
+  DELIVERY_STATUSES, settings, loadOutbox, saveDelivery, registerAudience, channelStatus, newDelivery,
+  attempt, dispatchDue, pruneOutbox, listDeliveries, getDelivery, publicDelivery, retryWait, retryDelivery,
+} = require('./outbox');
+
+const SEVERITY_RANK = { info: 1, warning: 2, critical: 3 };
+
+let timer = null;
+let ticking = false;
+
+registerAudience('staff', { find: getSubscription, render: renderMessage });
+
+/**
+ * Load subscriptions, citizen subscriptions and the outbox from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when any differs from what was held before
+ */
+async function loadNotifications(storageAdapter) {
+  const changed = await Promise.all([
+    loadSubscriptions(storageAdapter),
+    loadCitizenSubscriptions(storageAdapter),
+    loadOutbox(storageAdapter),
+  ]);
+  return changed.some(Boolean);
+}
+
+// The alert's target and the taluka and district it lies in
+function areasOf(alert, view) {
+  if (alert.scope === 'location') {
+    const loc = view.getLocationByName(alert.target);
+    return loc ? [alert.target, loc.taluka, loc.district].filter(Boolean) : [alert.target];
+  }
+  if (alert.scope === 'taluka') {
+    const loc = view.getAllLocations().find((l) => l.taluka === alert.target);
+    return loc ? [alert.target, loc.district].filter(Boolean) : [alert.target];
+  }
+  return [alert.target];
+}
+
+// What a delivery keeps of an alert: the alert changes after it is sent
+const snapshot = (alert, reason, at) => ({
+  id: alert.id,
+  scope: alert.scope,
+  target: alert.target,
+  rule: alert.rule,
+  type: alert.type,
+  title: alert.title,
+  message: alert.message,
+  recommendation: alert.recommendation || '',
+  value: alert.value,
+  threshold: alert.threshold,
+  reason,
+  at,
+});
+
+// When the digest a subscription collects into goes out
+function digestDue(mode, now, { digestHour }) {
+  const due = new Date(now);
+  due.setMinutes(0, 0, 0);
+  if (mode === 'hourly') {
+    due.setHours(due.getHours() + 1);
+  } else {
+    due.setHours(digestHour);
+    if (due <= now) due.setDate(due.getDate() + 1);
+  }
+  return due.toISOString();
+}
+
+/**
+ * Queue deliveries for the alerts an evaluation raised. Subscribers on
+ * `immediate` get one message per evaluation; digest subscribers have the
+ * alerts added to their open digest (an alert already in it is replaced).
+ * @param {Array} events - [{ reason, alert }]
+ * @param {Object} view - The dataset view the alerts were evaluated against
+ */
+async function enqueue(events, view) {
+  const now = new Date();
+  const at = now.toISOString();
+  const bySubscription = new Map(); // id → { subscription, alerts }
+  for (const { reason, alert } of events) {
+    for (const subscription of subscribersFor(alert, areasOf(alert, view))) {
+      if (!bySubscription.has(subscription.id)) bySubscription.set(subscription.id, { subscription, alerts: [] });
+      bySubscription.get(subscription.id).alerts.push(snapshot(alert, reason, at));
+    }
+  }
+
+  const opts = settings();
+  for (const { subscription, alerts } of bySubscription.values()) {
+    alerts.sort((a, b) => SEVERITY_RANK[b.type] - SEVERITY_RANK[a.type]);
+    if (subscription.digest === 'immediate') {
+      await saveDelivery(newDelivery(subscription, { kind: 'alert', alerts }));
+      continue;
+    }
+    const open = listDeliveries({ status: 'batched', subscriptionId: subscription.id })[0];
+    if (open) {
+      const fresh = new Set(alerts.map((a) => a.id));
+      open.alerts = [...open.alerts.filter((a) => !fresh.has(a.id)), ...alerts]
+        .sort((a, b) => SEVERITY_RANK[b.type] - SEVERITY_RANK[a.type]);
+      await saveDelivery(open);
+    } else {
+      await saveDelivery(newDelivery(subscription, {
+        kind: 'digest', alerts, status: 'batched', nextAttemptAt: digestDue(subscription.digest, now, opts),
+      }));
+    }
+  }
+  if (bySubscription.size) console.log(`📨 Queued notifications for ${bySubscription.size} subscriptions`);
+}
+
+/**
+ * Send a sample alert to a subscription right away, through the outbox, so a
+ * failure is retried like any other.
+ * @returns {Promise<Object>} the delivery
+ */
+async function sendTest(subscription) {
+  const sample = {
+    id: 'test', scope: 'location', target: 'Sample station', rule: 'test', type: 'critical',
+    title: 'Test notification', message: 'This is a test of your JalRakshya alert subscription.',
+    recommendation: '', value: null, threshold: null, reason: 'test', at: new Date().toISOString(),
+  };
+  return attempt(await saveDelivery(newDelivery(subscription, { kind: 'test', alerts: [sample] })));
+}
+
+async function tick(getView) {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const view = await getView();
+    await refreshAlerts(view);
+    await checkFollowedLocations(view);
+    await dispatchDue();
+    await pruneOutbox();
+  } catch (err) {
+    console.error('❌ Notifier tick failed:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start listening for raised alerts and sending deliveries. Call once, after
+ * the data has loaded, in a long-running server.
+ * @param {Object} options - { getView: async () => live dataset view }
+ */
+function startNotifier({ getView }) {
+  if (timer || process.env.NOTIFY_ENABLED === 'false') return;
+  onAlertsRaised(enqueue);
+  const configured = channelStatus()
+    .filter((c) => c.configured || c.simulated)
+    .map((c) => (c.simulated ? `${c.name} (simulated)` : c.name));
+  console.log(`📨 Notifier running (channels: ${configured.join(', ') || 'none'})`);
+  timer = setInterval(() => tick(getView), settings().intervalMs);
+  timer.unref();
+  tick(getView);
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  loadNotifications,
+  channelStatus,
+  startNotifier,
+  listDeliveries,
+  getDelivery,
+  publicDelivery,
+  retryWait,
+  retryDelivery,
+  sendTest,
+};
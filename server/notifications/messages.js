@@ -0,0 +1,127 @@
+/**
+ * Notification Messages
+ * Renders a delivery for each channel: a subject and plain-text body for
+ * email, one short line for SMS and a JSON payload for webhooks. Staff
+ * deliveries carry alerts; citizen ones a confirmation link or the status of
+ * the villages they follow. Links point at APP_URL (http://localhost:3000 for
+ * citizen links when it is unset).
+ */
+const REASONS = { raised: 'New', reopened: 'Returned', escalated: 'Escalated', test: 'Test' };
+const SCOPE_LABELS = { location: '', taluka: 'Taluka ', district: 'District ' };
+
+const place = (a) => `${SCOPE_LABELS[a.scope] || ''}${a.target}`;
+const severity = (a) => String(a.type).toUpperCase();
+
+function alertText(a) {
+  const lines = [
+    `[${severity(a)}] ${a.title} — ${place(a)} (${REASONS[a.reason] || a.reason})`,
+    `  ${a.message}`,
+  ];
+  if (a.recommendation) lines.push(`  Recommended: ${a.recommendation}`);
+  return lines.join('\n');
+}
+
+/**
+ * @param {Object} delivery - { kind: 'alert' | 'digest' | 'test', alerts: [...], createdAt }
+ * @param {Object} subscription
+ * @param {Object} [env] - Settings (process.env by default)
+ * @returns {Object} { subject, text, sms, payload }
+ */
+function renderMessage(delivery, subscription, env = process.env) {
+  const { alerts } = delivery;
+  const first = alerts[0];
+  const link = env.APP_URL ? `${env.APP_URL.replace(/\/$/, '')}/alerts` : null;
+
+  let subject;
+  if (delivery.kind === 'test') subject = 'JalRakshya test notification';
+  else if (alerts.length === 1) subject = `[${severity(first)}] ${first.title} — ${place(first)}`;
+  else subject = `JalRakshya: ${alerts.length} alerts (${alerts.filter((a) => a.type === 'critical').length} critical)`;
+
+  const text = [
+    delivery.kind === 'digest'
+      ? `Alerts since the last ${subscription.digest} digest for "${subscription.name}":`
+      : `Alert notification for "${subscription.name}":`,
+    ...alerts.map(alertText),
+    link && `Review them at ${link}`,
+    'You receive this because of a JalRakshya notification subscription.',
+  ].filter(Boolean).join('\n\n');
+
+  const sms = alerts.length === 1
+    ? `JalRakshya ${severity(first)}: ${first.title} — ${place(first)}. ${first.message}`
+    : `JalRakshya: ${alerts.length} alerts — ${alerts.slice(0, 3).map((a) => `${a.title} (${place(a)})`).join('; ')}${alerts.length > 3 ? '; …' : ''}`;
+
+  const payload = {
+    event: delivery.kind === 'test' ? 'notification.test' : 'alerts.raised',
+    deliveryId: delivery.id,
+    subscriptionId: subscription.id,
+    digest: delivery.kind === 'digest' ? subscription.digest : null,
+    createdAt: delivery.createdAt,
+    alerts,
+  };
+
+  return { subject, text, sms, payload };
+}
+
+const appUrl = (env) => (env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December'];
+
+function summaryText(s) {
+  const lines = [
+    `${s.location}: ${s.status} — water score ${s.waterScore}/100 (${s.year}), trend ${s.trend}`,
+    `  Groundwater level ${s.groundwaterLevel}m, rainfall ${s.rainfall}mm, depletion ${s.depletionRate}%`,
+  ];
+  if (s.alertCount) lines.push(`  ${s.alertCount} warning sign${s.alertCount !== 1 ? 's' : ''} in the latest data`);
+  return lines.join('\n');
+}
+
+/**
+ * A citizen delivery: confirmation, Critical notice or monthly digest. Every
+ * message carries the subscriber's one-click unsubscribe link.
+ * @param {Object} delivery - { kind: 'confirm' | 'critical' | 'monthly', summaries, createdAt }
+ * @param {Object} citizen - The citizen subscription
+ * @param {Object} [env] - Settings (process.env by default)
+ * @returns {Object} { subject, text, sms }
+ */
+function renderCitizenMessage(delivery, citizen, env = process.env) {
+  const base = appUrl(env);
+  const unsubscribe = `${base}/subscribe/unsubscribe?token=${citizen.unsubscribeToken}`;
+  const places = citizen.locations.join(', ');
+  const summaries = delivery.summaries || [];
+  let subject;
+  let blocks;
+  let sms;
+
+  if (delivery.kind === 'confirm') {
+    const confirm = `${base}/subscribe/confirm?token=${citizen.confirmToken}`;
+    subject = 'Confirm your JalRakshya water updates';
+    blocks = [
+      `You asked to follow groundwater conditions in ${places}.`,
+      `Confirm within 48 hours to start receiving a monthly status update and an immediate notice if a village turns Critical:\n${confirm}`,
+      'If you did not ask for this, ignore this message and nothing will be sent.',
+    ];
+    sms = `JalRakshya: confirm updates for ${places}: ${confirm}`;
+  } else if (delivery.kind === 'critical') {
+    const names = summaries.map((s) => s.location).join(', ');
+    subject = `Critical groundwater status: ${names}`;
+    blocks = [
+      `${names} ${summaries.length > 1 ? 'have' : 'has'} turned Critical in the latest data.`,
+      ...summaries.map(summaryText),
+      `Details: ${base}/dashboard/${encodeURIComponent(summaries[0].location)}`,
+    ];
+    sms = `JalRakshya: ${names} now CRITICAL (score ${summaries.map((s) => s.waterScore).join(', ')}). Stop: ${unsubscribe}`;
+  } else {
+    const month = MONTHS[new Date(delivery.createdAt).getMonth()];
+    subject = `JalRakshya ${month} update: ${places}`;
+    blocks = [
+      `Groundwater status of the villages you follow, as of ${month}:`,
+      ...summaries.map(summaryText),
+    ];
+    sms = `JalRakshya ${month}: ${summaries.map((s) => `${s.location} ${s.status} (${s.waterScore})`).join('; ')}. Stop: ${unsubscribe}`;
+  }
+
+  if (delivery.kind !== 'confirm') blocks.push(`Unsubscribe with one click: ${unsubscribe}`);
+  return { subject, text: blocks.join('\n\n'), sms };
+}
+
+module.exports = { renderMessage, renderCitizenMessage };
@@ -0,0 +1,256 @@
+/**
+ * Notification Outbox
+ * Every message is a delivery, written through to storage:
+ *
+ *   batched  – collecting alerts for an hourly or daily digest
+ *   pending  – waiting to be sent, or to be retried
+ *   sent     – accepted by the channel
+ *   failed   – gave up after NOTIFY_MAX_ATTEMPTS tries
+ *
+ * A failed attempt is retried after NOTIFY_RETRY_BASE_MS, doubling each time
+ * (at most an hour apart). A delivery belongs to an audience — `staff`
+ * subscriptions or `citizen` ones — which finds its recipient at send time
+ * (so a deleted or unsubscribed recipient is not sent to) and renders it.
+ */
+const crypto = require('crypto');
+const { createEmailChannel } = require('./email');
+const { createSmsChannel } = require('./sms');
+const { createWebhookChannel } = require('./webhook');
+
+const DELIVERIES_COLLECTION = 'notifications';
+const DELIVERY_STATUSES = ['batched', 'pending', 'sent', 'failed'];
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // sent and failed deliveries are kept this long
+// Retrying by hand: once per delivery per interval, and a cap per staff member
+const RETRY_INTERVAL_MS = { staff: 60 * 1000, citizen: 10 * 60 * 1000 };
+const RETRY_WINDOW_MS = 60 * 60 * 1000;
+const MAX_RETRIES_PER_WINDOW = 30;
+
+const settings = (env = process.env) => ({
+  intervalMs: parseInt(env.NOTIFY_INTERVAL_MS, 10) || 30000,
+  retryBaseMs: parseInt(env.NOTIFY_RETRY_BASE_MS, 10) || 30000,
+  maxAttempts: parseInt(env.NOTIFY_MAX_ATTEMPTS, 10) || 5,
+  digestHour: Math.min(23, Math.max(0, parseInt(env.NOTIFY_DIGEST_HOUR, 10) || 8)),
+});
+
+let adapter = null;
+let deliveries = new Map(); // id → delivery
+let signature = '';         // detects changes written by other instances
+let channels = null;        // name → channel (null when not configured)
+const audiences = {};       // name → { find(id, delivery), render(delivery, recipient) }
+const manualRetries = new Map(); // staff member → times of their recent retries (this instance)
+
+/**
+ * Load the outbox from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when it differs from what was held before
+ */
+async function loadOutbox(storageAdapter) {
+  adapter = storageAdapter;
+  const docs = await adapter.collection(DELIVERIES_COLLECTION).list();
+  const next = docs.map((d) => `${d.id}@${d.updatedAt}`).sort().join(',');
+  if (next === signature) return false;
+  signature = next;
+  deliveries = new Map(docs.map((d) => [d.id, d]));
+  return true;
+}
+
+async function saveDelivery(delivery) {
+  delivery.updatedAt = new Date().toISOString();
+  await adapter.collection(DELIVERIES_COLLECTION).put(delivery);
+  deliveries.set(delivery.id, delivery);
+  return delivery;
+}
+
+/**
+ * Say how to find and render the recipients of an audience's deliveries.
+ * @param {string} name
+ * @param {Object} audience - { find: (id, delivery) => recipient|null — null when it should not be sent,
+ *   render: (delivery, recipient) => message }
+ */
+function registerAudience(name, audience) {
+  audiences[name] = audience;
+}
+
+/** Channels built from the environment; unconfigured ones are null */
+function getChannels() {
+  if (channels) return channels;
+  let sms = null;
+  try {
+    sms = createSmsChannel();
+  } catch (err) {
+    console.error('❌ SMS channel disabled:', err.message);
+  }
+  channels = { email: createEmailChannel(), sms, webhook: createWebhookChannel() };
+  return channels;
+}
+
+/**
+ * Which channels can send, for the API. A simulated channel (the console SMS
+ * provider) accepts messages without delivering them, so it is not configured.
+ */
+function channelStatus() {
+  return Object.entries(getChannels()).map(([name, channel]) => ({
+    name,
+    configured: Boolean(channel) && !channel.simulated,
+    simulated: Boolean(channel && channel.simulated),
+    description: channel ? channel.description : null,
+  }));
+}
+
+/** "a•••@example.org" / "+91•••••0000" — enough for someone to recognise their own */
+function maskAddress(channel, address) {
+  if (channel === 'email') {
+    const [user, domain] = address.split('@');
+    return `${user[0]}${'•'.repeat(Math.max(1, user.length - 1))}@${domain}`;
+  }
+  return `${address.slice(0, 3)}${'•'.repeat(Math.max(1, address.length - 7))}${address.slice(-4)}`;
+}
+
+// Where a delivery goes, for logs and listings: citizens' addresses are masked
+const recipientOf = (d) => ((d.audience || 'staff') === 'citizen' ? maskAddress(d.channel, d.address) : d.address);
+
+/** A delivery as the API shows it */
+function publicDelivery(d) {
+  return { ...d, address: recipientOf(d) };
+}
+
+/**
+ * A new delivery, not yet saved.
+ * @param {Object} recipient - { id, name, channel, address }
+ * @param {Object} fields - { kind, audience?, alerts?, summaries?, status?, nextAttemptAt? }
+ */
+function newDelivery(recipient, fields) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    audience: 'staff',
+    subscriptionId: recipient.id,
+    subscriptionName: recipient.name,
+    channel: recipient.channel,
+    address: recipient.address,
+    alerts: [],
+    status: 'pending',
+    nextAttemptAt: now,
+    ...fields,
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    sentAt: null,
+  };
+}
+
+/**
+ * Make one attempt at a delivery and record the outcome.
+ * @returns {Promise<Object>} the delivery
+ */
+async function attempt(delivery) {
+  const opts = settings();
+  const audience = audiences[delivery.audience || 'staff'];
+  const recipient = audience && audience.find(delivery.subscriptionId, delivery);
+  const channel = getChannels()[delivery.channel];
+  delivery.attempts++;
+  try {
+    if (!recipient) throw new Error('Subscription no longer exists or was unsubscribed');
+    if (!channel) throw new Error(`The ${delivery.channel} channel is not configured`);
+    await channel.send(recipient, audience.render(delivery, recipient), delivery);
+    Object.assign(delivery, { status: 'sent', sentAt: new Date().toISOString(), nextAttemptAt: null, lastError: null });
+    console.log(`📨 Sent ${delivery.kind} to ${delivery.channel}:${recipientOf(delivery)}`);
+  } catch (err) {
+    const giveUp = !recipient || delivery.attempts >= opts.maxAttempts;
+    const delay = Math.min(MAX_BACKOFF_MS, opts.retryBaseMs * 2 ** (delivery.attempts - 1));
+    Object.assign(delivery, {
+      status: giveUp ? 'failed' : 'pending',
+      lastError: err.message,
+      nextAttemptAt: giveUp ? null : new Date(Date.now() + delay).toISOString(),
+    });
+    console.error(`❌ Notification to ${delivery.channel}:${recipientOf(delivery)} failed (attempt ${delivery.attempts}):`, err.message);
+  }
+  return saveDelivery(delivery);
+}
+
+/** Close due digests and send due deliveries, oldest first */
+async function dispatchDue() {
+  const now = new Date().toISOString();
+  const due = [...deliveries.values()]
+    .filter((d) => (d.status === 'pending' || d.status === 'batched') && d.nextAttemptAt <= now)
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+  for (const delivery of due) {
+    if (delivery.status === 'batched') delivery.status = 'pending';
+    await attempt(delivery);
+  }
+}
+
+/** Forget sent and failed deliveries past the retention period */
+async function pruneOutbox() {
+  const cutoff = new Date(Date.now() - RETENTION_MS).toISOString();
+  for (const d of [...deliveries.values()]) {
+    if ((d.status === 'sent' || d.status === 'failed') && d.updatedAt < cutoff) {
+      await adapter.collection(DELIVERIES_COLLECTION).remove(d.id);
+      deliveries.delete(d.id);
+    }
+  }
+}
+
+/**
+ * Deliveries matching a filter, newest first
+ * @param {Object} [filter] - { status, audience, subscriptionId }
+ */
+function listDeliveries(filter = {}) {
+  return [...deliveries.values()]
+    .filter((d) => !filter.status || d.status === filter.status)
+    .filter((d) => !filter.audience || (d.audience || 'staff') === filter.audience)
+    .filter((d) => !filter.subscriptionId || d.subscriptionId === filter.subscriptionId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** @returns {Object|null} */
+function getDelivery(id) {
+  return deliveries.get(id) || null;
+}
+
+/**
+ * How long a staff member must wait before retrying a delivery by hand
+ * @returns {number} milliseconds (0 when they may retry now)
+ */
+function retryWait(delivery, by, now = Date.now()) {
+  const last = delivery.retriedAt ? Date.parse(delivery.retriedAt) : 0;
+  const perDelivery = last + RETRY_INTERVAL_MS[delivery.audience || 'staff'] - now;
+  const recent = (manualRetries.get(by) || []).filter((t) => t > now - RETRY_WINDOW_MS);
+  const perStaff = recent.length >= MAX_RETRIES_PER_WINDOW ? recent[0] + RETRY_WINDOW_MS - now : 0;
+  return Math.max(0, perDelivery, perStaff);
+}
+
+/**
+ * Send a delivery again now — a failed one starts a fresh round of attempts.
+ * Check retryWait first.
+ * @param {string} by - Staff member retrying it
+ * @returns {Promise<Object>} the delivery
+ */
+async function retryDelivery(delivery, by) {
+  const now = Date.now();
+  manualRetries.set(by, [...(manualRetries.get(by) || []).filter((t) => t > now - RETRY_WINDOW_MS), now]);
+  delivery.retriedAt = new Date(now).toISOString();
+  if (delivery.status === 'failed') delivery.attempts = 0;
+  delivery.status = 'pending';
+  return attempt(delivery);
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  settings,
+  loadOutbox,
+  saveDelivery,
+  registerAudience,
+  channelStatus,
+  newDelivery,
+  attempt,
+  dispatchDue,
+  pruneOutbox,
+  listDeliveries,
+  getDelivery,
+  maskAddress,
+  publicDelivery,
+  retryWait,
+  retryDelivery,
+};
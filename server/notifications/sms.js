@@ -0,0 +1,82 @@
+/**
+ * SMS Channel
+ * Hands short notifications to a pluggable SMS provider, picked by
+ * SMS_PROVIDER (the channel is off without it). A provider is a factory
+ * `(env) => ({ send({ to, body }) })` whose send resolves once the gateway has
+ * accepted the message and rejects otherwise. Two are built in:
+ *
+ *   console – sends nothing, and logs the message with the number masked and
+ *             links removed (for development; `simulated`, so citizens are
+ *             never offered it)
+ *   http    – POSTs { to, body } as JSON to SMS_HTTP_URL, with
+ *             SMS_HTTP_TOKEN as a bearer token when set
+ *
+ * Gateways with their own API (Twilio, MSG91, …) plug in through
+ * registerSmsProvider before the notifier starts.
+ */
+const SMS_MAX_LENGTH = 320;
+const HTTP_TIMEOUT_MS = 10000;
+
+const providers = {
+  console: () => ({
+    simulated: true,
+    async send({ to, body }) {
+      // Links carry confirmation and unsubscribe tokens: keep them out of logs
+      console.log(`📱 SMS (not sent) to …${to.slice(-4)}: ${body.replace(/https?:\/\/\S+/g, '[link]')}`);
+    },
+  }),
+
+  http: (env) => {
+    if (!env.SMS_HTTP_URL) throw new Error('SMS_PROVIDER=http needs SMS_HTTP_URL');
+    return {
+      async send({ to, body }) {
+        const res = await fetch(env.SMS_HTTP_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(env.SMS_HTTP_TOKEN && { Authorization: `Bearer ${env.SMS_HTTP_TOKEN}` }),
+          },
+          body: JSON.stringify({ to, body }),
+          signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+        });
+        if (!res.ok) throw new Error(`SMS gateway answered ${res.status}`);
+      },
+    };
+  },
+};
+
+/**
+ * Make a provider available to SMS_PROVIDER.
+ * @param {string} name
+ * @param {Function} factory - (env) => { send({ to, body }) }
+ */
+function registerSmsProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * @param {Object} [env] - Settings (process.env by default)
+ * @returns {Object|null} the channel, or null when SMS_PROVIDER is not set
+ * @throws {Error} when SMS_PROVIDER names an unknown provider
+ */
+function createSmsChannel(env = process.env) {
+  const name = env.SMS_PROVIDER;
+  if (!name) return null;
+  const factory = providers[name];
+  if (!factory) throw new Error(`Unknown SMS_PROVIDER: ${name} (known: ${Object.keys(providers).join(', ')})`);
+  const provider = factory(env);
+
+  return {
+    name: 'sms',
+    description: provider.simulated ? `${name} provider (logs only, sends nothing)` : `${name} provider`,
+    simulated: Boolean(provider.simulated),
+
+    /** @param {Object} message - { sms } */
+    async send(subscription, message) {
+      const body = message.sms.length > SMS_MAX_LENGTH ? `${message.sms.slice(0, SMS_MAX_LENGTH - 1)}…` : message.sms;
+      await provider.send({ to: subscription.address, body });
+    },
+  };
+}
+
+module.exports = { createSmsChannel, registerSmsProvider };
@@ -0,0 +1,172 @@
+/**
+ * Notification Subscriptions
+ * Who hears about which alerts, and how.
+ *
+ * Subscription shape:
+ *   { id, name, active,
+ *     owner,                            // who set it up
+ *     channel: 'email' | 'sms' | 'webhook',
+ *     address: 'ops@example.org' | '+919800000000' | 'https://…',
+ *     secret,                           // webhook only: signs each delivery
+ *     locations: ['Igatpuri', 'Nashik'], // location, taluka or district names; empty = everywhere
+ *     severities: ['critical'],
+ *     digest: 'immediate' | 'hourly' | 'daily' }
+ *
+ * A location alert matches a subscription naming its location, taluka or
+ * district; a taluka alert one naming the taluka or its district; a district
+ * alert one naming the district. Subscriptions are held in memory and written
+ * through to storage.
+ */
+const crypto = require('crypto');
+
+const SUBSCRIPTIONS_COLLECTION = 'subscriptions';
+const CHANNELS = ['email', 'sms', 'webhook'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DIGEST_MODES = ['immediate', 'hourly', 'daily'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9]{8,15}$/;
+
+let adapter = null;
+let subscriptions = new Map(); // id → subscription
+let signature = '';            // detects changes written by other instances
+
+/**
+ * Load subscriptions from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when they differ from what was held before
+ */
+async function loadSubscriptions(storageAdapter) {
+  adapter = storageAdapter;
+  const docs = await adapter.collection(SUBSCRIPTIONS_COLLECTION).list();
+  const next = docs.map((d) => `${d.id}@${d.updatedAt}`).sort().join(',');
+  if (next === signature) return false;
+  signature = next;
+  subscriptions = new Map(docs.map((d) => [d.id, d]));
+  return true;
+}
+
+/**
+ * Problems with an address for a channel
+ * @returns {string[]}
+ */
+function addressProblems(channel, address) {
+  const value = typeof address === 'string' ? address.trim() : '';
+  if (!value) return ['address is required'];
+  if (channel === 'email' && !EMAIL_PATTERN.test(value)) return ['address must be an email address'];
+  if (channel === 'sms' && !PHONE_PATTERN.test(value.replace(/[\s-]/g, ''))) {
+    return ['address must be a phone number, e.g. +919800000000'];
+  }
+  if (channel === 'webhook') {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (err) {
+      return ['address must be a URL'];
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return ['address must be an http(s) URL'];
+  }
+  return [];
+}
+
+/**
+ * Check a subscription before saving.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateSubscription(s) {
+  if (!s || typeof s !== 'object') return ['Subscription body is required'];
+  const problems = [];
+  if (!s.name || !String(s.name).trim()) problems.push('name is required');
+  if (!CHANNELS.includes(s.channel)) {
+    problems.push(`channel must be one of ${CHANNELS.join(', ')}`);
+  } else {
+    problems.push(...addressProblems(s.channel, s.address));
+  }
+  if (s.locations !== undefined && !(Array.isArray(s.locations) && s.locations.every((l) => typeof l === 'string'))) {
+    problems.push('locations must be a list of names');
+  }
+  if (s.severities !== undefined
+    && !(Array.isArray(s.severities) && s.severities.length && s.severities.every((v) => SEVERITIES.includes(v)))) {
+    problems.push(`severities must be a non-empty list of ${SEVERITIES.join(', ')}`);
+  }
+  if (s.digest !== undefined && !DIGEST_MODES.includes(s.digest)) {
+    problems.push(`digest must be one of ${DIGEST_MODES.join(', ')}`);
+  }
+  return problems;
+}
+
+/** Trim text and fill optional fields. Call after validation. */
+function normalizeSubscription(s) {
+  const address = String(s.address).trim();
+  return {
+    ...s,
+    name: String(s.name).trim(),
+    address: s.channel === 'sms' ? address.replace(/[\s-]/g, '') : address,
+    secret: s.channel === 'webhook' ? s.secret || crypto.randomBytes(24).toString('hex') : null,
+    locations: [...new Set((s.locations || []).map((l) => l.trim()).filter(Boolean))],
+    severities: s.severities || ['critical'],
+    digest: s.digest || 'immediate',
+    active: s.active !== false,
+  };
+}
+
+/** A subscription as the API shows it — the webhook secret is only returned on creation */
+function publicSubscription(s) {
+  const { secret, ...rest } = s;
+  return { ...rest, hasSecret: Boolean(secret) };
+}
+
+/**
+ * Subscriptions by name
+ * @param {Object} [filter] - { owner }
+ */
+function listSubscriptions(filter = {}) {
+  return [...subscriptions.values()]
+    .filter((s) => !filter.owner || s.owner === filter.owner)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** @returns {Object|null} */
+function getSubscription(id) {
+  return subscriptions.get(id) || null;
+}
+
+async function saveSubscription(s) {
+  await adapter.collection(SUBSCRIPTIONS_COLLECTION).put(s);
+  subscriptions.set(s.id, s);
+  return s;
+}
+
+/** @returns {Promise<boolean>} false when there was no such subscription */
+async function removeSubscription(id) {
+  if (!subscriptions.has(id)) return false;
+  await adapter.collection(SUBSCRIPTIONS_COLLECTION).remove(id);
+  subscriptions.delete(id);
+  return true;
+}
+
+/**
+ * Active subscriptions that want to hear about an alert
+ * @param {Object} alert - A tracked alert
+ * @param {string[]} areas - The alert's target and the taluka/district it lies in
+ */
+function subscribersFor(alert, areas) {
+  return listSubscriptions().filter((s) => s.active
+    && s.severities.includes(alert.type)
+    && (!s.locations.length || s.locations.some((l) => areas.includes(l))));
+}
+
+module.exports = {
+  CHANNELS,
+  SEVERITIES,
+  DIGEST_MODES,
+  loadSubscriptions,
+  addressProblems,
+  validateSubscription,
+  normalizeSubscription,
+  publicSubscription,
+  listSubscriptions,
+  getSubscription,
+  saveSubscription,
+  removeSubscription,
+  subscribersFor,
+};
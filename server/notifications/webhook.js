@@ -0,0 +1,168 @@
+/**
+ * Webhook Channel
+ * POSTs notifications as JSON to a subscriber's URL, signed with the
+ * subscription's secret so the receiver can check where they came from:
+ *
+ *   X-JalRakshya-Timestamp: 1767225600            (seconds)
+ *   X-JalRakshya-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *   X-JalRakshya-Delivery:  <delivery id, the same on every retry>
+ *
+ * Any non-2xx answer (or no answer within WEBHOOK_TIMEOUT_MS) is a failed
+ * attempt; redirects are not followed. `npm run sink:webhook` runs a receiver
+ * that verifies signatures.
+ *
+ * Webhooks never reach private, loopback or link-local addresses — checked
+ * on the address actually connected to, so a hostname cannot be pointed at
+ * one later. Hosts in WEBHOOK_ALLOWED_HOSTS (comma-separated) are exempt, for
+ * receivers inside the network.
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Addresses a webhook must not reach: this machine and private networks
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise
+ * internal (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const allowedHosts = (env) => String(env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+
+function privateTargetError(host, address) {
+  const where = host === address ? `${host} is a private address` : `${host} resolves to a private address (${address})`;
+  const err = new Error(`${where}; list the host in WEBHOOK_ALLOWED_HOSTS to allow it`);
+  err.code = 'EPRIVATETARGET';
+  return err;
+}
+
+/**
+ * dns.lookup that refuses private addresses, for the connection itself
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) return callback(privateTargetError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Problems with a webhook URL as a target: it must not resolve to a private
+ * address unless its host is allowed. Unresolvable hosts are left to fail
+ * when sent to.
+ * @param {Object} [env] - Settings (process.env by default)
+ * @returns {Promise<string[]>}
+ */
+async function webhookTargetProblems(address, env = process.env) {
+  let url;
+  try {
+    url = new URL(address);
+  } catch (err) {
+    return []; // reported by the address check
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts(env).includes(host)) return [];
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    return [];
+  }
+  const blocked = addresses.find((a) => isPrivateAddress(a.address));
+  return blocked ? [`Webhook target not allowed: ${privateTargetError(host, blocked.address).message}`] : [];
+}
+
+/**
+ * POST a body, resolving with the status code
+ */
+function post(address, headers, body, { timeout, allowed }) {
+  const url = new URL(address);
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const exempt = allowed.includes(host);
+  // Literal IPs skip the lookup, so they are checked here
+  if (!exempt && net.isIP(host) && isPrivateAddress(host)) return Promise.reject(privateTargetError(host, host));
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(!exempt && { lookup: publicLookup }),
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`No answer within ${timeout} ms`)), timeout);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/** "sha256=<hex>" signature of a timestamped body */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received signature (constant-time).
+ * @returns {boolean}
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * @param {Object} [env] - Settings (process.env by default)
+ * @returns {Object} the channel
+ */
+function createWebhookChannel(env = process.env) {
+  const timeout = parseInt(env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  const allowed = allowedHosts(env);
+
+  return {
+    name: 'webhook',
+    description: 'Signed HTTP POST',
+
+    /** @param {Object} message - { payload } */
+    async send(subscription, message, delivery) {
+      const body = JSON.stringify(message.payload);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const status = await post(subscription.address, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'JalRakshya-Webhooks/1.0',
+        'X-JalRakshya-Timestamp': timestamp,
+        'X-JalRakshya-Signature': signPayload(subscription.secret, timestamp, body),
+        'X-JalRakshya-Delivery': delivery.id,
+      }, body, { timeout, allowed });
+      if (status < 200 || status >= 300) throw new Error(`Webhook answered ${status}`);
+    },
+  };
+}
+
+module.exports = {
+  createWebhookChannel, signPayload, verifySignature, isPrivateAddress, webhookTargetProblems,
+};
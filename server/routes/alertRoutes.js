@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/alertController');
+const { requireStaff } = require('../utils/staffAuth');
+
+router.get('/', ctrl.listAlerts);
+router.get('/audit', ctrl.getAuditTrail); // MUST come before /:id
+
+router.get('/:id', ctrl.getAlertById);
+router.post('/:id/:action', requireStaff, ctrl.changeAlertState);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/alertRuleController');
+const { requireStaff } = require('../utils/staffAuth');
+
+router.get('/', ctrl.listRules);
+router.post('/', requireStaff, ctrl.createRule);
+router.post('/test', ctrl.testDraftRule); // MUST come before /:id
+
+router.get('/:id', ctrl.getRuleById);
+router.put('/:id', requireStaff, ctrl.updateRule);
+router.delete('/:id', requireStaff, ctrl.deleteRule);
+router.post('/:id/reset', requireStaff, ctrl.resetRule);
+router.post('/:id/test', ctrl.testRule);
+
+module.exports = router;
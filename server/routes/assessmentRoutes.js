@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/assessmentController');
+const { requireStaff } = require('../utils/staffAuth');
+
+router.get('/config', ctrl.getConfig);
+router.put('/config', requireStaff, ctrl.updateConfig);
+
+router.get('/districts', ctrl.getDistrictAssessments);
+router.get('/districts/:district', ctrl.getDistrictAssessment);
+router.get('/locations/:location', ctrl.getLocationAssessment);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const ctrl = require('../controllers/bulletinController');
+const { requireStaff } = require('../utils/staffAuth');
+const { ATTACHMENT_MAX_BYTES, MAX_ATTACHMENTS } = require('../utils/bulletins');
+
+// Attachments are kept in storage, not on disk, so they are read into memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_BYTES, files: MAX_ATTACHMENTS },
+});
+
+function attachmentUpload(req, res, next) {
+  upload.array('files', MAX_ATTACHMENTS)(req, res, (err) => {
+    if (err instanceof multer.MulterError) err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    next(err);
+  });
+}
+
+router.get('/', ctrl.listPublished);
+router.get('/manage', requireStaff, ctrl.listAll); // MUST come before /:id
+router.post('/', requireStaff, ctrl.createBulletin);
+
+router.get('/:id', ctrl.getBulletinById);
+router.put('/:id', requireStaff, ctrl.updateBulletin);
+router.delete('/:id', requireStaff, ctrl.deleteBulletin);
+router.post('/:id/publish', requireStaff, ctrl.publishBulletin);
+router.post('/:id/expire', requireStaff, ctrl.expireBulletin);
+
+router.post('/:id/attachments', requireStaff, attachmentUpload, ctrl.addBulletinAttachments);
+router.get('/:id/attachments/:attachmentId', ctrl.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', requireStaff, ctrl.deleteBulletinAttachment);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/mappingController');
+const { requireStaff } = require('../utils/staffAuth');
+
+router.get('/', ctrl.listProfiles);
+router.post('/', requireStaff, ctrl.createProfile);
+router.get('/:id', ctrl.getProfileById);
+router.put('/:id', requireStaff, ctrl.updateProfile);
+router.delete('/:id', requireStaff, ctrl.deleteProfile);
+
+module.exports = router;
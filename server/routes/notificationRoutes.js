@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/notificationController');
+const { requireStaff } = require('../utils/staffAuth');
+
+// Subscriptions, the outbox and citizen counts hold addresses: staff only
+router.use(requireStaff);
+
+router.get('/channels', ctrl.getChannels);
+
+router.get('/subscriptions', ctrl.listSubscriptions);
+router.post('/subscriptions', ctrl.createSubscription);
+router.get('/subscriptions/:id', ctrl.getSubscriptionById);
+router.put('/subscriptions/:id', ctrl.updateSubscription);
+router.delete('/subscriptions/:id', ctrl.deleteSubscription);
+router.post('/subscriptions/:id/test', ctrl.testSubscription);
+
+router.get('/deliveries', ctrl.listDeliveries);
+router.post('/deliveries/:id/retry', ctrl.retryDelivery);
+
+router.get('/citizens', ctrl.getCitizenStats);
+
+module.exports = router;
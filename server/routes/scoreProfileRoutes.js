@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/scoreProfileController');
+const { requireStaff } = require('../utils/staffAuth');
+
+router.get('/', ctrl.listProfiles);
+router.post('/', requireStaff, ctrl.createProfile);
+
+// Assignments (MUST come before /:id)
+router.get('/assignments', ctrl.listAssignments);
+router.put('/assignments/:scope/:target', requireStaff, ctrl.assignProfile);
+router.delete('/assignments/:scope/:target', requireStaff, ctrl.unassignProfile);
+
+router.get('/:id', ctrl.getProfileById);
+router.put('/:id', requireStaff, ctrl.updateProfile);
+router.delete('/:id', requireStaff, ctrl.deleteProfile);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/citizenSubscriptionController');
+
+router.get('/options', ctrl.getOptions);
+router.post('/', ctrl.subscribe);
+router.post('/confirm', ctrl.confirm);
+router.post('/unsubscribe', ctrl.unsubscribe);
+
+module.exports = router;
@@ -3,9 +3,15 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { parseCSV } = require('../utils/csvParser');
+const crypto = require('crypto');
+const { detectFormat, unsupportedFormat, parseFileWithReport, readFileSample } = require('../utils/fileParsers');
+const { suggestMapping, applyMapping } = require('../utils/columnMapping');
+const { getProfile } = require('../controllers/mappingController');
+const { diffUpload } = require('../utils/uploadDiff');
 const store = require('../dataStore');
 const { flushCache } = require('../controllers/waterController');
+const importQueue = require('../utils/importQueue');
+const uploadPreviews = require('../utils/uploadPreviews');
 
 // On Vercel, use /tmp (read-only filesystem except /tmp); locally use data/
 const dataDir = process.env.VERCEL
@@ -15,50 +21,365 @@ if (!process.env.VERCEL && !fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Configure multer for CSV upload
+// Configure multer for data file upload (CSV, Excel, JSON, GeoJSON)
+// The original extension is kept so the parser can tell the format apart
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, dataDir),
-  filename: (req, file, cb) => cb(null, `upload_${Date.now()}.csv`),
+  filename: (req, file, cb) => cb(null, `upload_${Date.now()}${path.extname(file.originalname).toLowerCase()}`),
 });
 
 const upload = multer({
   storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (detectFormat(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(unsupportedFormat(file.originalname), false);
     }
   },
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  limits: { fileSize: (parseInt(process.env.UPLOAD_MAX_MB, 10) || 50) * 1024 * 1024 },
 });
 
+// Delete an uploaded file once it has been read (or could not be)
+function removeUpload(filePath) {
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') console.error(`❌ Could not remove upload ${filePath}:`, err.message);
+  });
+}
+
+// Uploads left behind by a crash or restart (an hour old, so another
+// process's upload in progress is left alone)
+if (fs.existsSync(dataDir)) {
+  for (const name of fs.readdirSync(dataDir)) {
+    const filePath = path.join(dataDir, name);
+    try {
+      if (name.startsWith('upload_') && Date.now() - fs.statSync(filePath).mtimeMs > 3600 * 1000) removeUpload(filePath);
+    } catch (err) {
+      // Gone already
+    }
+  }
+}
+
+// Uploads larger than this run as background jobs even without ?async=true
+const ASYNC_THRESHOLD_BYTES = (parseFloat(process.env.IMPORT_ASYNC_THRESHOLD_MB) || 5) * 1024 * 1024;
+
+/**
+ * Write validated rows to the store (creating a dataset version) and flush stale cache
+ */
+async function ingestRows(rows, meta, coordinates = [], options = {}) {
+  const version = await store.addWaterData(rows, meta, coordinates, options);
+  flushCache();
+  const locations = [...new Set(rows.map((r) => r.location))];
+  return { version, locations, anomalies: await ingestedAnomalies(rows, locations) };
+}
+
+/**
+ * Anomalies among the readings just ingested (detection runs as the new
+ * dataset version is built), so uploaders can check them straight away
+ */
+async function ingestedAnomalies(rows, locations) {
+  const years = new Set(rows.map((r) => `${r.location}|${r.year}`));
+  const flagged = (await Promise.all(locations.map((location) => store.getAnomalies({ location }))))
+    .flat()
+    .filter((a) => years.has(`${a.location}|${a.year}`));
+  return { count: flagged.length, flagged: flagged.slice(0, 50) };
+}
+
+// XLSX sheets to read: ?sheets=2019,2020 or a repeated/comma-separated form field
+function sheetsOf(req) {
+  const value = req.query.sheets || (req.body && req.body.sheets);
+  if (!value) return undefined;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Who is uploading: multipart field or header, for version metadata
+function uploaderOf(req) {
+  return (req.body && req.body.uploader) || req.get('X-Uploader') || 'anonymous';
+}
+
 /**
- * POST /api/upload/csv
- * Upload and ingest a CSV file into in-memory store
+ * POST /api/upload/sample[?sheets=<name>]
+ * Read headers and a few rows from a sample file and suggest a column mapping.
+ * Spreadsheets also report their sheet names.
  */
-router.post('/csv', upload.single('csvFile'), async (req, res, next) => {
+router.post('/sample', upload.single('csvFile'), async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, message: 'No CSV file uploaded' });
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+    let sample;
+    try {
+      sample = await readFileSample(req.file.path, { sheets: sheetsOf(req) });
+    } finally {
+      removeUpload(req.file.path);
+    }
+    const { headers, rows, sheets } = sample;
+    if (!headers.length) {
+      return res.status(400).json({ success: false, message: 'Could not read a header row from the file' });
     }
+    const suggested = suggestMapping(headers);
+    res.json({
+      success: true,
+      headers,
+      ...(sheets ? { sheets } : {}),
+      sampleRows: rows,
+      suggested,
+      preview: rows.map((r) => applyMapping(r, suggested)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const rows = await parseCSV(req.file.path);
+/**
+ * Parse, validate and either preview or ingest an uploaded file, which is
+ * deleted once read. Shared by the request path and background import jobs.
+ * @param {Object} upload - { filePath, filename, profile, sheets, uploader, dryRun }
+ * @param {Function} [update] - Import-job progress callback (phase, progress)
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function processUpload({ filePath, filename, profile, sheets, uploader, dryRun }, update = () => {}) {
+  update('parsing');
+  let parsed;
+  try {
+    parsed = await parseFileWithReport(filePath, {
+      profile,
+      sheets,
+      onProgress: (progress) => update(null, progress),
+    });
+  } finally {
+    removeUpload(filePath);
+  }
+  const { rows, locations: coordinates, report } = parsed;
+  const format = detectFormat(filename);
 
-    if (!rows.length) {
-      return res.status(400).json({ success: false, message: 'CSV file is empty or malformatted' });
-    }
+  if (!rows.length && !coordinates.length) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: report.totalRows
+          ? `No valid rows: all ${report.totalRows} rows were rejected`
+          : 'File is empty or malformatted',
+        report,
+      },
+    };
+  }
 
-    // Add to in-memory store & flush stale cache
-    store.addWaterData(rows);
-    flushCache();
-    const uniqueLocations = [...new Set(rows.map((r) => r.location))];
+  // Uploaded rows are measurements, never synthetic. Marked in place: a large
+  // upload's rows are the biggest thing an import holds
+  for (const r of rows) r.isSynthetic = false;
+  const rowCounts = { total: report.totalRows, rejected: report.rejectedCount, warnings: report.warningCount };
 
-    res.json({
+  if (dryRun) {
+    update('diffing', { totalRows: rows.length });
+    const previewId = crypto.randomUUID();
+    const diff = diffUpload(rows, store);
+    const { expiresAt } = await uploadPreviews.savePreview(previewId, {
+      rows,
+      coordinates,
+      filename,
+      uploader,
+      mapping: profile.id,
+      rowCounts,
+      baseRevision: store.getRevision(),
+    });
+    return {
+      status: 200,
+      body: {
+        success: true,
+        dryRun: true,
+        previewId,
+        expiresAt,
+        message: `Preview: ${rows.length} of ${report.totalRows} records would be ingested` +
+          (coordinates.length ? `, ${coordinates.length} locations repositioned` : '') +
+          ' — nothing has been written',
+        diff,
+        report,
+      },
+    };
+  }
+
+  update('ingesting', { totalRows: rows.length });
+  const { version, locations: uniqueLocations, anomalies } = await ingestRows(rows, {
+    filename,
+    uploader,
+    mapping: profile.id,
+    rowCounts,
+  }, coordinates);
+
+  return {
+    status: 200,
+    body: {
       success: true,
-      message: `CSV processed: ${rows.length} records ingested`,
+      version,
+      message: `${format.toUpperCase()} processed: ${rows.length} of ${report.totalRows} records ingested` +
+        (report.rejectedCount ? `, ${report.rejectedCount} rejected` : '') +
+        (coordinates.length ? `, ${coordinates.length} locations repositioned` : ''),
       details: { totalRows: rows.length, locations: uniqueLocations.length },
-    });
+      anomalies,
+      report,
+    },
+  };
+}
+
+/**
+ * Apply a stored dry-run preview.
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function commitPreview(previewId, { force }, update = () => {}) {
+  const preview = await uploadPreviews.loadPreview(previewId);
+  if (!preview) {
+    return { status: 404, body: { success: false, message: 'Preview not found or expired — upload again with dryRun=true' } };
+  }
+
+  const stale = () => ({
+    status: 409,
+    body: {
+      success: false,
+      message: 'Dataset has changed since this preview was made. Re-run the dry run, or commit with force=true.',
+      diff: diffUpload(preview.rows, store),
+    },
+  });
+  if (preview.baseRevision !== store.getRevision() && !force) return stale();
+
+  update('ingesting', { totalRows: preview.rows.length });
+  let ingested;
+  try {
+    // Checked again once the write's turn comes: another write may be ahead of it
+    ingested = await ingestRows(preview.rows, {
+      filename: preview.filename,
+      uploader: preview.uploader,
+      mapping: preview.mapping,
+      rowCounts: preview.rowCounts,
+    }, preview.coordinates, force ? {} : { baseRevision: preview.baseRevision });
+  } catch (err) {
+    if (err.status === 409) return stale();
+    throw err;
+  }
+  const { version, locations: uniqueLocations, anomalies } = ingested;
+  await uploadPreviews.removePreview(previewId);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      version,
+      message: `Preview committed: ${preview.rows.length} records ingested from ${preview.filename}`,
+      details: { totalRows: preview.rows.length, locations: uniqueLocations.length },
+      anomalies,
+    },
+  };
+}
+
+// Queue the work as an import job and answer 202 with where to poll
+async function respondWithJob(res, label, task) {
+  const job = await importQueue.enqueue(label, task);
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/upload/jobs/${job.id}`,
+    message: `Import of ${label} queued`,
+    job,
+  });
+}
+
+/**
+ * POST /api/upload/csv[?dryRun=true][&mapping=<profileId>][&sheets=<a,b>][&async=true]
+ * POST /api/upload/file (same handler)
+ * Upload, validate and ingest a data file into the data store: CSV, Excel
+ * (.xlsx, all sheets unless `sheets` names some), JSON (array of records)
+ * or GeoJSON (feature properties are records; Point geometry sets coordinates,
+ * and features without a year only update the location's position).
+ * Responds with a per-row report: accepted rows, rejected rows (with reasons)
+ * and warnings (defaults applied, values normalized, duplicates).
+ * With ?dryRun=true nothing is written: the response carries a diff and a
+ * previewId that POST /api/upload/commit/:previewId can apply later.
+ * `mapping` (query or form field) names a saved column-mapping profile for
+ * files whose headers or units differ from the standard CSV.
+ * With ?async=true, or for files above IMPORT_ASYNC_THRESHOLD_MB, the upload
+ * runs as a background job: the response is 202 with a jobId to poll at
+ * GET /api/upload/jobs/:jobId, whose result is the body described above.
+ */
+router.post(['/csv', '/file'], upload.single('csvFile'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    let profile;
+    try {
+      profile = await getProfile(req.query.mapping || (req.body && req.body.mapping));
+    } catch (err) {
+      removeUpload(req.file.path);
+      throw err;
+    }
+    const job = {
+      filePath: req.file.path,
+      filename: req.file.originalname,
+      profile,
+      sheets: sheetsOf(req),
+      uploader: uploaderOf(req),
+      dryRun: req.query.dryRun === 'true',
+    };
+
+    if (req.query.async === 'true' || req.file.size > ASYNC_THRESHOLD_BYTES) {
+      return await respondWithJob(res, job.filename, (update) => processUpload(job, update));
+    }
+
+    const { status, body } = await processUpload(job);
+    res.status(status).json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/upload/commit/:previewId[?force=true][&async=true]
+ * Apply a dry-run preview. Refuses with 409 if the dataset changed since the
+ * preview was made (its diff may be stale) unless force=true.
+ */
+router.post('/commit/:previewId', async (req, res, next) => {
+  try {
+    const options = { force: req.query.force === 'true' };
+    if (req.query.async === 'true') {
+      const preview = await uploadPreviews.findPreview(req.params.previewId);
+      const label = preview ? preview.filename : req.params.previewId;
+      return await respondWithJob(res, label, (update) => commitPreview(req.params.previewId, options, update));
+    }
+
+    const { status, body } = await commitPreview(req.params.previewId, options);
+    res.status(status).json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/upload/jobs
+ * Import jobs on all instances (queued, running and recently finished)
+ */
+router.get('/jobs', async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await importQueue.listJobs() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/upload/jobs/:jobId
+ * Phase, percent, processed row count and row errors; `result` once finished
+ */
+router.get('/jobs/:jobId', async (req, res, next) => {
+  try {
+    const job = await importQueue.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import job not found or expired' });
+    }
+    res.json({ success: true, data: job });
   } catch (err) {
     next(err);
   }
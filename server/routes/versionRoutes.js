@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const ctrl = require('../controllers/versionController');
+const { requireStaff } = require('../utils/staffAuth');
+
+router.get('/', ctrl.listVersions);
+router.get('/diff', ctrl.diffVersions);
+router.post('/:version/rollback', requireStaff, ctrl.rollback);
+
+module.exports = router;
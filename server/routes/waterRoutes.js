@@ -9,8 +9,12 @@ router.get('/compare', ctrl.compareLocations);
 router.get('/rankings', ctrl.getRankings);
 router.get('/search-suggestions', ctrl.getSearchSuggestions);
 router.get('/heatmap-data', ctrl.getHeatmapData);
+router.get('/surface', ctrl.getSurface);
 router.get('/district-alerts', ctrl.getDistrictAlerts);
 router.get('/district-gov-updates', ctrl.getDistrictGovUpdates);
+router.get('/backtest/district', ctrl.getDistrictBacktest);
+router.get('/anomalies', ctrl.getAnomalies);
+router.get('/analysis/correlations', ctrl.getCorrelations);
 
 // Location-specific
 router.get('/:location', ctrl.getWaterDataByLocation);
@@ -18,7 +22,13 @@ router.get('/:location/latest', ctrl.getLatestData);
 router.get('/:location/alerts', ctrl.getAlerts);
 router.get('/:location/gov-updates', ctrl.getGovUpdates);
 router.get('/:location/predictions', ctrl.getPredictions);
+router.get('/:location/backtest', ctrl.getBacktest);
 router.get('/:location/summary', ctrl.getLocationSummary);
 router.get('/:location/yearly-changes', ctrl.getYearlyChanges);
+router.get('/:location/spi', ctrl.getSpi);
+router.get('/:location/anomalies', ctrl.getLocationAnomalies);
+router.get('/:location/score-breakdown', ctrl.getScoreBreakdown);
+router.post('/:location/what-if', ctrl.getWhatIfScores);
+router.post('/:location/scenario', ctrl.runScenario);
 
 module.exports = router;
@@ -3,24 +3,58 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const path = require('path');
-const { loadData } = require('./dataStore');
+const { loadData, syncData, atVersion } = require('./dataStore');
+const { flushCache } = require('./controllers/waterController');
+const { startNotifier } = require('./notifications');
 
 const waterRoutes = require('./routes/waterRoutes');
 const locationRoutes = require('./routes/locationRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const versionRoutes = require('./routes/versionRoutes');
+const mappingRoutes = require('./routes/mappingRoutes');
+const scoreProfileRoutes = require('./routes/scoreProfileRoutes');
+const assessmentRoutes = require('./routes/assessmentRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const alertRuleRoutes = require('./routes/alertRuleRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const subscribeRoutes = require('./routes/subscribeRoutes');
+const bulletinRoutes = require('./routes/bulletinRoutes');
 
 const app = express();
 
+// Behind a proxy or load balancer (TRUST_PROXY = its hop count), req.ip is the
+// client's address from X-Forwarded-For rather than the proxy's
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
+// Pick up dataset changes written by other instances (shared storage only)
+app.use('/api', async (req, res, next) => {
+  try {
+    if (await syncData()) flushCache();
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 // API Routes
 app.use('/api/water', waterRoutes);
 app.use('/api/locations', locationRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/versions', versionRoutes);
+app.use('/api/mappings', mappingRoutes);
+app.use('/api/score-profiles', scoreProfileRoutes);
+app.use('/api/assessment', assessmentRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/alert-rules', alertRuleRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/subscribe', subscribeRoutes);
+app.use('/api/bulletins', bulletinRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -66,6 +100,7 @@ if (require.main === module) {
         console.log(`🚀 JalRakshya Server running on port ${PORT}`);
         console.log(`📊 API available at http://localhost:${PORT}/api`);
       });
+      startNotifier({ getView: () => atVersion() });
     })
     .catch((err) => {
       console.error('❌ Startup error:', err.message);
@@ -0,0 +1,35 @@
+/**
+ * Storage Adapter Factory
+ * Chooses the persistence backend behind dataStore from configuration.
+ *
+ *   STORAGE_DRIVER=memory  (default) — in-process arrays, reloaded from CSV on start
+ *   STORAGE_DRIVER=mongo   — MongoDB at MONGODB_URI, shared by all server instances
+ *
+ * Every adapter implements the same async interface:
+ *   connect(), disconnect(), isEmpty(), getRevision(), loadDataset(),
+ *   replaceDataset({ waterData, locations }), upsertWaterRecords(rows),
+ *   upsertLocations(locs),
+ *   listVersions(), nextVersion(), saveVersion(meta, dataset), loadVersion(version),
+ *   pruneVersions(keep),
+ *   collection(name) → { list(), get(id), put(doc), remove(id) }
+ * Dataset write methods resolve to the new dataset revision number.
+ */
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createMongoAdapter } = require('./mongoAdapter');
+
+const DRIVERS = {
+  memory: createMemoryAdapter,
+  mongo: createMongoAdapter,
+  mongodb: createMongoAdapter,
+};
+
+function createStorage(options = {}) {
+  const driver = (options.driver || process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected: memory, mongo)`);
+  }
+  return factory(options);
+}
+
+module.exports = { createStorage };
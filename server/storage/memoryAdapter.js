@@ -0,0 +1,120 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps the dataset in process memory. Data is lost on restart and is not
+ * shared between server instances — this is the default for local dev and
+ * serverless deployments that re-load the bundled CSV on every cold start.
+ */
+const { recordKey } = require('../utils/granularity');
+
+function createMemoryAdapter() {
+  let waterData = [];
+  let locations = [];
+  let revision = 0;
+  let lastVersion = 0;
+  const versions = []; // { meta, dataset } — datasets are treated as immutable, null once pruned
+  const collections = new Map(); // name → Map(id → doc)
+
+  return {
+    driver: 'memory',
+
+    async connect() {},
+
+    async disconnect() {},
+
+    async isEmpty() {
+      return waterData.length === 0;
+    },
+
+    async getRevision() {
+      return revision;
+    },
+
+    async loadDataset() {
+      return { waterData: [...waterData], locations: [...locations] };
+    },
+
+    async replaceDataset(dataset) {
+      waterData = [...dataset.waterData];
+      locations = [...dataset.locations];
+      return ++revision;
+    },
+
+    /** Insert or replace records keyed by location+year(+observation date) */
+    async upsertWaterRecords(rows) {
+      const incoming = new Map(rows.map((r) => [recordKey(r), r]));
+      waterData = waterData.filter((d) => !incoming.has(recordKey(d)));
+      // Loop rather than push(...rows): spreading a large upload overflows the call stack
+      for (const row of incoming.values()) waterData.push(row);
+      return ++revision;
+    },
+
+    /** Insert or replace locations keyed by name */
+    async upsertLocations(locs) {
+      const incoming = new Map(locs.map((l) => [l.name, l]));
+      locations = locations.filter((l) => !incoming.has(l.name));
+      for (const loc of incoming.values()) locations.push(loc);
+      return ++revision;
+    },
+
+    /** Version metadata, oldest first */
+    async listVersions() {
+      return versions.map((v) => v.meta);
+    },
+
+    /** Reserve the next version number; never hands the same one out twice */
+    async nextVersion() {
+      return ++lastVersion;
+    },
+
+    async saveVersion(meta, dataset) {
+      if (versions.some((v) => v.meta.version === meta.version)) {
+        throw new Error(`Dataset version ${meta.version} already exists`);
+      }
+      versions.push({
+        meta,
+        dataset: { waterData: [...dataset.waterData], locations: [...dataset.locations] },
+      });
+      versions.sort((a, b) => a.meta.version - b.meta.version);
+    },
+
+    async loadVersion(version) {
+      const found = versions.find((v) => v.meta.version === version);
+      return found ? found.dataset : null;
+    },
+
+    /**
+     * Drop the records of all but the newest `keep` versions. Their metadata
+     * stays listed, marked `pruned`.
+     */
+    async pruneVersions(keep) {
+      for (const v of versions.slice(0, Math.max(0, versions.length - keep))) {
+        if (!v.dataset) continue;
+        v.dataset = null;
+        v.meta = { ...v.meta, pruned: true };
+      }
+    },
+
+    /** Simple document collection keyed by doc.id (profiles, settings, …) */
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new Map());
+      const docs = collections.get(name);
+      return {
+        async list() {
+          return [...docs.values()].map((d) => ({ ...d }));
+        },
+        async get(id) {
+          return docs.has(id) ? { ...docs.get(id) } : null;
+        },
+        async put(doc) {
+          docs.set(doc.id, { ...doc });
+          return doc;
+        },
+        async remove(id) {
+          return docs.delete(id);
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,229 @@
+/**
+ * MongoDB Storage Adapter
+ * Persists water records and locations using the Mongoose schemas in models/.
+ * Uses its own connection (not the global mongoose one) so tests can point it
+ * at mongodb-memory-server or a throwaway local mongod, or open the
+ * connection themselves through `connect`.
+ */
+const mongoose = require('mongoose');
+const WaterData = require('../models/WaterData');
+const Location = require('../models/Location');
+
+const META_COLLECTION = 'storemeta';
+const REVISION_ID = 'dataset';
+const VERSION_COUNTER_ID = 'version';
+const VERSIONS_COLLECTION = 'datasetversions';
+const SNAPSHOT_COLLECTION = 'versionrecords';
+
+// Strip Mongo bookkeeping fields so records look like the in-memory ones
+function toPlain(doc) {
+  const { _id, __v, createdAt, updatedAt, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.uri] - MongoDB URI (MONGODB_URI by default)
+ * @param {Function} [options.connect] - (uri) => Promise of a mongoose Connection
+ */
+function createMongoAdapter({ uri, connect: openConnection = (u) => mongoose.createConnection(u).asPromise() } = {}) {
+  const mongoUri = uri || process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jalrakshya';
+  let conn = null;
+  let WaterModel = null;
+  let LocationModel = null;
+  let versionCounterReady = false;
+
+  function meta() {
+    return conn.collection(META_COLLECTION);
+  }
+
+  async function bumpRevision() {
+    const res = await meta().findOneAndUpdate(
+      { _id: REVISION_ID },
+      { $inc: { revision: 1 } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    // Driver v6 returns the document directly, older versions wrap it in { value }
+    const doc = res && res.value !== undefined ? res.value : res;
+    return doc ? doc.revision : 0;
+  }
+
+  return {
+    driver: 'mongo',
+
+    async connect() {
+      if (conn) return;
+      conn = await openConnection(mongoUri);
+      WaterModel = conn.model('WaterData', WaterData.schema);
+      LocationModel = conn.model('Location', Location.schema);
+      // syncIndexes also drops indexes the schema no longer declares, e.g. the
+      // old unique location+year index that would reject dated observations
+      await Promise.all([WaterModel.syncIndexes(), LocationModel.init()]);
+      await conn.collection(SNAPSHOT_COLLECTION).createIndex({ version: 1, kind: 1 });
+      console.log(`✅ Connected to MongoDB (${conn.name})`);
+    },
+
+    async disconnect() {
+      if (!conn) return;
+      await conn.close();
+      conn = null;
+    },
+
+    async isEmpty() {
+      return (await WaterModel.estimatedDocumentCount()) === 0;
+    },
+
+    async getRevision() {
+      const doc = await meta().findOne({ _id: REVISION_ID });
+      return doc ? doc.revision : 0;
+    },
+
+    async loadDataset() {
+      const [water, locs] = await Promise.all([
+        WaterModel.find({}).lean(),
+        LocationModel.find({}).lean(),
+      ]);
+      return { waterData: water.map(toPlain), locations: locs.map(toPlain) };
+    },
+
+    async replaceDataset(dataset) {
+      await WaterModel.deleteMany({});
+      await LocationModel.deleteMany({});
+      if (dataset.locations.length) await LocationModel.insertMany(dataset.locations);
+      if (dataset.waterData.length) await WaterModel.insertMany(dataset.waterData);
+      return bumpRevision();
+    },
+
+    /** Insert or replace records keyed by location+year(+observation date) */
+    async upsertWaterRecords(rows) {
+      if (rows.length) {
+        await WaterModel.bulkWrite(rows.map((r) => ({
+          replaceOne: {
+            filter: { location: r.location, year: r.year, observationDate: r.observationDate || null },
+            replacement: r,
+            upsert: true,
+          },
+        })), { ordered: false });
+      }
+      return bumpRevision();
+    },
+
+    /** Insert or replace locations keyed by name */
+    async upsertLocations(locs) {
+      if (locs.length) {
+        await LocationModel.bulkWrite(locs.map((l) => ({
+          replaceOne: { filter: { name: l.name }, replacement: l, upsert: true },
+        })), { ordered: false });
+      }
+      return bumpRevision();
+    },
+
+    /** Version metadata, oldest first (versions still being written are left out) */
+    async listVersions() {
+      const docs = await conn.collection(VERSIONS_COLLECTION)
+        .find({ saving: { $ne: true } }).sort({ version: 1 }).toArray();
+      return docs.map(({ _id, ...meta }) => meta);
+    },
+
+    /**
+     * Reserve the next version number with an atomic $inc, so instances
+     * writing at the same time never get the same one. The counter starts
+     * from the newest stored version for databases written before it existed.
+     */
+    async nextVersion() {
+      if (!versionCounterReady) {
+        const newest = await conn.collection(VERSIONS_COLLECTION).find({}).sort({ version: -1 }).limit(1).next();
+        await meta().updateOne(
+          { _id: VERSION_COUNTER_ID },
+          { $max: { seq: newest ? newest.version : 0 } },
+          { upsert: true }
+        );
+        versionCounterReady = true;
+      }
+      const res = await meta().findOneAndUpdate(
+        { _id: VERSION_COUNTER_ID },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      const doc = res && res.value !== undefined ? res.value : res;
+      return doc.seq;
+    },
+
+    /**
+     * Snapshot records live in their own collection to stay clear of the 16MB
+     * document limit. The version document is claimed first (its _id is the
+     * version, so a duplicate fails before anything else is written) and stays
+     * unlisted until the snapshot is complete; a failed snapshot is removed.
+     */
+    async saveVersion(meta, dataset) {
+      const versions = conn.collection(VERSIONS_COLLECTION);
+      const snapshot = conn.collection(SNAPSHOT_COLLECTION);
+      await versions.insertOne({ _id: meta.version, ...meta, saving: true });
+      const strip = ({ _id, ...doc }) => doc;
+      const docs = [
+        ...dataset.locations.map((l) => ({ version: meta.version, kind: 'location', doc: strip(l) })),
+        ...dataset.waterData.map((r) => ({ version: meta.version, kind: 'water', doc: strip(r) })),
+      ];
+      try {
+        if (docs.length) await snapshot.insertMany(docs, { ordered: false });
+        await versions.updateOne({ _id: meta.version }, { $unset: { saving: '' } });
+      } catch (err) {
+        await snapshot.deleteMany({ version: meta.version }).catch(() => {});
+        await versions.deleteOne({ _id: meta.version }).catch(() => {});
+        throw err;
+      }
+    },
+
+    async loadVersion(version) {
+      const meta = await conn.collection(VERSIONS_COLLECTION).findOne({ _id: version });
+      if (!meta || meta.pruned || meta.saving) return null;
+      const docs = await conn.collection(SNAPSHOT_COLLECTION).find({ version }).toArray();
+      return {
+        waterData: docs.filter((d) => d.kind === 'water').map((d) => d.doc),
+        locations: docs.filter((d) => d.kind === 'location').map((d) => d.doc),
+      };
+    },
+
+    /**
+     * Drop the snapshot records of all but the newest `keep` versions. Their
+     * metadata stays listed, marked `pruned`.
+     */
+    async pruneVersions(keep) {
+      const oldestKept = await conn.collection(VERSIONS_COLLECTION)
+        .find({}).sort({ version: -1 }).skip(keep - 1).limit(1).next();
+      if (!oldestKept) return;
+      const older = { version: { $lt: oldestKept.version } };
+      await conn.collection(SNAPSHOT_COLLECTION).deleteMany(older);
+      await conn.collection(VERSIONS_COLLECTION).updateMany({ ...older, pruned: { $ne: true } }, { $set: { pruned: true } });
+    },
+
+    /** Simple document collection keyed by doc.id (profiles, settings, …) */
+    collection(name) {
+      const col = () => conn.collection(name);
+      const fromDoc = (doc) => {
+        if (!doc) return null;
+        const { _id, ...rest } = doc;
+        return { id: _id, ...rest };
+      };
+      return {
+        async list() {
+          return (await col().find({}).toArray()).map(fromDoc);
+        },
+        async get(id) {
+          return fromDoc(await col().findOne({ _id: id }));
+        },
+        async put(doc) {
+          const { id, ...rest } = doc;
+          await col().replaceOne({ _id: id }, rest, { upsert: true });
+          return doc;
+        },
+        async remove(id) {
+          const res = await col().deleteOne({ _id: id });
+          return res.deletedCount > 0;
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createMongoAdapter };
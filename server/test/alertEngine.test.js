@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAlertRule } = require('../utils/alertRules');
+const { generateAlerts, generateGroupAlerts } = require('../utils/alertEngine');
+
+const levels = (values) => values.map((groundwaterLevel, i) => ({ location: 'Testwadi', year: 2018 + i, groundwaterLevel }));
+
+test('a change rule compares the unrounded change and rounds it only for display', () => {
+  const rule = normalizeAlertRule({
+    id: 'level-drop', name: 'Level drop', scope: 'location', metric: 'groundwaterLevel',
+    condition: { type: 'change', comparison: '<', value: -1 }, severity: 'warning',
+    title: 'Level drop', message: '{location}: {before} → {after} ({change})',
+  });
+
+  // -1.04 shows as -1.0, but is below -1
+  const history = levels([10, 10, 8.96, 8.96]);
+  const [alert] = generateAlerts(history[3], history, null, [rule]);
+  assert.ok(alert, 'the alert is raised');
+  assert.equal(alert.value, -1);
+  assert.equal(alert.message, 'Testwadi: 10 → 9 (-1)');
+
+  // -0.96 shows as -1.0 too, but is not below -1
+  const flat = levels([10, 10, 9.04, 9.04]);
+  assert.deepEqual(generateAlerts(flat[3], flat, null, [rule]), []);
+});
+
+test('a group average is compared before it is rounded', () => {
+  const rule = normalizeAlertRule({
+    id: 'deep-taluka', name: 'Deep taluka', scope: 'taluka', metric: 'groundwaterLevel',
+    aggregate: { fn: 'avg' }, condition: { type: 'threshold', comparison: '>', value: 12 }, severity: 'warning',
+    title: 'Deep water in {target}', message: 'Average {value} m',
+  });
+  const stations = [{ location: 'A', groundwaterLevel: 12.02, taluka: 'Testur' }, { location: 'B', groundwaterLevel: 12.04, taluka: 'Testur' }];
+  const alerts = generateGroupAlerts('taluka', stations, (s) => s.taluka, [rule]).get('Testur');
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].value, 12);
+  assert.equal(alerts[0].message, 'Average 12.0 m');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const store = require('../dataStore');
+const { refreshAlerts, listAlerts } = require('../utils/alertLifecycle');
+
+const LOCATION = { name: 'Testwadi', latitude: 20, longitude: 74, taluka: 'Testur', district: 'Nashik', state: 'Maharashtra' };
+const reading = (year, groundwaterLevel) => ({
+  location: LOCATION.name, year, groundwaterLevel, rainfall: 900, ph: 7.2, consumption: 300, depletionRate: 1,
+});
+
+test('a refresh for a new version is not answered by the evaluation still running for the old one', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset({ waterData: [reading(2019, 8), reading(2020, 8)], locations: [LOCATION] });
+  store.setStorage(adapter);
+  await store.loadData();
+
+  const first = refreshAlerts(await store.atVersion());
+  await store.addWaterData([reading(2021, 16)]);
+  await refreshAlerts(await store.atVersion());
+  await first;
+
+  const raised = listAlerts({ target: LOCATION.name, state: 'active' }).map((a) => a.id);
+  assert.ok(raised.includes('location:Testwadi|water-level'), `raised: ${raised.join(', ')}`);
+
+  // A stale view arriving late does not roll the alerts back
+  await refreshAlerts(await store.atVersion(store.getCurrentVersion() - 1));
+  assert.ok(listAlerts({ target: LOCATION.name, state: 'active' }).some((a) => a.id === 'location:Testwadi|water-level'));
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIndex, updateIndex } = require('../utils/datasetIndex');
+const { detectAnomalies } = require('../utils/anomalyDetection');
+
+// Deterministic pseudo-random numbers, so failures can be reproduced
+function random(seed) {
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Stations scattered over a box of `spanDeg` degrees, each reporting in most
+ * of `years` years
+ */
+function syntheticDataset(stations, years, spanDeg, seed = 7) {
+  const rnd = random(seed);
+  const locations = [];
+  const waterData = [];
+  for (let i = 0; i < stations; i++) {
+    const name = `Station ${i}`;
+    locations.push({ name, district: 'Pune', latitude: 18 + rnd() * spanDeg, longitude: 73 + rnd() * spanDeg });
+    for (let y = 0; y < years; y++) {
+      if (rnd() < 0.2) continue;
+      waterData.push({
+        location: name,
+        year: 2010 + y,
+        groundwaterLevel: 10 + rnd() * 3,
+        ph: 7 + rnd() * 0.3,
+        consumption: 300 + rnd() * 40,
+      });
+    }
+  }
+  return { locations, waterData };
+}
+
+function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const h = Math.sin(toRad(b.latitude - a.latitude) / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(toRad(b.longitude - a.longitude) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+const ids = ({ all }) => all.map((a) => `${a.id}:${a.score}`).sort();
+
+test('flags a spatial outlier against its six nearest reporting neighbours', async () => {
+  const { locations, waterData } = syntheticDataset(400, 3, 0.5);
+  const target = waterData.find((r) => r.location === 'Station 0' && r.year === 2011);
+  target.groundwaterLevel = 60;
+
+  const { byLocation } = await detectAnomalies(buildIndex(waterData, locations));
+  const flagged = (byLocation.get('Station 0') || [])
+    .find((a) => a.type === 'spatial' && a.year === 2011 && a.field === 'groundwaterLevel');
+  assert.ok(flagged, 'the planted reading is flagged');
+
+  // Same neighbours as comparing the station with every other one
+  const here = locations[0];
+  const reporting = new Set(waterData.filter((r) => r.year === 2011).map((r) => r.location));
+  const expected = locations
+    .filter((l) => l.name !== here.name && reporting.has(l.name))
+    .map((l) => ({ name: l.name, km: distanceKm(here, l) }))
+    .filter((l) => l.km <= 30)
+    .sort((a, b) => a.km - b.km)
+    .slice(0, 6)
+    .map((l) => l.name);
+  assert.deepEqual(flagged.neighbours.map((n) => n.location), expected);
+});
+
+test('searches further when too few candidates report in a year', async () => {
+  // Dense cluster: each station's indexed candidates are all close by,
+  // but in 2011 only a handful of distant stations report
+  const { locations, waterData } = syntheticDataset(300, 1, 0.05);
+  const far = [1, 2, 3, 4].map((i) => ({ name: `Far ${i}`, latitude: 18.1 + i * 0.01, longitude: 73.2 }));
+  locations.push(...far);
+  const rows = [
+    ...waterData,
+    { location: 'Station 0', year: 2011, groundwaterLevel: 40, ph: 7.1, consumption: 310 },
+    ...far.map((l, i) => ({ location: l.name, year: 2011, groundwaterLevel: 10 + i * 0.2, ph: 7.1, consumption: 310 })),
+  ];
+  const { byLocation } = await detectAnomalies(buildIndex(rows, locations));
+  const flagged = (byLocation.get('Station 0') || []).find((a) => a.type === 'spatial' && a.year === 2011);
+  assert.ok(flagged);
+  assert.deepEqual(flagged.neighbours.map((n) => n.location).sort(), far.map((l) => l.name));
+});
+
+test('an upload re-judges only what it touched, with the same results as a full run', async () => {
+  const { locations, waterData } = syntheticDataset(1500, 6, 0.6);
+  const before = buildIndex(waterData, locations);
+  await detectAnomalies(before);
+
+  const upload = [
+    { location: 'Station 10', year: 2013, groundwaterLevel: 55, ph: 7.1, consumption: 320 },
+    { location: 'Station 11', year: 2016, groundwaterLevel: 11, ph: 7.1, consumption: 320 },
+  ];
+  const moved = locations.map((l) => (l.name === 'Station 12' ? { ...l, latitude: l.latitude + 0.05 } : l));
+  const incremental = await detectAnomalies(updateIndex(before, upload, moved));
+
+  const merged = [
+    ...waterData.filter((r) => !upload.some((u) => u.location === r.location && u.year === r.year)),
+    ...upload,
+  ];
+  const full = await detectAnomalies(buildIndex(merged, moved));
+  assert.deepEqual(ids(incremental), ids(full));
+  assert.ok(incremental.byLocation.get('Station 10').some((a) => a.year === 2013));
+});
+
+test('detection over 100k readings finishes quickly without blocking the event loop', async () => {
+  const { locations, waterData } = syntheticDataset(10000, 12, 1.5);
+  assert.ok(waterData.length > 90000);
+  const index = buildIndex(waterData, locations);
+
+  let longestGap = 0;
+  let last = Date.now();
+  const ticker = setInterval(() => {
+    longestGap = Math.max(longestGap, Date.now() - last);
+    last = Date.now();
+  }, 5);
+  const started = Date.now();
+  const { all } = await detectAnomalies(index);
+  const elapsed = Date.now() - started;
+  clearInterval(ticker);
+
+  assert.ok(Array.isArray(all));
+  assert.ok(elapsed < 30000, `took ${elapsed} ms`);
+  assert.ok(longestGap < 250, `event loop blocked for ${longestGap} ms`);
+});
+
+test('stations are only compared with neighbours reporting the same year', async () => {
+  const near = (i) => ({ name: `Near ${i}`, district: 'Pune', latitude: 18 + i * 0.01, longitude: 73 });
+  const locations = [{ name: 'Lone', district: 'Pune', latitude: 18.035, longitude: 73.005 }, ...[0, 1, 2, 3, 4, 5, 6].map(near)];
+  const reading = (location, year, groundwaterLevel) => ({ location, year, groundwaterLevel, ph: 7.1, consumption: 300 });
+  const neighbours = (year) => locations.slice(1).map((l, i) => reading(l.name, year, 10 + (i % 3) * 0.4));
+
+  // The neighbours last reported two years before the station
+  let { byLocation } = await detectAnomalies(buildIndex([...neighbours(2016), reading('Lone', 2018, 60)], locations));
+  assert.deepEqual((byLocation.get('Lone') || []).filter((a) => a.type === 'spatial'), []);
+
+  ({ byLocation } = await detectAnomalies(buildIndex([...neighbours(2016), ...neighbours(2018), reading('Lone', 2018, 60)], locations)));
+  const flagged = (byLocation.get('Lone') || []).filter((a) => a.type === 'spatial');
+  assert.deepEqual(flagged.map((a) => [a.year, a.field]), [[2018, 'groundwaterLevel']]);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const {
+  loadBulletins, bulletinState, validateBulletin, normalizeBulletin, listBulletins, bulletinCounts,
+  activeBulletinsFor, saveBulletin, removeBulletin, attachmentProblems, addAttachments, removeAttachment,
+  readAttachment, bulletinUpdate,
+} = require('../utils/bulletins');
+
+const NOW = Date.parse('2024-06-15T00:00:00Z');
+const bulletin = (id, fields) => normalizeBulletin({
+  id, title: `Bulletin ${id}`, body: 'Details', source: 'CGWB Central Region', scope: 'district',
+  status: 'published', publishAt: '2024-06-01T00:00:00Z', updatedAt: '2024-06-01T00:00:00Z', ...fields,
+});
+const IGATPURI = { name: 'Betawadi', taluka: 'Igatpuri', district: 'Nashik' };
+
+// Bulletins are held in memory: loading a store with different contents replaces them
+async function loadInto(docs) {
+  const adapter = createMemoryAdapter();
+  for (const doc of docs) await adapter.collection('bulletins').put(doc);
+  await loadBulletins(adapter);
+  return adapter;
+}
+
+test('a bulletin is scheduled until publishAt, active until expiresAt and expired after', () => {
+  const window = { publishAt: '2024-06-10T00:00:00Z', expiresAt: '2024-06-20T00:00:00Z' };
+  assert.equal(bulletinState(bulletin('s1', { ...window, status: 'draft' }), NOW), 'draft');
+  assert.equal(bulletinState(bulletin('s2', window), Date.parse('2024-06-09T23:59:59Z')), 'scheduled');
+  assert.equal(bulletinState(bulletin('s3', window), NOW), 'active');
+  assert.equal(bulletinState(bulletin('s4', window), Date.parse('2024-06-20T00:00:00Z')), 'expired', 'expiresAt is exclusive');
+  assert.equal(bulletinState(bulletin('s5', { expiresAt: null }), Date.parse('2030-01-01T00:00:00Z')), 'active');
+});
+
+test('bulletins are checked field by field and normalized', () => {
+  const known = (scope, name) => name === 'Igatpuri';
+  assert.deepEqual(validateBulletin({
+    title: ' ', body: 'x'.repeat(5001), source: 'CGWB', priority: 'urgent', scope: 'taluka', targets: ['Igatpuri', 'Atlantis'],
+    publishAt: '2024-06-10', expiresAt: '2024-06-01', links: [{ url: 'ftp://example.org' }, { name: '', url: 'https://example.org' }],
+  }, known), [
+    'title is required (at most 200 characters)',
+    'body is required (at most 5000 characters)',
+    'priority must be one of normal, high',
+    'Unknown taluka: Atlantis',
+    'expiresAt must not be before publishAt',
+    'links[0].url must be an http(s) URL',
+  ]);
+  assert.deepEqual(validateBulletin({ title: 'T', body: 'B', source: 'S', scope: 'location', targets: [] }),
+    ['A location bulletin needs at least one target']);
+  assert.deepEqual(validateBulletin({ title: 'T', body: 'B', source: 'S', scope: 'state' }),
+    ['scope must be one of district, taluka, location']);
+  assert.deepEqual(validateBulletin(null), ['Request body is required']);
+
+  const b = normalizeBulletin({
+    title: ' Dry spell ', body: ' Conserve water ', source: ' GSDA ', scope: 'taluka', targets: [' Igatpuri', 'Igatpuri', ''],
+    publishAt: '2024-06-10', links: [{ url: 'https://example.org' }],
+  });
+  assert.deepEqual(
+    [b.title, b.body, b.source, b.reference, b.priority, b.status, b.targets, b.publishAt, b.expiresAt, b.links],
+    ['Dry spell', 'Conserve water', 'GSDA', '', 'normal', 'draft', ['Igatpuri'], '2024-06-10T00:00:00.000Z', null,
+      [{ name: 'https://example.org', url: 'https://example.org' }]],
+  );
+});
+
+test('a place\'s feed holds the active bulletins addressed to it, high priority first', async (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  await loadInto([
+    bulletin('f1', { publishAt: '2024-06-01T00:00:00Z' }),                                  // every district
+    bulletin('f2', { publishAt: '2024-06-05T00:00:00Z', targets: ['Nashik'] }),
+    bulletin('f3', { publishAt: '2024-06-02T00:00:00Z', targets: ['Pune'] }),
+    bulletin('f4', { publishAt: '2024-06-03T00:00:00Z', scope: 'taluka', targets: ['Igatpuri'], priority: 'high' }),
+    bulletin('f5', { publishAt: '2024-06-04T00:00:00Z', scope: 'location', targets: ['Betawadi'] }),
+    bulletin('f6', { scope: 'location', targets: ['Betawadi'], expiresAt: '2024-06-10T00:00:00Z' }),
+    bulletin('f7', { publishAt: '2024-07-01T00:00:00Z' }),
+    bulletin('f8', { status: 'draft', publishAt: null, updatedAt: '2024-06-12T00:00:00Z' }),
+  ]);
+
+  assert.deepEqual(activeBulletinsFor(IGATPURI).map((b) => b.id), ['f4', 'f2', 'f5', 'f1']);
+  assert.deepEqual(activeBulletinsFor({ ...IGATPURI, name: 'Other', taluka: 'Sinnar' }).map((b) => b.id), ['f2', 'f1']);
+  assert.deepEqual(activeBulletinsFor(null).map((b) => b.id), ['f2', 'f3', 'f1'], 'the district feed carries district bulletins only');
+
+  assert.deepEqual(bulletinCounts(), { draft: 1, scheduled: 1, active: 5, expired: 1 });
+  assert.deepEqual(listBulletins().slice(0, 3).map((b) => [b.id, b.state]), [['f7', 'scheduled'], ['f8', 'draft'], ['f2', 'active']]);
+  assert.deepEqual(listBulletins({ state: 'expired' }).map((b) => b.id), ['f6']);
+
+  const update = bulletinUpdate(bulletin('f2', { targets: ['Nashik'] }));
+  assert.deepEqual([update.id, update.kind, update.autoGenerated, update.date, update.validUntil],
+    ['bulletin-f2', 'bulletin', false, '2024-06-01T00:00:00.000Z', null]);
+});
+
+test('saving records the history; attachments are stored apart and removed with the bulletin', async () => {
+  const adapter = await loadInto([]);
+  const draft = bulletin('a1', { status: 'draft', publishAt: null });
+  const saved = await saveBulletin({ ...draft, state: 'draft' }, 'officer', 'created');
+  assert.equal(saved.state, 'draft');
+  assert.equal(saved.publishAt, null);
+
+  const published = await saveBulletin({ ...saved, status: 'published' }, 'officer', 'published');
+  assert.equal(published.state, 'active');
+  assert.ok(published.publishAt, 'publishing without a date publishes now');
+  assert.deepEqual(published.history.map((h) => [h.by, h.action]), [['officer', 'created'], ['officer', 'published']]);
+  assert.equal((await adapter.collection('bulletins').get('a1')).state, undefined, 'state is never stored');
+
+  assert.deepEqual(attachmentProblems({ originalname: 'notice.exe', size: 10 }),
+    ['notice.exe: accepted types are .pdf, .png, .jpg, .jpeg, .doc, .docx, .xls, .xlsx, .csv, .txt']);
+  assert.deepEqual(attachmentProblems({ originalname: 'notice.PDF', size: 10 }), []);
+
+  const withFile = await addAttachments('a1', [{ originalname: 'dir/notice.pdf', size: 5, buffer: Buffer.from('hello') }], 'clerk');
+  const [attachment] = withFile.attachments;
+  assert.deepEqual([attachment.name, attachment.contentType, attachment.size], ['notice.pdf', 'application/pdf', 5]);
+  assert.equal(withFile.history.at(-1).action, 'attached notice.pdf');
+  const read = await readAttachment('a1', attachment.id);
+  assert.equal(read.content.toString(), 'hello');
+
+  assert.equal(await removeAttachment('a1', 'missing', 'clerk'), null);
+  const second = await addAttachments('a1', [{ originalname: 'map.png', size: 3, buffer: Buffer.from('png') }], 'clerk');
+  const removed = await removeAttachment('a1', attachment.id, 'clerk');
+  assert.deepEqual(removed.attachments.map((a) => a.name), ['map.png']);
+  assert.equal(await readAttachment('a1', attachment.id), null);
+
+  assert.equal(await removeBulletin('a1'), true);
+  assert.equal(await removeBulletin('a1'), false);
+  assert.equal(await adapter.collection('bulletinfiles').get(second.attachments[1].id), null, 'attachments go with it');
+  assert.deepEqual(await adapter.collection('bulletins').list(), []);
+});
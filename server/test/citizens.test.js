@@ -0,0 +1,34 @@
+process.env.CITIZEN_CONFIRMATIONS_PER_HOUR = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const { loadOutbox, listDeliveries } = require('../notifications/outbox');
+const { loadCitizenSubscriptions, subscribeWait, requestCitizenSubscription } = require('../notifications/citizens');
+
+const ask = (address, client) => requestCitizenSubscription({ channel: 'email', address, locations: ['Igatpuri'] }, client);
+const HOUR = 60 * 60 * 1000;
+
+test.before(async () => {
+  const adapter = createMemoryAdapter();
+  await loadOutbox(adapter);
+  await loadCitizenSubscriptions(adapter);
+});
+
+test('a client may ask to subscribe five times an hour', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal(subscribeWait('10.0.0.1'), 0);
+    await ask('asha@example.org', '10.0.0.1');
+  }
+  const wait = subscribeWait('10.0.0.1');
+  assert.ok(wait > HOUR - 60 * 1000 && wait <= HOUR, `waits ${wait} ms`);
+  assert.equal(subscribeWait('10.0.0.2'), 0, 'other clients are not held back');
+  assert.equal(listDeliveries({ audience: 'citizen' }).length, 1, 'a pending address gets one link');
+});
+
+test('confirmation links are capped over all clients', async () => {
+  await ask('ravi@example.org', '10.0.0.2');
+  await ask('meera@example.org', '10.0.0.3');
+  assert.equal(listDeliveries({ audience: 'citizen' }).length, 3);
+  assert.ok(subscribeWait('10.0.0.4') > HOUR - 60 * 1000, 'a fresh client waits once the cap is reached');
+});
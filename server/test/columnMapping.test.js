@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProfile } = require('../utils/columnMapping');
+
+const columns = { location: { source: 'Village' }, year: { source: 'Yr' } };
+
+test('a mapping profile needs a string name and an object for every column', () => {
+  assert.deepEqual(validateProfile({ name: 'GSDA', columns }), []);
+  assert.deepEqual(validateProfile({ name: 12, columns }), ['name must be a string']);
+  assert.deepEqual(validateProfile({ name: ' ', columns }), ['name is required']);
+  assert.deepEqual(validateProfile({ name: 'GSDA', columns: ['Village'] }), ['columns must be an object of field → { source, unit }']);
+  assert.deepEqual(validateProfile({ name: 'GSDA', columns: { ...columns, rainfall: null } }), [
+    'rainfall must be an object with a source column',
+  ]);
+  assert.deepEqual(validateProfile({ name: 'GSDA', columns: { ...columns, year: 'Yr' } }), [
+    'year must be mapped to a source column',
+    'year must be an object with a source column',
+  ]);
+});
+
+test('units must be ones the field converts from', () => {
+  const withUnit = (unit) => validateProfile({ name: 'GSDA', columns: { ...columns, groundwaterLevel: { source: 'Depth', unit } } });
+  assert.deepEqual(withUnit('ft'), []);
+  assert.match(withUnit('constructor')[0], /Unit "constructor" is not supported for groundwaterLevel/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { betaI, tTestPValue, ranks } = require('../utils/statistics');
+const { analyzeCorrelations } = require('../utils/correlation');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const seriesOf = (rainfall, levels) => rainfall.map((r, i) => ({ year: 2000 + i, rainfall: r, groundwaterLevel: levels[i] }));
+
+test('t-test p-values match the closed forms for one, two and three degrees of freedom', () => {
+  close(betaI(1, 1, 0.3), 0.3); // uniform
+  close(betaI(2, 2, 0.5), 0.5);
+  close(tTestPValue(0, 5), 1);
+  close(tTestPValue(1, 1), 0.5); // Cauchy: 1 − 2·atan(t)/π
+  close(tTestPValue(2, 2), 1 - 2 / Math.sqrt(6)); // 1 − t/√(2 + t²)
+  // df 3: 1 − (2/π)(atan(u) + u/(1 + u²)) with u = t/√3
+  const u = 2 / Math.sqrt(3);
+  close(tTestPValue(2, 3), 1 - (2 / Math.PI) * (Math.atan(u) + u / (1 + u * u)));
+  close(tTestPValue(2.228139, 10), 0.05, 1e-6); // the tabulated 5% critical value
+  assert.equal(tTestPValue(Infinity, 4), 0);
+
+  assert.deepEqual(ranks([30, 10, 20, 10]), [4, 1.5, 3, 1.5]);
+});
+
+test('Pearson r, its p-value and line; Spearman ignores an outlier', () => {
+  // Deviations (−2,−1,0,1,2) and (−1,−2,1,0,2): Sxy 8, Sxx = Syy = 10, so r = 0.8;
+  // t = 0.8·√(3/0.36) = 2.3094 on 3 df gives p = 0.1041
+  const { matrix } = analyzeCorrelations([seriesOf([1, 2, 3, 4, 5], [2, 1, 4, 3, 5])]);
+  assert.deepEqual(matrix.pearson.rainfall.groundwaterLevel,
+    { r: 0.8, p: 0.1041, n: 5, significant: false, slope: 0.8, intercept: 0.6 });
+  assert.deepEqual(matrix.spearman.rainfall.groundwaterLevel, { r: 0.8, p: 0.1041, n: 5, significant: false });
+  assert.deepEqual(matrix.pearson.rainfall.rainfall, { r: 1, p: 0, n: 5, significant: true });
+  assert.deepEqual(matrix.pearson.rainfall.agriculturalUsage, { r: null, p: null, n: 0, significant: false });
+
+  const outlier = analyzeCorrelations([seriesOf([1, 2, 3, 4, 5], [2, 1, 4, 3, 500])]).matrix;
+  assert.equal(outlier.pearson.rainfall.groundwaterLevel.r, 0.709);
+  assert.equal(outlier.spearman.rainfall.groundwaterLevel.r, 0.8, 'the ranks are unchanged');
+});
+
+test('lagged pairs are formed within each location and pooled across them', () => {
+  // Both locations' level is 20 − 0.01 × the previous year's rainfall
+  const { lagged, observations } = analyzeCorrelations([
+    seriesOf([800, 600, 900, 700, 1000], [10, 12, 14, 11, 13]),
+    seriesOf([500, 1100, 650, 850, 750], [15, 15, 9, 13.5, 11.5]),
+  ]);
+  assert.equal(observations, 10);
+  const rainToLevel = lagged.find((l) => l.driver === 'rainfall' && l.response === 'groundwaterLevel');
+  assert.deepEqual(rainToLevel.lags.map((l) => l.n), [10, 8, 6, 4], 'no pair spans two locations');
+  assert.deepEqual(rainToLevel.lags[1], { lag: 1, r: -1, p: 0, n: 8, significant: true, slope: -0.01, intercept: 20 });
+  assert.equal(rainToLevel.strongestLag, 1);
+});
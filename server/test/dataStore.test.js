@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const store = require('../dataStore');
+
+const LOCATION = { name: 'Testwadi', latitude: 20, longitude: 74, taluka: 'Testur', district: 'Nashik', state: 'Maharashtra' };
+
+const reading = (year, rainfall) => ({
+  location: LOCATION.name,
+  year,
+  rainfall,
+  groundwaterLevel: 9,
+  ph: 7.2,
+  consumption: 320,
+  perCapitaUsage: 140,
+  agriculturalUsage: 150,
+  industrialUsage: 80,
+  householdUsage: 90,
+  depletionRate: 2,
+});
+
+test('a versioned view enriches readings with that version\'s SPI, not the live one', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset({
+    waterData: [700, 720, 740, 760, 780, 800, 820].map((rain, i) => reading(2010 + i, rain)),
+    locations: [LOCATION],
+  });
+  store.setStorage(adapter);
+  await store.loadData();
+  const first = store.getCurrentVersion();
+
+  // Much drier years shift the rainfall climatology the SPI is measured against
+  await store.addWaterData([200, 220, 240, 260, 280, 300].map((rain, i) => reading(2020 + i, rain)));
+  assert.notEqual(store.getCurrentVersion(), first);
+
+  const old = await store.atVersion(first);
+  const record = old.getLatestByLocation(LOCATION.name);
+  const then = old.enrichRecord(record);
+  const now = store.enrichRecord(record);
+
+  assert.equal(then.spi, old.getDrought(record).spi);
+  assert.equal(now.spi, store.getDrought(record).spi);
+  assert.notEqual(then.spi, now.spi);
+  assert.equal(then.scoreProfile.id, old.getScoreProfile(LOCATION.name).id);
+});
+
+test('a failed storage write leaves the working set untouched', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset({ waterData: [reading(2010, 700)], locations: [LOCATION] });
+  store.setStorage(adapter);
+  await store.loadData();
+  const version = store.getCurrentVersion();
+  const revision = store.getRevision();
+
+  const upsert = adapter.upsertWaterRecords;
+  adapter.upsertWaterRecords = async () => { throw new Error('storage offline'); };
+  await assert.rejects(store.addWaterData([reading(2011, 710), { ...reading(2011, 710), location: 'Newwadi' }]), /storage offline/);
+  assert.equal(store.getCurrentVersion(), version);
+  assert.equal(store.getRevision(), revision);
+
+  // The next version holds nothing of the failed upload
+  adapter.upsertWaterRecords = upsert;
+  const entry = await store.addWaterData([reading(2012, 720)]);
+  assert.equal(entry.recordCount, 2);
+  assert.equal(store.getLocationByName('Newwadi'), null);
+  assert.deepEqual(store.getRecordsByLocation(LOCATION.name).map((r) => r.year), [2010, 2012]);
+});
+
+test('loadData fails when storage cannot be read', async () => {
+  const adapter = createMemoryAdapter();
+  adapter.connect = async () => { throw new Error('connection refused'); };
+  store.setStorage(adapter);
+  await assert.rejects(store.loadData(), /connection refused/);
+});
+
+test('concurrent uploads get their own versions and keep each other\'s locations', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset({ waterData: [reading(2010, 700)], locations: [LOCATION] });
+  store.setStorage(adapter);
+  await store.loadData();
+  const first = store.getCurrentVersion();
+
+  const [alpha, beta] = await Promise.all([
+    store.addWaterData([{ ...reading(2011, 710), location: 'Alpha' }]),
+    store.addWaterData([{ ...reading(2011, 720), location: 'Beta' }]),
+  ]);
+  assert.deepEqual([alpha.version, beta.version], [first + 1, first + 2]);
+  assert.deepEqual((await store.listVersions()).map((v) => v.version), [first, first + 1, first + 2]);
+  assert.deepEqual(store.getAllLocations().map((l) => l.name).sort(), ['Alpha', 'Beta', LOCATION.name]);
+  assert.equal(beta.locationCount, 3);
+});
+
+test('a write tied to a revision is refused once another write lands ahead of it', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset({ waterData: [reading(2010, 700)], locations: [LOCATION] });
+  store.setStorage(adapter);
+  await store.loadData();
+  const base = store.getRevision();
+
+  const [first, second] = await Promise.allSettled([
+    store.addWaterData([reading(2011, 710)]),
+    store.addWaterData([reading(2012, 720)], {}, [], { baseRevision: base }),
+  ]);
+  assert.equal(first.status, 'fulfilled');
+  assert.equal(second.status, 'rejected');
+  assert.equal(second.reason.status, 409);
+  assert.deepEqual(store.getRecordsByLocation(LOCATION.name).map((r) => r.year), [2010, 2011]);
+});
+
+test('seeding empty storage records one initial version and runs anomaly detection once', async (t) => {
+  const logged = [];
+  t.mock.method(console, 'log', (line) => logged.push(String(line)));
+  store.setStorage(createMemoryAdapter());
+  await store.loadData();
+  await store.getAnomalies();
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual((await store.listVersions()).map((v) => v.source), ['initial']);
+  assert.equal(logged.filter((line) => line.includes('anomalous readings flagged')).length, 1);
+});
+
+test('a location with a short rainfall record has no SPI, whatever its district holds', async () => {
+  const adapter = createMemoryAdapter();
+  const shortRecord = { ...LOCATION, name: 'Shortwadi' };
+  await adapter.replaceDataset({
+    waterData: [
+      ...[700, 720, 740, 760, 780, 800, 820].map((rain, i) => reading(2010 + i, rain)),
+      ...[300, 320, 340].map((rain, i) => ({ ...reading(2014 + i, rain), location: shortRecord.name })),
+    ],
+    locations: [LOCATION, shortRecord],
+  });
+  store.setStorage(adapter);
+  await store.loadData();
+
+  const latest = store.getLatestByLocation(shortRecord.name);
+  assert.deepEqual(store.getDrought(latest), { spi: null, spiClass: null, droughtCategory: null, spiBasis: null });
+  assert.equal(store.getDrought(store.getLatestByLocation(LOCATION.name)).spiBasis, 'location');
+});
+
+// Same headers as the bundled new_nsk_gwater.csv: Alphawadi has two years, Betawadi one
+const CSV = [
+  'Location,Year,Consumption (Ml),Per Capita Water Usage (l/d),Agricultural Water Usage (Ml),Industrial Water Usage (Ml),'
+    + 'Household Water Usage (Ml),Rainfall (mm),Groundwater Depletion Rate (%),Water Scarcity Level,pH,Groundwater Level (m),Latitude,Longitude',
+  'Alphawadi,2019,820,145,320,210,290,780,4.5,High,7.3,11.2,19.95,73.88',
+  'Alphawadi,2020,800,140,310,200,290,820,4.2,High,7.2,10.8,19.95,73.88',
+  'Betawadi,2018,600,130,250,100,250,900,2.5,Low,7.1,8.4,20.1,74.2',
+].join('\n');
+
+test('multi-year CSV series are used as they are, and synthetic history only fills single-year locations', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const csvPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jalrakshya-')), 'history.csv');
+  fs.writeFileSync(csvPath, CSV);
+  t.after(() => fs.rmSync(path.dirname(csvPath), { recursive: true, force: true }));
+
+  const plain = await store.buildDatasetFromCSV(csvPath, { syntheticHistory: false });
+  assert.deepEqual(plain.waterData.map((r) => [r.location, r.year, r.isSynthetic]), [
+    ['Alphawadi', 2019, false],
+    ['Alphawadi', 2020, false],
+    ['Betawadi', 2018, false],
+  ]);
+  assert.deepEqual(plain.locations.map((l) => [l.name, l.latitude, l.longitude]), [['Alphawadi', 19.95, 73.88], ['Betawadi', 20.1, 74.2]]);
+
+  const expanded = await store.buildDatasetFromCSV(csvPath, { syntheticHistory: true });
+  const beta = expanded.waterData.filter((r) => r.location === 'Betawadi');
+  assert.equal(expanded.waterData.filter((r) => r.location === 'Alphawadi').length, 2, 'real series are not padded');
+  assert.deepEqual(beta.map((r) => [r.year, r.isSynthetic]), [
+    [2016, true], [2017, true], [2018, false], [2019, true], [2020, true], [2021, true],
+  ]);
+  const measured = ({ lastUpdated, ...row }) => row; // stamped when read
+  assert.deepEqual(measured(beta.find((r) => !r.isSynthetic)), measured(plain.waterData[2]), 'the measured row is kept as read');
+
+  // The flag reaches the API's location summary
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset(expanded);
+  store.setStorage(adapter);
+  await store.loadData();
+  const summary = store.getLocationSummary('Betawadi');
+  assert.deepEqual(summary.syntheticYears, [2016, 2017, 2019, 2020, 2021]);
+  assert.equal(summary.isSynthetic, true, 'the latest year, 2021, is generated');
+  assert.deepEqual(store.getLocationSummary('Alphawadi').syntheticYears, []);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIndex, updateIndex } = require('../utils/datasetIndex');
+
+const annual = (location, year, groundwaterLevel) => ({ location, year, groundwaterLevel, rainfall: 800 });
+const observed = (location, year, month, groundwaterLevel, rainfall) => ({
+  location, year, month, observationDate: `${year}-${String(month).padStart(2, '0')}-15`, groundwaterLevel, rainfall,
+});
+const LOCATIONS = ['Alpha', 'Beta', 'Gamma'].map((name) => ({ name }));
+
+const WATER = [
+  annual('Alpha', 2020, 10),
+  annual('Alpha', 2021, 12),
+  observed('Alpha', 2022, 5, 8, 50),
+  observed('Alpha', 2022, 11, 6, 700),
+  annual('Beta', 2022, 15),
+  annual('Beta', 2021, 14),
+];
+
+// byYear entries in a stable order, for comparing indexes built different ways
+const yearsOf = (index) => Object.fromEntries([...index.byYear]
+  .sort(([a], [b]) => a - b)
+  .map(([year, entries]) => [year, entries.map((r) => `${r.location}:${r.groundwaterLevel}`).sort()]));
+
+test('the index groups records by location and year, aggregating dated observations', () => {
+  const index = buildIndex(WATER, LOCATIONS.slice(0, 2));
+  assert.equal(index.records.get('Alpha').length, 4);
+  assert.deepEqual(index.byLocation.get('Beta').map((r) => r.year), [2021, 2022], 'sorted by year');
+
+  // May and November readings average to 7 m; their rainfall sums to 750 mm
+  const alpha2022 = index.latest.get('Alpha');
+  assert.equal(alpha2022.year, 2022);
+  assert.equal(alpha2022.groundwaterLevel, 7);
+  assert.equal(alpha2022.rainfall, 750);
+  assert.equal(alpha2022.aggregatedFrom, 2);
+
+  assert.deepEqual(yearsOf(index), { 2020: ['Alpha:10'], 2021: ['Alpha:12', 'Beta:14'], 2022: ['Alpha:7', 'Beta:15'] });
+  assert.equal(index.locationByName.get('Beta').name, 'Beta');
+  assert.equal(index.locationByName.get('Gamma'), undefined);
+});
+
+test('an update matches a rebuild, shares untouched entries and leaves the old index alone', () => {
+  const before = buildIndex(WATER, LOCATIONS.slice(0, 2));
+  // An annual 2022 record takes precedence over Alpha's observations; Gamma is new
+  const rows = [annual('Alpha', 2022, 9), annual('Gamma', 2023, 20)];
+  const after = updateIndex(before, rows, LOCATIONS);
+  const rebuilt = buildIndex([...WATER, ...rows], LOCATIONS);
+
+  assert.deepEqual(yearsOf(after), yearsOf(rebuilt));
+  assert.deepEqual(yearsOf(after), {
+    2020: ['Alpha:10'], 2021: ['Alpha:12', 'Beta:14'], 2022: ['Alpha:9', 'Beta:15'], 2023: ['Gamma:20'],
+  });
+  assert.deepEqual([...after.byLocation.keys()].sort(), [...rebuilt.byLocation.keys()].sort());
+  assert.equal(after.records.get('Alpha').length, 5, 'the observations are kept alongside the annual record');
+  assert.equal(after.latest.get('Alpha').groundwaterLevel, 9);
+  assert.equal(after.latest.get('Gamma').year, 2023);
+  assert.equal(after.locationByName.get('Gamma').name, 'Gamma');
+
+  assert.equal(after.byLocation.get('Beta'), before.byLocation.get('Beta'), 'untouched locations are shared');
+  assert.equal(after.byYear.get(2020), before.byYear.get(2020), 'untouched years are shared');
+  assert.equal(before.latest.get('Alpha').groundwaterLevel, 7, 'the earlier version\'s index is unchanged');
+  assert.equal(before.byYear.has(2023), false);
+});
+
+test('an update replaces a record with the same location, year and observation date', () => {
+  const before = buildIndex(WATER, LOCATIONS.slice(0, 2));
+  const after = updateIndex(before, [observed('Alpha', 2022, 11, 10, 700)], LOCATIONS.slice(0, 2));
+  assert.equal(after.records.get('Alpha').length, 4);
+  assert.equal(after.latest.get('Alpha').groundwaterLevel, 9); // (8 + 10) / 2
+});
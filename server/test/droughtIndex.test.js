@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gammaP, inverseNormal } = require('../utils/statistics');
+const { fitClimatology, computeSpi, classifySpi } = require('../utils/droughtIndex');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('the regularized gamma CDF and inverse normal match closed forms', () => {
+  close(gammaP(1, 1), 1 - Math.exp(-1)); // exponential distribution
+  close(gammaP(2, 1), 1 - 2 * Math.exp(-1));
+  close(gammaP(0.5, 1), 0.8427007929); // erf(1)
+  close(gammaP(24.054507, 850 / 35.336413), 0.5271195036);
+  close(inverseNormal(0.5), 0);
+  close(inverseNormal(0.975), 1.959963985, 1e-6);
+  close(inverseNormal(0.2), -0.8416212336, 1e-6);
+});
+
+test('a climatology is fitted with Thom\'s estimator once there are six readings', () => {
+  assert.equal(fitClimatology([600, 700, 800, 900, 1000]), null);
+  assert.equal(fitClimatology([600, 700, 800, 900, 1000, null, 'n/a', -5]), null, 'only valid totals count');
+
+  const fit = fitClimatology([600, 700, 800, 900, 1000, 1100]);
+  assert.equal(fit.samples, 6);
+  assert.equal(fit.provisional, true);
+  assert.equal(fit.zeroFraction, 0);
+  assert.equal(fit.mean, 850);
+  close(fit.alpha, 24.054507);
+  close(fit.beta, 35.336413);
+  assert.equal(fit.degenerate, false);
+
+  assert.equal(fitClimatology([700, 700, 700, 700, 700, 700]).degenerate, true);
+});
+
+test('SPI reads the gamma probability off the standard normal', () => {
+  const fit = fitClimatology([600, 700, 800, 900, 1000, 1100]);
+  assert.equal(computeSpi(850, fit), 0.07);
+  assert.equal(computeSpi(500, fit), -2.32);
+  assert.equal(computeSpi(1200, fit), 1.86);
+
+  // Exponential climatology with a fifth of periods dry
+  const exponential = { alpha: 1, beta: 100, zeroFraction: 0 };
+  assert.equal(computeSpi(100, exponential), 0.34);
+  assert.equal(computeSpi(0, { ...exponential, zeroFraction: 0.2 }), -0.84);
+  assert.equal(computeSpi(10000, exponential), 3, 'clamped to ±3');
+
+  assert.equal(computeSpi(700, fitClimatology([700, 700, 700, 700, 700, 700])), 0);
+  assert.equal(computeSpi(700, null), null);
+  assert.equal(computeSpi(null, fit), null);
+});
+
+test('SPI classes follow McKee\'s boundaries', () => {
+  assert.deepEqual(classifySpi(-2.32), { spiClass: 'Extremely dry', droughtCategory: 'extreme' });
+  assert.deepEqual(classifySpi(-2), { spiClass: 'Extremely dry', droughtCategory: 'extreme' });
+  assert.deepEqual(classifySpi(-1.6), { spiClass: 'Severely dry', droughtCategory: 'severe' });
+  assert.deepEqual(classifySpi(-1), { spiClass: 'Moderately dry', droughtCategory: 'moderate' });
+  assert.deepEqual(classifySpi(0.07), { spiClass: 'Near normal', droughtCategory: null });
+  assert.deepEqual(classifySpi(1), { spiClass: 'Moderately wet', droughtCategory: null });
+  assert.deepEqual(classifySpi(2), { spiClass: 'Extremely wet', droughtCategory: null });
+  assert.deepEqual(classifySpi(null), { spiClass: null, droughtCategory: null });
+});
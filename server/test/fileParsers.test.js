@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseFileWithReport, readFileSample } = require('../utils/fileParsers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parsers-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function writeWorkbook(name, sheets) {
+  const workbook = new ExcelJS.Workbook();
+  for (const [sheet, rows] of Object.entries(sheets)) {
+    const worksheet = workbook.addWorksheet(sheet);
+    rows.forEach((row, i) => { if (row) worksheet.getRow(i + 1).values = row; });
+  }
+  const file = path.join(dir, name);
+  await workbook.xlsx.writeFile(file);
+  return file;
+}
+
+test('reads every sheet of a workbook with sheet and row positions', async () => {
+  const file = await writeWorkbook('levels.xlsx', {
+    2019: [
+      ['Location', 'Year', 'Observation Date', 'Groundwater Level (m)', 'pH', 'Notes', 'Notes'],
+      ['Igatpuri', 2019, new Date(Date.UTC(2019, 4, 14)), 8.5, 7.1, 'ok', { formula: '1+2', result: 3 }],
+      null,
+      ['Sinnar', 2019, '', 'n/a', 7],
+    ],
+    2020: [
+      null,
+      ['Location', 'Groundwater Level (m)', 'pH'],
+      ['Nashik', 10.4, 7.2],
+    ],
+  });
+
+  const { rows, report } = await parseFileWithReport(file);
+  assert.deepEqual(report.accepted.map((a) => [a.sheet, a.row, a.location]), [['2019', 2, 'Igatpuri'], ['2020', 3, 'Nashik']]);
+  assert.deepEqual(report.rejected.map((r) => [r.sheet, r.row, r.errors[0].field]), [['2019', 4, 'groundwaterLevel']]);
+  assert.equal(rows[0].observationDate, '2019-05-14');
+  assert.equal(rows[1].year, 2020, 'the sheet name supplies the year');
+
+  const sample = await readFileSample(file);
+  assert.deepEqual(sample.sheets, ['2019', '2020']);
+  assert.equal(sample.rows.length, 2);
+  assert.equal(sample.rows[0].Notes_1, 3, 'repeated headers are numbered and formulas give their result');
+
+  const second = await readFileSample(file, { sheets: ['2020'] });
+  assert.deepEqual(second.headers, ['Location', 'Groundwater Level (m)', 'pH']);
+});
+
+test('unknown sheets, unreadable workbooks and .xls files are refused with a 400', async () => {
+  const file = await writeWorkbook('one.xlsx', { Data: [['Location', 'Year'], ['Igatpuri', 2019]] });
+  await assert.rejects(parseFileWithReport(file, { sheets: ['2021'] }), { status: 400, message: /Sheet\(s\) not found: 2021/ });
+
+  const broken = path.join(dir, 'broken.xlsx');
+  fs.writeFileSync(broken, 'Location,Year\nIgatpuri,2019\n');
+  await assert.rejects(parseFileWithReport(broken), { status: 400, message: /Could not read spreadsheet/ });
+
+  const legacy = path.join(dir, 'old.xls');
+  fs.writeFileSync(legacy, '');
+  await assert.rejects(parseFileWithReport(legacy), { status: 400, message: /\.xls.*not supported/ });
+});
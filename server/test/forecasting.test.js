@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseForecastModel, forecast, rollingBacktest, mergeBacktests } = require('../utils/forecasting');
+
+// Yearly series with steady rainfall and no depletion, so only water level has errors
+const yearly = (levels) => levels.map((groundwaterLevel, i) => ({
+  year: 2000 + i, t: 2000 + i, groundwaterLevel, rainfall: 800, depletionRate: 0,
+}));
+
+test('Holt-Winters carries the smoothed level and trend forward', () => {
+  // Starts at level 10, trend 2; 12 is predicted exactly and 15 is 1 above 14 for every
+  // smoothing pair, so the first one tried wins: level 14 + 0.1 = 14.1, trend 2 + 0.1 × 0.1 = 2.01
+  const { models, predictions } = forecast(yearly([10, 12, 15]), { model: 'holt-winters', periodsAhead: 2 });
+  assert.deepEqual(models.groundwaterLevel.details, { alpha: 0.1, beta: 0.1, seasonal: false });
+  assert.deepEqual(predictions.map((p) => p.groundwaterLevel), [16.11, 18.12]);
+});
+
+test('Holt-Winters repeats the seasonal cycle once there are two full cycles', () => {
+  const seasonal = [];
+  for (let i = 0; i < 6; i++) {
+    const year = 2000 + Math.floor(i / 2);
+    seasonal.push(i % 2
+      ? { year, season: 'post-monsoon', t: year + 0.8, groundwaterLevel: 8, rainfall: 800, depletionRate: 0 }
+      : { year, season: 'pre-monsoon', t: year + 0.3, groundwaterLevel: 12, rainfall: 800, depletionRate: 0 });
+  }
+  const { models, predictions } = forecast(seasonal, { model: 'holt-winters', granularity: 'seasonal', periodsAhead: 3 });
+  assert.deepEqual(models.groundwaterLevel.details, { alpha: 0.1, beta: 0.1, gamma: 0.1, seasonal: true });
+  assert.deepEqual(predictions.map((p) => [p.period, p.groundwaterLevel]), [
+    ['2003 Pre-monsoon', 12],
+    ['2003 Post-monsoon', 8],
+    ['2004 Pre-monsoon', 12],
+  ]);
+});
+
+test('ARIMA(1,1,0) regresses each difference on the one before', () => {
+  // Differences 2, 1, 0.5, 0.25 halve each step: phi 0.5, no drift
+  let { models, predictions } = forecast(yearly([0, 2, 3, 3.5, 3.75]), { model: 'arima', periodsAhead: 2 });
+  assert.deepEqual(models.groundwaterLevel.details, { phi: 0.5, drift: 0 });
+  assert.deepEqual(predictions.map((p) => p.groundwaterLevel), [3.88, 3.94]); // 3.875, 3.9375
+
+  // Differences alternating 1, 2 fit phi -1, which is clamped to -0.95 with drift 1.5 + 0.95 × 1.5;
+  // the steps are then 2.925 - 0.95 × 1 = 1.975 and 2.925 - 0.95 × 1.975 = 1.04875
+  ({ models, predictions } = forecast(yearly([0, 1, 3, 4, 6, 7]), { model: 'arima', periodsAhead: 2 }));
+  assert.deepEqual(models.groundwaterLevel.details, { phi: -0.95, drift: 2.925 });
+  assert.deepEqual(predictions.map((p) => p.groundwaterLevel), [8.97, 10.02]); // 8.975, 10.02375
+
+  assert.throws(() => forecast(yearly([1, 2, 3]), { model: 'arima' }), {
+    status: 400,
+    message: 'ARIMA(1,1,0) with drift needs at least 4 readings; this series has 3',
+  });
+});
+
+test('the rainfall regression recovers the drivers\' coefficients and projects them on their trends', () => {
+  const rainfall = [800, 1000, 700, 900, 600];
+  const usage = [100, 300, 200, 400, 300];
+  const history = yearly(rainfall.map((r, i) => 20 - 0.01 * r + 0.05 * usage[i]))
+    .map((d, i) => ({ ...d, rainfall: rainfall[i], agriculturalUsage: usage[i] }));
+
+  const { models, predictions } = forecast(history, { model: 'rainfall-regression', periodsAhead: 2 });
+  assert.deepEqual(models.groundwaterLevel.details, { intercept: 20, rainfall: -0.01, extraction: 0.05 });
+  // Rainfall trends down 50 a year (650, 600) and extraction up 50 (410, 460)
+  assert.deepEqual(predictions.map((p) => p.groundwaterLevel), [34, 37]);
+  assert.equal(models.groundwaterLevel.selectedBy, 'request');
+  assert.notEqual(models.rainfall.model, 'rainfall-regression', 'rainfall itself falls back to a univariate model');
+
+  const collinear = history.map((d) => ({ ...d, agriculturalUsage: d.rainfall / 2 }));
+  assert.throws(() => forecast(collinear, { model: 'rainfall-regression' }), { status: 400, message: /cannot be fitted/ });
+});
+
+test('unknown models are refused', () => {
+  assert.equal(parseForecastModel(undefined), 'auto');
+  assert.throws(() => parseForecastModel('prophet'), {
+    status: 400,
+    message: 'model must be one of auto, linear, holt-winters, arima, rainfall-regression',
+  });
+});
+
+test('a rolling backtest scores each origin on the readings that followed it', () => {
+  // A straight line fitted to 10, 12, 14 predicts 16 (exact); to 10…16 it predicts 18 against 20
+  const { origins, metrics } = rollingBacktest(yearly([10, 12, 14, 16, 20]), { model: 'linear', horizon: 2 });
+
+  assert.equal(origins, 2);
+  assert.deepEqual(metrics.groundwaterLevel.byHorizon, [
+    // errors 0 and 2; 2/20 = 10% and 0% average 5%; the exact fit's zero-width band holds 16 but not 20
+    { horizon: 1, mae: 1, mape: 5, coverage: 50, count: 2 },
+    // from the first origin only: 18 against 20
+    { horizon: 2, mae: 2, mape: 10, coverage: 0, count: 1 },
+  ]);
+  assert.deepEqual(metrics.groundwaterLevel.overall, { mae: 1.333, mape: 6.7, coverage: 33.3, count: 3 });
+  assert.deepEqual(metrics.rainfall.overall, { mae: 0, mape: 0, coverage: 100, count: 3 });
+  assert.equal(metrics.depletionRate.overall.mape, null, 'zero readings have no percentage error');
+});
+
+test('reliability comes from the one-step water-level MAPE, capped when the bands miss', () => {
+  const { reliability } = rollingBacktest(yearly([10, 12, 14, 16, 20]), { model: 'linear', horizon: 1 });
+  // 5% would be high, but only half the readings fell inside the band
+  assert.deepEqual(reliability, {
+    rating: 'medium',
+    reason: 'One-step water-level forecasts were off by 5% on average, '
+      + 'and 50% of readings fell inside the 95% band (2 tests)',
+  });
+
+  // Predicts 8 against 30, then 27 against 2: both far outside 25%
+  assert.equal(rollingBacktest(yearly([12, 24, 6, 30, 2]), { model: 'linear', horizon: 1 }).reliability.rating, 'low');
+
+  const short = rollingBacktest(yearly([10, 12, 14]), { model: 'linear', horizon: 1 });
+  assert.equal(short.origins, 0);
+  assert.deepEqual(short.reliability, { rating: null, reason: 'Not enough history to backtest forecasts' });
+});
+
+test('mergeBacktests pools the raw tallies rather than averaging the summaries', () => {
+  const rising = rollingBacktest(yearly([10, 12, 14, 16, 20]), { model: 'linear', horizon: 1 });
+  // Mirror image: predicts 14 (exact), then 12 against 10, which is 20% off
+  const falling = rollingBacktest(yearly([20, 18, 16, 14, 10]), { model: 'linear', horizon: 1 });
+  assert.equal(falling.metrics.groundwaterLevel.overall.mape, 10);
+
+  const pooled = mergeBacktests([rising, falling], 1);
+  assert.equal(pooled.origins, 4);
+  assert.deepEqual(pooled.metrics.groundwaterLevel.overall, { mae: 1, mape: 7.5, coverage: 50, count: 4 });
+  assert.equal(pooled.reliability.rating, 'medium');
+});
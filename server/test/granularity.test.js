@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  seriesFor, recordKey, nextPeriods, parseGranularity, seasonOfMonth,
+} = require('../utils/granularity');
+
+const observed = (month, groundwaterLevel, rainfall, scarcityLevel) => ({
+  location: 'Alpha',
+  year: 2022,
+  month,
+  season: seasonOfMonth(month),
+  observationDate: `2022-${String(month).padStart(2, '0')}-15`,
+  groundwaterLevel,
+  rainfall,
+  scarcityLevel,
+  isSynthetic: false,
+});
+const RECORDS = [
+  { location: 'Alpha', year: 2021, groundwaterLevel: 12, rainfall: 800, scarcityLevel: 'Low' },
+  observed(4, 10, 20, 'Moderate'),
+  observed(5, 8, 30, 'High'),
+  observed(11, 6, 700, 'Low'),
+];
+
+test('seasonal and monthly series aggregate dated observations and skip annual records', () => {
+  // April and May are both pre-monsoon: levels average, rainfall sums, the worst scarcity wins
+  const seasonal = seriesFor(RECORDS, 'seasonal');
+  assert.deepEqual(seasonal.map((s) => [s.period, s.t, s.groundwaterLevel, s.rainfall, s.scarcityLevel, s.aggregatedFrom]), [
+    ['2022 Pre-monsoon', 2022.375, 9, 50, 'High', 2],
+    ['2022 Post-monsoon', 2022.875, 6, 700, 'Low', 1],
+  ]);
+
+  const monthly = seriesFor(RECORDS, 'monthly');
+  assert.deepEqual(monthly.map((m) => [m.period, m.t]), [['2022-04', 2022.2917], ['2022-05', 2022.375], ['2022-11', 2022.875]]);
+});
+
+test('a yearly series uses the annual record, or the year\'s observations combined', () => {
+  const yearly = seriesFor(RECORDS);
+  assert.equal(yearly[0], RECORDS[0], 'annual records are returned as they are');
+  assert.deepEqual(
+    [yearly[1].year, yearly[1].groundwaterLevel, yearly[1].rainfall, yearly[1].scarcityLevel, yearly[1].isSynthetic],
+    [2022, 8, 750, 'High', false],
+  );
+});
+
+test('records are keyed by location, year and observation date', () => {
+  assert.equal(recordKey(RECORDS[0]), 'Alpha|2021|');
+  assert.equal(recordKey(RECORDS[1]), 'Alpha|2022|2022-04-15');
+});
+
+test('the next periods roll over the year and follow the seasons a series has', () => {
+  assert.deepEqual(nextPeriods({ year: 2022, month: 11 }, 3, 'monthly').map((p) => p.period), ['2022-12', '2023-01', '2023-02']);
+  assert.deepEqual(
+    nextPeriods({ year: 2022, season: 'post-monsoon' }, 3, 'seasonal', ['pre-monsoon', 'post-monsoon']).map((p) => p.period),
+    ['2023 Pre-monsoon', '2023 Post-monsoon', '2024 Pre-monsoon'],
+  );
+  assert.deepEqual(nextPeriods({ year: 2022 }, 2, 'yearly').map((p) => [p.period, p.t]), [['2023', 2023], ['2024', 2024]]);
+});
+
+test('granularity values are checked', () => {
+  assert.equal(parseGranularity(undefined), 'yearly');
+  assert.equal(parseGranularity('seasonal'), 'seasonal');
+  assert.throws(() => parseGranularity('weekly'), { status: 400, message: 'granularity must be one of yearly, seasonal, monthly' });
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const {
+  DEFAULT_PARAMETERS, loadAssessmentConfig, validateAssessmentConfig, saveAssessmentConfig, parametersFor, categorize,
+  assessRecord, assessLocation, assessDistrict,
+} = require('../utils/groundwaterAssessment');
+
+const record = (year, rainfall, agriculturalUsage, industrialUsage, householdUsage) =>
+  ({ year, rainfall, agriculturalUsage, industrialUsage, householdUsage });
+const BETAWADI = { name: 'Betawadi', district: 'Nashik' };
+const KALWAN = { name: 'Kalwan', district: 'Nashik' };
+const DRY = { name: 'Dhondwadi', district: 'Nashik' };
+
+test('a record\'s water balance, stage of extraction and category', () => {
+  // 800 mm over 10 km² at 0.13 recharges 1040 Ml; 5% (52 Ml) discharges, leaving 988 Ml
+  // against 500 Ml drawn: stage 50.6%
+  const assessed = assessRecord(record(2024, 800, 300, 100, 100), DEFAULT_PARAMETERS);
+  assert.deepEqual(assessed, {
+    year: 2024,
+    recharge: { rainfall: 1040, returnFlow: 0, total: 1040 },
+    naturalDischarge: 52,
+    extractableResource: 988,
+    extraction: { agricultural: 300, industrial: 100, household: 100, total: 500 },
+    stageOfExtraction: 50.6,
+    category: 'Safe',
+    isSynthetic: false,
+  });
+
+  // A fifth of the 300 Ml irrigation returns: 1100 Ml recharged, 1045 Ml extractable, 500 / 1045 = 47.8%
+  const withReturnFlow = assessRecord(record(2024, 800, 300, 100, 100), { ...DEFAULT_PARAMETERS, returnFlowFactor: 0.2 });
+  assert.deepEqual([withReturnFlow.recharge, withReturnFlow.extractableResource, withReturnFlow.stageOfExtraction],
+    [{ rainfall: 1040, returnFlow: 60, total: 1100 }, 1045, 47.8]);
+
+  const dry = assessRecord(record(2024, 0, 0, 0, 10), DEFAULT_PARAMETERS);
+  assert.deepEqual([dry.stageOfExtraction, dry.category], [null, null], 'no stage without an extractable resource');
+});
+
+test('categories follow the GEC-2015 stage bounds, each bound inclusive', () => {
+  assert.deepEqual([0, 70, 70.1, 90, 90.1, 100, 100.1, 250].map(categorize), [
+    'Safe', 'Safe', 'Semi-Critical', 'Semi-Critical', 'Critical', 'Critical', 'Over-Exploited', 'Over-Exploited',
+  ]);
+});
+
+test('a location\'s latest assessment carries its stage in every year', () => {
+  const assessed = assessLocation([record(2023, 400, 400, 50, 50), record(2024, 800, 300, 100, 100)], BETAWADI);
+  assert.deepEqual([assessed.location, assessed.district, assessed.year, assessed.stageOfExtraction], ['Betawadi', 'Nashik', 2024, 50.6]);
+  // 2023: 520 Ml recharged, 494 Ml extractable against 500 Ml drawn
+  assert.deepEqual(assessed.history, [
+    { year: 2023, stageOfExtraction: 101.2, category: 'Over-Exploited' },
+    { year: 2024, stageOfExtraction: 50.6, category: 'Safe' },
+  ]);
+  assert.deepEqual(assessed.parameters, DEFAULT_PARAMETERS);
+});
+
+test('a district sums its locations\' latest balances and counts their categories', () => {
+  const district = assessDistrict('Nashik', [
+    { location: BETAWADI, latest: record(2024, 800, 300, 100, 100) },
+    { location: KALWAN, latest: record(2024, 400, 400, 50, 50) },
+    { location: DRY, latest: record(2024, 0, 0, 0, 10) },
+  ]);
+  // 1560 Ml recharged, 1482 Ml extractable against 1010 Ml drawn: 68.2%, Safe overall
+  // although Kalwan alone is over-exploited
+  assert.deepEqual(
+    [district.locationCount, district.recharge, district.naturalDischarge, district.extractableResource, district.extraction],
+    [3, { rainfall: 1560, returnFlow: 0, total: 1560 }, 78, 1482, 1010],
+  );
+  assert.equal(district.stageOfExtraction, 68.2);
+  assert.equal(district.category, 'Safe');
+  assert.deepEqual(district.categoryCounts, { Safe: 1, 'Semi-Critical': 0, Critical: 0, 'Over-Exploited': 1 });
+  assert.deepEqual(district.locations.map((l) => [l.location, l.stageOfExtraction, l.category]), [
+    ['Kalwan', 101.2, 'Over-Exploited'],
+    ['Betawadi', 50.6, 'Safe'],
+    ['Dhondwadi', null, null],
+  ]);
+});
+
+test('location overrides win over district overrides, which win over the defaults', async () => {
+  const adapter = createMemoryAdapter();
+  assert.equal(await loadAssessmentConfig(adapter), false, 'nothing saved: the built-in defaults stay');
+  assert.deepEqual(parametersFor('Betawadi', 'Nashik'), DEFAULT_PARAMETERS);
+
+  await saveAssessmentConfig({
+    defaults: { areaKm2: 20 },
+    districts: { Nashik: { infiltrationFactor: 0.07, areaKm2: 15 } },
+    locations: { Betawadi: { areaKm2: 5 } },
+  });
+  assert.deepEqual(parametersFor('Betawadi', 'Nashik'), { ...DEFAULT_PARAMETERS, infiltrationFactor: 0.07, areaKm2: 5 });
+  assert.deepEqual(parametersFor('Kalwan', 'Nashik'), { ...DEFAULT_PARAMETERS, infiltrationFactor: 0.07, areaKm2: 15 });
+  assert.deepEqual(parametersFor('Kalwan', 'Pune'), { ...DEFAULT_PARAMETERS, areaKm2: 20 });
+  assert.equal((await adapter.collection('settings').get('assessment')).districts.Nashik.infiltrationFactor, 0.07);
+
+  // 800 mm over Betawadi's 5 km² at 0.07 recharges 280 Ml, 266 Ml extractable
+  assert.equal(assessLocation([record(2024, 800, 300, 100, 100)], BETAWADI).extractableResource, 266);
+});
+
+test('configurations are checked parameter by parameter', () => {
+  assert.deepEqual(validateAssessmentConfig({ defaults: { specificYield: 0.05 }, districts: { Nashik: {} } }), []);
+  assert.deepEqual(validateAssessmentConfig({
+    defaults: { areaKm2: 0, soil: 1 },
+    districts: { Nashik: { infiltrationFactor: '0.1' }, Pune: null },
+    locations: 'Betawadi',
+  }), [
+    'defaults.areaKm2 must be a number between 0.01 and 100000',
+    'defaults: unknown parameter "soil"',
+    'districts.Nashik.infiltrationFactor must be a number between 0 and 1',
+    'districts.Pune must be an object',
+    'locations must be an object keyed by name',
+  ]);
+  assert.deepEqual(validateAssessmentConfig(null), ['Configuration body is required']);
+});
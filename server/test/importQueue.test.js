@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const store = require('../dataStore');
+const importQueue = require('../utils/importQueue');
+
+// A second copy of the module stands in for another instance sharing the storage
+delete require.cache[require.resolve('../utils/importQueue')];
+const otherInstance = require('../utils/importQueue');
+
+async function until(check) {
+  for (let i = 0; i < 100; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error('timed out');
+}
+
+test('any instance can report a job\'s progress and result', async (t) => {
+  store.setStorage(createMemoryAdapter());
+  let finish;
+  const queued = await importQueue.enqueue('big.csv', async (update) => {
+    update('parsing', { totalRows: 10, processedRows: 5 });
+    await new Promise((resolve) => { finish = resolve; });
+    return { status: 200, body: { success: true, version: 7 } };
+  });
+  assert.equal(queued.state, 'queued');
+
+  const running = await until(async () => {
+    const job = await otherInstance.getJob(queued.id);
+    return job && job.state === 'running' && job;
+  });
+  assert.equal(running.phase, 'parsing');
+  assert.equal(running.percent, 43); // halfway through parsing, which is 0–85% of the bar
+
+  finish();
+  const done = await until(async () => {
+    const job = await otherInstance.getJob(queued.id);
+    return job && job.state === 'completed' && job;
+  });
+  assert.equal(done.percent, 100);
+  assert.deepEqual(done.result, { success: true, version: 7 });
+  assert.deepEqual((await otherInstance.listJobs()).map((j) => j.id), [queued.id]);
+
+  // Finished jobs are kept for an hour
+  const later = Date.now() + 61 * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.equal(await otherInstance.getJob(queued.id), null);
+  assert.deepEqual(await otherInstance.listJobs(), []);
+});
+
+test('a job that throws is recorded as failed with its status', async () => {
+  store.setStorage(createMemoryAdapter());
+  const queued = await importQueue.enqueue('bad.csv', async () => {
+    const err = new Error('Dataset has changed');
+    err.status = 409;
+    throw err;
+  });
+  const failed = await until(async () => {
+    const job = await otherInstance.getJob(queued.id);
+    return job && job.state === 'failed' && job;
+  });
+  assert.equal(failed.status, 409);
+  assert.deepEqual(failed.result, { success: false, message: 'Dataset has changed' });
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { createMongoAdapter } = require('../storage/mongoAdapter');
+
+/*
+ * Runs against a real MongoDB: MONGODB_TEST_URI when set, otherwise
+ * mongodb-memory-server if it is installed. Skipped when neither is available.
+ * Every test gets its own database, dropped afterwards.
+ */
+let server = null;
+let baseUri = process.env.MONGODB_TEST_URI || null;
+const connections = [];
+
+test.before(async () => {
+  if (baseUri) return;
+  try {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    server = await MongoMemoryServer.create();
+    baseUri = server.getUri();
+  } catch (err) {
+    baseUri = null; // not installed, or its mongod binary cannot be fetched
+  }
+});
+
+test.after(async () => {
+  await Promise.all(connections.map(async (conn) => {
+    await conn.dropDatabase().catch(() => {});
+    await conn.close();
+  }));
+  if (server) await server.stop();
+});
+
+let databases = 0;
+/** A connect function for a fresh database; connections made from it share it */
+function freshDatabase() {
+  const dbName = `jalrakshya_test_${process.pid}_${++databases}`;
+  return async (uri) => {
+    const conn = await mongoose.createConnection(uri, { dbName }).asPromise();
+    connections.push(conn);
+    return conn;
+  };
+}
+
+function adapterFor(t, connect = freshDatabase()) {
+  if (!baseUri) {
+    t.skip('set MONGODB_TEST_URI or install mongodb-memory-server to run');
+    return null;
+  }
+  return createMongoAdapter({ uri: baseUri, connect });
+}
+
+const location = (name) => ({ name, latitude: 20, longitude: 74, district: 'Nashik' });
+const reading = (name, year, level, observationDate) => ({
+  location: name, year, groundwaterLevel: level, ...(observationDate ? { observationDate } : {}),
+});
+
+test('datasets round-trip, and upserts replace by location, year and observation date', async (t) => {
+  const connect = freshDatabase();
+  const adapter = adapterFor(t, connect);
+  if (!adapter) return;
+  await adapter.connect();
+  assert.equal(await adapter.isEmpty(), true);
+
+  const r1 = await adapter.replaceDataset({
+    waterData: [reading('Igatpuri', 2020, 8), reading('Igatpuri', 2020, 9, '2020-05-14')],
+    locations: [location('Igatpuri')],
+  });
+  const r2 = await adapter.upsertWaterRecords([reading('Igatpuri', 2020, 8.5), reading('Sinnar', 2021, 11)]);
+  const r3 = await adapter.upsertLocations([location('Sinnar'), { ...location('Igatpuri'), latitude: 19.7 }]);
+  assert.deepEqual([r1, r2, r3], [1, 2, 3]);
+
+  // A second instance on the same database sees the same data and revision
+  const other = adapterFor(t, connect);
+  await other.connect();
+  const { waterData, locations } = await other.loadDataset();
+  assert.equal(await other.getRevision(), 3);
+  assert.deepEqual(waterData.map((r) => [r.location, r.year, r.groundwaterLevel, r.observationDate || null]).sort(), [
+    ['Igatpuri', 2020, 8.5, null],
+    ['Igatpuri', 2020, 9, '2020-05-14'],
+    ['Sinnar', 2021, 11, null],
+  ]);
+  assert.deepEqual(locations.map((l) => [l.name, l.latitude]).sort(), [['Igatpuri', 19.7], ['Sinnar', 20]]);
+  assert.ok(waterData.every((r) => !('_id' in r)), 'Mongo ids are stripped');
+});
+
+test('versions are listed oldest first, and pruning keeps only the newest snapshots', async (t) => {
+  const adapter = adapterFor(t);
+  if (!adapter) return;
+  await adapter.connect();
+  for (const version of [1, 2, 3, 4]) {
+    await adapter.saveVersion({ version, source: 'upload' }, {
+      waterData: [reading('Igatpuri', 2019 + version, version)],
+      locations: [location('Igatpuri')],
+    });
+  }
+  assert.deepEqual((await adapter.listVersions()).map((v) => v.version), [1, 2, 3, 4]);
+  assert.equal((await adapter.loadVersion(2)).waterData[0].groundwaterLevel, 2);
+
+  await adapter.pruneVersions(2);
+  const listed = await adapter.listVersions();
+  assert.deepEqual(listed.map((v) => [v.version, Boolean(v.pruned)]), [[1, true], [2, true], [3, false], [4, false]]);
+  assert.equal(await adapter.loadVersion(2), null);
+  assert.equal((await adapter.loadVersion(3)).waterData[0].groundwaterLevel, 3);
+});
+
+test('collections store documents by id', async (t) => {
+  const adapter = adapterFor(t);
+  if (!adapter) return;
+  await adapter.connect();
+  const profiles = adapter.collection('profiles');
+  await profiles.put({ id: 'cgwb', name: 'CGWB' });
+  await profiles.put({ id: 'cgwb', name: 'CGWB export' });
+  assert.deepEqual(await profiles.get('cgwb'), { id: 'cgwb', name: 'CGWB export' });
+  assert.deepEqual(await profiles.list(), [{ id: 'cgwb', name: 'CGWB export' }]);
+  assert.equal(await profiles.remove('cgwb'), true);
+  assert.equal(await profiles.get('cgwb'), null);
+});
+
+test('instances sharing a database never reserve the same version', async (t) => {
+  const connect = freshDatabase();
+  const adapter = adapterFor(t, connect);
+  if (!adapter) return;
+  const other = adapterFor(t, connect);
+  await Promise.all([adapter.connect(), other.connect()]);
+  await adapter.saveVersion({ version: 1, source: 'initial' }, { waterData: [], locations: [location('Igatpuri')] });
+
+  const reserved = await Promise.all([adapter, other, adapter, other].map((a) => a.nextVersion()));
+  assert.deepEqual(reserved.sort(), [2, 3, 4, 5]);
+  await assert.rejects(adapter.saveVersion({ version: 1, source: 'upload' }, { waterData: [], locations: [] }));
+  assert.deepEqual((await adapter.listVersions()).map((v) => v.source), ['initial']);
+  assert.equal((await adapter.loadVersion(1)).locations.length, 1, 'a refused duplicate leaves the snapshot alone');
+});
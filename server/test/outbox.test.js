@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const {
+  loadOutbox, registerAudience, newDelivery, saveDelivery, publicDelivery, retryWait, retryDelivery,
+} = require('../notifications/outbox');
+
+registerAudience('citizen', { find: () => null, render: () => ({}) });
+
+test('citizen addresses are masked in delivery listings; staff addresses are not', () => {
+  const citizen = newDelivery({ id: 'c1', channel: 'sms', address: '+919812345678' }, { kind: 'confirm', audience: 'citizen' });
+  const email = newDelivery({ id: 'c2', channel: 'email', address: 'asha@example.org' }, { kind: 'confirm', audience: 'citizen' });
+  const staff = newDelivery({ id: 's1', name: 'Ops', channel: 'email', address: 'ops@example.org' }, { kind: 'alert' });
+
+  assert.equal(publicDelivery(citizen).address, '+91••••••5678');
+  assert.equal(publicDelivery(email).address, 'a•••@example.org');
+  assert.equal(publicDelivery(staff).address, 'ops@example.org');
+  assert.equal(citizen.address, '+919812345678', 'the stored delivery keeps the address');
+});
+
+test('manual retries are limited per delivery and per staff member', async () => {
+  await loadOutbox(createMemoryAdapter());
+  const delivery = newDelivery({ id: 'c1', channel: 'sms', address: '+919812345678' }, { kind: 'confirm', audience: 'citizen' });
+  await saveDelivery(delivery);
+
+  assert.equal(retryWait(delivery, 'asha'), 0);
+  await retryDelivery(delivery, 'asha');
+  const wait = retryWait(delivery, 'asha');
+  assert.ok(wait > 9 * 60 * 1000 && wait <= 10 * 60 * 1000, `waits ${wait} ms`);
+  assert.ok(retryWait(delivery, 'ravi') > 0, 'the interval is per delivery, whoever retries');
+
+  // Thirty retries of different deliveries use up a staff member's hour
+  for (let i = 0; i < 29; i++) {
+    const other = newDelivery({ id: `s${i}`, channel: 'email', address: 'ops@example.org' }, { kind: 'alert' });
+    await saveDelivery(other);
+    await retryDelivery(other, 'asha');
+  }
+  const fresh = newDelivery({ id: 's99', channel: 'email', address: 'ops@example.org' }, { kind: 'alert' });
+  assert.ok(retryWait(fresh, 'asha') > 59 * 60 * 1000);
+  assert.equal(retryWait(fresh, 'ravi'), 0);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRecord, createValidationReport, MAX_REPORT_ENTRIES } = require('../utils/recordValidator');
+
+test('a report lists the first entries of each kind and counts them all', () => {
+  const collector = createValidationReport();
+  const rows = MAX_REPORT_ENTRIES + 50;
+  for (let i = 0; i < rows; i++) {
+    collector.add({ Location: `Good ${i}`, Year: 2020, 'Groundwater Level (m)': 9 }, { row: i + 2 });
+    collector.add({ Location: `Bad ${i}`, Year: 2020, 'Groundwater Level (m)': 'n/a' }, { row: rows + i + 2 });
+  }
+  assert.deepEqual(collector.counts(), { processedRows: 2 * rows, accepted: rows, rejected: rows });
+
+  const { rows: records, report } = collector.finish();
+  assert.equal(records.length, rows, 'every valid row is still ingested');
+  assert.equal(report.acceptedCount, rows);
+  assert.equal(report.rejectedCount, rows);
+  assert.ok(report.warningCount > MAX_REPORT_ENTRIES);
+  assert.equal(report.truncated, true);
+  assert.equal(report.accepted.length, MAX_REPORT_ENTRIES);
+  assert.equal(report.rejected.length, MAX_REPORT_ENTRIES);
+  assert.equal(report.warnings.length, MAX_REPORT_ENTRIES);
+  assert.equal(report.rejected[0].location, 'Bad 0');
+});
+
+const ROW = {
+  location: ' Alpha ', year: '2022', groundwaterLevel: '9.5', rainfall: '800', ph: '7.2', depletionRate: '2',
+  consumption: '300', perCapitaUsage: '140', agriculturalUsage: '100', industrialUsage: '50', householdUsage: '60',
+  scarcityLevel: 'Moderate',
+};
+
+test('values are parsed against the schema\'s ranges, defaults and enum', () => {
+  const { record, errors, warnings } = validateRecord({
+    ...ROW, rainfall: '', scarcityLevel: 'high', latitude: '19.95', longitude: '73.88',
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(record.location, 'Alpha');
+  assert.equal(record.year, 2022);
+  assert.equal(record.groundwaterLevel, 9.5);
+  assert.equal(record.rainfall, 0);
+  assert.equal(record.scarcityLevel, 'High');
+  assert.deepEqual([record.latitude, record.longitude], [19.95, 73.88]);
+  assert.deepEqual(warnings, [
+    { field: 'rainfall', message: 'rainfall missing — defaulted to 0' },
+    { field: 'scarcityLevel', message: 'scarcityLevel "high" normalized to High' },
+  ]);
+});
+
+test('a row is rejected with a reason for every bad field', () => {
+  const { record, errors } = validateRecord({
+    ...ROW, location: '', year: '1999', ph: '15', groundwaterLevel: 'n/a', depletionRate: '-1', scarcityLevel: 'Dire',
+  });
+  assert.equal(record, null);
+  assert.deepEqual(errors, [
+    { field: 'location', message: 'Location is required' },
+    { field: 'year', message: 'year 1999 is below the minimum of 2000' },
+    { field: 'depletionRate', message: 'depletionRate -1 is below the minimum of 0' },
+    { field: 'ph', message: 'ph 15 is above the maximum of 14' },
+    { field: 'groundwaterLevel', message: 'groundwaterLevel "n/a" is not a number' },
+    { field: 'scarcityLevel', message: 'scarcityLevel "Dire" must be one of Low, Moderate, High, Severe, Extreme' },
+  ]);
+  assert.deepEqual(validateRecord({ ...ROW, year: '2020.5' }).errors, [{ field: 'year', message: 'year "2020.5" is not a whole number' }]);
+  assert.deepEqual(validateRecord({ ...ROW, latitude: '95', longitude: '73' }).warnings, [
+    { field: 'coordinates', message: 'Invalid coordinates "95, 73" ignored' },
+  ]);
+});
+
+test('observation timing comes from a date, a month or a season', () => {
+  // Spreadsheet serial 44696 is 15 May 2022, which also supplies the missing year
+  const serial = validateRecord({ ...ROW, year: '', observationDate: 44696 }).record;
+  assert.deepEqual([serial.year, serial.observationDate, serial.month, serial.season], [2022, '2022-05-15', 5, 'pre-monsoon']);
+
+  const indian = validateRecord({ ...ROW, observationDate: '15/05/2022', season: 'monsoon' }).record;
+  assert.deepEqual([indian.observationDate, indian.season], ['2022-05-15', 'monsoon'], 'an explicit season wins');
+
+  const seasonOnly = validateRecord({ ...ROW, season: 'Post Monsoon' });
+  assert.deepEqual([seasonOnly.record.observationDate, seasonOnly.record.month], ['2022-11-01', 11]);
+  assert.deepEqual(seasonOnly.warnings, [
+    { field: 'observationDate', message: 'observationDate set to 2022-11-01 from post-monsoon / month 11' },
+  ]);
+  assert.equal(validateRecord({ ...ROW, month: 'Nov' }).record.observationDate, '2022-11-01');
+
+  const annual = validateRecord(ROW).record;
+  assert.deepEqual([annual.observationDate, annual.month, annual.season], [null, null, null]);
+
+  assert.deepEqual(validateRecord({ ...ROW, observationDate: '31/02/2022' }).errors, [
+    { field: 'observationDate', message: 'observationDate "31/02/2022" is not a valid date' },
+  ]);
+  assert.deepEqual(validateRecord({ ...ROW, observationDate: '2021-05-15' }).errors, [
+    { field: 'observationDate', message: 'observationDate 2021-05-15 is not in year 2022' },
+  ]);
+  assert.deepEqual(validateRecord({ ...ROW, observationDate: '2022-05-15', month: '6' }).errors, [
+    { field: 'month', message: 'month 6 does not match observationDate 2022-05-15' },
+  ]);
+});
+
+test('a later duplicate replaces the earlier row, and located features without a year update positions', () => {
+  const collector = createValidationReport();
+  collector.add({ Location: 'Alpha', Year: 2022, 'Groundwater Level (m)': 9 }, { row: 2 });
+  collector.add({ Location: 'Alpha', Year: 2022, 'Groundwater Level (m)': 11 }, { row: 3 });
+  collector.add({ Location: 'Beta', __latitude: 20.1, __longitude: 74.2 }, { row: 4 });
+
+  const { rows, locations, report } = collector.finish();
+  assert.deepEqual(rows.map((r) => [r.location, r.groundwaterLevel]), [['Alpha', 11]]);
+  assert.deepEqual(locations, [{ name: 'Beta', latitude: 20.1, longitude: 74.2 }]);
+  assert.equal(report.totalRows, 3);
+  assert.deepEqual(report.accepted, [{ row: 3, location: 'Alpha', year: 2022 }]);
+  assert.ok(report.warnings.some((w) => w.row === 3 && w.message === 'Duplicate Alpha 2022 — replaces row 2'));
+  assert.deepEqual(report.locationsUpdated, ['Beta']);
+});
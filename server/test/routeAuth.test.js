@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireStaff } = require('../utils/staffAuth');
+
+// "METHOD path" of every route that changes something without a staff token
+function openWrites(router) {
+  return router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) => Object.keys(route.methods)
+      .filter((method) => method !== 'get')
+      .filter(() => !route.stack.some((layer) => layer.handle === requireStaff))
+      .map((method) => `${method.toUpperCase()} ${route.path}`));
+}
+
+test('changing alert rules needs a staff token; replaying them does not', () => {
+  assert.deepEqual(openWrites(require('../routes/alertRuleRoutes')), ['POST /test', 'POST /:id/test']);
+});
+
+test('acting on an alert needs a staff token', () => {
+  assert.deepEqual(openWrites(require('../routes/alertRoutes')), []);
+});
+
+test('changing scoring profiles and their assignments needs a staff token', () => {
+  assert.deepEqual(openWrites(require('../routes/scoreProfileRoutes')), []);
+});
+
+test('changing the assessment parameters needs a staff token', () => {
+  assert.deepEqual(openWrites(require('../routes/assessmentRoutes')), []);
+});
+
+test('changing column-mapping profiles needs a staff token', () => {
+  assert.deepEqual(openWrites(require('../routes/mappingRoutes')), []);
+});
+
+test('rolling the dataset back needs a staff token', () => {
+  assert.deepEqual(openWrites(require('../routes/versionRoutes')), []);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runScenario, validateScenario } = require('../utils/scenario');
+const { DEFAULT_SCORE_PROFILE } = require('../utils/waterScore');
+
+const LOCATION = { name: 'Testwadi', district: 'Nashik' };
+// One reading, so the baseline holds it steady. Default parameters (10 km², infiltration 0.13,
+// 5% natural discharge, specific yield 0.02): 800 mm recharges 1040 Ml, 988 Ml extractable,
+// against 500 Ml drawn (stage 50.6%); 200 Ml of net draw moves the level one metre
+const HISTORY = [{
+  year: 2024, rainfall: 800, agriculturalUsage: 300, industrialUsage: 100, householdUsage: 100,
+  groundwaterLevel: 10, depletionRate: 2, ph: 7.2,
+}];
+
+const run = (body) => runScenario(HISTORY, LOCATION, DEFAULT_SCORE_PROFILE, body);
+
+test('a drier spell deepens the level by the net deficit while it lasts', () => {
+  const result = run({ adjustments: { rainfall: -20, agriculturalUsage: -20 }, years: 3, durationYears: 2 });
+  assert.equal(result.baselineModel, 'persistence');
+  assert.equal(result.normalRainfall, 800);
+
+  // 640 mm leaves 790.4 Ml extractable (197.6 less) while draw falls 60 Ml to 440:
+  // 137.6 Ml a year more than is recharged, 0.688 m deeper each year
+  assert.deepEqual(result.projection.map((y) => [y.year, y.adjusted, y.netChange, y.scenario.groundwaterLevel]), [
+    [2025, true, 137.6, 10.69],
+    [2026, true, 137.6, 11.38],
+    [2027, false, 0, 11.38],
+  ]);
+  const [first, , last] = result.projection;
+  assert.equal(first.scenario.stageOfExtraction, 55.7);
+  assert.equal(first.baseline.stageOfExtraction, 50.6);
+  // Depletion scales with the stage: 2 × 55.7 / 50.6
+  assert.equal(first.scenario.depletionRate, 2.2);
+  assert.equal(last.scenario.depletionRate, 2, 'back to the baseline once the adjustments end');
+  assert.deepEqual(first.change, {
+    groundwaterLevel: 0.69,
+    depletionRate: 0.2,
+    waterScore: first.scenario.waterScore - first.baseline.waterScore,
+  });
+  assert.ok(first.change.waterScore < 0);
+});
+
+test('a surplus lets the level recover, but never above the surface', () => {
+  // 1200 mm: 1482 Ml extractable, 494 Ml more than the baseline, 2.47 m shallower a year
+  const result = run({ adjustments: { rainfall: 50 }, years: 5 });
+  assert.deepEqual(result.projection.map((y) => y.scenario.groundwaterLevel), [7.53, 5.06, 2.59, 0.12, 0]);
+  assert.equal(result.projection[0].scenario.stageOfExtraction, 33.7);
+});
+
+test('scenario bodies are checked field by field', () => {
+  assert.deepEqual(validateScenario({ adjustments: { rainfall: -15, householdUsage: 10 }, years: 3 }), []);
+  assert.deepEqual(validateScenario({ adjustments: { rainfall: -150, canal: 5 }, years: 11, durationYears: 1.5 }), [
+    'adjustments.rainfall must be a % change from -100 to 200',
+    'Unknown adjustment "canal" (use agriculturalUsage, industrialUsage, householdUsage, rainfall)',
+    'years must be a whole number from 1 to 10',
+    'durationYears must be a whole number from 1 to 10',
+  ]);
+  assert.deepEqual(validateScenario(null), ['Scenario body is required']);
+});
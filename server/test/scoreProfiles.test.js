@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateScoreProfile } = require('../utils/scoreProfiles');
+
+const profile = (fields) => ({ metrics: ['waterLevel'], weights: { waterLevel: 1 }, ...fields });
+
+test('a profile needs a name that is a non-blank string', () => {
+  assert.deepEqual(validateScoreProfile(profile({ name: 'Hard rock' })), []);
+  assert.deepEqual(validateScoreProfile(profile({})), ['name is required']);
+  assert.deepEqual(validateScoreProfile(profile({ name: '   ' })), ['name is required']);
+  assert.deepEqual(validateScoreProfile(profile({ name: 42 })), ['name must be a string']);
+  assert.deepEqual(validateScoreProfile(profile({ name: { en: 'Hard rock' } })), ['name must be a string']);
+  // A what-if preview needs no name, but one that is given must still be text
+  assert.deepEqual(validateScoreProfile(profile({}), { requireName: false }), []);
+  assert.deepEqual(validateScoreProfile(profile({ name: 7 }), { requireName: false }), ['name must be a string']);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSmsChannel } = require('../notifications/sms');
+
+test('SMS is off unless a provider is chosen', () => {
+  assert.equal(createSmsChannel({}), null);
+  assert.equal(createSmsChannel({ SMS_PROVIDER: 'http', SMS_HTTP_URL: 'https://sms.example.org/send' }).simulated, false);
+  assert.throws(() => createSmsChannel({ SMS_PROVIDER: 'pigeon' }), /Unknown SMS_PROVIDER/);
+});
+
+test('the console provider is simulated and keeps numbers and tokens out of the log', async (t) => {
+  const channel = createSmsChannel({ SMS_PROVIDER: 'console' });
+  assert.equal(channel.simulated, true);
+
+  const logged = [];
+  t.mock.method(console, 'log', (line) => logged.push(line));
+  await channel.send({ address: '+919812345678' }, {
+    sms: 'Confirm your JalRakshya updates: http://localhost:3000/subscribe/confirm?token=abc123def456',
+  });
+  assert.equal(logged.length, 1);
+  assert.ok(!logged[0].includes('+919812345678'));
+  assert.ok(!logged[0].includes('abc123def456'));
+  assert.match(logged[0], /…5678: Confirm your JalRakshya updates: \[link\]/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { idwEstimator, krigingEstimator, interpolateSurface } = require('../utils/spatialInterpolation');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const CENTRE = { lat: 20, lng: 74 };
+// 0.1° of latitude either side of the centre (11.13 km) and 0.1° of longitude (10.46 km)
+const CROSS = [
+  { lat: 19.9, lng: 74, value: 10 },
+  { lat: 20.1, lng: 74, value: 30 },
+  { lat: 20, lng: 74.1, value: 20 },
+  { lat: 20, lng: 73.9, value: 20 },
+];
+const STATIONS = [...CROSS, { lat: 20.3, lng: 74.3, value: 35 }];
+
+test('IDW weighs stations by inverse squared distance and honours them exactly', () => {
+  // Two stations at d and one at 2d: (10 + 20 + 40/4) / (1 + 1 + 1/4) = 40 / 2.25
+  const estimate = idwEstimator([
+    { lat: 20.1, lng: 74, value: 10 },
+    { lat: 19.9, lng: 74, value: 20 },
+    { lat: 20.2, lng: 74, value: 40 },
+  ]);
+  close(estimate(CENTRE), 40 / 2.25);
+  assert.equal(estimate({ lat: 20.2, lng: 74 }), 40);
+});
+
+test('kriging honours the stations and fits its variogram to the binned semivariance', () => {
+  const { estimate, variogram } = krigingEstimator(STATIONS);
+  for (const s of STATIONS) close(estimate(s), s.value, 1e-9);
+
+  // Pairs are binned out to half the largest separation (27.2 km in 2.27 km bins): the four
+  // diagonal pairs of the cross differ by 10 (γ = 50); north–south (γ = 200) and east–west
+  // (γ = 0) share a bin
+  assert.deepEqual(variogram.bins, [
+    { h: 14.75, gamma: 50, pairs: 4 },
+    { h: 21.56, gamma: 100, pairs: 2 },
+  ]);
+  assert.equal(variogram.nugget, 0);
+
+  // By symmetry the opposite stations of a cross get equal weights, whatever the variogram
+  close(krigingEstimator(CROSS).estimate(CENTRE), 20, 1e-3);
+});
+
+test('the surface merges co-located stations and contours at round thresholds', () => {
+  const surface = interpolateSurface([...STATIONS, { lat: 20.3, lng: 74.3, value: 25 }], { method: 'kriging', resolution: 20 });
+  assert.equal(surface.stations, 5, 'the two readings at 20.3, 74.3 average to 30');
+  // 10 to 30 in six levels: steps of 2.5 (8 bands) and 5 (4 bands) are equally close; the finer one wins
+  assert.deepEqual(surface.thresholds, [10, 12.5, 15, 17.5, 20, 22.5, 25, 27.5]);
+  assert.ok(surface.variogram);
+  assert.equal(interpolateSurface(STATIONS, { resolution: 20 }).variogram, undefined, 'IDW has no variogram');
+
+  assert.throws(() => interpolateSurface(STATIONS.slice(0, 2)), { status: 422 });
+});
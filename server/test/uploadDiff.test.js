@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffUpload } = require('../utils/uploadDiff');
+const { DEFAULT_SCORE_PROFILE } = require('../utils/waterScore');
+
+const reading = (location, year, groundwaterLevel, rainfall) => ({
+  location, year, groundwaterLevel, rainfall, ph: 7.2, depletionRate: 1, consumption: 300, perCapitaUsage: 140,
+});
+
+// Read-only store over a few records
+function storeWith(records) {
+  return {
+    getRecordsByLocation: (name) => records.filter((r) => r.location === name),
+    getLocationByName: (name) => (records.some((r) => r.location === name) ? { name } : null),
+    getScoreProfile: () => DEFAULT_SCORE_PROFILE,
+  };
+}
+
+test('new locations are summarised by the status they start with', () => {
+  const store = storeWith([reading('Igatpuri', 2020, 5, 1200)]);
+  const { summary, scoreImpact } = diffUpload([
+    reading('Igatpuri', 2021, 5, 1200), // score 86: Safe before and after
+    reading('Newwadi', 2021, 5, 1200), // 86: Safe
+    reading('Midwadi', 2021, 18, 800), // 48: Warning
+    reading('Drywadi', 2021, 40, 200), // 36: Critical
+  ], store);
+
+  assert.equal(summary.newLocations, 3);
+  assert.equal(summary.statusChanges, 0, 'only locations with a score before the upload can change status');
+  assert.deepEqual(summary.newLocationStatuses, { Safe: 1, Warning: 1, Critical: 1 });
+  assert.deepEqual(scoreImpact.map((s) => [s.location, s.before && s.before.status, s.after.waterScore]).sort(), [
+    ['Drywadi', null, 36],
+    ['Igatpuri', 'Safe', 86],
+    ['Midwadi', null, 48],
+    ['Newwadi', null, 86],
+  ]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const store = require('../dataStore');
+const {
+  MAX_PREVIEWS, ROWS_PER_CHUNK, savePreview, findPreview, loadPreview, removePreview,
+} = require('../utils/uploadPreviews');
+
+const rowsOf = (count) => Array.from({ length: count }, (_, i) => ({ location: 'Testwadi', year: 1000 + i }));
+
+test.beforeEach(() => store.setStorage(createMemoryAdapter()));
+
+test('a preview\'s rows are stored in chunks and read back in order', async () => {
+  const rows = rowsOf(2 * ROWS_PER_CHUNK + 1);
+  const saved = await savePreview('p1', { rows, filename: 'big.csv', baseRevision: 4 });
+  assert.equal(saved.chunks, 3);
+  assert.equal(saved.rowCount, rows.length);
+
+  const chunks = await store.getStorage().collection('uploadpreviewrows').list();
+  assert.deepEqual(chunks.map((c) => c.rows.length).sort((a, b) => a - b), [1, ROWS_PER_CHUNK, ROWS_PER_CHUNK]);
+
+  const found = await findPreview('p1');
+  assert.equal(found.rows, undefined, 'findPreview leaves the rows in storage');
+  assert.equal(found.baseRevision, 4);
+
+  const loaded = await loadPreview('p1');
+  assert.deepEqual(loaded.rows, rows);
+  assert.equal(loaded.filename, 'big.csv');
+
+  await removePreview('p1');
+  assert.equal(await loadPreview('p1'), null);
+  assert.deepEqual(await store.getStorage().collection('uploadpreviewrows').list(), []);
+});
+
+test('expired previews are not found and are deleted', async (t) => {
+  const start = Date.now();
+  await savePreview('old', { rows: rowsOf(3) });
+  t.mock.method(Date, 'now', () => start + 31 * 60 * 1000);
+
+  assert.equal(await findPreview('old'), null);
+  assert.deepEqual(await store.getStorage().collection('uploadpreviews').list(), []);
+  assert.deepEqual(await store.getStorage().collection('uploadpreviewrows').list(), []);
+});
+
+test('only the newest previews are kept', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  for (let i = 0; i <= MAX_PREVIEWS; i++) {
+    await savePreview(`p${i}`, { rows: rowsOf(1) });
+    now += 1000;
+  }
+  assert.equal(await findPreview('p0'), null);
+  assert.ok(await findPreview('p1'));
+  assert.equal((await store.getStorage().collection('uploadpreviews').list()).length, MAX_PREVIEWS);
+});
@@ -0,0 +1,27 @@
+process.env.VERSION_RETENTION = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const store = require('../dataStore');
+
+const LOCATION = { name: 'Testwadi', latitude: 20, longitude: 74, taluka: 'Testur', district: 'Nashik', state: 'Maharashtra' };
+const reading = (year) => ({ location: LOCATION.name, year, rainfall: 700, groundwaterLevel: 9, ph: 7.2 });
+
+test('only the newest VERSION_RETENTION versions keep their snapshot', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset({ waterData: [reading(2010)], locations: [LOCATION] });
+  store.setStorage(adapter);
+  await store.loadData();
+  const first = store.getCurrentVersion();
+  await store.addWaterData([reading(2011)]);
+  await store.addWaterData([reading(2012)]);
+
+  const versions = await store.listVersions();
+  assert.deepEqual(versions.map((v) => [v.version, Boolean(v.pruned)]), [[first, true], [first + 1, false], [first + 2, false]]);
+  assert.equal(await adapter.loadVersion(first), null);
+  await assert.rejects(store.atVersion(first), { status: 410 });
+  await assert.rejects(store.rollbackTo(first), { status: 410 });
+  assert.equal((await store.atVersion(first + 1)).getLatestByLocation(LOCATION.name).year, 2011);
+  await assert.rejects(store.atVersion(first + 9), { status: 404 });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { explainWaterScore, calculateWaterScore, DEFAULT_SCORE_PROFILE } = require('../utils/waterScore');
+
+const record = (year, groundwaterLevel, rainfall) => ({ year, groundwaterLevel, rainfall, depletionRate: 3, ph: 7.3 });
+
+test('the breakdown shows each metric\'s sub-score, weight and contribution', () => {
+  const { waterScore, rawScore, components, previous } = explainWaterScore(record(2024, 8, 1000));
+  // 8 m is a quarter of the way from 4 to 20 (75 inverted), 1000 mm halfway from 500 to 1500,
+  // 3% is 30% of 0–10 (70 inverted), pH 7.3 is 0.3 of the 1.5 tolerance (80 inverted)
+  assert.deepEqual(components.map((c) => [c.metric, c.rawValue, c.subScore, c.weight, c.contribution]), [
+    ['waterLevel', 8, 75, 0.35, 26.25],
+    ['rainfall', 1000, 50, 0.25, 12.5],
+    ['depletion', 3, 70, 0.3, 21],
+    ['ph', 7.3, 80, 0.1, 8],
+  ]);
+  assert.equal(rawScore, 67.75);
+  assert.equal(waterScore, 68);
+  assert.equal(waterScore, calculateWaterScore(record(2024, 8, 1000)));
+  assert.equal(previous, null);
+  assert.deepEqual(components[0].range, DEFAULT_SCORE_PROFILE.thresholds.waterLevel);
+});
+
+test('against an earlier record, the deltas trace the change to its cause', () => {
+  const { waterScore, components, previous } = explainWaterScore(record(2024, 8, 1000), DEFAULT_SCORE_PROFILE, record(2023, 12, 1200));
+  // 2023: 12 m scores 50 (17.5), 1200 mm scores 70 (17.5); depletion and pH as before
+  assert.deepEqual(previous, { year: 2023, waterScore: 64, rawScore: 64 });
+  assert.equal(waterScore - previous.waterScore, 4);
+  assert.deepEqual(components[0].delta, { rawValue: -4, subScore: 25, contribution: 8.75 });
+  assert.deepEqual(components[1].delta, { rawValue: -200, subScore: -20, contribution: -5 });
+  assert.deepEqual(components[2].delta, { rawValue: 0, subScore: 0, contribution: 0 });
+});
+
+test('metrics a profile leaves out are listed with no weight', () => {
+  const profile = {
+    ...DEFAULT_SCORE_PROFILE,
+    metrics: ['waterLevel', 'rainfall'],
+    weights: { waterLevel: 0.5, rainfall: 0.5, depletion: 0, ph: 0 },
+  };
+  const { waterScore, rawScore, components } = explainWaterScore(record(2024, 8, 1000), profile);
+  assert.deepEqual(components.map((c) => [c.metric, c.included, c.contribution]), [
+    ['waterLevel', true, 37.5],
+    ['rainfall', true, 25],
+    ['depletion', false, 0],
+    ['ph', false, 0],
+  ]);
+  assert.equal(rawScore, 62.5);
+  assert.equal(waterScore, 63);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  createWebhookChannel, isPrivateAddress, webhookTargetProblems, verifySignature,
+} = require('../notifications/webhook');
+
+test('private, loopback and link-local addresses are recognised', () => {
+  for (const address of ['127.0.0.1', '10.2.3.4', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::1', '::', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '203.0.113.9', '2606:4700::1111', '::ffff:808:808']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('subscriptions cannot target private addresses unless the host is allowed', async () => {
+  assert.equal((await webhookTargetProblems('http://169.254.169.254/latest/meta-data', {})).length, 1);
+  assert.equal((await webhookTargetProblems('http://[::ffff:127.0.0.1]:4000/', {})).length, 1);
+  assert.equal((await webhookTargetProblems('http://localhost:4000/', {})).length, 1);
+  assert.deepEqual(await webhookTargetProblems('http://localhost:4000/', { WEBHOOK_ALLOWED_HOSTS: 'localhost' }), []);
+  assert.deepEqual(await webhookTargetProblems('https://8.8.8.8/hook', {}), []);
+});
+
+test('deliveries refuse private targets at connection time', async () => {
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received = { headers: req.headers, body };
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const address = `http://localhost:${server.address().port}/hook`;
+  const subscription = { address, secret: 's3cret' };
+  const message = { payload: { event: 'test' } };
+
+  try {
+    await assert.rejects(createWebhookChannel({}).send(subscription, message, { id: 'd1' }), { code: 'EPRIVATETARGET' });
+    assert.equal(received, null);
+
+    await createWebhookChannel({ WEBHOOK_ALLOWED_HOSTS: 'localhost' }).send(subscription, message, { id: 'd2' });
+    assert.equal(received.headers['x-jalrakshya-delivery'], 'd2');
+    assert.ok(verifySignature('s3cret', received.headers['x-jalrakshya-timestamp'], received.body,
+      received.headers['x-jalrakshya-signature']));
+  } finally {
+    server.close();
+  }
+});
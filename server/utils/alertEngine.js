@@ -1,397 +1,375 @@
 /**
  * Dynamic Alert Engine
- * Generates context-aware alerts based on groundwater data thresholds.
- * Now supports trend-based alerts when full history is provided.
+ * Generates context-aware alerts by evaluating the alert rules
+ * (utils/alertRules) against groundwater data: threshold rules against the
+ * latest record, trend and change rules against the full history, and
+ * taluka and district rules against the stations of each group.
+ *
+ * Every alert carries a `rule` naming the rule that raised it; warning and
+ * critical levels of one rule share it, so the alert lifecycle
+ * (utils/alertLifecycle) can follow it across evaluations.
  */
 
-const { calculateWaterScore } = require('./waterScore');
+const { calculateWaterScore, getStatus } = require('./waterScore');
+const { RULE_METRICS, listAlertRules, getAlertRule } = require('./alertRules');
 
-const ALERT_THRESHOLDS = {
-  criticalWaterLevel: 15,       // meters - critical depth
-  warningWaterLevel: 12,        // meters - warning depth
-  highDepletion: 5,             // percentage
-  criticalDepletion: 7,         // percentage
-  lowRainfall: 700,             // mm
-  criticalRainfall: 600,        // mm
-  highPH: 8.0,
-  lowPH: 6.5,
-  highConsumption: 500,         // Ml
-};
+const MIN_TREND_HISTORY = 3;  // years needed before trend and change rules apply
+const LISTED_STATIONS = 3;    // stations named in {matchedList}
+const MAX_REPLAY_FIRINGS = 500;
 
-/**
- * Generate alerts for a given data record.
- * @param {Object} data - Latest water data record
- * @param {Array} [history] - Optional full history array for trend-based alerts
- */
-function generateAlerts(data, history) {
-  const alerts = [];
-  const timestamp = new Date().toISOString();
+// Enabled rules of a scope
+function activeRules(scope) {
+  return listAlertRules().filter((r) => r.enabled && r.scope === scope);
+}
 
-  // Water Level Alerts
-  if (data.groundwaterLevel >= ALERT_THRESHOLDS.criticalWaterLevel) {
-    alerts.push({
-      type: 'critical',
-      category: 'Water Level',
-      title: '🚨 Critical Water Level',
-      message: `Groundwater level at ${data.groundwaterLevel}m depth in ${data.location}. Immediate action required.`,
-      value: data.groundwaterLevel,
-      threshold: ALERT_THRESHOLDS.criticalWaterLevel,
-      recommendation: 'Implement water rationing and emergency recharge measures.',
-      timestamp,
-    });
-  } else if (data.groundwaterLevel >= ALERT_THRESHOLDS.warningWaterLevel) {
-    alerts.push({
-      type: 'warning',
-      category: 'Water Level',
-      title: '⚠️ Low Water Table',
-      message: `Water table at ${data.groundwaterLevel}m in ${data.location}. Monitor closely.`,
-      value: data.groundwaterLevel,
-      threshold: ALERT_THRESHOLDS.warningWaterLevel,
-      recommendation: 'Increase monitoring frequency. Consider water conservation measures.',
-      timestamp,
-    });
-  }
+function appliesTo(rule, target) {
+  return !rule.targets.length || rule.targets.includes(target);
+}
 
-  // Depletion Alerts
-  if (data.depletionRate >= ALERT_THRESHOLDS.criticalDepletion) {
-    alerts.push({
-      type: 'critical',
-      category: 'Depletion',
-      title: '🚨 Over-extraction Detected',
-      message: `Groundwater depletion rate at ${data.depletionRate}% in ${data.location}. Aquifer stress is severe.`,
-      value: data.depletionRate,
-      threshold: ALERT_THRESHOLDS.criticalDepletion,
-      recommendation: 'Restrict bore-well usage. Implement mandatory rainwater harvesting.',
-      timestamp,
-    });
-  } else if (data.depletionRate >= ALERT_THRESHOLDS.highDepletion) {
-    alerts.push({
-      type: 'warning',
-      category: 'Depletion',
-      title: '⚠️ High Depletion Rate',
-      message: `Depletion rate ${data.depletionRate}% in ${data.location}. Extraction exceeds recharge.`,
-      value: data.depletionRate,
-      threshold: ALERT_THRESHOLDS.highDepletion,
-      recommendation: 'Promote water-efficient irrigation. Review extraction permits.',
-      timestamp,
-    });
+function compare(actual, comparison, expected) {
+  if (actual === null || actual === undefined) return false;
+  switch (comparison) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case 'in': return expected.includes(actual);
+    case 'outside': return actual <= expected[0] || actual >= expected[1];
+    default: return false;
   }
+}
 
-  // Rainfall Alerts
-  if (data.rainfall <= ALERT_THRESHOLDS.criticalRainfall) {
-    alerts.push({
-      type: 'critical',
-      category: 'Rainfall',
-      title: '🚨 Drought Risk',
-      message: `Rainfall only ${data.rainfall}mm in ${data.location}. Severe drought conditions likely.`,
-      value: data.rainfall,
-      threshold: ALERT_THRESHOLDS.criticalRainfall,
-      recommendation: 'Activate drought contingency plans. Arrange water tanker supply.',
-      timestamp,
-    });
-  } else if (data.rainfall <= ALERT_THRESHOLDS.lowRainfall) {
-    alerts.push({
-      type: 'warning',
-      category: 'Rainfall',
-      title: '⚠️ Below Normal Rainfall',
-      message: `Rainfall ${data.rainfall}mm in ${data.location}, below expected levels.`,
-      value: data.rainfall,
-      threshold: ALERT_THRESHOLDS.lowRainfall,
-      recommendation: 'Monitor reservoir levels. Advise farmers on drought-resistant crops.',
-      timestamp,
-    });
+// Value of a rule metric on a record; score and status are derived when absent
+function metricValue(record, metric, scoreProfile) {
+  if (metric === 'waterScore' || metric === 'status') {
+    const score = typeof record.waterScore === 'number' ? record.waterScore : calculateWaterScore(record, scoreProfile);
+    return metric === 'waterScore' ? score : record.status || getStatus(score);
   }
+  const value = record[metric];
+  return value === undefined ? null : value;
+}
 
-  // pH Alerts
-  if (data.ph >= ALERT_THRESHOLDS.highPH || data.ph <= ALERT_THRESHOLDS.lowPH) {
-    alerts.push({
-      type: 'warning',
-      category: 'Water Quality',
-      title: '⚠️ pH Imbalance',
-      message: `pH level ${data.ph} in ${data.location}. Water quality may be affected.`,
-      value: data.ph,
-      threshold: `${ALERT_THRESHOLDS.lowPH}-${ALERT_THRESHOLDS.highPH}`,
-      recommendation: 'Test for contaminants. Advise water treatment before consumption.',
-      timestamp,
-    });
-  }
+const round = (value, metric) => Number(value.toFixed(RULE_METRICS[metric].decimals || 0));
 
-  // Consumption Alert
-  if (data.consumption >= ALERT_THRESHOLDS.highConsumption) {
-    alerts.push({
-      type: 'info',
-      category: 'Consumption',
-      title: 'ℹ️ High Water Consumption',
-      message: `Total consumption ${data.consumption} Ml in ${data.location}. Above district average.`,
-      value: data.consumption,
-      threshold: ALERT_THRESHOLDS.highConsumption,
-      recommendation: 'Review industrial and agricultural water permits. Promote efficiency.',
-      timestamp,
-    });
-  }
-
-  // Scarcity Level Alert
-  if (data.scarcityLevel === 'Severe' || data.scarcityLevel === 'Extreme') {
-    alerts.push({
-      type: 'critical',
-      category: 'Scarcity',
-      title: `🚨 ${data.scarcityLevel} Water Scarcity`,
-      message: `${data.location} classified as ${data.scarcityLevel} water scarcity zone.`,
-      value: data.scarcityLevel,
-      recommendation: 'Prioritize for government water supply augmentation schemes.',
-      timestamp,
-    });
-  }
+// "{location} at {value}m" → "Igatpuri at 15.2m"; unknown placeholders are left as written
+function fill(template, vars) {
+  return (template || '').replace(/\{(\w+)\}/g, (match, key) => (
+    vars[key] === undefined || vars[key] === null ? match : String(vars[key])
+  ));
+}
 
-  // ===== TREND-BASED ALERTS (require history) =====
-  if (history && history.length >= 3) {
-    const sorted = [...history].sort((a, b) => a.year - b.year);
-
-    // Consecutive decline in water level (rising depth) for 3+ years
-    let consecutiveRise = 0;
-    for (let i = 1; i < sorted.length; i++) {
-      if (sorted[i].groundwaterLevel > sorted[i - 1].groundwaterLevel) {
-        consecutiveRise++;
-      } else {
-        consecutiveRise = 0;
-      }
-    }
-    if (consecutiveRise >= 3) {
-      const totalRise = sorted[sorted.length - 1].groundwaterLevel - sorted[sorted.length - 1 - consecutiveRise].groundwaterLevel;
-      alerts.push({
-        type: 'warning',
-        category: 'Trend',
-        title: '📉 Sustained Water Level Decline',
-        message: `Water level in ${data.location} has been dropping for ${consecutiveRise} consecutive years (${totalRise.toFixed(1)}m increase in depth).`,
-        value: consecutiveRise,
-        recommendation: 'Long-term recharge intervention needed. Consider artificial recharge structures.',
-        timestamp,
-      });
-    }
+/**
+ * Build the alert a rule raises.
+ * @param {number|string} measured - What the condition compared
+ * @param {Object} vars - Template placeholders
+ * @param {number|string} [shown] - The alert's value, when rounded for display
+ */
+function buildAlert(rule, measured, vars, timestamp, shown = measured) {
+  const c = rule.condition;
+  const e = rule.escalation;
+  const escalated = Boolean(e) && compare(measured, c.comparison, e.value);
+  const level = escalated ? e : {};
+  let threshold;
+  if (escalated) threshold = e.value;
+  else if (c.type === 'trend') threshold = c.periods;
+  else if (c.comparison === 'outside') threshold = `${c.value[0]}-${c.value[1]}`;
+  else if (c.comparison !== 'in') threshold = c.value;
+
+  const filled = { ...vars, threshold };
+  return {
+    type: escalated ? e.severity : rule.severity,
+    rule: rule.id,
+    category: rule.category,
+    title: fill(level.title || rule.title, filled),
+    message: fill(level.message || rule.message, filled),
+    value: shown,
+    threshold,
+    recommendation: fill(level.recommendation || rule.recommendation, filled),
+    timestamp,
+  };
+}
 
-    // Steady depletion increase over 3+ years
-    let consecutiveDepIncrease = 0;
-    for (let i = 1; i < sorted.length; i++) {
-      if (sorted[i].depletionRate > sorted[i - 1].depletionRate) {
-        consecutiveDepIncrease++;
-      } else {
-        consecutiveDepIncrease = 0;
-      }
-    }
-    if (consecutiveDepIncrease >= 3) {
-      alerts.push({
-        type: 'critical',
-        category: 'Trend',
-        title: '📊 Accelerating Depletion Trend',
-        message: `Depletion rate in ${data.location} has increased for ${consecutiveDepIncrease} consecutive years. Current: ${data.depletionRate}%.`,
-        value: consecutiveDepIncrease,
-        recommendation: 'Urgent policy intervention needed. Restrict new extraction permits.',
-        timestamp,
-      });
-    }
+// Whether a rule gives way to another that applies to this record
+function superseded(rule, data, scoreProfile) {
+  const other = rule.supersededBy && getAlertRule(rule.supersededBy);
+  return Boolean(other && other.enabled && appliesTo(other, data.location)
+    && metricValue(data, other.metric, scoreProfile) !== null);
+}
 
-    // Declining rainfall pattern
-    let consecutiveRainfallDrop = 0;
-    for (let i = 1; i < sorted.length; i++) {
-      if (sorted[i].rainfall < sorted[i - 1].rainfall) {
-        consecutiveRainfallDrop++;
-      } else {
-        consecutiveRainfallDrop = 0;
-      }
-    }
-    if (consecutiveRainfallDrop >= 3) {
-      alerts.push({
-        type: 'warning',
-        category: 'Trend',
-        title: '🌧️ Declining Rainfall Pattern',
-        message: `Rainfall in ${data.location} has decreased for ${consecutiveRainfallDrop} consecutive years. Long-term drought risk elevated.`,
-        value: consecutiveRainfallDrop,
-        recommendation: 'Plan for drought resilience. Increase water storage capacity.',
-        timestamp,
-      });
-    }
+/**
+ * Evaluate one location rule.
+ * @param {Object} data - Latest record of the location
+ * @param {Array} series - Its history, oldest first
+ * @returns {Object|null} the alert, when the rule fires
+ */
+function evaluateLocationRule(rule, data, series, scoreProfile, timestamp) {
+  if (superseded(rule, data, scoreProfile)) return null;
+  const c = rule.condition;
+  const current = metricValue(data, rule.metric, scoreProfile);
+  const vars = { ...data, target: data.location, current };
+
+  if (c.type === 'threshold') {
+    if (!compare(current, c.comparison, c.value)) return null;
+    return buildAlert(rule, current, { ...vars, value: current }, timestamp);
+  }
 
-    // Overall score deterioration
-    const scores = sorted.map(d => calculateWaterScore(d));
-    const firstHalf = scores.slice(0, Math.floor(scores.length / 2));
-    const secondHalf = scores.slice(Math.floor(scores.length / 2));
-    const avgFirst = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
-    const avgSecond = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
-
-    if (avgSecond < avgFirst - 10) {
-      alerts.push({
-        type: 'warning',
-        category: 'Trend',
-        title: '⚡ Overall Water Health Declining',
-        message: `Water health score in ${data.location} has declined significantly (avg ${Math.round(avgFirst)} → ${Math.round(avgSecond)}) over the monitoring period.`,
-        value: Math.round(avgSecond - avgFirst),
-        recommendation: 'Comprehensive water management review recommended for this location.',
-        timestamp,
-      });
+  if (series.length < MIN_TREND_HISTORY) return null;
+  const values = series.map((d) => metricValue(d, rule.metric, scoreProfile)).filter((v) => typeof v === 'number');
+  if (values.length < MIN_TREND_HISTORY) return null;
+
+  if (c.type === 'trend') {
+    // Consecutive moves in the rule's direction up to the latest year
+    let run = 0;
+    for (let i = values.length - 1; i > 0; i--) {
+      const moved = c.direction === 'rising' ? values[i] > values[i - 1] : values[i] < values[i - 1];
+      if (!moved) break;
+      run++;
     }
+    if (run < c.periods) return null;
+    const last = values[values.length - 1];
+    const change = round(last - values[values.length - 1 - run], rule.metric);
+    return buildAlert(rule, run, { ...vars, value: run, periods: run, change }, timestamp);
   }
 
-  return alerts;
+  // change: mean of the later half against the earlier half, compared
+  // unrounded so a change just short of the threshold does not round onto it
+  const half = Math.floor(values.length / 2);
+  const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+  const before = mean(values.slice(0, half));
+  const after = mean(values.slice(half));
+  const change = after - before;
+  if (!compare(change, c.comparison, c.value)) return null;
+  const shown = round(change, rule.metric);
+  return buildAlert(rule, change, {
+    ...vars, value: shown, change: shown, before: round(before, rule.metric), after: round(after, rule.metric),
+  }, timestamp, shown);
 }
 
 /**
- * Generate government-style updates
+ * Generate alerts for a location.
+ * @param {Object} data - Latest water data record
+ * @param {Array} [history] - Full history, for trend and change rules
+ * @param {Object} [scoreProfile] - Scoring profile of the location (default formula otherwise)
+ * @param {Array} [rules] - Rules to evaluate (default: the enabled location rules)
  */
-function generateGovUpdates(locationData) {
-  const latest = locationData[locationData.length - 1];
-  if (!latest) return [];
+function generateAlerts(data, history, scoreProfile, rules = activeRules('location')) {
+  const timestamp = new Date().toISOString();
+  const series = history ? [...history].sort((a, b) => a.year - b.year) : [];
+  return rules
+    .filter((rule) => rule.scope === 'location' && appliesTo(rule, data.location))
+    .map((rule) => evaluateLocationRule(rule, data, series, scoreProfile, timestamp))
+    .filter(Boolean);
+}
 
-  const updates = [
-    {
-      id: 1,
-      title: 'Groundwater Status Report',
-      body: `Current groundwater level in ${latest.location} stands at ${latest.groundwaterLevel}m. Depletion rate: ${latest.depletionRate}%. Classification: ${latest.scarcityLevel}.`,
-      date: new Date().toLocaleDateString('en-IN'),
-      source: 'Central Ground Water Board',
-      priority: latest.scarcityLevel === 'Severe' || latest.scarcityLevel === 'Extreme' ? 'high' : 'normal',
-    },
-    {
-      id: 2,
-      title: 'Rainfall Monitoring Update',
-      body: `Annual rainfall recorded: ${latest.rainfall}mm. ${latest.rainfall < 700 ? 'Below normal levels. Drought alert issued.' : 'Within normal range.'}`,
-      date: new Date().toLocaleDateString('en-IN'),
-      source: 'India Meteorological Department',
-      priority: latest.rainfall < 700 ? 'high' : 'normal',
-    },
-    {
-      id: 3,
-      title: 'Water Quality Assessment',
-      body: `pH level: ${latest.ph}. ${latest.ph >= 6.5 && latest.ph <= 8.0 ? 'Water quality is within acceptable BIS standards.' : 'Water quality needs attention.'}`,
-      date: new Date().toLocaleDateString('en-IN'),
-      source: 'State Pollution Control Board',
-      priority: 'normal',
-    },
-    {
-      id: 4,
-      title: 'Usage Distribution Report',
-      body: `Agricultural: ${latest.agriculturalUsage} Ml | Industrial: ${latest.industrialUsage} Ml | Household: ${latest.householdUsage} Ml. Total consumption: ${latest.consumption} Ml.`,
-      date: new Date().toLocaleDateString('en-IN'),
-      source: 'Nashik District Water Authority',
-      priority: 'normal',
-    },
-    {
-      id: 5,
-      title: 'Jal Shakti Abhiyan Advisory',
-      body: `Under the National Jal Jeevan Mission, ${latest.location} is ${latest.scarcityLevel === 'High' || latest.scarcityLevel === 'Severe' ? 'marked for priority intervention. Community rainwater harvesting programs recommended.' : 'under regular monitoring. Continue existing conservation measures.'}`,
-      date: new Date().toLocaleDateString('en-IN'),
-      source: 'Ministry of Jal Shakti',
-      priority: latest.scarcityLevel === 'High' || latest.scarcityLevel === 'Severe' ? 'high' : 'normal',
-    },
-  ];
+function listStations(stations) {
+  const names = stations.slice(0, LISTED_STATIONS).map((d) => d.location).join(', ');
+  return stations.length > LISTED_STATIONS ? `${names} and ${stations.length - LISTED_STATIONS} more` : names;
+}
 
-  return updates;
+/**
+ * Evaluate one taluka or district rule over the stations of a group.
+ * @param {Array} stations - Latest record of each station, with waterScore and status
+ * @returns {Object|null} the alert, when the rule fires
+ */
+function evaluateGroupRule(rule, target, stations, timestamp) {
+  const { fn, match } = rule.aggregate;
+  const values = stations.map((s) => metricValue(s, rule.metric)).filter((v) => typeof v === 'number');
+  const matched = match ? stations.filter((s) => compare(metricValue(s, rule.metric), match.comparison, match.value)) : [];
+
+  let measured;
+  if (fn === 'count') measured = matched.length;
+  else if (!values.length) return null;
+  else if (fn === 'min') measured = Math.min(...values);
+  else if (fn === 'max') measured = Math.max(...values);
+  else {
+    const sum = values.reduce((a, b) => a + b, 0);
+    measured = fn === 'sum' ? sum : sum / values.length;
+  }
+  if (!compare(measured, rule.condition.comparison, rule.condition.value)) return null;
+
+  const byStatus = (status) => stations.filter((s) => metricValue(s, 'status') === status).length;
+  const decimals = fn === 'count' ? 0 : RULE_METRICS[rule.metric].decimals || 0;
+  const shown = fn === 'count' ? measured : round(measured, rule.metric);
+  return buildAlert(rule, measured, {
+    target,
+    value: measured.toFixed(decimals),
+    stations: stations.length,
+    matched: matched.length,
+    matchedList: listStations(matched),
+    safeStations: byStatus('Safe'),
+    warningStations: byStatus('Warning'),
+    criticalStations: byStatus('Critical'),
+  }, timestamp, shown);
 }
 
 /**
- * Generate district-wide alerts by aggregating top critical alerts across all locations
+ * Generate taluka or district alerts.
+ * @param {string} scope - taluka | district
+ * @param {Array} stations - Latest record of each station, with waterScore and status
+ * @param {Function} groupOf - station → taluka or district name (null when unknown)
+ * @param {Array} [rules] - Rules to evaluate (default: the enabled rules of the scope)
+ * @returns {Map} group name → its alerts (groups that raise none are left out)
  */
-function generateDistrictAlerts(overviewData) {
-  const alerts = [];
+function generateGroupAlerts(scope, stations, groupOf, rules = activeRules(scope)) {
   const timestamp = new Date().toISOString();
-
-  if (!overviewData || !overviewData.length) return alerts;
-
-  // Count critical/warning locations
-  const criticalLocs = overviewData.filter(d => d.status === 'Critical');
-  const warningLocs = overviewData.filter(d => d.status === 'Warning');
-  const avgDepletion = overviewData.reduce((s, d) => s + (d.depletionRate || 0), 0) / overviewData.length;
-  const avgRainfall = overviewData.reduce((s, d) => s + (d.rainfall || 0), 0) / overviewData.length;
-  const avgWaterLevel = overviewData.reduce((s, d) => s + (d.groundwaterLevel || 0), 0) / overviewData.length;
-  const lowRainfallLocs = overviewData.filter(d => (d.rainfall || 0) < 700);
-  const highDepletionLocs = overviewData.filter(d => (d.depletionRate || 0) >= 5);
-
-  // District-wide critical count
-  if (criticalLocs.length > 0) {
-    alerts.push({
-      type: 'critical',
-      category: 'District Overview',
-      title: '\uD83D\uDEA8 Critical Zones Detected',
-      message: `${criticalLocs.length} out of ${overviewData.length} monitoring stations are in Critical status across Nashik District.`,
-      value: criticalLocs.length,
-      threshold: 0,
-      recommendation: `Priority locations: ${criticalLocs.slice(0, 3).map(d => d.location).join(', ')}${criticalLocs.length > 3 ? ` and ${criticalLocs.length - 3} more` : ''}.`,
-      timestamp,
-    });
+  const groups = new Map();
+  for (const station of stations || []) {
+    const name = groupOf(station);
+    if (!name) continue;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(station);
   }
 
-  // District-wide warning count
-  if (warningLocs.length > 5) {
-    alerts.push({
-      type: 'warning',
-      category: 'District Overview',
-      title: '\u26A0\uFE0F Widespread Warning Status',
-      message: `${warningLocs.length} stations are under Warning status. District-wide water conservation advisory in effect.`,
-      value: warningLocs.length,
-      threshold: 5,
-      recommendation: 'Increase monitoring frequency at warning-level stations.',
-      timestamp,
-    });
+  const result = new Map();
+  for (const rule of rules.filter((r) => r.scope === scope)) {
+    for (const [target, members] of groups) {
+      if (!appliesTo(rule, target)) continue;
+      const alert = evaluateGroupRule(rule, target, members, timestamp);
+      if (!alert) continue;
+      if (!result.has(target)) result.set(target, []);
+      result.get(target).push(alert);
+    }
   }
+  return result;
+}
 
-  // Average depletion alert
-  if (avgDepletion >= ALERT_THRESHOLDS.highDepletion) {
-    alerts.push({
-      type: avgDepletion >= ALERT_THRESHOLDS.criticalDepletion ? 'critical' : 'warning',
-      category: 'Depletion',
-      title: '\uD83D\uDCC9 High District Depletion Rate',
-      message: `Average groundwater depletion across Nashik District is ${avgDepletion.toFixed(1)}%. ${highDepletionLocs.length} stations exceed 5% depletion.`,
-      value: avgDepletion,
-      threshold: ALERT_THRESHOLDS.highDepletion,
-      recommendation: 'District-level water recharge programs need acceleration.',
-      timestamp,
-    });
+/**
+ * Replay a rule over the dataset's history, year by year, to see how often
+ * and where it would have fired — a dry run before it is enabled.
+ * Location rules see each location's record of the year and the years
+ * before it; group rules see every station's record of the year.
+ * @param {Object} rule - A valid rule (need not be saved or enabled)
+ * @param {Object} view - Dataset view
+ */
+function replayAlertRule(rule, view) {
+  const firings = [];
+  const byYear = new Map(view.getYears().map((year) => [year, { year, evaluated: 0, fired: 0, info: 0, warning: 0, critical: 0 }]));
+  const tally = (year, alert, target) => {
+    const entry = byYear.get(year);
+    entry.fired++;
+    entry[alert.type]++;
+    firings.push({ year, target, type: alert.type, title: alert.title, message: alert.message, value: alert.value, threshold: alert.threshold });
+  };
+
+  const locations = view.getAllLocations();
+  const seriesOf = new Map(locations.map((loc) => [loc.name, view.getWaterByLocation(loc.name)
+    .sort((a, b) => a.year - b.year)
+    .map((d) => ({ ...d, ...view.getDrought(d) }))]));
+  const current = [];
+
+  if (rule.scope === 'location') {
+    for (const loc of locations) {
+      if (!appliesTo(rule, loc.name)) continue;
+      const series = seriesOf.get(loc.name);
+      const profile = view.getScoreProfile(loc.name);
+      series.forEach((d, i) => {
+        const [alert] = generateAlerts(d, series.slice(0, i + 1), profile, [rule]);
+        if (byYear.has(d.year)) byYear.get(d.year).evaluated++;
+        if (alert) tally(d.year, alert, loc.name);
+      });
+      const latest = view.getLatestByLocation(loc.name);
+      if (latest) {
+        current.push(...generateAlerts({ ...latest, ...view.getDrought(latest) }, series, profile, [rule])
+          .map((alert) => ({ ...alert, target: loc.name })));
+      }
+    }
+  } else {
+    const groupOf = (s) => {
+      const loc = view.getLocationByName(s.location);
+      return loc && loc[rule.scope];
+    };
+    for (const year of byYear.keys()) {
+      const stations = [];
+      for (const loc of locations) {
+        const d = seriesOf.get(loc.name).find((r) => r.year === year);
+        if (!d) continue;
+        const waterScore = calculateWaterScore(d, view.getScoreProfile(loc.name));
+        stations.push({ ...d, waterScore, status: getStatus(waterScore) });
+      }
+      const groups = generateGroupAlerts(rule.scope, stations, groupOf, [rule]);
+      byYear.get(year).evaluated = new Set(stations.map(groupOf).filter(Boolean)).size;
+      for (const [target, [alert]] of groups) tally(year, alert, target);
+    }
+    for (const [target, alerts] of generateGroupAlerts(rule.scope, view.getOverviewData(), groupOf, [rule])) {
+      current.push(...alerts.map((alert) => ({ ...alert, target })));
+    }
   }
 
-  // Rainfall deficit
-  if (avgRainfall < ALERT_THRESHOLDS.lowRainfall) {
-    alerts.push({
-      type: avgRainfall < ALERT_THRESHOLDS.criticalRainfall ? 'critical' : 'warning',
-      category: 'Rainfall',
-      title: '\uD83C\uDF27\uFE0F District Rainfall Deficit',
-      message: `Average rainfall is ${avgRainfall.toFixed(0)}mm — ${lowRainfallLocs.length} stations report below-normal rainfall.`,
-      value: avgRainfall,
-      threshold: ALERT_THRESHOLDS.lowRainfall,
-      recommendation: 'Activate drought mitigation protocols for affected talukas.',
-      timestamp,
-    });
-  }
+  const years = [...byYear.values()];
+  const fired = firings.length;
+  return {
+    summary: {
+      years: years.length,
+      yearsFired: years.filter((y) => y.fired).length,
+      evaluated: years.reduce((n, y) => n + y.evaluated, 0),
+      fired,
+      targets: new Set(firings.map((f) => f.target)).size,
+      bySeverity: {
+        info: years.reduce((n, y) => n + y.info, 0),
+        warning: years.reduce((n, y) => n + y.warning, 0),
+        critical: years.reduce((n, y) => n + y.critical, 0),
+      },
+    },
+    byYear: years,
+    current,
+    firings: firings.sort((a, b) => b.year - a.year || a.target.localeCompare(b.target)).slice(0, MAX_REPLAY_FIRINGS),
+    truncated: fired > MAX_REPLAY_FIRINGS,
+  };
+}
 
-  // Water level warning
-  if (avgWaterLevel >= ALERT_THRESHOLDS.warningWaterLevel) {
-    alerts.push({
-      type: avgWaterLevel >= ALERT_THRESHOLDS.criticalWaterLevel ? 'critical' : 'warning',
-      category: 'Water Level',
-      title: '\uD83D\uDCA7 Deep Water Table Alert',
-      message: `Average groundwater depth across the district is ${avgWaterLevel.toFixed(1)}m. Multiple areas require intervention.`,
-      value: avgWaterLevel,
-      threshold: ALERT_THRESHOLDS.warningWaterLevel,
-      recommendation: 'Prioritize artificial recharge projects in deep water-table zones.',
-      timestamp,
-    });
-  }
+// Summaries below are computed from the monitoring data, not issued by any
+// office: they are labelled as such so they are never mistaken for bulletins
+// (utils/bulletins), which carry the real advisories.
+const SUMMARY_SOURCE = 'JalRakshya (auto-generated from monitoring data)';
+
+function summary(id, fields, dataYear) {
+  return {
+    id: `summary-${id}`,
+    kind: 'summary',
+    autoGenerated: true,
+    source: SUMMARY_SOURCE,
+    dataYear,
+    date: null,
+    priority: 'normal',
+    ...fields,
+  };
+}
 
-  // Info: overall health
-  const avgScore = overviewData.reduce((s, d) => s + (d.waterScore || 50), 0) / overviewData.length;
-  alerts.push({
-    type: 'info',
-    category: 'District Health',
-    title: '\uD83D\uDCCA District Water Health Index',
-    message: `Average water health score across ${overviewData.length} stations: ${avgScore.toFixed(0)}/100. Safe: ${overviewData.filter(d => d.status === 'Safe').length} | Warning: ${warningLocs.length} | Critical: ${criticalLocs.length}.`,
-    value: avgScore,
-    recommendation: 'Continue monitoring. Review individual station reports for detailed insights.',
-    timestamp,
-  });
+/**
+ * Auto-generated summaries of a location's latest readings
+ */
+function generateGovUpdates(locationData) {
+  const latest = locationData[locationData.length - 1];
+  if (!latest) return [];
+  const year = latest.year;
+  const severeScarcity = latest.scarcityLevel === 'Severe' || latest.scarcityLevel === 'Extreme';
 
-  return alerts;
+  return [
+    summary('groundwater', {
+      title: 'Groundwater Status Summary',
+      body: `Groundwater level in ${latest.location} stands at ${latest.groundwaterLevel}m. Depletion rate: ${latest.depletionRate}%. Scarcity classification: ${latest.scarcityLevel}.`,
+      priority: severeScarcity ? 'high' : 'normal',
+    }, year),
+    summary('rainfall', {
+      title: 'Rainfall Summary',
+      body: `Annual rainfall recorded: ${latest.rainfall}mm. ${latest.rainfall < 700 ? 'Below the 700mm normal used by the alert rules.' : 'Within normal range.'}`,
+      priority: latest.rainfall < 700 ? 'high' : 'normal',
+    }, year),
+    summary('quality', {
+      title: 'Water Quality Summary',
+      body: `pH level: ${latest.ph}. ${latest.ph >= 6.5 && latest.ph <= 8.0 ? 'Within the BIS acceptable range (6.5–8.0).' : 'Outside the BIS acceptable range (6.5–8.0).'}`,
+    }, year),
+    summary('usage', {
+      title: 'Usage Distribution Summary',
+      body: `Agricultural: ${latest.agriculturalUsage} Ml | Industrial: ${latest.industrialUsage} Ml | Household: ${latest.householdUsage} Ml. Total consumption: ${latest.consumption} Ml.`,
+    }, year),
+  ];
 }
 
 /**
- * Generate district-wide government updates (not location-specific)
+ * Auto-generated district-wide summaries (not location-specific)
  */
 function generateDistrictGovUpdates(overviewData) {
   if (!overviewData || !overviewData.length) return [];
@@ -404,50 +382,29 @@ function generateDistrictGovUpdates(overviewData) {
   const avgRainfall = (overviewData.reduce((s, d) => s + (d.rainfall || 0), 0) / n).toFixed(0);
   const avgWaterLevel = (overviewData.reduce((s, d) => s + (d.groundwaterLevel || 0), 0) / n).toFixed(1);
   const avgPH = (overviewData.reduce((s, d) => s + (d.ph || 7), 0) / n).toFixed(1);
-  const today = new Date().toLocaleDateString('en-IN');
+  const year = Math.max(...overviewData.map((d) => d.year || 0)) || null;
 
   return [
-    {
-      id: 1,
-      title: 'Nashik District Groundwater Status',
-      body: `Across ${n} monitoring stations: ${safeCount} Safe, ${warningCount} Warning, ${criticalCount} Critical. Average water table depth: ${avgWaterLevel}m. District depletion rate: ${avgDepletion}%.`,
-      date: today,
-      source: 'Central Ground Water Board',
+    summary('district-status', {
+      title: 'District Groundwater Status',
+      body: `Across ${n} monitoring stations: ${safeCount} Safe, ${warningCount} Warning, ${criticalCount} Critical. Average water table depth: ${avgWaterLevel}m. Average depletion rate: ${avgDepletion}%.`,
       priority: criticalCount > 10 ? 'high' : 'normal',
-    },
-    {
-      id: 2,
+    }, year),
+    summary('district-rainfall', {
       title: 'District Rainfall Summary',
-      body: `Average annual rainfall across Nashik District: ${avgRainfall}mm. ${avgRainfall < 700 ? 'Below normal — drought advisory active for affected talukas.' : 'Within normal range for the region.'}`,
-      date: today,
-      source: 'India Meteorological Department',
+      body: `Average annual rainfall across stations: ${avgRainfall}mm. ${avgRainfall < 700 ? 'Below the 700mm normal used by the alert rules.' : 'Within normal range for the region.'}`,
       priority: avgRainfall < 700 ? 'high' : 'normal',
-    },
-    {
-      id: 3,
-      title: 'Water Quality Report — District Average',
-      body: `Average pH across all stations: ${avgPH}. ${avgPH >= 6.5 && avgPH <= 8.0 ? 'District water quality is within BIS acceptable limits.' : 'Some areas show pH outside acceptable range — monitoring advised.'}`,
-      date: today,
-      source: 'State Pollution Control Board',
-      priority: 'normal',
-    },
-    {
-      id: 4,
-      title: 'Jal Jeevan Mission — Nashik Progress',
-      body: `${criticalCount + warningCount} stations require priority intervention under the National Jal Jeevan Mission. Community rainwater harvesting and recharge programs are being expanded across the district.`,
-      date: today,
-      source: 'Ministry of Jal Shakti',
+    }, year),
+    summary('district-quality', {
+      title: 'Water Quality — District Average',
+      body: `Average pH across all stations: ${avgPH}. ${avgPH >= 6.5 && avgPH <= 8.0 ? 'Within the BIS acceptable range (6.5–8.0).' : 'Outside the BIS acceptable range (6.5–8.0) — see the stations concerned.'}`,
+    }, year),
+    summary('district-attention', {
+      title: 'Stations Needing Attention',
+      body: `${criticalCount + warningCount} of ${n} stations are at Warning or Critical status in their latest readings.`,
       priority: criticalCount > 5 ? 'high' : 'normal',
-    },
-    {
-      id: 5,
-      title: 'Conservation Advisory',
-      body: `Nashik District water conservation drive ongoing. Citizens advised to reduce non-essential water usage. Report water wastage to local gram panchayat offices.`,
-      date: today,
-      source: 'Nashik District Collector Office',
-      priority: 'normal',
-    },
+    }, year),
   ];
 }
 
-module.exports = { generateAlerts, generateGovUpdates, generateDistrictAlerts, generateDistrictGovUpdates, ALERT_THRESHOLDS };
+module.exports = { generateAlerts, generateGroupAlerts, replayAlertRule, generateGovUpdates, generateDistrictGovUpdates };
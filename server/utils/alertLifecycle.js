@@ -0,0 +1,367 @@
+/**
+ * Alert Lifecycle
+ * Turns the alerts the engine derives from the data into tracked entities.
+ * Each (scope, target, rule) is one alert with a stable id, e.g.
+ * "location:Igatpuri|water-level" or "taluka:Igatpuri|…", first-seen and
+ * last-seen times, an owner and a state:
+ *
+ *   open          – raised and not yet looked at
+ *   acknowledged  – someone has seen it
+ *   assigned      – someone is handling it
+ *   suppressed    – muted, optionally until a given time
+ *   resolved      – handled, or the condition cleared
+ *
+ * Alerts are re-evaluated against every new dataset version and whenever the
+ * alert rules change. A condition that clears — or whose rule is disabled or
+ * deleted — resolves its alert; one that returns after clearing, or escalates
+ * from warning to critical, reopens it. Every change, by a person or by the
+ * evaluation, is appended to the alert's history — its audit trail.
+ *
+ * Alerts are held in memory and written through to storage. Listeners
+ * registered with onAlertsRaised hear about alerts that are raised, return or
+ * escalate (notifications/ sends them out).
+ */
+const { generateAlerts, generateGroupAlerts } = require('./alertEngine');
+const { alertRulesRevision } = require('./alertRules');
+
+const ALERTS_COLLECTION = 'alerts';
+const ALERT_STATES = ['open', 'acknowledged', 'assigned', 'suppressed', 'resolved'];
+const ACTIVE_STATES = ['open', 'acknowledged', 'assigned'];
+const ALERT_SCOPES = ['location', 'taluka', 'district'];
+const GROUP_SCOPES = ['taluka', 'district'];
+const SYSTEM_ACTOR = 'system';
+const MAX_COMMENT_LENGTH = 1000;
+
+// action → { to, from: states it may be taken from, comment: whether one is required }
+const ALERT_ACTIONS = {
+  acknowledge: { to: 'acknowledged', from: ['open'] },
+  assign: { to: 'assigned', from: ['open', 'acknowledged', 'assigned'] },
+  suppress: { to: 'suppressed', from: ['open', 'acknowledged', 'assigned'], comment: true },
+  resolve: { to: 'resolved', from: ['open', 'acknowledged', 'assigned', 'suppressed'], comment: true },
+  reopen: { to: 'open', from: ['resolved', 'suppressed'] },
+};
+
+const SEVERITY_RANK = { info: 1, warning: 2, critical: 3 };
+const SEEN_WRITE_INTERVAL_MS = 5 * 60 * 1000; // last-seen alone is persisted at most this often
+
+let adapter = null;
+let alerts = new Map(); // id → alert
+let signature = '';     // detects changes written by other instances
+let evaluatedKey = null; // dataset version and rules revision last evaluated
+let evaluatedVersion = 0; // newest dataset version evaluated
+let evaluating = null;  // in-flight { key, promise }, shared by concurrent requests for that key
+const listeners = [];
+
+const alertId = (scope, target, rule) => `${scope}:${target}|${rule}`;
+
+/**
+ * Load alerts from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when they differ from what was held before
+ */
+async function loadAlerts(storageAdapter) {
+  adapter = storageAdapter;
+  const saved = await adapter.collection(ALERTS_COLLECTION).list();
+  const next = saved.map((a) => `${a.id}@${a.updatedAt}`).sort().join(',');
+  if (next === signature) return false;
+  signature = next;
+  alerts = new Map(saved.map((a) => [a.id, a]));
+  return true;
+}
+
+async function persist(changed) {
+  await Promise.all(changed.map((a) => adapter.collection(ALERTS_COLLECTION).put(a)));
+}
+
+function record(alert, entry, now) {
+  alert.history.push({ at: now, by: SYSTEM_ACTOR, comment: null, ...entry });
+  alert.updatedAt = now;
+}
+
+/**
+ * Merge one evaluation of a target's conditions into its stored alerts.
+ * @param {string} scope - location | taluka | district
+ * @param {string} target - Location, taluka or district name
+ * @param {Array} generated - Alerts from the engine (each with a `rule`)
+ * @param {Set} seen - Collects the ids of alerts raised in this evaluation
+ * @param {Array} events - Collects { reason, alert } for alerts raised, returned or escalated
+ * @returns {Array} alerts that changed and need writing
+ */
+function reconcile(scope, target, generated, now, seen, events) {
+  const changed = [];
+
+  for (const { timestamp, ...fields } of generated) {
+    const id = alertId(scope, target, fields.rule);
+    seen.add(id);
+    const existing = alerts.get(id);
+    if (!existing) {
+      const alert = {
+        id, scope, target, ...fields,
+        state: 'open', active: true, assignee: null, suppressedUntil: null,
+        firstSeenAt: now, lastSeenAt: now, clearedAt: null, createdAt: now, updatedAt: now,
+        history: [],
+      };
+      record(alert, { action: 'raised', from: null, to: 'open', comment: fields.message }, now);
+      alerts.set(id, alert);
+      changed.push(alert);
+      events.push({ reason: 'raised', alert });
+      continue;
+    }
+
+    const escalated = SEVERITY_RANK[fields.type] > SEVERITY_RANK[existing.type];
+    const returned = !existing.active;
+    const stale = Date.parse(now) - Date.parse(existing.lastSeenAt) >= SEEN_WRITE_INTERVAL_MS;
+    const moved = fields.type !== existing.type || fields.message !== existing.message;
+    Object.assign(existing, fields, { active: true, lastSeenAt: now, clearedAt: null });
+
+    if (returned && existing.state === 'resolved') {
+      record(existing, { action: 'reopened', from: 'resolved', to: 'open', comment: 'Condition returned' }, now);
+      Object.assign(existing, { state: 'open', assignee: null });
+      events.push({ reason: 'reopened', alert: existing });
+    } else if (escalated) {
+      const reopen = existing.state === 'resolved' || existing.state === 'suppressed';
+      record(existing, {
+        action: 'escalated', from: existing.state, to: reopen ? 'open' : existing.state,
+        comment: `Escalated to ${fields.type}`,
+      }, now);
+      if (reopen) Object.assign(existing, { state: 'open', suppressedUntil: null });
+      events.push({ reason: 'escalated', alert: existing });
+    }
+    if (returned || escalated || moved || stale) {
+      existing.updatedAt = now;
+      changed.push(existing);
+    }
+  }
+  return changed;
+}
+
+// Conditions no longer met resolve their alerts
+function clearUnseen(seen, now) {
+  const changed = [];
+  for (const alert of alerts.values()) {
+    if (seen.has(alert.id) || !alert.active) continue;
+    alert.active = false;
+    alert.clearedAt = now;
+    record(alert, { action: 'cleared', from: alert.state, to: 'resolved', comment: 'Condition no longer met' }, now);
+    Object.assign(alert, { state: 'resolved', suppressedUntil: null });
+    changed.push(alert);
+  }
+  return changed;
+}
+
+// Suppressions whose time is up reopen
+function expireSuppressions(now) {
+  const changed = [];
+  for (const alert of alerts.values()) {
+    if (alert.state !== 'suppressed' || !alert.suppressedUntil || alert.suppressedUntil > now) continue;
+    record(alert, { action: 'unsuppressed', from: 'suppressed', to: 'open', comment: 'Suppression expired' }, now);
+    Object.assign(alert, { state: 'open', suppressedUntil: null });
+    changed.push(alert);
+  }
+  return changed;
+}
+
+/**
+ * Taluka or district alerts of every group in a view
+ * @returns {Map} group name → alerts
+ */
+function groupAlerts(view, scope) {
+  return generateGroupAlerts(scope, view.getOverviewData(), (station) => {
+    const loc = view.getLocationByName(station.location);
+    return loc && loc[scope];
+  });
+}
+
+async function evaluate(view, key) {
+  const now = new Date().toISOString();
+  const changed = [];
+  const seen = new Set();
+  const events = [];
+  const firstEvaluation = alerts.size === 0;
+  for (const loc of view.getAllLocations()) {
+    const latest = view.getLatestByLocation(loc.name);
+    if (!latest) continue;
+    const generated = generateAlerts(
+      { ...latest, ...view.getDrought(latest) }, view.getWaterByLocation(loc.name), view.getScoreProfile(loc.name),
+    );
+    changed.push(...reconcile('location', loc.name, generated, now, seen, events));
+  }
+  for (const scope of GROUP_SCOPES) {
+    for (const [target, generated] of groupAlerts(view, scope)) {
+      changed.push(...reconcile(scope, target, generated, now, seen, events));
+    }
+  }
+  changed.push(...clearUnseen(seen, now));
+  await persist(changed);
+  evaluatedKey = key;
+  evaluatedVersion = view.version;
+  if (changed.length) console.log(`🔔 ${changed.length} alerts updated (dataset v${view.version})`);
+  // The very first evaluation only records what is already the case
+  if (firstEvaluation || !events.length) return;
+  for (const listener of listeners) {
+    try {
+      await listener(events, view);
+    } catch (err) {
+      console.error('❌ Alert listener failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Hear about alerts raised, returned or escalated by an evaluation. Not called
+ * for the first evaluation against an empty alert store, which would report
+ * every standing condition at once.
+ * @param {Function} listener - async (events: [{ reason, alert }], view) => void
+ */
+function onAlertsRaised(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Bring stored alerts up to date with the live dataset view. Evaluates every
+ * location, taluka and district once per dataset version and rule change.
+ * Evaluations run one at a time: a request for a newer version or rule set
+ * waits for the one in flight and then runs its own.
+ * @param {Object} view - The live dataset view
+ */
+async function refreshAlerts(view) {
+  const expired = expireSuppressions(new Date().toISOString());
+  if (expired.length) await persist(expired);
+  for (;;) {
+    const key = `${view.version}|${alertRulesRevision()}`;
+    // A view overtaken by a newer version while it waited has nothing to add
+    if (key === evaluatedKey || view.version < evaluatedVersion) return;
+    if (!evaluating) {
+      const promise = evaluate(view, key).finally(() => { evaluating = null; });
+      evaluating = { key, promise };
+    }
+    const inFlight = evaluating;
+    if (inFlight.key === key) {
+      await inFlight.promise;
+      return;
+    }
+    await inFlight.promise.catch(() => {}); // its own caller hears of a failure
+  }
+}
+
+/**
+ * Stored alerts matching a filter: active conditions first, then by severity
+ * and last-seen time
+ * @param {Object} [filter] - { scope, target, state, type, assignee }; state
+ *   may be 'active' (open, acknowledged or assigned)
+ */
+function listAlerts(filter = {}) {
+  return [...alerts.values()]
+    .filter((a) => !filter.scope || a.scope === filter.scope)
+    .filter((a) => !filter.target || a.target === filter.target)
+    .filter((a) => !filter.state || (filter.state === 'active' ? ACTIVE_STATES.includes(a.state) : a.state === filter.state))
+    .filter((a) => !filter.type || a.type === filter.type)
+    .filter((a) => !filter.assignee || a.assignee === filter.assignee)
+    .sort((a, b) => (b.active - a.active)
+      || (SEVERITY_RANK[b.type] || 0) - (SEVERITY_RANK[a.type] || 0)
+      || b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+/** @returns {Object|null} */
+function getAlert(id) {
+  return alerts.get(id) || null;
+}
+
+/**
+ * Check a state change before applying it.
+ * @param {Object} alert
+ * @param {string} action - One of ALERT_ACTIONS
+ * @param {Object} body - { comment, assignee, until }
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateTransition(alert, action, body = {}) {
+  const spec = ALERT_ACTIONS[action];
+  if (!spec) return [`action must be one of ${Object.keys(ALERT_ACTIONS).join(', ')}`];
+  const problems = [];
+  if (!spec.from.includes(alert.state)) {
+    problems.push(`Cannot ${action} an alert that is ${alert.state}`);
+  }
+  const comment = body.comment === undefined || body.comment === null ? '' : String(body.comment).trim();
+  if (spec.comment && !comment) problems.push(`A comment is required to ${action} an alert`);
+  if (comment.length > MAX_COMMENT_LENGTH) problems.push(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+  if (action === 'assign' && !(body.assignee && String(body.assignee).trim())) problems.push('assignee is required');
+  if (action === 'suppress' && body.until !== undefined && body.until !== null && body.until !== '') {
+    const until = Date.parse(body.until);
+    if (Number.isNaN(until)) problems.push('until must be a date');
+    else if (until <= Date.now()) problems.push('until must be in the future');
+  }
+  return problems;
+}
+
+/**
+ * Apply a validated state change and write it through.
+ * @param {string} actor - Who made the change
+ * @returns {Promise<Object>} the updated alert
+ */
+async function transitionAlert(alert, action, body, actor) {
+  const { to } = ALERT_ACTIONS[action];
+  const now = new Date().toISOString();
+  const comment = body.comment ? String(body.comment).trim() : null;
+  const entry = { action, from: alert.state, to, by: actor, comment };
+
+  if (action === 'assign') {
+    entry.assignee = String(body.assignee).trim();
+    alert.assignee = entry.assignee;
+  }
+  if (action === 'suppress') {
+    alert.suppressedUntil = body.until ? new Date(body.until).toISOString() : null;
+    entry.until = alert.suppressedUntil;
+  } else {
+    alert.suppressedUntil = null;
+  }
+  if (action === 'reopen') alert.assignee = null;
+
+  record(alert, entry, now);
+  alert.state = to;
+  await persist([alert]);
+  return alert;
+}
+
+/**
+ * Every history entry across alerts, newest first
+ * @param {Object} [filter] - { by, action }
+ */
+function auditTrail(filter = {}) {
+  const entries = [];
+  for (const alert of alerts.values()) {
+    for (const entry of alert.history) {
+      if (filter.by && entry.by !== filter.by) continue;
+      if (filter.action && entry.action !== filter.action) continue;
+      entries.push({ alertId: alert.id, scope: alert.scope, target: alert.target, title: alert.title, ...entry });
+    }
+  }
+  return entries.sort((a, b) => b.at.localeCompare(a.at));
+}
+
+/** Count alerts by state */
+function summarizeAlerts(list) {
+  const summary = { total: list.length, active: 0, byState: {} };
+  for (const state of ALERT_STATES) summary.byState[state] = 0;
+  for (const a of list) {
+    summary.byState[a.state]++;
+    if (ACTIVE_STATES.includes(a.state)) summary.active++;
+  }
+  return summary;
+}
+
+module.exports = {
+  ALERT_STATES,
+  ACTIVE_STATES,
+  ALERT_SCOPES,
+  ALERT_ACTIONS,
+  loadAlerts,
+  refreshAlerts,
+  onAlertsRaised,
+  groupAlerts,
+  listAlerts,
+  getAlert,
+  validateTransition,
+  transitionAlert,
+  auditTrail,
+  summarizeAlerts,
+};
@@ -0,0 +1,414 @@
+/**
+ * Alert Rules
+ * Declarative definitions of the conditions that raise alerts, so thresholds
+ * can be changed without a code change. The engine (utils/alertEngine)
+ * evaluates them; this module defines the format, checks rules and keeps the
+ * rule set.
+ *
+ * Rule shape:
+ *   { id, name, description, enabled, builtIn, category,
+ *     scope: 'location' | 'taluka' | 'district',
+ *     targets: ['Igatpuri', …],            // names within the scope; empty = every one
+ *     metric: 'groundwaterLevel',
+ *     aggregate: { fn: 'avg', match: { comparison, value } },   // taluka / district only
+ *     condition: { type: 'threshold', comparison: '>=', value: 12 }
+ *              | { type: 'trend', direction: 'rising' | 'falling', periods: 3 }   // location only
+ *              | { type: 'change', comparison: '<', value: -10 },               // location only
+ *     severity: 'warning',
+ *     escalation: { value: 15, severity: 'critical', title?, message?, recommendation? },
+ *     supersededBy: 'rule-id',             // skip where that rule is enabled and has a value
+ *     title, message, recommendation }     // templates, e.g. "Water table at {value}m in {location}"
+ *
+ * Threshold comparisons are >, >=, <, <=, ==, !=, `in` (value is a list) and
+ * `outside` (value is [low, high], met at or beyond either end). A trend is
+ * met when the metric has moved in one direction for the last `periods`
+ * consecutive years; a change compares the mean of the later half of the
+ * history with the earlier half. Group rules reduce the stations of each
+ * taluka or district with `aggregate.fn`; `count` counts the stations whose
+ * metric meets `aggregate.match`.
+ *
+ * The built-in rules reproduce the alerts the engine used to hard-code. They
+ * can be edited, disabled and reset, but not deleted. Rules are held in
+ * memory and written through to storage.
+ */
+const SPI_ALERTS = process.env.SPI_ALERTS === 'true';
+
+const RULES_COLLECTION = 'alertrules';
+const RULE_SCOPES = ['location', 'taluka', 'district'];
+const RULE_SEVERITIES = ['info', 'warning', 'critical'];
+const CONDITION_TYPES = ['threshold', 'trend', 'change'];
+const NUMERIC_COMPARISONS = ['>', '>=', '<', '<=', '==', '!='];
+const COMPARISONS = [...NUMERIC_COMPARISONS, 'in', 'outside'];
+const AGGREGATES = ['avg', 'min', 'max', 'sum', 'count'];
+const MAX_TREND_PERIODS = 20;
+
+// Metrics a rule can test; `categorical` ones take ==, != and in only
+const RULE_METRICS = {
+  groundwaterLevel: { label: 'Water level', unit: 'm', decimals: 1 },
+  depletionRate: { label: 'Depletion rate', unit: '%', decimals: 1 },
+  rainfall: { label: 'Rainfall', unit: 'mm', decimals: 0 },
+  spi: { label: 'SPI', unit: '', decimals: 2 },
+  ph: { label: 'pH', unit: '', decimals: 1 },
+  consumption: { label: 'Consumption', unit: 'Ml', decimals: 0 },
+  waterScore: { label: 'Water score', unit: '', decimals: 0 },
+  scarcityLevel: { label: 'Scarcity level', categorical: true },
+  status: { label: 'Status', categorical: true },
+  droughtCategory: { label: 'Drought category', categorical: true },
+};
+
+const rule = (fields) => ({
+  description: '', enabled: true, builtIn: true, targets: [], aggregate: null,
+  escalation: null, supersededBy: null, recommendation: '', ...fields,
+});
+
+const DEFAULT_ALERT_RULES = [
+  rule({
+    id: 'water-level', name: 'Deep water table', category: 'Water Level', scope: 'location',
+    metric: 'groundwaterLevel', condition: { type: 'threshold', comparison: '>=', value: 12 }, severity: 'warning',
+    title: '⚠️ Low Water Table',
+    message: 'Water table at {value}m in {location}. Monitor closely.',
+    recommendation: 'Increase monitoring frequency. Consider water conservation measures.',
+    escalation: {
+      value: 15, severity: 'critical', title: '🚨 Critical Water Level',
+      message: 'Groundwater level at {value}m depth in {location}. Immediate action required.',
+      recommendation: 'Implement water rationing and emergency recharge measures.',
+    },
+  }),
+  rule({
+    id: 'depletion', name: 'High depletion rate', category: 'Depletion', scope: 'location',
+    metric: 'depletionRate', condition: { type: 'threshold', comparison: '>=', value: 5 }, severity: 'warning',
+    title: '⚠️ High Depletion Rate',
+    message: 'Depletion rate {value}% in {location}. Extraction exceeds recharge.',
+    recommendation: 'Promote water-efficient irrigation. Review extraction permits.',
+    escalation: {
+      value: 7, severity: 'critical', title: '🚨 Over-extraction Detected',
+      message: 'Groundwater depletion rate at {value}% in {location}. Aquifer stress is severe.',
+      recommendation: 'Restrict bore-well usage. Implement mandatory rainwater harvesting.',
+    },
+  }),
+  rule({
+    id: 'rainfall-spi', name: 'Drought by SPI', category: 'Rainfall', scope: 'location', enabled: SPI_ALERTS,
+    description: 'Rainfall against the location\'s own rainfall record; replaces the fixed mm thresholds where enabled',
+    metric: 'spi', condition: { type: 'threshold', comparison: '<=', value: -1 }, severity: 'warning',
+    title: '⚠️ {spiClass} (SPI {value})',
+    message: 'Rainfall {rainfall}mm in {location} — SPI {value}, a {droughtCategory} drought against its own rainfall record.',
+    recommendation: 'Monitor reservoir levels. Advise farmers on drought-resistant crops.',
+    escalation: {
+      value: -1.5, severity: 'critical', title: '🚨 {spiClass} (SPI {value})',
+      recommendation: 'Activate drought contingency plans. Arrange water tanker supply.',
+    },
+  }),
+  rule({
+    id: 'rainfall', name: 'Low rainfall', category: 'Rainfall', scope: 'location', supersededBy: 'rainfall-spi',
+    metric: 'rainfall', condition: { type: 'threshold', comparison: '<=', value: 700 }, severity: 'warning',
+    title: '⚠️ Below Normal Rainfall',
+    message: 'Rainfall {value}mm in {location}, below expected levels.',
+    recommendation: 'Monitor reservoir levels. Advise farmers on drought-resistant crops.',
+    escalation: {
+      value: 600, severity: 'critical', title: '🚨 Drought Risk',
+      message: 'Rainfall only {value}mm in {location}. Severe drought conditions likely.',
+      recommendation: 'Activate drought contingency plans. Arrange water tanker supply.',
+    },
+  }),
+  rule({
+    id: 'ph', name: 'pH imbalance', category: 'Water Quality', scope: 'location',
+    metric: 'ph', condition: { type: 'threshold', comparison: 'outside', value: [6.5, 8] }, severity: 'warning',
+    title: '⚠️ pH Imbalance',
+    message: 'pH level {value} in {location}. Water quality may be affected.',
+    recommendation: 'Test for contaminants. Advise water treatment before consumption.',
+  }),
+  rule({
+    id: 'consumption', name: 'High consumption', category: 'Consumption', scope: 'location',
+    metric: 'consumption', condition: { type: 'threshold', comparison: '>=', value: 500 }, severity: 'info',
+    title: 'ℹ️ High Water Consumption',
+    message: 'Total consumption {value} Ml in {location}. Above district average.',
+    recommendation: 'Review industrial and agricultural water permits. Promote efficiency.',
+  }),
+  rule({
+    id: 'scarcity', name: 'Severe scarcity', category: 'Scarcity', scope: 'location',
+    metric: 'scarcityLevel', condition: { type: 'threshold', comparison: 'in', value: ['Severe', 'Extreme'] }, severity: 'critical',
+    title: '🚨 {value} Water Scarcity',
+    message: '{location} classified as {value} water scarcity zone.',
+    recommendation: 'Prioritize for government water supply augmentation schemes.',
+  }),
+  rule({
+    id: 'trend-water-level', name: 'Sustained water level decline', category: 'Trend', scope: 'location',
+    metric: 'groundwaterLevel', condition: { type: 'trend', direction: 'rising', periods: 3 }, severity: 'warning',
+    title: '📉 Sustained Water Level Decline',
+    message: 'Water level in {location} has been dropping for {periods} consecutive years ({change}m increase in depth).',
+    recommendation: 'Long-term recharge intervention needed. Consider artificial recharge structures.',
+  }),
+  rule({
+    id: 'trend-depletion', name: 'Accelerating depletion', category: 'Trend', scope: 'location',
+    metric: 'depletionRate', condition: { type: 'trend', direction: 'rising', periods: 3 }, severity: 'critical',
+    title: '📊 Accelerating Depletion Trend',
+    message: 'Depletion rate in {location} has increased for {periods} consecutive years. Current: {current}%.',
+    recommendation: 'Urgent policy intervention needed. Restrict new extraction permits.',
+  }),
+  rule({
+    id: 'trend-rainfall', name: 'Declining rainfall', category: 'Trend', scope: 'location',
+    metric: 'rainfall', condition: { type: 'trend', direction: 'falling', periods: 3 }, severity: 'warning',
+    title: '🌧️ Declining Rainfall Pattern',
+    message: 'Rainfall in {location} has decreased for {periods} consecutive years. Long-term drought risk elevated.',
+    recommendation: 'Plan for drought resilience. Increase water storage capacity.',
+  }),
+  rule({
+    id: 'trend-score', name: 'Water health declining', category: 'Trend', scope: 'location',
+    metric: 'waterScore', condition: { type: 'change', comparison: '<', value: -10 }, severity: 'warning',
+    title: '⚡ Overall Water Health Declining',
+    message: 'Water health score in {location} has declined significantly (avg {before} → {after}) over the monitoring period.',
+    recommendation: 'Comprehensive water management review recommended for this location.',
+  }),
+  rule({
+    id: 'critical-zones', name: 'Critical zones', category: 'District Overview', scope: 'district',
+    metric: 'status', aggregate: { fn: 'count', match: { comparison: '==', value: 'Critical' } },
+    condition: { type: 'threshold', comparison: '>', value: 0 }, severity: 'critical',
+    title: '🚨 Critical Zones Detected',
+    message: '{value} out of {stations} monitoring stations are in Critical status across {target} District.',
+    recommendation: 'Priority locations: {matchedList}.',
+  }),
+  rule({
+    id: 'warning-zones', name: 'Widespread warnings', category: 'District Overview', scope: 'district',
+    metric: 'status', aggregate: { fn: 'count', match: { comparison: '==', value: 'Warning' } },
+    condition: { type: 'threshold', comparison: '>', value: 5 }, severity: 'warning',
+    title: '⚠️ Widespread Warning Status',
+    message: '{value} stations are under Warning status. District-wide water conservation advisory in effect.',
+    recommendation: 'Increase monitoring frequency at warning-level stations.',
+  }),
+  rule({
+    id: 'district-depletion', name: 'High district depletion', category: 'Depletion', scope: 'district',
+    metric: 'depletionRate', aggregate: { fn: 'avg', match: { comparison: '>=', value: 5 } },
+    condition: { type: 'threshold', comparison: '>=', value: 5 }, severity: 'warning',
+    escalation: { value: 7, severity: 'critical' },
+    title: '📉 High District Depletion Rate',
+    message: 'Average groundwater depletion across {target} District is {value}%. {matched} stations exceed 5% depletion.',
+    recommendation: 'District-level water recharge programs need acceleration.',
+  }),
+  rule({
+    id: 'district-rainfall', name: 'District rainfall deficit', category: 'Rainfall', scope: 'district',
+    metric: 'rainfall', aggregate: { fn: 'avg', match: { comparison: '<', value: 700 } },
+    condition: { type: 'threshold', comparison: '<', value: 700 }, severity: 'warning',
+    escalation: { value: 600, severity: 'critical' },
+    title: '🌧️ District Rainfall Deficit',
+    message: 'Average rainfall is {value}mm — {matched} stations report below-normal rainfall.',
+    recommendation: 'Activate drought mitigation protocols for affected talukas.',
+  }),
+  rule({
+    id: 'district-spi', name: 'District drought by SPI', category: 'Rainfall', scope: 'district', enabled: SPI_ALERTS,
+    metric: 'droughtCategory', aggregate: { fn: 'count', match: { comparison: 'in', value: ['severe', 'extreme'] } },
+    condition: { type: 'threshold', comparison: '>', value: 0 }, severity: 'critical',
+    title: '🌵 Drought by SPI',
+    message: '{value} stations are in severe or extreme drought (SPI ≤ -1.5).',
+    recommendation: 'Priority locations: {matchedList}.',
+  }),
+  rule({
+    id: 'district-water-level', name: 'Deep district water table', category: 'Water Level', scope: 'district',
+    metric: 'groundwaterLevel', aggregate: { fn: 'avg' },
+    condition: { type: 'threshold', comparison: '>=', value: 12 }, severity: 'warning',
+    escalation: { value: 15, severity: 'critical' },
+    title: '💧 Deep Water Table Alert',
+    message: 'Average groundwater depth across the district is {value}m. Multiple areas require intervention.',
+    recommendation: 'Prioritize artificial recharge projects in deep water-table zones.',
+  }),
+  rule({
+    id: 'district-health', name: 'District water health index', category: 'District Health', scope: 'district',
+    description: 'Always raised: a standing summary of the district',
+    metric: 'waterScore', aggregate: { fn: 'avg' },
+    condition: { type: 'threshold', comparison: '>=', value: 0 }, severity: 'info',
+    title: '📊 District Water Health Index',
+    message: 'Average water health score across {stations} stations: {value}/100. Safe: {safeStations} | Warning: {warningStations} | Critical: {criticalStations}.',
+    recommendation: 'Continue monitoring. Review individual station reports for detailed insights.',
+  }),
+];
+const DEFAULTS_BY_ID = new Map(DEFAULT_ALERT_RULES.map((r) => [r.id, r]));
+
+let adapter = null;
+let saved = new Map(); // id → rule (custom rules and edited built-ins)
+let signature = '';    // detects changes written by other instances
+let revision = 0;      // bumped on every change, so alerts are re-evaluated
+
+/**
+ * Load saved rules from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when they differ from what was held before
+ */
+async function loadAlertRules(storageAdapter) {
+  adapter = storageAdapter;
+  const docs = await adapter.collection(RULES_COLLECTION).list();
+  const next = docs.map((d) => `${d.id}@${d.updatedAt}`).sort().join(',');
+  if (next === signature) return false;
+  signature = next;
+  saved = new Map(docs.map((d) => [d.id, d]));
+  revision++;
+  return true;
+}
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Problems with a comparison and its value for a metric
+function comparisonProblems(where, comparison, value, categorical) {
+  if (!COMPARISONS.includes(comparison)) return [`${where}.comparison must be one of ${COMPARISONS.join(', ')}`];
+  if (categorical && !['==', '!=', 'in'].includes(comparison)) {
+    return [`${where}.comparison must be ==, != or in for a categorical metric`];
+  }
+  if (comparison === 'in') {
+    return Array.isArray(value) && value.length ? [] : [`${where}.value must be a non-empty list for "in"`];
+  }
+  if (comparison === 'outside') {
+    return Array.isArray(value) && value.length === 2 && isNum(value[0]) && isNum(value[1]) && value[0] < value[1]
+      ? [] : [`${where}.value must be [low, high] for "outside"`];
+  }
+  if (categorical) return typeof value === 'string' && value ? [] : [`${where}.value must be a text value`];
+  return isNum(value) ? [] : [`${where}.value must be a number`];
+}
+
+/**
+ * Check a rule before saving or testing.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateAlertRule(r) {
+  if (!r || typeof r !== 'object') return ['Rule body is required'];
+  const problems = [];
+  if (!r.name || !String(r.name).trim()) problems.push('name is required');
+  if (!r.title || !String(r.title).trim()) problems.push('title is required');
+  if (!r.message || !String(r.message).trim()) problems.push('message is required');
+  if (!RULE_SCOPES.includes(r.scope)) problems.push(`scope must be one of ${RULE_SCOPES.join(', ')}`);
+  if (!RULE_SEVERITIES.includes(r.severity)) problems.push(`severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  if (r.targets !== undefined && !(Array.isArray(r.targets) && r.targets.every((t) => typeof t === 'string'))) {
+    problems.push('targets must be a list of names');
+  }
+  const metric = RULE_METRICS[r.metric];
+  if (!metric) return [...problems, `metric must be one of ${Object.keys(RULE_METRICS).join(', ')}`];
+
+  const group = r.scope === 'taluka' || r.scope === 'district';
+  const agg = r.aggregate;
+  let measured = metric; // what the condition compares: the metric, or a count of stations
+  if (group) {
+    if (!agg || !AGGREGATES.includes(agg.fn)) {
+      problems.push(`aggregate.fn must be one of ${AGGREGATES.join(', ')} for a ${r.scope} rule`);
+    } else {
+      if (metric.categorical && agg.fn !== 'count') problems.push('A categorical metric can only be counted (aggregate.fn "count")');
+      if (agg.fn === 'count' && !agg.match) problems.push('aggregate.match is required to count stations');
+      if (agg.match) problems.push(...comparisonProblems('aggregate.match', agg.match.comparison, agg.match.value, metric.categorical));
+      if (agg.fn === 'count') measured = {};
+    }
+  } else if (agg) {
+    problems.push('aggregate applies to taluka and district rules only');
+  }
+
+  const c = r.condition;
+  if (!c || !CONDITION_TYPES.includes(c.type)) {
+    problems.push(`condition.type must be one of ${CONDITION_TYPES.join(', ')}`);
+  } else if (c.type === 'threshold') {
+    problems.push(...comparisonProblems('condition', c.comparison, c.value, measured.categorical));
+  } else {
+    if (group) problems.push(`A ${c.type} condition applies to location rules only`);
+    if (metric.categorical) problems.push(`A ${c.type} condition needs a numeric metric`);
+    if (c.type === 'trend') {
+      if (!['rising', 'falling'].includes(c.direction)) problems.push('condition.direction must be rising or falling');
+      if (!(Number.isInteger(c.periods) && c.periods >= 1 && c.periods <= MAX_TREND_PERIODS)) {
+        problems.push(`condition.periods must be a whole number from 1 to ${MAX_TREND_PERIODS}`);
+      }
+    } else {
+      if (!['>', '>=', '<', '<='].includes(c.comparison)) problems.push('condition.comparison must be >, >=, < or <= for a change');
+      if (!isNum(c.value)) problems.push('condition.value must be a number');
+    }
+  }
+
+  const e = r.escalation;
+  if (e) {
+    if (!c || c.type !== 'threshold' || !['>', '>=', '<', '<='].includes(c.comparison)) {
+      problems.push('escalation needs a threshold condition with >, >=, < or <=');
+    } else if (!isNum(e.value)) {
+      problems.push('escalation.value must be a number');
+    } else if ((c.comparison.startsWith('>') && e.value < c.value) || (c.comparison.startsWith('<') && e.value > c.value)) {
+      problems.push(`escalation.value must be beyond the condition's value (${c.comparison} ${c.value})`);
+    }
+    if (!RULE_SEVERITIES.includes(e.severity) || RULE_SEVERITIES.indexOf(e.severity) <= RULE_SEVERITIES.indexOf(r.severity)) {
+      problems.push('escalation.severity must be more severe than the rule\'s severity');
+    }
+  }
+  if (r.supersededBy && !getAlertRule(r.supersededBy)) problems.push(`supersededBy: unknown rule ${r.supersededBy}`);
+  return problems;
+}
+
+/** Trim text and fill optional fields. Call after validation. */
+function normalizeAlertRule(r) {
+  const group = r.scope !== 'location';
+  return {
+    ...r,
+    name: String(r.name).trim(),
+    description: r.description || '',
+    category: r.category || RULE_METRICS[r.metric].label,
+    enabled: r.enabled !== false,
+    targets: (r.targets || []).map((t) => t.trim()).filter(Boolean),
+    aggregate: group ? r.aggregate : null,
+    escalation: r.escalation || null,
+    supersededBy: r.supersededBy || null,
+    title: String(r.title).trim(),
+    message: String(r.message).trim(),
+    recommendation: r.recommendation ? String(r.recommendation).trim() : '',
+  };
+}
+
+/** Built-in rules (with any saved edits) first, then custom rules by name */
+function listAlertRules() {
+  const builtIn = DEFAULT_ALERT_RULES.map((r) => saved.get(r.id) || r);
+  const custom = [...saved.values()]
+    .filter((r) => !DEFAULTS_BY_ID.has(r.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [...builtIn, ...custom];
+}
+
+/** @returns {Object|null} */
+function getAlertRule(id) {
+  return saved.get(id) || DEFAULTS_BY_ID.get(id) || null;
+}
+
+/** @returns {Object|null} the shipped definition of a built-in rule */
+function getDefaultAlertRule(id) {
+  return DEFAULTS_BY_ID.get(id) || null;
+}
+
+async function saveAlertRule(r) {
+  await adapter.collection(RULES_COLLECTION).put(r);
+  saved.set(r.id, r);
+  revision++;
+  return r;
+}
+
+/**
+ * Delete a custom rule, or drop the saved edits of a built-in one
+ * @returns {Promise<boolean>} false when there was nothing saved under the id
+ */
+async function removeAlertRule(id) {
+  if (!saved.has(id)) return false;
+  await adapter.collection(RULES_COLLECTION).remove(id);
+  saved.delete(id);
+  revision++;
+  return true;
+}
+
+/** Changes whenever the rule set does */
+function alertRulesRevision() {
+  return revision;
+}
+
+module.exports = {
+  RULE_SCOPES,
+  RULE_SEVERITIES,
+  RULE_METRICS,
+  CONDITION_TYPES,
+  COMPARISONS,
+  AGGREGATES,
+  DEFAULT_ALERT_RULES,
+  loadAlertRules,
+  validateAlertRule,
+  normalizeAlertRule,
+  listAlertRules,
+  getAlertRule,
+  getDefaultAlertRule,
+  saveAlertRule,
+  removeAlertRule,
+  alertRulesRevision,
+};
@@ -0,0 +1,434 @@
+/**
+ * Anomaly Detection
+ * Flags readings that look wrong or unusual, so they can be checked before
+ * anyone acts on them. Three tests, each scored as a robust z-score
+ * (Iglewicz & Hoaglin): z = (x − median) / (1.4826 × MAD), flagged at |z| ≥ 3.5.
+ *
+ *   jump     – year-on-year change far outside the location's usual changes
+ *   seasonal – a season's (or month's) reading far from that season's norm at
+ *              the location, for locations with dated observations
+ *   spatial  – a station disagreeing sharply with its nearest neighbours in
+ *              the same year
+ *
+ * Medians and MADs are used rather than means and standard deviations so that
+ * the anomalies being looked for do not mask themselves. Synthetic records are
+ * generated, not measured, and are left out.
+ */
+const { seriesFor } = require('./granularity');
+
+const ANOMALY_FIELDS = {
+  groundwaterLevel: { label: 'Water level', unit: 'm', minSpread: 1 },
+  ph: { label: 'pH', unit: '', minSpread: 0.2 },
+  consumption: { label: 'Consumption', unit: 'Ml', minSpread: 50 },
+};
+const ANOMALY_TYPES = ['jump', 'seasonal', 'spatial'];
+
+const ROBUST_Z_THRESHOLD = 3.5;
+const CRITICAL_Z = 5;
+const MIN_JUMP_POINTS = 6;        // readings needed before changes can be judged
+const MIN_SEASON_SAMPLES = 3;     // readings of a season needed for its norm
+const NEIGHBOUR_RADIUS_KM = 30;
+const MAX_NEIGHBOURS = 6;
+const MIN_NEIGHBOURS = 3;
+const NEIGHBOUR_CANDIDATES = 4 * MAX_NEIGHBOURS; // nearest stations indexed per station
+const SLICE_MS = 20;              // longest detection runs before yielding
+
+const MAD_SCALE = 1.4826; // MAD → standard deviation for normal data
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Robust centre and spread of a sample. Falls back to the mean absolute
+ * deviation when over half the values are identical (MAD = 0).
+ * @returns {{ center: number, spread: number }} spread is 0 when there is none
+ */
+function robustStats(values) {
+  const center = median(values);
+  const deviations = values.map((v) => Math.abs(v - center));
+  const mad = median(deviations);
+  if (mad > 0) return { center, spread: MAD_SCALE * mad };
+  const meanAbs = deviations.reduce((s, d) => s + d, 0) / deviations.length;
+  return { center, spread: 1.2533 * meanAbs };
+}
+
+const round = (n, d = 2) => +n.toFixed(d);
+
+function severityOf(z) {
+  return Math.abs(z) >= CRITICAL_Z ? 'critical' : 'warning';
+}
+
+const hasValue = (r, field) => typeof r[field] === 'number' && Number.isFinite(r[field]);
+
+function anomaly(entry, field, type, value, expected, z, message, extra = {}) {
+  const period = entry.period || String(entry.year);
+  return {
+    id: `${entry.location}|${period}|${field}|${type}`,
+    location: entry.location,
+    year: entry.year,
+    period,
+    granularity: entry.granularity || 'yearly',
+    field,
+    type,
+    value,
+    expected: round(expected),
+    score: round(z),
+    severity: severityOf(z),
+    message,
+    ...extra,
+  };
+}
+
+/**
+ * Sudden jumps: robust z of each change between consecutive readings
+ * @param {Array} series - One location's series, oldest first
+ */
+function detectJumps(series) {
+  const found = [];
+  for (const [field, meta] of Object.entries(ANOMALY_FIELDS)) {
+    const points = series.filter((r) => hasValue(r, field));
+    if (points.length < MIN_JUMP_POINTS) continue;
+    const changes = points.slice(1).map((r, i) => r[field] - points[i][field]);
+    const { center, spread } = robustStats(changes);
+    if (!spread) continue;
+    let lastFlag = null; // { at, sign } of the previous flagged change
+    changes.forEach((change, i) => {
+      const z = (change - center) / spread;
+      if (Math.abs(z) < ROBUST_Z_THRESHOLD) return;
+      // A spike is two opposite jumps; flag the reading that spiked, not its return
+      const isReturn = lastFlag && lastFlag.at === i - 1 && lastFlag.sign !== Math.sign(z);
+      lastFlag = { at: i, sign: Math.sign(z) };
+      if (isReturn) return;
+      const entry = points[i + 1];
+      const prev = points[i];
+      found.push(anomaly(entry, field, 'jump', entry[field], prev[field] + center, z,
+        `${meta.label} ${change > 0 ? 'increased' : 'decreased'} by ${round(Math.abs(change))}${meta.unit} since ${prev.period || prev.year} — far outside its usual change of ${round(center)}${meta.unit}.`,
+        { previous: prev[field] }));
+    });
+  }
+  return found;
+}
+
+/**
+ * Seasonal residuals: each reading against the median of the same season
+ * (or month) at the location, scored on the spread of all residuals
+ * @param {Array} series - Seasonal or monthly series, oldest first
+ * @param {Function} subOf - Season or month of an entry
+ */
+function detectSeasonal(series, subOf) {
+  const found = [];
+  for (const [field, meta] of Object.entries(ANOMALY_FIELDS)) {
+    const points = series.filter((r) => hasValue(r, field));
+    const bySub = new Map();
+    for (const r of points) {
+      if (!bySub.has(subOf(r))) bySub.set(subOf(r), []);
+      bySub.get(subOf(r)).push(r[field]);
+    }
+    const norms = new Map();
+    for (const [sub, values] of bySub) {
+      if (values.length >= MIN_SEASON_SAMPLES) norms.set(sub, median(values));
+    }
+    const judged = points.filter((r) => norms.has(subOf(r)));
+    if (judged.length < MIN_JUMP_POINTS) continue;
+    const residuals = judged.map((r) => r[field] - norms.get(subOf(r)));
+    const { center, spread } = robustStats(residuals);
+    if (!spread) continue;
+    residuals.forEach((residual, i) => {
+      const z = (residual - center) / spread;
+      if (Math.abs(z) < ROBUST_Z_THRESHOLD) return;
+      const entry = judged[i];
+      const norm = norms.get(subOf(entry));
+      found.push(anomaly(entry, field, 'seasonal', entry[field], norm, z,
+        `${meta.label} ${entry[field]}${meta.unit} in ${entry.period} is ${residual > 0 ? 'above' : 'below'} this season's usual ${round(norm)}${meta.unit}.`));
+    });
+  }
+  return found;
+}
+
+/** Great-circle distance in km */
+function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+const KM_PER_DEGREE = (6371 * Math.PI) / 180;
+const hasCoordinates = (loc) => !!loc && Number.isFinite(loc.latitude) && Number.isFinite(loc.longitude);
+
+/**
+ * Nearest stations within NEIGHBOUR_RADIUS_KM of every located station,
+ * closest first, found through a grid of cells rather than by comparing every
+ * pair. Built once per set of coordinates and shared by every year; each
+ * station keeps its NEIGHBOUR_CANDIDATES closest, and a year whose reporting
+ * stations are too sparse among them searches the grid again.
+ * @param {Map} locationByName
+ */
+async function buildNeighbourIndex(locationByName, pause) {
+  const stations = [...locationByName.values()].filter(hasCoordinates);
+  const coordinates = new Map(stations.map((l) => [l.name, `${l.latitude},${l.longitude}`]));
+
+  // Cells sized so that a station's candidates lie within a few rings of it
+  let [minLat, maxLat, minLng, maxLng, maxAbsLat] = [Infinity, -Infinity, Infinity, -Infinity, 0];
+  for (const { latitude, longitude } of stations) {
+    minLat = Math.min(minLat, latitude); maxLat = Math.max(maxLat, latitude);
+    minLng = Math.min(minLng, longitude); maxLng = Math.max(maxLng, longitude);
+    maxAbsLat = Math.max(maxAbsLat, Math.abs(latitude));
+  }
+  const lngScale = Math.max(Math.cos((Math.min(maxAbsLat, 89) * Math.PI) / 180), 0.01);
+  const areaKm2 = stations.length
+    ? Math.max((maxLat - minLat) * KM_PER_DEGREE * (maxLng - minLng) * KM_PER_DEGREE * lngScale, 1)
+    : 1;
+  const cellKm = Math.min(Math.max(Math.sqrt((areaKm2 * NEIGHBOUR_CANDIDATES) / (2 * stations.length || 1)), 0.5), NEIGHBOUR_RADIUS_KM);
+  const latStep = cellKm / KM_PER_DEGREE;
+  const lngStep = cellKm / (KM_PER_DEGREE * lngScale); // at least cellKm wide at every latitude
+  const cellOf = (loc) => [Math.floor(loc.latitude / latStep), Math.floor(loc.longitude / lngStep)];
+
+  const grid = new Map();
+  for (const loc of stations) {
+    const key = cellOf(loc).join(',');
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(loc);
+  }
+  const maxRing = Math.ceil(NEIGHBOUR_RADIUS_KM / cellKm);
+
+  /**
+   * Closest stations to `name` passing `accept`, searched ring by ring
+   * until no unvisited cell can hold a closer one
+   * @returns {Array<{ name: string, km: number }>} at most `limit`, closest first
+   */
+  function nearest(name, accept, limit) {
+    const loc = locationByName.get(name);
+    if (!hasCoordinates(loc)) return [];
+    const [ci, cj] = cellOf(loc);
+    let found = [];
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let di = -ring; di <= ring; di++) {
+        const step = Math.abs(di) === ring ? 1 : 2 * ring; // only the ring's outline
+        for (let dj = -ring; dj <= ring; dj += step || 1) {
+          for (const other of grid.get(`${ci + di},${cj + dj}`) || []) {
+            if (other.name === name || !accept(other.name)) continue;
+            const km = distanceKm(loc, other);
+            if (km <= NEIGHBOUR_RADIUS_KM) found.push({ name: other.name, km });
+          }
+        }
+      }
+      if (found.length >= limit) {
+        found.sort((a, b) => a.km - b.km || (a.name < b.name ? -1 : 1));
+        found = found.slice(0, limit);
+        // Anything beyond this ring is at least ring × cellKm away
+        if (found[limit - 1].km <= ring * cellKm * 0.98) break;
+      }
+    }
+    return found.sort((a, b) => a.km - b.km || (a.name < b.name ? -1 : 1)).slice(0, limit);
+  }
+
+  const near = new Map();
+  const nearOf = new Map(); // station → stations that count it among their candidates
+  for (const { name } of stations) {
+    const list = nearest(name, () => true, NEIGHBOUR_CANDIDATES + 1);
+    const truncated = list.length > NEIGHBOUR_CANDIDATES;
+    near.set(name, { list: list.slice(0, NEIGHBOUR_CANDIDATES), truncated });
+    for (const c of list.slice(0, NEIGHBOUR_CANDIDATES)) {
+      if (!nearOf.has(c.name)) nearOf.set(c.name, new Set());
+      nearOf.get(c.name).add(name);
+    }
+    await pause();
+  }
+  return { coordinates, near, nearOf, nearest, previous: null, changed: null };
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((c, i) => c.name === b[i].name && c.km === b[i].km);
+
+// Neighbour index of the last coordinates seen; rebuilt only when they change
+let neighbourIndex = null;
+
+/**
+ * Neighbour index for a dataset's locations, reusing the previous one when no
+ * station was added, removed or moved. A rebuilt index records the stations
+ * whose candidates changed, so spatial results elsewhere can be kept.
+ */
+async function neighboursFor(locationByName, pause) {
+  const coordinates = new Map();
+  for (const loc of locationByName.values()) {
+    if (hasCoordinates(loc)) coordinates.set(loc.name, `${loc.latitude},${loc.longitude}`);
+  }
+  const prev = neighbourIndex;
+  if (prev && prev.coordinates.size === coordinates.size
+    && [...coordinates].every(([name, at]) => prev.coordinates.get(name) === at)) {
+    return prev;
+  }
+
+  const next = await buildNeighbourIndex(locationByName, pause);
+  if (prev) {
+    next.previous = prev;
+    next.changed = new Set();
+    for (const [name, { list }] of next.near) {
+      const before = prev.near.get(name);
+      if (!before || !sameList(before.list, list)) next.changed.add(name);
+    }
+    for (const name of prev.near.keys()) if (!next.near.has(name)) next.changed.add(name);
+    prev.previous = null; // only one step back is ever compared
+  }
+  neighbourIndex = next;
+  return next;
+}
+
+/**
+ * Spatial outliers of one station: its reading against its nearest
+ * neighbours' readings of the same year. The neighbours' spread is floored at
+ * a field minimum so that near-identical neighbours don't make every
+ * difference count.
+ * @param {Object} r - The station's yearly entry
+ * @param {Map} present - Location → entry of every station reporting that year
+ * @returns {{ found: Array, widened: boolean }} widened when the candidates
+ *   were too sparse that year and the grid was searched again
+ */
+function detectSpatialAt(r, present, neighbours) {
+  const candidates = neighbours.near.get(r.location);
+  if (!candidates) return { found: [], widened: false };
+  let nearest = [];
+  for (const c of candidates.list) {
+    if (!present.has(c.name)) continue;
+    nearest.push(c);
+    if (nearest.length === MAX_NEIGHBOURS) break;
+  }
+  const widened = nearest.length < MAX_NEIGHBOURS && candidates.truncated;
+  if (widened) nearest = neighbours.nearest(r.location, (name) => present.has(name), MAX_NEIGHBOURS);
+  const stations = nearest.map((c) => ({ r: present.get(c.name), km: c.km }));
+
+  const found = [];
+  for (const [field, meta] of Object.entries(ANOMALY_FIELDS)) {
+    if (!hasValue(r, field)) continue;
+    const near = stations.filter((s) => hasValue(s.r, field));
+    if (near.length < MIN_NEIGHBOURS) continue;
+    const { center, spread } = robustStats(near.map((s) => s.r[field]));
+    const z = (r[field] - center) / Math.max(spread, meta.minSpread);
+    if (Math.abs(z) < ROBUST_Z_THRESHOLD) continue;
+    found.push(anomaly(r, field, 'spatial', r[field], center, z,
+      `${meta.label} ${r[field]}${meta.unit} is far ${r[field] > center ? 'above' : 'below'} nearby stations (median ${round(center)}${meta.unit} across ${near.length} within ${NEIGHBOUR_RADIUS_KM} km).`,
+      { neighbours: near.map((s) => ({ location: s.r.location, km: round(s.km, 1), value: s.r[field] })) }));
+  }
+  return { found, widened };
+}
+
+// Spatial results of the last run per year: { entries, neighbours, byStation }
+const spatialState = new Map();
+
+/**
+ * Spatial outliers of one year. Stations whose reading, neighbours'
+ * readings and neighbour lists are unchanged since the last run of that year
+ * keep their result; the rest are judged again.
+ * @param {Array} entries - Measured yearly entries of the year
+ */
+async function detectSpatial(year, entries, neighbours, pause) {
+  const present = new Map(entries.map((r) => [r.location, r]));
+  const prev = spatialState.get(year);
+  let affected = null; // null: every station
+  if (prev && (prev.neighbours === neighbours || neighbours.previous === prev.neighbours)) {
+    affected = new Set(prev.neighbours === neighbours ? [] : neighbours.changed);
+    const touch = (name) => {
+      affected.add(name);
+      for (const other of neighbours.nearOf.get(name) || []) affected.add(other);
+    };
+    for (const [name, r] of present) if (prev.entries.get(name) !== r) touch(name);
+    for (const name of prev.entries.keys()) if (!present.has(name)) touch(name);
+    for (const [name, result] of prev.byStation) if (result.widened) affected.add(name);
+  }
+
+  const byStation = new Map();
+  for (const [name, r] of present) {
+    if (affected && !affected.has(name) && prev.byStation.has(name)) {
+      byStation.set(name, prev.byStation.get(name));
+      continue;
+    }
+    byStation.set(name, detectSpatialAt(r, present, neighbours));
+    await pause();
+  }
+  spatialState.set(year, { entries: present, neighbours, byStation });
+  return [...byStation.values()].flatMap((result) => result.found);
+}
+
+// Per-location results, keyed by the index arrays they came from: updateIndex
+// shares the arrays of untouched locations, so those are not judged again
+const jumpCache = new WeakMap();     // yearly series → jumps
+const seasonalCache = new WeakMap(); // stored records → seasonal and monthly residuals
+
+/**
+ * Pauses for the event loop whenever a run has held it for SLICE_MS,
+ * so detection over a large dataset never stalls requests
+ */
+function pacer() {
+  let since = Date.now();
+  return async () => {
+    if (Date.now() - since < SLICE_MS) return;
+    await new Promise((resolve) => setImmediate(resolve));
+    since = Date.now();
+  };
+}
+
+/**
+ * Run every test over a dataset index. Work yields to the event loop as it
+ * goes, and results for locations and years unchanged since the last run are
+ * reused, so an upload only re-judges what it touched and its neighbours.
+ * @param {Object} index - Dataset index (utils/datasetIndex)
+ * @returns {Promise<{ all: Array, byLocation: Map<string, Array> }>} anomalies, newest first
+ */
+async function detectAnomalies(index) {
+  const measured = (r) => !r.isSynthetic;
+  const pause = pacer();
+  const all = [];
+
+  for (const [name, yearly] of index.byLocation) {
+    if (!jumpCache.has(yearly)) jumpCache.set(yearly, detectJumps(yearly.filter(measured)));
+    all.push(...jumpCache.get(yearly));
+    const stored = index.records.get(name) || [];
+    if (!seasonalCache.has(stored)) {
+      const records = stored.filter(measured);
+      seasonalCache.set(stored, records.some((r) => r.observationDate)
+        ? [...detectSeasonal(seriesFor(records, 'seasonal'), (r) => r.season),
+          ...detectSeasonal(seriesFor(records, 'monthly'), (r) => r.month)]
+        : []);
+    }
+    all.push(...seasonalCache.get(stored));
+    await pause();
+  }
+  const neighbours = await neighboursFor(index.locationByName, pause);
+  for (const [year, entries] of index.byYear) {
+    all.push(...await detectSpatial(year, entries.filter(measured), neighbours, pause));
+  }
+
+  all.sort((a, b) => b.year - a.year || Math.abs(b.score) - Math.abs(a.score));
+  const byLocation = new Map();
+  for (const a of all) {
+    if (!byLocation.has(a.location)) byLocation.set(a.location, []);
+    byLocation.get(a.location).push(a);
+  }
+  return { all, byLocation };
+}
+
+/**
+ * Count anomalies by type, field and severity
+ */
+function summarizeAnomalies(anomalies) {
+  const summary = { total: anomalies.length, byType: {}, byField: {}, bySeverity: {} };
+  for (const a of anomalies) {
+    summary.byType[a.type] = (summary.byType[a.type] || 0) + 1;
+    summary.byField[a.field] = (summary.byField[a.field] || 0) + 1;
+    summary.bySeverity[a.severity] = (summary.bySeverity[a.severity] || 0) + 1;
+  }
+  return summary;
+}
+
+module.exports = {
+  ANOMALY_FIELDS,
+  ANOMALY_TYPES,
+  ROBUST_Z_THRESHOLD,
+  detectAnomalies,
+  summarizeAnomalies,
+};
@@ -0,0 +1,182 @@
+/**
+ * Query Benchmark
+ * Compares the indexed dataStore queries against the full-array scans they
+ * replaced, on a generated dataset of many stations × many years.
+ *
+ * Usage: npm run bench -- [--stations 3000] [--years 10] [--runs 5]
+ */
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const store = require('../dataStore');
+const { calculateWaterScore, getStatus } = require('./waterScore');
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? parseInt(process.argv[i + 1], 10) : fallback;
+}
+
+const STATIONS = argValue('stations', 3000);
+const YEARS = argValue('years', 10);
+const RUNS = argValue('runs', 5);
+const FIRST_YEAR = 2012;
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+}
+
+function generateDataset() {
+  const waterData = [];
+  const locations = [];
+  for (let s = 0; s < STATIONS; s++) {
+    const name = `Station ${s}`;
+    locations.push({
+      name,
+      latitude: +(19.5 + random()).toFixed(4),
+      longitude: +(73.5 + random()).toFixed(4),
+      district: 'Nashik',
+      state: 'Maharashtra',
+    });
+    for (let y = 0; y < YEARS; y++) {
+      waterData.push({
+        location: name,
+        year: FIRST_YEAR + y,
+        consumption: Math.round(600 + random() * 400),
+        perCapitaUsage: Math.round(100 + random() * 80),
+        agriculturalUsage: Math.round(200 + random() * 200),
+        industrialUsage: Math.round(100 + random() * 150),
+        householdUsage: Math.round(150 + random() * 150),
+        rainfall: Math.round(500 + random() * 700),
+        depletionRate: +(1 + random() * 6).toFixed(2),
+        scarcityLevel: ['Low', 'Moderate', 'High', 'Severe'][Math.floor(random() * 4)],
+        ph: +(6.2 + random() * 2).toFixed(2),
+        groundwaterLevel: +(5 + random() * 12).toFixed(2),
+        isSynthetic: false,
+      });
+    }
+  }
+  // Shuffle so records are not already grouped by station
+  for (let i = waterData.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [waterData[i], waterData[j]] = [waterData[j], waterData[i]];
+  }
+  return { waterData, locations };
+}
+
+/* ─── The scan-based queries the indexes replaced ─── */
+
+function scanQueries({ waterData, locations }) {
+  function getWaterByLocation(name) {
+    return waterData.filter((d) => d.location === name).sort((a, b) => a.year - b.year);
+  }
+
+  function latestMap() {
+    const map = {};
+    for (const d of waterData) {
+      if (!map[d.location] || d.year > map[d.location].year) map[d.location] = d;
+    }
+    return map;
+  }
+
+  return {
+    getWaterByLocation,
+    getOverviewData() {
+      const locMap = {};
+      for (const l of locations) locMap[l.name] = { latitude: l.latitude, longitude: l.longitude };
+      return Object.values(latestMap()).map((d) => {
+        const score = calculateWaterScore(d);
+        return { location: d.location, waterScore: score, status: getStatus(score), coordinates: locMap[d.location] };
+      });
+    },
+    getRankings() {
+      return Object.values(latestMap()).map((d) => {
+        const enriched = store.enrichRecord(d);
+        const records = getWaterByLocation(d.location);
+        const prev = records.length >= 2 ? calculateWaterScore(records[records.length - 2]) : enriched.waterScore;
+        return { location: d.location, waterScore: enriched.waterScore, trend: enriched.waterScore - prev };
+      }).sort((a, b) => b.waterScore - a.waterScore);
+    },
+    getHeatmapData() {
+      return Object.values(latestMap()).map((d) => {
+        const loc = locations.find((l) => l.name === d.location);
+        const score = calculateWaterScore(d);
+        return { lat: loc.latitude, lng: loc.longitude, waterScore: score, status: getStatus(score) };
+      });
+    },
+  };
+}
+
+/* ─── Timing ─── */
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function time(fn) {
+  const samples = [];
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return median(samples);
+}
+
+async function main() {
+  const dataset = generateDataset();
+  console.log(`📊 Benchmark: ${STATIONS} stations × ${YEARS} years = ${dataset.waterData.length} records, median of ${RUNS} runs\n`);
+
+  const adapter = createMemoryAdapter();
+  await adapter.replaceDataset(dataset);
+  store.setStorage(adapter);
+  const originalLog = console.log;
+  console.log = () => {}; // keep loadData quiet
+  await store.loadData();
+  console.log = originalLog;
+
+  const scan = scanQueries(dataset);
+  const sampleNames = dataset.locations.slice(0, 200).map((l) => l.name);
+
+  const cases = [
+    ['getOverviewData', () => scan.getOverviewData(), () => store.getOverviewData()],
+    ['getRankings', () => scan.getRankings(), () => store.getRankings()],
+    ['getHeatmapData', () => scan.getHeatmapData(), () => store.getHeatmapData()],
+    [
+      `getWaterByLocation ×${sampleNames.length}`,
+      () => sampleNames.forEach((n) => scan.getWaterByLocation(n)),
+      () => sampleNames.forEach((n) => store.getWaterByLocation(n)),
+    ],
+  ];
+
+  const rows = [];
+  for (const [name, before, after] of cases) {
+    const scanMs = await time(before);
+    const indexedMs = await time(after);
+    rows.push({
+      query: name,
+      'scan (ms)': +scanMs.toFixed(2),
+      'indexed (ms)': +indexedMs.toFixed(2),
+      speedup: `${(scanMs / Math.max(indexedMs, 0.001)).toFixed(1)}×`,
+    });
+  }
+  console.table(rows);
+
+  // Ingest one new year for every station: the indexes update incrementally
+  const nextYear = dataset.waterData
+    .filter((r) => r.year === FIRST_YEAR + YEARS - 1)
+    .map((r) => ({ ...r, year: FIRST_YEAR + YEARS }));
+  const start = process.hrtime.bigint();
+  await store.addWaterData(nextYear, { source: 'benchmark' });
+  const ingestMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`\n📥 Ingested ${nextYear.length} records (one new year) in ${ingestMs.toFixed(1)} ms`);
+
+  const rankingsMs = await time(() => store.getRankings());
+  console.log(`🏆 getRankings after ingest: ${rankingsMs.toFixed(2)} ms`);
+}
+
+main().catch((err) => {
+  console.error('❌ Benchmark failed:', err);
+  process.exit(1);
+});
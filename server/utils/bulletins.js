@@ -0,0 +1,364 @@
+/**
+ * Government Bulletins
+ * Advisories published by district staff (see utils/staffAuth) — what the
+ * Government Updates panels show, next to the summaries generated from the
+ * data.
+ *
+ * Bulletin shape:
+ *   { id, title, body, source,              // source: the issuing office, e.g. "CGWB Central Region"
+ *     reference,                            // order or circular number, optional
+ *     priority: 'normal' | 'high',
+ *     scope: 'district' | 'taluka' | 'location',
+ *     targets: ['Igatpuri', …],             // names within the scope; empty = every district
+ *     status: 'draft' | 'published',
+ *     publishAt, expiresAt,                 // validity window (ISO); no expiry = until expired by hand
+ *     links: [{ name, url }],
+ *     attachments: [{ id, name, contentType, size, uploadedAt }],
+ *     history: [{ at, by, action }],
+ *     createdBy, createdAt, updatedBy, updatedAt }
+ *
+ * A published bulletin is `scheduled` until publishAt, `active` until
+ * expiresAt and `expired` after it. Attachment contents are stored apart from
+ * the bulletin and read only when downloaded. Bulletins are held in memory
+ * and written through to storage.
+ */
+const crypto = require('crypto');
+const path = require('path');
+
+const BULLETINS_COLLECTION = 'bulletins';
+const FILES_COLLECTION = 'bulletinfiles';
+const BULLETIN_SCOPES = ['district', 'taluka', 'location'];
+const BULLETIN_PRIORITIES = ['normal', 'high'];
+const BULLETIN_STATUSES = ['draft', 'published'];
+const BULLETIN_STATES = ['draft', 'scheduled', 'active', 'expired'];
+const MAX_LINKS = 10;
+const MAX_ATTACHMENTS = 10;
+const MAX_HISTORY = 50;
+// Stored inline as base64, so kept well under MongoDB's 16MB document limit
+const ATTACHMENT_MAX_BYTES = Math.min(parseFloat(process.env.BULLETIN_ATTACHMENT_MAX_MB) || 5, 10) * 1024 * 1024;
+
+const ATTACHMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+};
+
+let adapter = null;
+let bulletins = new Map(); // id → bulletin
+let signature = '';        // detects changes written by other instances
+
+/**
+ * Load bulletins from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when they differ from what was held before
+ */
+async function loadBulletins(storageAdapter) {
+  adapter = storageAdapter;
+  const docs = await adapter.collection(BULLETINS_COLLECTION).list();
+  const next = docs.map((d) => `${d.id}@${d.updatedAt}`).sort().join(',');
+  if (next === signature) return false;
+  signature = next;
+  bulletins = new Map(docs.map((d) => [d.id, d]));
+  return true;
+}
+
+/**
+ * Where a bulletin stands at a moment.
+ * @returns {string} one of BULLETIN_STATES
+ */
+function bulletinState(b, now = Date.now()) {
+  if (b.status !== 'published') return 'draft';
+  if (b.publishAt && Date.parse(b.publishAt) > now) return 'scheduled';
+  if (b.expiresAt && Date.parse(b.expiresAt) <= now) return 'expired';
+  return 'active';
+}
+
+const isText = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.trim().length <= max;
+const isDate = (v) => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+const blank = (v) => v === undefined || v === null || v === '';
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check a bulletin.
+ * @param {Object} b
+ * @param {Function} [exists] - (scope, name) => whether the dataset knows the target
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateBulletin(b, exists = () => true) {
+  if (!b || typeof b !== 'object') return ['Request body is required'];
+  const problems = [];
+  if (!isText(b.title, 200)) problems.push('title is required (at most 200 characters)');
+  if (!isText(b.body, 5000)) problems.push('body is required (at most 5000 characters)');
+  if (!isText(b.source, 120)) problems.push('source (the issuing office) is required (at most 120 characters)');
+  if (!blank(b.reference) && !isText(b.reference, 120)) problems.push('reference must be at most 120 characters');
+  if (!blank(b.priority) && !BULLETIN_PRIORITIES.includes(b.priority)) {
+    problems.push(`priority must be one of ${BULLETIN_PRIORITIES.join(', ')}`);
+  }
+  if (!blank(b.status) && !BULLETIN_STATUSES.includes(b.status)) {
+    problems.push(`status must be one of ${BULLETIN_STATUSES.join(', ')}`);
+  }
+
+  if (!BULLETIN_SCOPES.includes(b.scope)) {
+    problems.push(`scope must be one of ${BULLETIN_SCOPES.join(', ')}`);
+  } else if (!blank(b.targets) && (!Array.isArray(b.targets) || !b.targets.every((t) => typeof t === 'string'))) {
+    problems.push('targets must be a list of names');
+  } else {
+    const targets = (b.targets || []).map((t) => t.trim()).filter(Boolean);
+    if (b.scope !== 'district' && !targets.length) problems.push(`A ${b.scope} bulletin needs at least one target`);
+    for (const target of targets) {
+      if (!exists(b.scope, target)) problems.push(`Unknown ${b.scope}: ${target}`);
+    }
+  }
+
+  if (!blank(b.publishAt) && !isDate(b.publishAt)) problems.push('publishAt must be a date');
+  if (!blank(b.expiresAt) && !isDate(b.expiresAt)) problems.push('expiresAt must be a date');
+  if (isDate(b.publishAt) && isDate(b.expiresAt) && Date.parse(b.expiresAt) < Date.parse(b.publishAt)) {
+    problems.push('expiresAt must not be before publishAt');
+  }
+
+  if (!blank(b.links)) {
+    if (!Array.isArray(b.links)) {
+      problems.push('links must be a list of { name, url }');
+    } else {
+      if (b.links.length > MAX_LINKS) problems.push(`At most ${MAX_LINKS} links`);
+      b.links.forEach((l, i) => {
+        if (!l || !isHttpUrl(l.url)) problems.push(`links[${i}].url must be an http(s) URL`);
+        else if (!blank(l.name) && !isText(l.name, 120)) problems.push(`links[${i}].name must be at most 120 characters`);
+      });
+    }
+  }
+  return problems;
+}
+
+const isoOrNull = (v) => (blank(v) ? null : new Date(v).toISOString());
+
+/** Trim text and fill optional fields. Call after validation. */
+function normalizeBulletin(b) {
+  return {
+    ...b,
+    title: b.title.trim(),
+    body: b.body.trim(),
+    source: b.source.trim(),
+    reference: blank(b.reference) ? '' : b.reference.trim(),
+    priority: b.priority || 'normal',
+    status: b.status || 'draft',
+    targets: [...new Set((b.targets || []).map((t) => t.trim()).filter(Boolean))],
+    publishAt: isoOrNull(b.publishAt),
+    expiresAt: isoOrNull(b.expiresAt),
+    links: (b.links || []).map((l) => ({ name: blank(l.name) ? l.url : l.name.trim(), url: l.url })),
+    attachments: b.attachments || [],
+    history: b.history || [],
+  };
+}
+
+/** A bulletin with its current state */
+function withState(b, now = Date.now()) {
+  return { ...b, state: bulletinState(b, now) };
+}
+
+/**
+ * Every bulletin, most recently published (or edited) first.
+ * @param {Object} [filters] - { state }
+ */
+function listBulletins({ state } = {}) {
+  const now = Date.now();
+  return [...bulletins.values()]
+    .map((b) => withState(b, now))
+    .filter((b) => !state || b.state === state)
+    .sort((a, b) => (b.publishAt || b.updatedAt).localeCompare(a.publishAt || a.updatedAt));
+}
+
+/** @returns {Object|null} */
+function getBulletin(id) {
+  const b = bulletins.get(id);
+  return b ? withState(b) : null;
+}
+
+/** Counts by state */
+function bulletinCounts() {
+  const counts = Object.fromEntries(BULLETIN_STATES.map((s) => [s, 0]));
+  for (const b of bulletins.values()) counts[bulletinState(b)]++;
+  return counts;
+}
+
+/**
+ * Whether a bulletin is addressed to a place.
+ * @param {Object} b
+ * @param {Object|null} place - A location ({ name, taluka, district }), or
+ *   null for the district-wide feed, which carries district bulletins only
+ */
+function addressedTo(b, place) {
+  if (b.scope === 'district') return !place || !b.targets.length || b.targets.includes(place.district);
+  if (!place) return false;
+  return b.targets.includes(b.scope === 'taluka' ? place.taluka : place.name);
+}
+
+/**
+ * Active bulletins for a place, high priority first, then newest first.
+ * @param {Object|null} place - See addressedTo
+ */
+function activeBulletinsFor(place) {
+  const now = Date.now();
+  return [...bulletins.values()]
+    .filter((b) => bulletinState(b, now) === 'active' && addressedTo(b, place))
+    .sort((a, b) => (a.priority === b.priority ? b.publishAt.localeCompare(a.publishAt) : a.priority === 'high' ? -1 : 1));
+}
+
+/**
+ * Save a bulletin, recording who did what.
+ * @param {Object} b - A normalized bulletin
+ * @param {string} by - Staff name
+ * @param {string} action - For the history, e.g. 'created', 'published'
+ */
+async function saveBulletin(b, by, action) {
+  const now = new Date().toISOString();
+  const { state, ...doc } = b; // state is derived, never stored
+  if (doc.status === 'published' && !doc.publishAt) doc.publishAt = now;
+  doc.history = [...(doc.history || []), { at: now, by, action }].slice(-MAX_HISTORY);
+  doc.updatedBy = by;
+  doc.updatedAt = now;
+  await adapter.collection(BULLETINS_COLLECTION).put(doc);
+  bulletins.set(doc.id, doc);
+  return withState(doc);
+}
+
+/**
+ * Delete a bulletin and its attachments.
+ * @returns {Promise<boolean>} false when there is no such bulletin
+ */
+async function removeBulletin(id) {
+  const b = bulletins.get(id);
+  if (!b) return false;
+  for (const a of b.attachments) await adapter.collection(FILES_COLLECTION).remove(a.id);
+  await adapter.collection(BULLETINS_COLLECTION).remove(id);
+  bulletins.delete(id);
+  return true;
+}
+
+/**
+ * Problems with an uploaded file as a bulletin attachment.
+ * @param {Object} file - From multer: { originalname, size }
+ * @returns {string[]}
+ */
+function attachmentProblems(file) {
+  const problems = [];
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (!ATTACHMENT_TYPES[ext]) {
+    problems.push(`${file.originalname}: accepted types are ${Object.keys(ATTACHMENT_TYPES).join(', ')}`);
+  }
+  if (file.size > ATTACHMENT_MAX_BYTES) {
+    problems.push(`${file.originalname}: larger than ${ATTACHMENT_MAX_BYTES / 1024 / 1024}MB`);
+  }
+  return problems;
+}
+
+/**
+ * Store uploaded files and list them on a bulletin.
+ * @param {string} id - Bulletin id
+ * @param {Object[]} files - From multer's memory storage, already checked with attachmentProblems
+ * @param {string} by - Staff name
+ */
+async function addAttachments(id, files, by) {
+  const b = bulletins.get(id);
+  const added = [];
+  for (const file of files) {
+    const meta = {
+      id: crypto.randomUUID(),
+      name: path.basename(file.originalname),
+      contentType: ATTACHMENT_TYPES[path.extname(file.originalname).toLowerCase()],
+      size: file.size,
+      uploadedAt: new Date().toISOString(),
+    };
+    await adapter.collection(FILES_COLLECTION).put({ id: meta.id, bulletinId: id, data: file.buffer.toString('base64') });
+    added.push(meta);
+  }
+  return saveBulletin({ ...b, attachments: [...b.attachments, ...added] }, by,
+    `attached ${added.map((a) => a.name).join(', ')}`);
+}
+
+/**
+ * Remove an attachment from a bulletin.
+ * @returns {Promise<Object|null>} the bulletin, or null when it has no such attachment
+ */
+async function removeAttachment(id, attachmentId, by) {
+  const b = bulletins.get(id);
+  const attachment = b && b.attachments.find((a) => a.id === attachmentId);
+  if (!attachment) return null;
+  await adapter.collection(FILES_COLLECTION).remove(attachmentId);
+  return saveBulletin({ ...b, attachments: b.attachments.filter((a) => a.id !== attachmentId) }, by,
+    `removed ${attachment.name}`);
+}
+
+/**
+ * An attachment's details and contents.
+ * @returns {Promise<Object|null>} { attachment, content: Buffer }, or null when unknown
+ */
+async function readAttachment(id, attachmentId) {
+  const b = bulletins.get(id);
+  const attachment = b && b.attachments.find((a) => a.id === attachmentId);
+  if (!attachment) return null;
+  const file = await adapter.collection(FILES_COLLECTION).get(attachmentId);
+  if (!file) return null;
+  return { attachment, content: Buffer.from(file.data, 'base64') };
+}
+
+/** A bulletin as a Government Updates entry */
+function bulletinUpdate(b) {
+  return {
+    id: `bulletin-${b.id}`,
+    bulletinId: b.id,
+    kind: 'bulletin',
+    autoGenerated: false,
+    title: b.title,
+    body: b.body,
+    source: b.source,
+    reference: b.reference,
+    priority: b.priority,
+    scope: b.scope,
+    targets: b.targets,
+    date: b.publishAt,
+    validFrom: b.publishAt,
+    validUntil: b.expiresAt,
+    links: b.links,
+    attachments: b.attachments,
+  };
+}
+
+module.exports = {
+  BULLETIN_SCOPES,
+  BULLETIN_PRIORITIES,
+  BULLETIN_STATUSES,
+  BULLETIN_STATES,
+  ATTACHMENT_TYPES,
+  ATTACHMENT_MAX_BYTES,
+  MAX_ATTACHMENTS,
+  loadBulletins,
+  bulletinState,
+  validateBulletin,
+  normalizeBulletin,
+  listBulletins,
+  getBulletin,
+  bulletinCounts,
+  activeBulletinsFor,
+  saveBulletin,
+  removeBulletin,
+  attachmentProblems,
+  addAttachments,
+  removeAttachment,
+  readAttachment,
+  bulletinUpdate,
+};
@@ -0,0 +1,188 @@
+/**
+ * Column Mapping Profiles
+ * Map source file headers (CGWB, GSDA, taluka office exports, …) onto the
+ * internal record fields, with per-column unit conversion into the units the
+ * store uses (metres, millimetres, megalitres, litres/day).
+ *
+ * Profile shape:
+ *   { id, name, description, columns: { [field]: { source: 'Header', unit: 'ft' } } }
+ */
+
+// Standard JalRakshya CSV header → internal field
+const CSV_COLUMNS = {
+  location: 'Location',
+  year: 'Year',
+  observationDate: 'Observation Date',
+  month: 'Month',
+  season: 'Season',
+  consumption: 'Consumption (Ml)',
+  perCapitaUsage: 'Per Capita Water Usage (l/d)',
+  agriculturalUsage: 'Agricultural Water Usage (Ml)',
+  industrialUsage: 'Industrial Water Usage (Ml)',
+  householdUsage: 'Household Water Usage (Ml)',
+  rainfall: 'Rainfall (mm)',
+  depletionRate: 'Groundwater Depletion Rate (%)',
+  scarcityLevel: 'Water Scarcity Level',
+  ph: 'pH',
+  groundwaterLevel: 'Groundwater Level (m)',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  taluka: 'Taluka',
+};
+
+// Internal field → base unit and factors that convert a source unit into it
+const FIELD_UNITS = {
+  groundwaterLevel: { base: 'm', factors: { m: 1, ft: 0.3048 } },
+  rainfall: { base: 'mm', factors: { mm: 1, cm: 10, in: 25.4 } },
+  consumption: { base: 'Ml', factors: { Ml: 1, kl: 0.001, m3: 0.001, Mcm: 1000 } },
+  agriculturalUsage: { base: 'Ml', factors: { Ml: 1, kl: 0.001, m3: 0.001, Mcm: 1000 } },
+  industrialUsage: { base: 'Ml', factors: { Ml: 1, kl: 0.001, m3: 0.001, Mcm: 1000 } },
+  householdUsage: { base: 'Ml', factors: { Ml: 1, kl: 0.001, m3: 0.001, Mcm: 1000 } },
+  perCapitaUsage: { base: 'l/d', factors: { 'l/d': 1, 'kl/d': 1000, 'gal/d': 3.785 } },
+  depletionRate: { base: '%', factors: { '%': 1, fraction: 100 } },
+};
+
+const REQUIRED_FIELDS = ['location', 'year'];
+const MAPPABLE_FIELDS = Object.keys(CSV_COLUMNS);
+
+// The bundled CSV layout, always available
+const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'JalRakshya standard CSV',
+  description: 'Headers used by new_nsk_gwater.csv',
+  builtIn: true,
+  columns: Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, source]) => [
+      field,
+      { source, unit: FIELD_UNITS[field] ? FIELD_UNITS[field].base : null },
+    ])
+  ),
+};
+
+// Header keywords used to suggest a mapping from a sample file
+const FIELD_HINTS = {
+  location: [/village|location|station|site|place|name/],
+  year: [/year|yr/],
+  observationDate: [/date|observed|measured/],
+  month: [/month|^mon$/],
+  season: [/season|monsoon/],
+  consumption: [/total.*(consum|use|draft)|consumption/],
+  perCapitaUsage: [/per\s*capita|lpcd/],
+  agriculturalUsage: [/agri|irrigat/],
+  industrialUsage: [/indus/],
+  householdUsage: [/house|domestic/],
+  rainfall: [/rain|precip/],
+  depletionRate: [/deplet|decline/],
+  scarcityLevel: [/scarcity|category|class/],
+  ph: [/^ph\b|\bph\b/],
+  groundwaterLevel: [/level|depth|dtw|water\s*table/],
+  latitude: [/^lat|latitude/],
+  longitude: [/^lon|^lng|longitude/],
+  taluka: [/taluka|tehsil|block/],
+};
+
+// Unit written into a header, e.g. "Depth (ft)" or "Rainfall [cm]"
+const UNIT_HINTS = [
+  [/\b(ft|feet|foot)\b/, 'ft'],
+  [/\bm(bgl)?\b|metre|meter/, 'm'],
+  [/\bcm\b/, 'cm'],
+  [/\bmm\b/, 'mm'],
+  [/\binch(es)?\b|\bin\b/, 'in'],
+  [/\bmcm\b/, 'Mcm'],
+  [/\bkl\b|kilolit/, 'kl'],
+  [/\bm3\b|cubic/, 'm3'],
+  [/\bml\b|megalit/, 'Ml'],
+  [/lpcd|l\/d/, 'l/d'],
+];
+
+/**
+ * Check a profile before saving.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateProfile(profile) {
+  const problems = [];
+  if (!profile || typeof profile !== 'object') return ['Profile body is required'];
+  if (profile.name != null && typeof profile.name !== 'string') problems.push('name must be a string');
+  else if (!(profile.name || '').trim()) problems.push('name is required');
+  const isObject = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+  if (profile.columns != null && !isObject(profile.columns)) {
+    return [...problems, 'columns must be an object of field → { source, unit }'];
+  }
+  const columns = profile.columns || {};
+  const mapped = (field) => isObject(columns[field]) && columns[field].source;
+  for (const field of REQUIRED_FIELDS) {
+    // An observation date column can stand in for the year
+    if (field === 'year' && mapped('observationDate')) continue;
+    if (!mapped(field)) problems.push(`${field} must be mapped to a source column`);
+  }
+  for (const [field, col] of Object.entries(columns)) {
+    if (!MAPPABLE_FIELDS.includes(field)) {
+      problems.push(`Unknown field "${field}"`);
+      continue;
+    }
+    if (!isObject(col)) {
+      problems.push(`${field} must be an object with a source column`);
+      continue;
+    }
+    if (col.source != null && typeof col.source !== 'string') problems.push(`${field}.source must be a column name`);
+    if (col.unit && !(FIELD_UNITS[field] && Object.hasOwn(FIELD_UNITS[field].factors, col.unit))) {
+      const allowed = FIELD_UNITS[field] ? Object.keys(FIELD_UNITS[field].factors).join(', ') : 'none';
+      problems.push(`Unit "${col.unit}" is not supported for ${field} (allowed: ${allowed})`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Map a raw row (keyed by source header) to internal fields, converting units.
+ * Unparseable numbers are passed through untouched so validation can reject them.
+ */
+function applyMapping(raw, profile = DEFAULT_PROFILE) {
+  const mapped = {};
+  for (const [field, col] of Object.entries(profile.columns)) {
+    if (!col || !col.source) continue;
+    let value = raw[col.source];
+    const units = FIELD_UNITS[field];
+    if (units && col.unit && col.unit !== units.base && value !== undefined && String(value).trim() !== '') {
+      const num = Number(String(value).trim());
+      if (Number.isFinite(num)) value = +(num * units.factors[col.unit]).toFixed(4);
+    }
+    mapped[field] = value;
+  }
+  return mapped;
+}
+
+/**
+ * Suggest a profile from a sample file's headers
+ * @param {string[]} headers
+ */
+function suggestMapping(headers) {
+  const columns = {};
+  const used = new Set();
+  for (const field of MAPPABLE_FIELDS) {
+    // Exact match on the standard header first, then keyword hints
+    const exact = headers.find((h) => h === CSV_COLUMNS[field]);
+    const header = exact || headers.find((h) => !used.has(h) && FIELD_HINTS[field].some((re) => re.test(h.toLowerCase())));
+    if (!header) continue;
+    used.add(header);
+
+    let unit = FIELD_UNITS[field] ? FIELD_UNITS[field].base : null;
+    if (FIELD_UNITS[field]) {
+      const hit = UNIT_HINTS.find(([re, u]) => re.test(header.toLowerCase()) && FIELD_UNITS[field].factors[u]);
+      if (hit) unit = hit[1];
+    }
+    columns[field] = { source: header, unit };
+  }
+  return { name: '', description: '', columns };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  DEFAULT_PROFILE,
+  FIELD_UNITS,
+  MAPPABLE_FIELDS,
+  REQUIRED_FIELDS,
+  validateProfile,
+  applyMapping,
+  suggestMapping,
+};
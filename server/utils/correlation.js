@@ -0,0 +1,149 @@
+/**
+ * Correlation & Driver Analysis
+ * Quantifies how rainfall, each usage category, depletion and groundwater
+ * level move together:
+ *
+ *   pearson   – linear correlation r, with the least-squares line
+ *   spearman  – rank correlation ρ (monotonic, robust to outliers)
+ *   lagged    – r between a driver now and a response k periods later,
+ *               e.g. this year's rainfall against next year's water level
+ *
+ * Significance is the two-sided p-value of t = r·√((n−2)/(1−r²)) on n−2
+ * degrees of freedom. Several series (every location of a district) can be
+ * pooled: same-period pairs are pooled across locations, and lagged pairs are
+ * only ever formed within one location's series.
+ */
+const { tTestPValue, ranks } = require('./statistics');
+
+const CORRELATION_VARIABLES = {
+  rainfall: { label: 'Rainfall', unit: 'mm' },
+  agriculturalUsage: { label: 'Agricultural usage', unit: 'Ml' },
+  industrialUsage: { label: 'Industrial usage', unit: 'Ml' },
+  householdUsage: { label: 'Household usage', unit: 'Ml' },
+  depletionRate: { label: 'Depletion rate', unit: '%' },
+  groundwaterLevel: { label: 'Water level', unit: 'm' },
+};
+const DRIVERS = ['rainfall', 'agriculturalUsage', 'industrialUsage', 'householdUsage'];
+const RESPONSES = ['groundwaterLevel', 'depletionRate'];
+
+const MIN_PAIRS = 4;
+const MAX_LAG = 3;
+const SIGNIFICANCE = 0.05;
+
+const round = (n, d = 4) => +n.toFixed(d);
+const hasValue = (r, key) => typeof r[key] === 'number' && Number.isFinite(r[key]);
+
+function pearsonOf(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((s, v) => s + v, 0) / n;
+  const my = ys.reduce((s, v) => s + v, 0) / n;
+  let sxy = 0; let sxx = 0; let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (!sxx || !syy) return null; // a constant variable has no correlation
+  const slope = sxy / sxx;
+  return { r: sxy / Math.sqrt(sxx * syy), slope, intercept: my - slope * mx };
+}
+
+function pValueOf(r, n) {
+  if (Math.abs(r) >= 1) return 0;
+  return tTestPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+}
+
+/**
+ * Correlation of paired samples
+ * @param {Array<[number, number]>} pairs
+ * @param {string} method - pearson | spearman
+ * @returns {{ r, p, n, significant, slope?, intercept? }} r and p null when undefined
+ */
+function correlate(pairs, method = 'pearson') {
+  const n = pairs.length;
+  if (n < MIN_PAIRS) return { r: null, p: null, n, significant: false };
+  let xs = pairs.map((p) => p[0]);
+  let ys = pairs.map((p) => p[1]);
+  if (method === 'spearman') {
+    xs = ranks(xs);
+    ys = ranks(ys);
+  }
+  const fit = pearsonOf(xs, ys);
+  if (!fit) return { r: null, p: null, n, significant: false };
+  const p = pValueOf(fit.r, n);
+  return {
+    r: round(fit.r, 3),
+    p: round(p, 4),
+    n,
+    significant: p < SIGNIFICANCE,
+    ...(method === 'pearson' && { slope: round(fit.slope), intercept: round(fit.intercept) }),
+  };
+}
+
+/**
+ * Pairs of `x` and `y` from entries `lag` periods apart, within each series
+ * @param {Array<Array>} seriesList - One series (oldest first) per location
+ */
+function pairsOf(seriesList, x, y, lag = 0) {
+  const pairs = [];
+  for (const series of seriesList) {
+    for (let i = 0; i + lag < series.length; i++) {
+      const a = series[i];
+      const b = series[i + lag];
+      if (hasValue(a, x) && hasValue(b, y)) pairs.push([a[x], b[y]]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Full correlation analysis over one or more series
+ * @param {Array<Array>} seriesList - One series (oldest first) per location
+ * @param {Object} [options] - { maxLag }
+ */
+function analyzeCorrelations(seriesList, { maxLag = MAX_LAG } = {}) {
+  const keys = Object.keys(CORRELATION_VARIABLES);
+  const matrix = { pearson: {}, spearman: {} };
+  for (const method of Object.keys(matrix)) {
+    for (const x of keys) {
+      matrix[method][x] = {};
+      for (const y of keys) {
+        matrix[method][x][y] = x === y
+          ? { r: 1, p: 0, n: pairsOf(seriesList, x, y).length, significant: true }
+          : correlate(pairsOf(seriesList, x, y), method);
+      }
+    }
+  }
+
+  // Each driver (and depletion) against the water level / depletion that follows it
+  const lagged = [];
+  for (const response of RESPONSES) {
+    for (const driver of [...DRIVERS, ...RESPONSES.filter((r) => r !== response)]) {
+      const lags = [];
+      for (let lag = 0; lag <= maxLag; lag++) {
+        lags.push({ lag, ...correlate(pairsOf(seriesList, driver, response, lag), 'pearson') });
+      }
+      const strongest = lags
+        .filter((l) => l.significant)
+        .sort((a, b) => Math.abs(b.r) - Math.abs(a.r))[0];
+      lagged.push({ driver, response, lags, strongestLag: strongest ? strongest.lag : null });
+    }
+  }
+
+  return {
+    variables: keys.map((key) => ({ key, ...CORRELATION_VARIABLES[key] })),
+    series: seriesList.length,
+    observations: seriesList.reduce((s, list) => s + list.length, 0),
+    minPairs: MIN_PAIRS,
+    significanceLevel: SIGNIFICANCE,
+    maxLag,
+    matrix,
+    lagged,
+  };
+}
+
+module.exports = {
+  CORRELATION_VARIABLES,
+  MAX_LAG,
+  analyzeCorrelations,
+};
@@ -1,47 +1,86 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { createValidationReport } = require('./recordValidator');
+const { DEFAULT_PROFILE } = require('./columnMapping');
+
+const PROGRESS_EVERY = 1000; // rows between progress callbacks
 
 /**
- * Parse a CSV file and return rows as an array of objects
+ * Parse and validate a CSV file.
+ * Row numbers are 1-based file lines (the header is line 1).
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Column mapping profile (standard headers by default)
+ * @param {Function} [options.onProgress] - Called every PROGRESS_EVERY rows with
+ *   { processedRows, accepted, rejected, bytesRead, totalBytes }
+ * @returns {Promise<{ rows: Array, locations: Array, report: Object }>}
+ *   rows   – validated records ready for the store
+ *   report – { totalRows, acceptedCount, rejectedCount, warningCount, truncated,
+ *            accepted, rejected, warnings } with row numbers and reasons (the
+ *            lists hold the first MAX_REPORT_ENTRIES of each)
  */
-function parseCSV(filePath) {
+function parseCSVWithReport(filePath, { profile = DEFAULT_PROFILE, onProgress } = {}) {
   return new Promise((resolve, reject) => {
-    const results = [];
     const fullPath = path.resolve(filePath);
 
     if (!fs.existsSync(fullPath)) {
       return reject(new Error(`CSV file not found: ${fullPath}`));
     }
 
-    fs.createReadStream(fullPath)
+    const collector = createValidationReport(profile);
+    const totalBytes = fs.statSync(fullPath).size;
+    const stream = fs.createReadStream(fullPath);
+    let rowNumber = 1;
+
+    stream
       .pipe(csv())
-      .on('data', (row) => {
-        const cleaned = {
-          location: (row['Location'] || '').trim(),
-          year: parseInt(row['Year'], 10),
-          consumption: parseFloat(row['Consumption (Ml)']) || 0,
-          perCapitaUsage: parseFloat(row['Per Capita Water Usage (l/d)']) || 0,
-          agriculturalUsage: parseFloat(row['Agricultural Water Usage (Ml)']) || 0,
-          industrialUsage: parseFloat(row['Industrial Water Usage (Ml)']) || 0,
-          householdUsage: parseFloat(row['Household Water Usage (Ml)']) || 0,
-          rainfall: parseFloat(row['Rainfall (mm)']) || 0,
-          depletionRate: parseFloat(row['Groundwater Depletion Rate (%)']) || 0,
-          scarcityLevel: (row['Water Scarcity Level'] || 'Moderate').trim(),
-          ph: parseFloat(row['pH']) || 7.0,
-          groundwaterLevel: parseFloat(row['Groundwater Level (m)']) || 0,
-          latitude: parseFloat(row['Latitude']) || null,
-          longitude: parseFloat(row['Longitude']) || null,
-          lastUpdated: new Date(),
-        };
-
-        if (cleaned.location && !isNaN(cleaned.year)) {
-          results.push(cleaned);
+      .on('data', (raw) => {
+        rowNumber++;
+        collector.add(raw, { row: rowNumber });
+        if (onProgress && rowNumber % PROGRESS_EVERY === 0) {
+          onProgress({ ...collector.counts(), bytesRead: stream.bytesRead, totalBytes });
         }
       })
-      .on('end', () => resolve(results))
+      .on('end', () => resolve(collector.finish()))
       .on('error', (err) => reject(err));
   });
 }
 
-module.exports = { parseCSV };
+/**
+ * Parse a CSV file and return validated rows as an array of objects.
+ * Rejected rows are logged and skipped — use parseCSVWithReport for details.
+ */
+async function parseCSV(filePath) {
+  const { rows, report } = await parseCSVWithReport(filePath);
+  if (report.rejectedCount) {
+    console.warn(`⚠️  ${report.rejectedCount} invalid row(s) skipped in ${path.basename(filePath)}`);
+  }
+  return rows;
+}
+
+/**
+ * Read the header row and the first few data rows of a CSV file,
+ * for building a column mapping from a sample.
+ */
+function readCSVSample(filePath, limit = 5) {
+  return new Promise((resolve, reject) => {
+    let headers = [];
+    const rows = [];
+    const stream = fs.createReadStream(path.resolve(filePath));
+    const parser = csv();
+    parser
+      .on('headers', (h) => { headers = h; })
+      .on('data', (row) => {
+        if (rows.length < limit) rows.push(row);
+        if (rows.length >= limit) stream.destroy();
+      })
+      .on('end', () => resolve({ headers, rows }))
+      .on('error', reject);
+    stream.on('close', () => resolve({ headers, rows }));
+    stream.on('error', reject);
+    stream.pipe(parser);
+  });
+}
+
+module.exports = { parseCSV, parseCSVWithReport, readCSVSample, PROGRESS_EVERY };
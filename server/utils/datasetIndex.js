@@ -0,0 +1,88 @@
+/**
+ * Dataset Index
+ * Secondary indexes over a dataset version so queries avoid full-array scans:
+ *   records        – location → every stored record (annual and dated observations)
+ *   byLocation     – location → yearly series, sorted by year
+ *   byYear         – year → yearly series entries of that year
+ *   latest         – location → most recent yearly entry
+ *   locationByName – location name → location document
+ * Yearly entries are the annual record where there is one, otherwise an
+ * aggregate of that year's observations (see utils/granularity).
+ * Indexes are treated as immutable: updateIndex returns a new index that
+ * shares every untouched entry with the previous one, so views over older
+ * dataset versions keep working.
+ */
+const { recordKey, seriesFor } = require('./granularity');
+
+function groupBy(records, keyOf) {
+  const groups = new Map();
+  for (const r of records) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return groups;
+}
+
+/**
+ * Build every index from scratch — O(n log n) in the number of records
+ * @param {Array} waterData
+ * @param {Array} locations
+ */
+function buildIndex(waterData, locations) {
+  const records = groupBy(waterData, (r) => r.location);
+  const byLocation = new Map();
+  const latest = new Map();
+  for (const [name, group] of records) {
+    const yearly = seriesFor(group, 'yearly');
+    byLocation.set(name, yearly);
+    latest.set(name, yearly[yearly.length - 1]);
+  }
+  return {
+    records,
+    byLocation,
+    byYear: groupBy([...byLocation.values()].flat(), (r) => r.year),
+    latest,
+    locationByName: new Map(locations.map((l) => [l.name, l])),
+  };
+}
+
+/**
+ * Apply upserted records (keyed by location+year+observation date) to an index.
+ * Only the locations and years present in `rows` are rebuilt.
+ * @param {Object} prev - Index of the dataset before the upsert
+ * @param {Array} rows - Incoming records, at most one per key
+ * @param {Array} locations - Location list after the upsert
+ */
+function updateIndex(prev, rows, locations) {
+  const records = new Map(prev.records);
+  const byLocation = new Map(prev.byLocation);
+  const byYear = new Map(prev.byYear);
+  const latest = new Map(prev.latest);
+
+  for (const [name, incoming] of groupBy(rows, (r) => r.location)) {
+    const keys = new Set(incoming.map(recordKey));
+    const group = [...(records.get(name) || []).filter((r) => !keys.has(recordKey(r))), ...incoming];
+    const yearly = seriesFor(group, 'yearly');
+    records.set(name, group);
+    byLocation.set(name, yearly);
+    latest.set(name, yearly[yearly.length - 1]);
+  }
+
+  // Replace the touched locations' entries in every touched year
+  for (const [year, incoming] of groupBy(rows, (r) => r.year)) {
+    const names = new Set(incoming.map((r) => r.location));
+    const fresh = [...names].map((name) => byLocation.get(name).find((r) => r.year === year));
+    byYear.set(year, [...(byYear.get(year) || []).filter((r) => !names.has(r.location)), ...fresh]);
+  }
+
+  return {
+    records,
+    byLocation,
+    byYear,
+    latest,
+    locationByName: new Map(locations.map((l) => [l.name, l])),
+  };
+}
+
+module.exports = { buildIndex, updateIndex };
@@ -0,0 +1,14 @@
+const store = require('../dataStore');
+
+/**
+ * Resolve the dataset view a read request should use: the version named by
+ * ?version=, or the live dataset when absent. Tags the response with
+ * X-Dataset-Version so any report can be reproduced later.
+ */
+async function resolveView(req, res) {
+  const view = await store.atVersion(req.query.version);
+  res.set('X-Dataset-Version', String(view.version));
+  return view;
+}
+
+module.exports = { resolveView };
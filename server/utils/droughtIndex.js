@@ -0,0 +1,93 @@
+/**
+ * Drought Index — Standardized Precipitation Index (SPI)
+ * McKee et al. (1993): fit a gamma distribution to a location's rainfall
+ * climatology, read off the cumulative probability of a period's rainfall and
+ * map it onto the standard normal. SPI is therefore "how many standard
+ * deviations drier or wetter than normal", comparable across locations.
+ *
+ *   H(x) = q + (1 − q) · G(x; α, β)      q = share of zero-rainfall periods
+ *   SPI  = Φ⁻¹(H(x))
+ *
+ * α and β are fitted with Thom's (1958) maximum-likelihood approximation.
+ * Each period is compared with the same period in other years — a year with
+ * other years, a pre-monsoon season with other pre-monsoon seasons, a month
+ * with the same month. WMO recommends 30 years of record; shorter climatologies
+ * still yield an SPI but are flagged provisional.
+ */
+const { gammaP, inverseNormal } = require('./statistics');
+
+const MIN_SPI_SAMPLES = 6;
+const RECOMMENDED_SPI_SAMPLES = 30;
+const SPI_LIMIT = 3; // SPI is clamped to ±3 — beyond that probabilities are noise
+
+// McKee classes, driest first; `drought` is the alert / map category
+const SPI_CLASSES = [
+  { max: -2, label: 'Extremely dry', drought: 'extreme' },
+  { max: -1.5, label: 'Severely dry', drought: 'severe' },
+  { max: -1, label: 'Moderately dry', drought: 'moderate' },
+  { max: 1, label: 'Near normal', drought: null, exclusive: true },
+  { max: 1.5, label: 'Moderately wet', drought: null, exclusive: true },
+  { max: 2, label: 'Very wet', drought: null, exclusive: true },
+  { max: Infinity, label: 'Extremely wet', drought: null },
+];
+
+const DROUGHT_CATEGORIES = ['moderate', 'severe', 'extreme'];
+
+/**
+ * Fit the gamma climatology of a set of rainfall totals
+ * @param {number[]} values - Rainfall of the same period in different years (mm)
+ * @returns {Object|null} { samples, provisional, zeroFraction, alpha, beta, mean } — null when too short
+ */
+function fitClimatology(values) {
+  const rain = values.filter((v) => typeof v === 'number' && Number.isFinite(v) && v >= 0);
+  if (rain.length < MIN_SPI_SAMPLES) return null;
+  const wet = rain.filter((v) => v > 0);
+  const mean = rain.reduce((s, v) => s + v, 0) / rain.length;
+  const base = {
+    samples: rain.length,
+    provisional: rain.length < RECOMMENDED_SPI_SAMPLES,
+    zeroFraction: +((rain.length - wet.length) / rain.length).toFixed(4),
+    mean: +mean.toFixed(2),
+  };
+  if (wet.length < 2) return { ...base, alpha: null, beta: null, degenerate: true };
+
+  const wetMean = wet.reduce((s, v) => s + v, 0) / wet.length;
+  const A = Math.log(wetMean) - wet.reduce((s, v) => s + Math.log(v), 0) / wet.length;
+  // A is 0 when every wet period had the same rainfall — no spread to standardize against
+  if (A < 1e-9) return { ...base, alpha: null, beta: null, degenerate: true };
+  const alpha = (1 + Math.sqrt(1 + (4 * A) / 3)) / (4 * A);
+  return { ...base, alpha: +alpha.toFixed(6), beta: +(wetMean / alpha).toFixed(6), degenerate: false };
+}
+
+/**
+ * SPI of one rainfall value against a fitted climatology
+ * @returns {number|null}
+ */
+function computeSpi(rainfall, climatology) {
+  if (!climatology || typeof rainfall !== 'number' || !Number.isFinite(rainfall)) return null;
+  if (climatology.degenerate) return 0;
+  const q = climatology.zeroFraction;
+  const H = q + (1 - q) * gammaP(climatology.alpha, Math.max(0, rainfall) / climatology.beta);
+  const spi = inverseNormal(H);
+  return +Math.max(-SPI_LIMIT, Math.min(SPI_LIMIT, spi)).toFixed(2);
+}
+
+/**
+ * McKee class of an SPI value
+ * @returns {{ spiClass: string|null, droughtCategory: string|null }}
+ */
+function classifySpi(spi) {
+  if (spi === null || spi === undefined) return { spiClass: null, droughtCategory: null };
+  const cls = SPI_CLASSES.find((c) => (c.exclusive ? spi < c.max : spi <= c.max));
+  return { spiClass: cls.label, droughtCategory: cls.drought };
+}
+
+module.exports = {
+  MIN_SPI_SAMPLES,
+  RECOMMENDED_SPI_SAMPLES,
+  SPI_CLASSES,
+  DROUGHT_CATEGORIES,
+  fitClimatology,
+  computeSpi,
+  classifySpi,
+};
@@ -0,0 +1,237 @@
+/**
+ * Upload File Parsers
+ * Reads CSV, Excel (XLSX), JSON and GeoJSON uploads into raw rows and runs
+ * them through the same mapping + validation pipeline as CSV, so every format
+ * gets the same per-row report. CSV is streamed; workbooks are read on a
+ * worker thread.
+ */
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parseCSVWithReport, readCSVSample, PROGRESS_EVERY } = require('./csvParser');
+const { createValidationReport } = require('./recordValidator');
+const { DEFAULT_PROFILE } = require('./columnMapping');
+
+const FORMATS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.geojson': 'geojson',
+};
+
+const ACCEPTED_EXTENSIONS = Object.keys(FORMATS);
+const LEGACY_XLS = 'Excel 97–2003 workbooks (.xls) are not supported: save the file as .xlsx and upload it again';
+
+/**
+ * Upload format from a file name
+ * @returns {string|null} csv | xlsx | json | geojson
+ */
+function detectFormat(filename) {
+  return FORMATS[path.extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Why a file can't be read, for an unsupported extension
+ * @returns {Error} with status 400
+ */
+function unsupportedFormat(filePath) {
+  if (path.extname(filePath || '').toLowerCase() === '.xls') return badFile(LEGACY_XLS);
+  return badFile(`Unsupported file type. Accepted: ${ACCEPTED_EXTENSIONS.join(', ')}`);
+}
+
+function badFile(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/* ─── Excel ─── */
+
+// Heap for a workbook worker; a workbook that needs more fails on its own
+// thread instead of taking the server down with it
+const WORKBOOK_WORKER_MB = 1024;
+
+/**
+ * Read the rows of an .xlsx workbook on a worker thread, one batch at a time.
+ * The first non-blank row of a sheet is its header; blank rows are skipped.
+ * @param {Function} onBatch - (entries) => Promise|void, { raw, position } for rows of the chosen sheets
+ * @param {Object} [options] - { sheets (all by default, or the first with `firstOnly`),
+ *   limit: rows to read at most, onSheets({ names, totalRows }) }
+ * @returns {Promise<string[]>} every sheet name in the workbook
+ * @throws {Error} with status 400 for an unreadable workbook or an unknown sheet
+ */
+function readWorkbook(filePath, onBatch, { sheets, firstOnly, limit, onSheets } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'workbookWorker.js'), {
+      workerData: { filePath, sheets, firstOnly, limit, batchSize: PROGRESS_EVERY },
+      resourceLimits: { maxOldGenerationSizeMb: WORKBOOK_WORKER_MB },
+    });
+    let names = null;
+    let settled = false;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      worker.terminate();
+      if (err) reject(err);
+      else resolve(names);
+    };
+
+    worker.on('message', async (message) => {
+      try {
+        switch (message.type) {
+          case 'sheets':
+            names = message.names;
+            if (onSheets) onSheets(message);
+            break;
+          case 'rows':
+            await onBatch(message.entries);
+            if (!settled) worker.postMessage('next');
+            break;
+          case 'done':
+            finish();
+            break;
+          default: {
+            const err = new Error(message.message);
+            if (message.invalid) err.status = 400;
+            finish(err);
+          }
+        }
+      } catch (err) {
+        finish(err);
+      }
+    });
+    worker.on('error', (err) => finish(badFile(`Could not read spreadsheet: ${err.message}`)));
+    worker.on('exit', (code) => finish(new Error(`Spreadsheet reader stopped (exit code ${code})`)));
+  });
+}
+
+/**
+ * Validate the rows of the chosen sheets (all sheets by default) as the
+ * worker reads them. Positions carry the sheet name and the spreadsheet row number.
+ */
+async function readWorkbookWithReport(filePath, sheets, profile, onProgress) {
+  const collector = createValidationReport(profile);
+  let totalRows = 0;
+  await readWorkbook(filePath, async (entries) => {
+    for (const { raw, position } of entries) collector.add(raw, position);
+    if (onProgress) onProgress({ ...collector.counts(), totalRows });
+    await nextTick();
+  }, { sheets, onSheets: (info) => { totalRows = info.totalRows; } });
+  return collector.finish();
+}
+
+/* ─── JSON / GeoJSON ─── */
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw badFile(`Invalid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Raw rows from a parsed JSON document. Accepts an array of records,
+ * { records: [...] } / { data: [...] }, or a GeoJSON FeatureCollection
+ * whose feature properties are records and whose Point geometry gives coordinates.
+ * Positions are 1-based record/feature indexes.
+ */
+function jsonEntries(doc) {
+  if (doc && doc.type === 'FeatureCollection') {
+    if (!Array.isArray(doc.features)) throw badFile('GeoJSON FeatureCollection has no features array');
+    return doc.features.map((feature, i) => {
+      const raw = { ...(feature.properties || {}) };
+      const geom = feature.geometry;
+      if (geom && geom.type === 'Point' && Array.isArray(geom.coordinates)) {
+        // GeoJSON order is [longitude, latitude]
+        raw.__longitude = geom.coordinates[0];
+        raw.__latitude = geom.coordinates[1];
+      }
+      return { raw, position: { row: i + 1 } };
+    });
+  }
+
+  const records = Array.isArray(doc) ? doc : doc && (doc.records || doc.data);
+  if (!Array.isArray(records)) {
+    throw badFile('JSON must be an array of records, { "records": [...] } or a GeoJSON FeatureCollection');
+  }
+  return records.map((r, i) => ({ raw: r && typeof r === 'object' ? r : {}, position: { row: i + 1 } }));
+}
+
+/* ─── Public API ─── */
+
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Validate already-read rows, yielding to the event loop between batches so
+ * a large workbook or JSON file does not stall other requests.
+ */
+async function collect(entries, profile, onProgress) {
+  const collector = createValidationReport(profile);
+  for (let i = 0; i < entries.length; i++) {
+    collector.add(entries[i].raw, entries[i].position);
+    if ((i + 1) % PROGRESS_EVERY === 0) {
+      if (onProgress) onProgress({ ...collector.counts(), totalRows: entries.length });
+      await nextTick();
+    }
+  }
+  return collector.finish();
+}
+
+/**
+ * Parse and validate an uploaded file of any supported format.
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.format] - Overrides detection from the file name
+ * @param {Object} [options.profile] - Column mapping profile
+ * @param {string[]} [options.sheets] - XLSX sheets to read (all by default)
+ * @param {Function} [options.onProgress] - Periodic { processedRows, accepted, rejected,
+ *   and bytesRead/totalBytes (CSV) or totalRows (other formats) }
+ * @returns {Promise<{ rows: Array, locations: Array, report: Object }>}
+ *   locations – { name, latitude, longitude } from GeoJSON features without a year
+ */
+async function parseFileWithReport(filePath, { format, profile = DEFAULT_PROFILE, sheets, onProgress } = {}) {
+  const kind = format || detectFormat(filePath);
+  switch (kind) {
+    case 'csv':
+      return parseCSVWithReport(filePath, { profile, onProgress });
+    case 'xlsx':
+      return readWorkbookWithReport(filePath, sheets, profile, onProgress);
+    case 'json':
+    case 'geojson':
+      return collect(jsonEntries(readJSON(filePath)), profile, onProgress);
+    default:
+      throw unsupportedFormat(filePath);
+  }
+}
+
+/**
+ * Headers and the first few rows of an uploaded file, for building a mapping.
+ * XLSX samples read the first requested sheet and list every sheet name.
+ * @returns {Promise<{ headers: string[], rows: Object[], sheets?: string[] }>}
+ */
+async function readFileSample(filePath, { format, sheets, limit = 5 } = {}) {
+  const kind = format || detectFormat(filePath);
+  if (kind === 'csv') return readCSVSample(filePath, limit);
+
+  let entries;
+  let sheetNames;
+  if (kind === 'xlsx') {
+    entries = [];
+    const first = sheets && sheets.length ? [sheets[0]] : undefined;
+    sheetNames = await readWorkbook(filePath, (batch) => { entries.push(...batch); }, { sheets: first, firstOnly: true, limit });
+  } else if (kind === 'json' || kind === 'geojson') {
+    entries = jsonEntries(readJSON(filePath));
+  } else {
+    throw unsupportedFormat(filePath);
+  }
+
+  const rows = entries.slice(0, limit).map(({ raw }) => {
+    const { __sheet, __latitude, __longitude, ...rest } = raw;
+    return rest;
+  });
+  const headers = [...new Set(entries.flatMap(({ raw }) => Object.keys(raw).filter((k) => !k.startsWith('__'))))];
+  return sheetNames ? { headers, rows, sheets: sheetNames } : { headers, rows };
+}
+
+module.exports = { detectFormat, unsupportedFormat, parseFileWithReport, readFileSample, ACCEPTED_EXTENSIONS };
@@ -0,0 +1,553 @@
+/**
+ * Forecasting Models
+ * Projects a location's water level, rainfall and depletion rate forward with
+ * one of several models, and picks between them on holdout error: each
+ * candidate is fitted without the most recent readings and scored on how well
+ * it predicts them.
+ *
+ *   linear              – straight-line trend (sub-annual series are deseasonalized first)
+ *   holt-winters        – exponential smoothing of level and trend, plus the seasonal
+ *                         cycle for seasonal/monthly series
+ *   arima               – ARIMA(1,1,0) with drift on the (deseasonalized) series
+ *   rainfall-regression – water level as a function of rainfall and extraction
+ *                         (agricultural + industrial + household usage); the drivers
+ *                         themselves are projected with a linear trend
+ *
+ * Position-based models (Holt-Winters, ARIMA) treat consecutive readings as
+ * evenly spaced steps.
+ *
+ * rollingBacktest measures how the chosen approach has actually performed:
+ * it forecasts from every point in the history using only earlier readings.
+ */
+const { linearRegression } = require('./waterScore');
+const { DEFAULT_GRANULARITY, nextPeriods } = require('./granularity');
+
+const FORECAST_FIELDS = ['groundwaterLevel', 'rainfall', 'depletionRate'];
+const DECIMALS = { groundwaterLevel: 2, rainfall: 1, depletionRate: 2 };
+const AUTO = 'auto';
+
+// Smoothing parameters tried when fitting Holt-Winters
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+// Fewest readings a backtest trains on
+const MIN_BACKTEST_TRAIN = 3;
+
+const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+const extractionOf = (d) => (d.agriculturalUsage || 0) + (d.industrialUsage || 0) + (d.householdUsage || 0);
+
+/**
+ * Per-season (or per-month) offsets from the series mean, so a sub-annual
+ * trend is fitted on deseasonalized values and the cycle is added back.
+ * Yearly series have no cycle and get no offsets.
+ */
+function seasonalOffsets(historicalData, field, subOf) {
+  if (!subOf) return () => 0;
+  const avg = mean(historicalData.map((d) => d[field]));
+  const groups = {};
+  for (const d of historicalData) (groups[subOf(d)] = groups[subOf(d)] || []).push(d[field]);
+  const offsets = {};
+  for (const [sub, values] of Object.entries(groups)) offsets[sub] = mean(values) - avg;
+  return (d) => offsets[subOf(d)] || 0;
+}
+
+/**
+ * Calculate residual standard error from regression
+ */
+function calcResidualStdError(points, reg) {
+  if (points.length < 3) return 0;
+  const sse = points.reduce((s, p) => s + (p.y - (reg.slope * p.x + reg.intercept)) ** 2, 0);
+  return Math.sqrt(sse / (points.length - 2));
+}
+
+/**
+ * Ordinary least squares via the normal equations
+ * @param {number[][]} rows - Design matrix (first column 1 for the intercept)
+ * @param {number[]} ys
+ * @returns {number[]|null} coefficients, or null when the drivers are collinear or constant
+ */
+function leastSquares(rows, ys) {
+  const k = rows[0].length;
+  const a = Array.from({ length: k }, (_, i) => {
+    const row = Array.from({ length: k }, (__, j) => rows.reduce((s, r) => s + r[i] * r[j], 0));
+    row.push(rows.reduce((s, r, n) => s + r[i] * ys[n], 0));
+    return row;
+  });
+  const scale = Math.max(...a.map((row, i) => Math.abs(row[i])));
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < k; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < scale * 1e-10) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = 0; r < k; r++) {
+      if (r === col) continue;
+      const f = a[r][col] / a[col][col];
+      for (let c = col; c <= k; c++) a[r][c] -= f * a[col][c];
+    }
+  }
+  return a.map((row, i) => row[k] / row[i]);
+}
+
+function rmseOf(errors) {
+  return errors.length ? Math.sqrt(mean(errors.map((e) => e * e))) : 0;
+}
+
+/**
+ * Each model's fit(history, field, ctx) returns { predict(periods) → number[], residual, details? },
+ * or null when it cannot be fitted to this series. `periods` are the entries to
+ * predict, in order, immediately following the history.
+ */
+const MODELS = {
+  linear: {
+    label: 'Linear trend',
+    minPoints: 2,
+    fit(history, field, ctx) {
+      const offset = seasonalOffsets(history, field, ctx.subOf);
+      const points = history.map((d) => ({ x: ctx.xOf(d), y: d[field] - offset(d) }));
+      let reg = linearRegression(points);
+      if (!Number.isFinite(reg.slope)) reg = { slope: 0, intercept: mean(points.map((p) => p.y)) };
+      return {
+        residual: calcResidualStdError(points, reg),
+        predict: (periods) => periods.map((p) => reg.slope * ctx.xOf(p) + reg.intercept + offset(p)),
+      };
+    },
+  },
+
+  'holt-winters': {
+    label: 'Holt-Winters smoothing',
+    minPoints: 3,
+    fit(history, field, ctx) {
+      const subs = ctx.subOf ? new Set(history.map(ctx.subOf)) : new Set();
+      // Seasonal indices need at least two full cycles to settle
+      const seasonal = subs.size > 1 && history.length >= 2 * subs.size;
+      const initial = seasonal ? seasonalOffsets(history, field, ctx.subOf) : () => 0;
+
+      const run = (alpha, beta, gamma) => {
+        const season = new Map(seasonal ? history.map((d) => [ctx.subOf(d), initial(d)]) : []);
+        const s = (d) => (seasonal ? season.get(ctx.subOf(d)) : 0);
+        let level = history[0][field] - s(history[0]);
+        let trend = history[1][field] - s(history[1]) - level;
+        let sse = 0;
+        for (let i = 1; i < history.length; i++) {
+          const d = history[i];
+          const y = d[field];
+          const si = s(d);
+          sse += (y - (level + trend + si)) ** 2;
+          const prevLevel = level;
+          level = alpha * (y - si) + (1 - alpha) * (level + trend);
+          trend = beta * (level - prevLevel) + (1 - beta) * trend;
+          if (seasonal) season.set(ctx.subOf(d), gamma * (y - level) + (1 - gamma) * si);
+        }
+        return { alpha, beta, gamma, level, trend, season, sse };
+      };
+
+      let best = null;
+      for (const alpha of SMOOTHING_GRID) {
+        for (const beta of SMOOTHING_GRID) {
+          for (const gamma of seasonal ? SMOOTHING_GRID : [0]) {
+            const candidate = run(alpha, beta, gamma);
+            if (!best || candidate.sse < best.sse) best = candidate;
+          }
+        }
+      }
+      return {
+        residual: Math.sqrt(best.sse / (history.length - 1)),
+        details: { alpha: best.alpha, beta: best.beta, ...(seasonal ? { gamma: best.gamma } : {}), seasonal },
+        predict: (periods) => periods.map((p, i) => best.level + (i + 1) * best.trend
+          + (seasonal ? best.season.get(ctx.subOf(p)) || 0 : 0)),
+      };
+    },
+  },
+
+  arima: {
+    label: 'ARIMA(1,1,0) with drift',
+    minPoints: 4,
+    fit(history, field, ctx) {
+      const offset = seasonalOffsets(history, field, ctx.subOf);
+      const ys = history.map((d) => d[field] - offset(d));
+      const diffs = ys.slice(1).map((y, i) => y - ys[i]);
+      const pairs = diffs.slice(1).map((d, i) => ({ x: diffs[i], y: d }));
+      const reg = linearRegression(pairs);
+      // Keep the AR term stationary; a constant difference series has no AR term to fit
+      const phi = Number.isFinite(reg.slope) ? Math.max(-0.95, Math.min(0.95, reg.slope)) : 0;
+      const drift = mean(pairs.map((p) => p.y)) - phi * mean(pairs.map((p) => p.x));
+      return {
+        residual: rmseOf(pairs.map((p) => p.y - (drift + phi * p.x))),
+        details: { phi: +phi.toFixed(4), drift: +drift.toFixed(4) },
+        predict: (periods) => {
+          let level = ys[ys.length - 1];
+          let step = diffs[diffs.length - 1];
+          return periods.map((p) => {
+            step = drift + phi * step;
+            level += step;
+            return level + offset(p);
+          });
+        },
+      };
+    },
+  },
+
+  'rainfall-regression': {
+    label: 'Rainfall & extraction regression',
+    minPoints: 4,
+    fields: ['groundwaterLevel'],
+    fit(history, field, ctx) {
+      const coef = leastSquares(history.map((d) => [1, d.rainfall, extractionOf(d)]), history.map((d) => d[field]));
+      if (!coef) return null;
+      const withExtraction = history.map((d) => ({ ...d, extraction: extractionOf(d) }));
+      const rainfall = MODELS.linear.fit(history, 'rainfall', ctx);
+      const extraction = MODELS.linear.fit(withExtraction, 'extraction', ctx);
+      const [intercept, perRainfall, perExtraction] = coef;
+      const at = (rain, ext) => intercept + perRainfall * rain + perExtraction * ext;
+      return {
+        residual: Math.sqrt(history.reduce((s, d) => s + (d[field] - at(d.rainfall, extractionOf(d))) ** 2, 0)
+          / Math.max(1, history.length - coef.length)),
+        details: {
+          intercept: +intercept.toFixed(4),
+          rainfall: +perRainfall.toFixed(6),
+          extraction: +perExtraction.toFixed(6),
+        },
+        predict: (periods) => {
+          const rain = rainfall.predict(periods);
+          const ext = extraction.predict(periods);
+          return periods.map((_, i) => at(Math.max(0, rain[i]), Math.max(0, ext[i])));
+        },
+      };
+    },
+  },
+};
+
+const MODEL_NAMES = Object.keys(MODELS);
+
+/**
+ * Validate a ?model= value (defaults to auto, i.e. lowest holdout error)
+ * @throws {Error} with status 400 for unknown models
+ */
+function parseForecastModel(value) {
+  if (value === undefined || value === null || value === '') return AUTO;
+  if (value !== AUTO && !MODELS[value]) {
+    const err = new Error(`model must be one of ${[AUTO, ...MODEL_NAMES].join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return value;
+}
+
+/** Models and what each needs, for clients to offer */
+function listForecastModels() {
+  return MODEL_NAMES.map((name) => ({
+    model: name,
+    label: MODELS[name].label,
+    minPoints: MODELS[name].minPoints,
+    fields: MODELS[name].fields || FORECAST_FIELDS,
+  }));
+}
+
+const appliesTo = (name, field) => !MODELS[name].fields || MODELS[name].fields.includes(field);
+
+/**
+ * Readings held out for the backtest: the last full cycle for sub-annual
+ * series with three or more cycles, otherwise the latest fifth (at least one).
+ */
+function holdoutSize(history, ctx) {
+  const cycle = ctx.subOf ? new Set(history.map(ctx.subOf)).size : 1;
+  if (cycle > 1 && history.length >= 3 * cycle) return cycle;
+  return Math.max(1, Math.round(history.length * 0.2));
+}
+
+/**
+ * Fit every applicable model on all but the holdout readings and score its
+ * predictions of them.
+ * @returns {Array<{ model, label, mae, rmse }>} lowest RMSE first; empty when the series is too short
+ */
+function backtest(history, field, ctx) {
+  const hold = holdoutSize(history, ctx);
+  const train = history.slice(0, history.length - hold);
+  const test = history.slice(history.length - hold);
+  if (train.length < MIN_BACKTEST_TRAIN) return [];
+
+  const results = [];
+  for (const name of MODEL_NAMES) {
+    if (!appliesTo(name, field) || train.length < MODELS[name].minPoints) continue;
+    const fitted = MODELS[name].fit(train, field, ctx);
+    if (!fitted) continue;
+    const errors = fitted.predict(test).map((p, i) => test[i][field] - p);
+    if (errors.some((e) => !Number.isFinite(e))) continue;
+    results.push({
+      model: name,
+      label: MODELS[name].label,
+      mae: +mean(errors.map(Math.abs)).toFixed(3),
+      rmse: +rmseOf(errors).toFixed(3),
+      holdout: hold,
+      trainedOn: train.length,
+    });
+  }
+  return results.sort((a, b) => a.rmse - b.rmse);
+}
+
+/**
+ * Choose and fit the model for one field.
+ * A requested model that does not apply to the field (rainfall regression for
+ * rainfall itself) falls back to the best univariate model.
+ * @throws {Error} with status 400 when the requested model cannot be fitted
+ */
+function fitField(history, field, ctx, requested) {
+  const candidates = backtest(history, field, ctx);
+  const usable = (name) => appliesTo(name, field) && history.length >= MODELS[name].minPoints;
+
+  let name = requested !== AUTO && appliesTo(requested, field) ? requested : null;
+  if (name && !usable(name)) {
+    const err = new Error(`${MODELS[name].label} needs at least ${MODELS[name].minPoints} readings; this series has ${history.length}`);
+    err.status = 400;
+    throw err;
+  }
+  const order = name ? [name] : [...candidates.map((c) => c.model), 'linear'];
+  for (const candidate of order) {
+    const fitted = MODELS[candidate].fit(history, field, ctx);
+    if (fitted) {
+      const metrics = candidates.find((c) => c.model === candidate) || null;
+      return {
+        fitted,
+        info: {
+          model: candidate,
+          label: MODELS[candidate].label,
+          selectedBy: name ? 'request' : metrics ? 'holdout' : 'default',
+          backtest: metrics && { mae: metrics.mae, rmse: metrics.rmse, holdout: metrics.holdout, trainedOn: metrics.trainedOn },
+          candidates: candidates.map(({ model, label, mae, rmse }) => ({ model, label, mae, rmse })),
+          ...(fitted.details ? { details: fitted.details } : {}),
+        },
+      };
+    }
+  }
+  const err = new Error(`${MODELS[name].label} cannot be fitted to this series (rainfall and extraction do not vary independently)`);
+  err.status = 400;
+  throw err;
+}
+
+function contextFor(granularity) {
+  const subOf = granularity === 'monthly' ? (d) => d.month : granularity === 'seasonal' ? (d) => d.season : null;
+  return { subOf, xOf: (d) => (subOf ? d.t : d.year) };
+}
+
+/**
+ * Fit each field's model on `history` and predict `periods` with 95% bands
+ * @returns {{ models: Object, rows: Array<Object<string, { value, lower, upper }>> }}
+ */
+function project(history, periods, ctx, model) {
+  const fits = {};
+  const models = {};
+  for (const field of FORECAST_FIELDS) {
+    const { fitted, info } = fitField(history, field, ctx, model);
+    fits[field] = fitted;
+    models[field] = info;
+  }
+
+  const values = Object.fromEntries(FORECAST_FIELDS.map((f) => [f, fits[f].predict(periods)]));
+  const n = history.length;
+  const rows = periods.map((_, idx) => {
+    const i = idx + 1;
+    // Confidence widens with distance from data
+    const confidenceMultiplier = 1.96 * Math.sqrt(1 + 1 / n + (i * i) / (n * 3));
+    const row = {};
+    for (const field of FORECAST_FIELDS) {
+      const value = values[field][idx];
+      // A short holdout can flatter a model, so use whichever error is larger
+      const spread = Math.max(models[field].backtest?.rmse || 0, fits[field].residual) * confidenceMultiplier;
+      row[field] = { value, lower: value - spread, upper: value + spread };
+    }
+    return row;
+  });
+  return { models, rows };
+}
+
+// Water-level MAPE (%) up to which a backtested horizon counts as high / medium confidence
+const RELIABILITY_BANDS = { high: 10, medium: 25 };
+
+function levelForMape(mape) {
+  if (mape === null) return null;
+  if (mape <= RELIABILITY_BANDS.high) return 'high';
+  if (mape <= RELIABILITY_BANDS.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Forecast a location's series with confidence intervals.
+ * Each prediction's confidenceLevel comes from the water-level MAPE the
+ * rolling backtest measured at that horizon when one is given, and from the
+ * horizon alone otherwise.
+ * @param {Array} historicalData - Series from dataStore.getWaterByLocation
+ * @param {Object} [options]
+ * @param {number} [options.periodsAhead] - Years, seasons or months to predict
+ * @param {string} [options.granularity] - yearly (default) | seasonal | monthly
+ * @param {string} [options.model] - A model name, or 'auto' for the lowest holdout error
+ * @param {Object} [options.accuracy] - `metrics` from rollingBacktest
+ * @returns {{ model: string, models: Object, predictions: Array, confidenceBasis: string }}
+ *   `model` is the one used for water level; `models` describes the choice and backtest for each field
+ */
+function forecast(historicalData, {
+  periodsAhead = 3, granularity = DEFAULT_GRANULARITY, model = AUTO, accuracy = null,
+} = {}) {
+  const ctx = contextFor(granularity);
+  const last = historicalData[historicalData.length - 1];
+  const seasons = [...new Set(historicalData.map((d) => d.season))];
+  const periods = nextPeriods(last, periodsAhead, granularity, seasons);
+  const { models, rows } = project(historicalData, periods, ctx, model);
+  const byHorizon = accuracy?.groundwaterLevel.byHorizon || [];
+
+  const predictions = periods.map((period, idx) => {
+    const i = idx + 1;
+    const entry = {
+      year: period.year,
+      ...(ctx.subOf ? { period: period.period, month: period.month, season: period.season } : {}),
+    };
+    for (const field of FORECAST_FIELDS) {
+      const decimals = DECIMALS[field];
+      const { value, lower, upper } = rows[idx][field];
+      entry[field] = Math.max(0, +value.toFixed(decimals));
+      entry[`${field}CI`] = {
+        lower: Math.max(0, +lower.toFixed(decimals)),
+        upper: +upper.toFixed(decimals),
+      };
+    }
+    if (byHorizon.length) {
+      // Beyond the furthest horizon tested, the furthest one is the best guide
+      entry.confidenceLevel = levelForMape((byHorizon[idx] || byHorizon[byHorizon.length - 1]).mape);
+    } else {
+      // One "step" of confidence is a year; sub-annual steps are shorter
+      const stepsOut = ctx.subOf ? ctx.xOf(period) - ctx.xOf(last) : i;
+      entry.confidenceLevel = stepsOut <= 1 ? 'high' : stepsOut <= 2 ? 'medium' : 'low';
+    }
+    return entry;
+  });
+
+  return { model: models.groundwaterLevel.model, models, predictions, confidenceBasis: byHorizon.length ? 'backtest' : 'horizon' };
+}
+
+/** Running error totals for one field at one horizon */
+function newTally() {
+  return { count: 0, absError: 0, pctError: 0, pctCount: 0, covered: 0 };
+}
+
+function addToTally(tally, actual, predicted) {
+  tally.count++;
+  tally.absError += Math.abs(actual - predicted.value);
+  // Percentage error is undefined for zero readings
+  if (actual !== 0) {
+    tally.pctError += Math.abs((actual - predicted.value) / actual);
+    tally.pctCount++;
+  }
+  if (actual >= predicted.lower && actual <= predicted.upper) tally.covered++;
+}
+
+function mergeTally(into, from) {
+  for (const key of Object.keys(into)) into[key] += from[key];
+}
+
+function summarizeTally(tally) {
+  return {
+    mae: tally.count ? +(tally.absError / tally.count).toFixed(3) : null,
+    mape: tally.pctCount ? +((tally.pctError / tally.pctCount) * 100).toFixed(1) : null,
+    coverage: tally.count ? +((tally.covered / tally.count) * 100).toFixed(1) : null,
+    count: tally.count,
+  };
+}
+
+/**
+ * MAE, MAPE (%) and CI coverage (% of actual readings inside the 95% band)
+ * per field, overall and per horizon
+ * @param {Object} tallies - field → array of tallies, one per horizon
+ */
+function summarizeTallies(tallies) {
+  const metrics = {};
+  for (const field of FORECAST_FIELDS) {
+    const overall = newTally();
+    tallies[field].forEach((t) => mergeTally(overall, t));
+    metrics[field] = {
+      overall: summarizeTally(overall),
+      byHorizon: tallies[field]
+        .map((t, idx) => ({ horizon: idx + 1, ...summarizeTally(t) }))
+        .filter((h) => h.count),
+    };
+  }
+  return metrics;
+}
+
+/**
+ * How far to trust forecasts, from the water-level accuracy one step ahead
+ * @returns {{ rating: string|null, reason: string }}
+ */
+function rateReliability(metrics) {
+  const first = metrics.groundwaterLevel.byHorizon[0];
+  if (!first) return { rating: null, reason: 'Not enough history to backtest forecasts' };
+  let rating = levelForMape(first.mape);
+  // Bands that miss most outcomes make even an accurate model hard to rely on
+  if (first.coverage !== null && first.coverage < 60 && rating === 'high') rating = 'medium';
+  const reason = `One-step water-level forecasts were off by ${first.mape}% on average, `
+    + `and ${first.coverage}% of readings fell inside the 95% band (${first.count} tests)`;
+  return { rating, reason };
+}
+
+/**
+ * Rolling-origin evaluation: forecast from every point in the history using
+ * only the readings before it, and compare with what was then observed.
+ * @param {Array} historicalData - Series from dataStore.getWaterByLocation
+ * @param {Object} [options]
+ * @param {string} [options.granularity]
+ * @param {string} [options.model] - A model name, or 'auto' (re-selected at each origin)
+ * @param {number} [options.horizon] - Furthest periods ahead to evaluate
+ * @returns {{ origins: number, metrics: Object, reliability: Object, tallies: Object }}
+ *   `tallies` are the raw totals, for pooling across locations with mergeBacktests
+ */
+function rollingBacktest(historicalData, { granularity = DEFAULT_GRANULARITY, model = AUTO, horizon = 3 } = {}) {
+  const ctx = contextFor(granularity);
+  const start = Math.max(MIN_BACKTEST_TRAIN, model === AUTO ? 0 : MODELS[model].minPoints);
+  const tallies = Object.fromEntries(FORECAST_FIELDS.map((f) => [f, Array.from({ length: horizon }, newTally)]));
+  let origins = 0;
+
+  for (let origin = start; origin < historicalData.length; origin++) {
+    const test = historicalData.slice(origin, origin + horizon);
+    let projected;
+    try {
+      projected = project(historicalData.slice(0, origin), test, ctx, model);
+    } catch (err) {
+      if (err.status === 400) continue; // requested model cannot be fitted from this origin
+      throw err;
+    }
+    origins++;
+    test.forEach((actual, idx) => {
+      for (const field of FORECAST_FIELDS) addToTally(tallies[field][idx], actual[field], projected.rows[idx][field]);
+    });
+  }
+
+  const metrics = summarizeTallies(tallies);
+  return { origins, metrics, reliability: rateReliability(metrics), tallies };
+}
+
+/**
+ * Pool several locations' rolling backtests into one accuracy summary
+ * @param {Array} results - From rollingBacktest
+ */
+function mergeBacktests(results, horizon = 3) {
+  const tallies = Object.fromEntries(FORECAST_FIELDS.map((f) => [f, Array.from({ length: horizon }, newTally)]));
+  let origins = 0;
+  for (const result of results) {
+    origins += result.origins;
+    for (const field of FORECAST_FIELDS) {
+      result.tallies[field].forEach((t, idx) => mergeTally(tallies[field][idx], t));
+    }
+  }
+  const metrics = summarizeTallies(tallies);
+  return { origins, metrics, reliability: rateReliability(metrics) };
+}
+
+module.exports = {
+  FORECAST_FIELDS,
+  MODEL_NAMES,
+  MIN_BACKTEST_TRAIN,
+  RELIABILITY_BANDS,
+  parseForecastModel,
+  listForecastModels,
+  backtest,
+  forecast,
+  rollingBacktest,
+  mergeBacktests,
+};
@@ -0,0 +1,215 @@
+/**
+ * Observation Granularity
+ * Records are either annual (no observation date) or dated observations —
+ * typically the CGWB pre-monsoon (May) and post-monsoon (November) depth
+ * readings, or monthly rainfall. This module turns a location's records into
+ * a yearly, seasonal or monthly series.
+ *
+ * Aggregation rules for combining observations into a longer period:
+ *   - volumes and rainfall are totals for their period → summed
+ *   - levels, rates and pH are point values → averaged
+ *   - scarcity level → the most severe
+ * A yearly series uses a year's annual record when there is one, and
+ * aggregates that year's dated observations otherwise.
+ */
+const WaterData = require('../models/WaterData');
+
+const GRANULARITIES = ['yearly', 'seasonal', 'monthly'];
+const DEFAULT_GRANULARITY = 'yearly';
+
+// Calendar order; enum lives on the schema
+const SEASONS = WaterData.schema.path('season').enumValues.filter(Boolean);
+
+const SEASON_LABELS = {
+  winter: 'Winter',
+  'pre-monsoon': 'Pre-monsoon',
+  monsoon: 'Monsoon',
+  'post-monsoon': 'Post-monsoon',
+};
+
+// Month CGWB takes each season's reading in — used when only a season is given
+const SEASON_MONTHS = { winter: 1, 'pre-monsoon': 5, monsoon: 8, 'post-monsoon': 11 };
+
+const SUMMED_FIELDS = ['consumption', 'agriculturalUsage', 'industrialUsage', 'householdUsage', 'rainfall'];
+const AVERAGED_FIELDS = ['perCapitaUsage', 'depletionRate', 'ph', 'groundwaterLevel'];
+const SCARCITY_ORDER = WaterData.schema.path('scarcityLevel').enumValues;
+
+/** Season a calendar month (1–12) falls in */
+function seasonOfMonth(month) {
+  if (month <= 2) return 'winter';
+  if (month <= 5) return 'pre-monsoon';
+  if (month <= 9) return 'monsoon';
+  return 'post-monsoon';
+}
+
+/**
+ * Match free-text season names ("Pre Monsoon", "POSTMONSOON", "rabi"…) to the enum
+ * @returns {string|null}
+ */
+function normalizeSeason(value) {
+  const text = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!text) return null;
+  if (text.startsWith('pre')) return 'pre-monsoon';
+  if (text.startsWith('post')) return 'post-monsoon';
+  if (text === 'monsoon' || text === 'kharif') return 'monsoon';
+  if (text === 'winter' || text === 'rabi') return 'winter';
+  return null;
+}
+
+/**
+ * Identity of a stored record: location + year, plus the observation date for
+ * dated observations. Uploads replace records with the same key.
+ */
+function recordKey(r) {
+  return `${r.location}|${r.year}|${r.observationDate || ''}`;
+}
+
+function isObservation(r) {
+  return !!r.observationDate;
+}
+
+/**
+ * Validate a granularity query value (defaults to yearly)
+ * @throws {Error} with status 400 for unknown values
+ */
+function parseGranularity(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_GRANULARITY;
+  if (!GRANULARITIES.includes(value)) {
+    const err = new Error(`granularity must be one of ${GRANULARITIES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return value;
+}
+
+/** Combine records of one location and period into a single record */
+function aggregate(records, period) {
+  const first = records[0];
+  const out = { location: first.location, ...period };
+  for (const f of SUMMED_FIELDS) {
+    out[f] = +records.reduce((s, r) => s + (r[f] || 0), 0).toFixed(2);
+  }
+  for (const f of AVERAGED_FIELDS) {
+    out[f] = +(records.reduce((s, r) => s + (r[f] || 0), 0) / records.length).toFixed(2);
+  }
+  out.scarcityLevel = records
+    .map((r) => r.scarcityLevel)
+    .reduce((worst, s) => (SCARCITY_ORDER.indexOf(s) > SCARCITY_ORDER.indexOf(worst) ? s : worst));
+  out.isSynthetic = records.every((r) => r.isSynthetic);
+  out.aggregatedFrom = records.length;
+  return out;
+}
+
+function groupInOrder(records, keyOf) {
+  const groups = new Map();
+  for (const r of records) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return groups;
+}
+
+// Decimal time at the middle of a month, for regression and ordering
+const timeOf = (year, month) => +(year + (month - 0.5) / 12).toFixed(4);
+
+/**
+ * Period fields for a series entry
+ * @returns {{ granularity, period, year, month?, season?, t }}
+ */
+function periodOf(granularity, year, sub) {
+  if (granularity === 'monthly') {
+    return { granularity, period: `${year}-${String(sub).padStart(2, '0')}`, year, month: sub, t: timeOf(year, sub) };
+  }
+  if (granularity === 'seasonal') {
+    return { granularity, period: `${year} ${SEASON_LABELS[sub]}`, year, season: sub, t: timeOf(year, SEASON_MONTHS[sub]) };
+  }
+  return { granularity: 'yearly', period: String(year), year, t: year };
+}
+
+/**
+ * One record per year, oldest first. Annual records are returned as-is.
+ * @param {Array} records - All records of one location
+ */
+function toYearly(records) {
+  const byYear = groupInOrder(records, (r) => r.year);
+  const series = [];
+  for (const [year, group] of byYear) {
+    const annual = group.find((r) => !isObservation(r));
+    series.push(annual || aggregate(group, periodOf('yearly', year)));
+  }
+  return series.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * One record per observed season or month, oldest first. Annual records
+ * carry no timing and are left out.
+ * @param {Array} records - All records of one location
+ * @param {string} granularity - seasonal | monthly
+ */
+function toSubAnnual(records, granularity) {
+  const observations = records.filter(isObservation);
+  const subOf = granularity === 'monthly' ? (r) => r.month : (r) => r.season;
+  const groups = groupInOrder(observations, (r) => `${r.year}|${subOf(r)}`);
+  const series = [];
+  for (const group of groups.values()) {
+    series.push(aggregate(group, periodOf(granularity, group[0].year, subOf(group[0]))));
+  }
+  return series.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Series for one location at a granularity
+ * @param {Array} records - All records of the location
+ * @param {string} [granularity] - yearly (default) | seasonal | monthly
+ */
+function seriesFor(records, granularity = DEFAULT_GRANULARITY) {
+  return granularity === 'yearly' ? toYearly(records) : toSubAnnual(records, granularity);
+}
+
+/**
+ * The periods after `last` in a series — for forecasting. Seasonal series
+ * step through the seasons the series actually has (e.g. pre → post monsoon).
+ * @param {Object} last - Last series entry
+ * @param {number} count
+ * @param {string} granularity
+ * @param {string[]} [seasons] - Seasons present in the series
+ */
+function nextPeriods(last, count, granularity, seasons = SEASONS) {
+  const periods = [];
+  let { year } = last;
+  if (granularity === 'monthly') {
+    let month = last.month;
+    for (let i = 0; i < count; i++) {
+      month++;
+      if (month > 12) { month = 1; year++; }
+      periods.push(periodOf('monthly', year, month));
+    }
+  } else if (granularity === 'seasonal') {
+    const cycle = SEASONS.filter((s) => seasons.includes(s));
+    let at = cycle.indexOf(last.season);
+    for (let i = 0; i < count; i++) {
+      at++;
+      if (at >= cycle.length) { at = 0; year++; }
+      periods.push(periodOf('seasonal', year, cycle[at]));
+    }
+  } else {
+    for (let i = 1; i <= count; i++) periods.push(periodOf('yearly', year + i));
+  }
+  return periods;
+}
+
+module.exports = {
+  GRANULARITIES,
+  DEFAULT_GRANULARITY,
+  SEASONS,
+  SEASON_LABELS,
+  SEASON_MONTHS,
+  seasonOfMonth,
+  normalizeSeason,
+  recordKey,
+  isObservation,
+  parseGranularity,
+  seriesFor,
+  nextPeriods,
+};
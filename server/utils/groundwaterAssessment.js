@@ -0,0 +1,244 @@
+/**
+ * Groundwater Resource Assessment
+ * Stage of Groundwater Extraction and the CGWB assessment category, following
+ * the GEC-2015 methodology in simplified form:
+ *
+ *   rainfall recharge   = rainfall × assessment area × rainfall infiltration factor
+ *   return flow         = agricultural usage × return-flow factor
+ *   extractable resource = total recharge − natural discharge
+ *   extraction          = agricultural + industrial + household usage
+ *   stage (%)           = extraction ÷ extractable resource × 100
+ *
+ * Volumes are in megalitres (rainfall mm × area km² = Ml). The usage fields are
+ * treated as groundwater draft. Parameters come from a stored configuration:
+ * defaults, overridden per district, overridden per location.
+ */
+
+const SETTINGS_COLLECTION = 'settings';
+const CONFIG_ID = 'assessment';
+
+// Stage of extraction (%) upper bounds per category (GEC-2015)
+const CATEGORIES = [
+  { category: 'Safe', maxStage: 70 },
+  { category: 'Semi-Critical', maxStage: 90 },
+  { category: 'Critical', maxStage: 100 },
+  { category: 'Over-Exploited', maxStage: Infinity },
+];
+
+// Typical rainfall infiltration factors by aquifer type (GEC-2015 recommended values)
+const INFILTRATION_PRESETS = {
+  alluvium: 0.22,
+  weatheredBasalt: 0.13,
+  vesicularBasalt: 0.07,
+};
+
+const PARAMETERS = {
+  infiltrationFactor: { min: 0, max: 1, description: 'Share of rainfall that recharges the aquifer' },
+  areaKm2: { min: 0.01, max: 100000, description: 'Recharge-worthy area assessed around the location (km²)' },
+  naturalDischargeFraction: { min: 0, max: 1, description: 'Share of recharge lost to natural discharge' },
+  returnFlowFactor: { min: 0, max: 1, description: 'Share of irrigation water returning to the aquifer' },
+  specificYield: { min: 0.001, max: 0.5, description: 'Water released per unit aquifer volume per metre of level change' },
+};
+
+// Nashik is mostly Deccan trap basalt
+const DEFAULT_PARAMETERS = {
+  infiltrationFactor: INFILTRATION_PRESETS.weatheredBasalt,
+  areaKm2: 10,
+  naturalDischargeFraction: 0.05,
+  returnFlowFactor: 0,
+  specificYield: 0.02,
+};
+
+let adapter = null;
+let config = { id: CONFIG_ID, defaults: DEFAULT_PARAMETERS, districts: {}, locations: {}, updatedAt: null };
+
+/**
+ * Load the stored configuration (built-in defaults when none was saved)
+ * @returns {Promise<boolean>} true when it differs from what was held before
+ */
+async function loadAssessmentConfig(storageAdapter) {
+  adapter = storageAdapter;
+  const saved = await adapter.collection(SETTINGS_COLLECTION).get(CONFIG_ID);
+  if (!saved || saved.updatedAt === config.updatedAt) return false;
+  config = saved;
+  return true;
+}
+
+function getAssessmentConfig() {
+  return config;
+}
+
+/**
+ * Check a configuration before saving.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateAssessmentConfig(body) {
+  if (!body || typeof body !== 'object') return ['Configuration body is required'];
+  const problems = [];
+  const checkParams = (params, where) => {
+    if (!params || typeof params !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    for (const [key, value] of Object.entries(params)) {
+      const rule = PARAMETERS[key];
+      if (!rule) problems.push(`${where}: unknown parameter "${key}"`);
+      else if (typeof value !== 'number' || value < rule.min || value > rule.max) {
+        problems.push(`${where}.${key} must be a number between ${rule.min} and ${rule.max}`);
+      }
+    }
+  };
+  if (body.defaults !== undefined) checkParams(body.defaults, 'defaults');
+  for (const scope of ['districts', 'locations']) {
+    if (body[scope] === undefined) continue;
+    if (typeof body[scope] !== 'object') problems.push(`${scope} must be an object keyed by name`);
+    else for (const [name, params] of Object.entries(body[scope])) checkParams(params, `${scope}.${name}`);
+  }
+  return problems;
+}
+
+/** Replace the configuration (call after validation) */
+async function saveAssessmentConfig(body) {
+  const next = {
+    id: CONFIG_ID,
+    defaults: { ...DEFAULT_PARAMETERS, ...(body.defaults || config.defaults) },
+    districts: body.districts || config.districts,
+    locations: body.locations || config.locations,
+    updatedAt: new Date().toISOString(),
+  };
+  await adapter.collection(SETTINGS_COLLECTION).put(next);
+  config = next;
+  return config;
+}
+
+/** Parameters in effect for a location: its overrides, then its district's, then the defaults */
+function parametersFor(locationName, district) {
+  return {
+    ...DEFAULT_PARAMETERS,
+    ...config.defaults,
+    ...(district && config.districts[district]),
+    ...config.locations[locationName],
+  };
+}
+
+function categorize(stage) {
+  return CATEGORIES.find((c) => stage <= c.maxStage).category;
+}
+
+const round = (n, d = 2) => +n.toFixed(d);
+
+/**
+ * Water balance of one record. Stage is null when the extractable resource is zero.
+ * @param {Object} record - Yearly water record
+ * @param {Object} params - From parametersFor
+ */
+function balanceOf(record, params) {
+  const rainfallRecharge = (record.rainfall || 0) * params.areaKm2 * params.infiltrationFactor;
+  const returnFlow = (record.agriculturalUsage || 0) * params.returnFlowFactor;
+  const totalRecharge = rainfallRecharge + returnFlow;
+  const naturalDischarge = totalRecharge * params.naturalDischargeFraction;
+  const extractable = totalRecharge - naturalDischarge;
+  const extraction = (record.agriculturalUsage || 0) + (record.industrialUsage || 0) + (record.householdUsage || 0);
+  return { rainfallRecharge, returnFlow, totalRecharge, naturalDischarge, extractable, extraction };
+}
+
+/**
+ * Assess one location-year.
+ * @param {Object} record - Yearly water record
+ * @param {Object} params - From parametersFor
+ */
+function assessRecord(record, params) {
+  const b = balanceOf(record, params);
+  const stage = b.extractable > 0 ? round((b.extraction / b.extractable) * 100, 1) : null;
+  return {
+    year: record.year,
+    recharge: {
+      rainfall: round(b.rainfallRecharge),
+      returnFlow: round(b.returnFlow),
+      total: round(b.totalRecharge),
+    },
+    naturalDischarge: round(b.naturalDischarge),
+    extractableResource: round(b.extractable),
+    extraction: {
+      agricultural: record.agriculturalUsage || 0,
+      industrial: record.industrialUsage || 0,
+      household: record.householdUsage || 0,
+      total: round(b.extraction),
+    },
+    stageOfExtraction: stage,
+    category: stage === null ? null : categorize(stage),
+    isSynthetic: !!record.isSynthetic,
+  };
+}
+
+/**
+ * Latest assessment of a location plus its stage in every year on record
+ * @param {Array} records - Yearly series, oldest first
+ * @param {Object} location - Location document ({ name, district })
+ */
+function assessLocation(records, location) {
+  const params = parametersFor(location.name, location.district);
+  const history = records.map((r) => assessRecord(r, params));
+  return {
+    location: location.name,
+    district: location.district,
+    parameters: params,
+    ...history[history.length - 1],
+    history: history.map((h) => ({ year: h.year, stageOfExtraction: h.stageOfExtraction, category: h.category })),
+  };
+}
+
+/**
+ * District assessment: the sum of its locations' latest recharge and extraction,
+ * plus how many locations fall in each category.
+ * @param {string} district
+ * @param {Array<{ location: Object, latest: Object }>} members
+ */
+function assessDistrict(district, members) {
+  const totals = { rainfallRecharge: 0, returnFlow: 0, totalRecharge: 0, naturalDischarge: 0, extractable: 0, extraction: 0 };
+  const categoryCounts = Object.fromEntries(CATEGORIES.map((c) => [c.category, 0]));
+  const locations = [];
+  for (const { location, latest } of members) {
+    const params = parametersFor(location.name, location.district);
+    const b = balanceOf(latest, params);
+    for (const key of Object.keys(totals)) totals[key] += b[key];
+    const stage = b.extractable > 0 ? round((b.extraction / b.extractable) * 100, 1) : null;
+    const category = stage === null ? null : categorize(stage);
+    if (category) categoryCounts[category]++;
+    locations.push({ location: location.name, year: latest.year, stageOfExtraction: stage, category });
+  }
+  const stage = totals.extractable > 0 ? round((totals.extraction / totals.extractable) * 100, 1) : null;
+  locations.sort((a, b) => (b.stageOfExtraction ?? -1) - (a.stageOfExtraction ?? -1));
+  return {
+    district,
+    locationCount: members.length,
+    recharge: {
+      rainfall: round(totals.rainfallRecharge),
+      returnFlow: round(totals.returnFlow),
+      total: round(totals.totalRecharge),
+    },
+    naturalDischarge: round(totals.naturalDischarge),
+    extractableResource: round(totals.extractable),
+    extraction: round(totals.extraction),
+    stageOfExtraction: stage,
+    category: stage === null ? null : categorize(stage),
+    categoryCounts,
+    locations,
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  INFILTRATION_PRESETS,
+  PARAMETERS,
+  DEFAULT_PARAMETERS,
+  loadAssessmentConfig,
+  getAssessmentConfig,
+  validateAssessmentConfig,
+  saveAssessmentConfig,
+  parametersFor,
+  categorize,
+  assessRecord,
+  assessLocation,
+  assessDistrict,
+};
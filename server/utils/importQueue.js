@@ -0,0 +1,185 @@
+/**
+ * Import Job Queue
+ * Runs uploads in the background, one at a time, so a large file never holds
+ * its HTTP request open. The queue only orders background jobs: the dataset
+ * write each one ends with goes through dataStore's write lock, the same one
+ * synchronous uploads, preview commits and rollbacks wait on.
+ * Jobs report their phase, progress and row errors while they run and are
+ * kept for an hour after finishing (the newest MAX_FINISHED_JOBS of them).
+ * A job runs on the instance that accepted the upload (the file is on its
+ * disk), but its state is written to storage so any instance can report it.
+ */
+const crypto = require('crypto');
+const store = require('../dataStore');
+
+const JOBS_COLLECTION = 'importjobs';
+const FINISHED_JOB_TTL = 3600; // seconds
+const MAX_FINISHED_JOBS = 50;
+const MAX_REPORTED_ERRORS = 50;
+// Progress is written to storage at most this often; phase changes are written straight away
+const PROGRESS_WRITE_MS = 1000;
+
+const stored = () => store.getStorage().collection(JOBS_COLLECTION);
+const local = new Map(); // id → job queued or running on this instance
+const pending = [];
+let running = null;
+
+// Share of the progress bar given to each phase
+const PHASES = {
+  queued: [0, 0],
+  parsing: [0, 85],
+  diffing: [85, 95],
+  ingesting: [85, 99],
+  done: [100, 100],
+};
+
+function percentOf(job) {
+  const [start, end] = PHASES[job.phase] || [0, 0];
+  const p = job.progress;
+  let fraction = 0;
+  if (p.totalBytes) fraction = (p.bytesRead || 0) / p.totalBytes;
+  else if (p.totalRows) fraction = (p.processedRows || 0) / p.totalRows;
+  return Math.round(start + (end - start) * Math.min(1, fraction));
+}
+
+/** Public view of a job */
+function describe(job) {
+  return {
+    id: job.id,
+    label: job.label,
+    state: job.state,
+    phase: job.phase,
+    percent: percentOf(job),
+    progress: { ...job.progress },
+    errors: job.errors,
+    errorCount: job.errorCount,
+    queuePosition: job.state === 'queued' ? pending.indexOf(job) + 1 : 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.state === 'completed' || job.state === 'failed' ? { status: job.status, result: job.result } : {}),
+  };
+}
+
+const isExpired = (job) => job.finishedAt && Date.parse(job.finishedAt) + FINISHED_JOB_TTL * 1000 <= Date.now();
+
+/**
+ * Write a job's public view to storage. Writes are chained per job so a slow
+ * progress write never lands after the final one; a failed write is logged
+ * and the job carries on.
+ */
+function persist(job) {
+  job.lastWrite = Date.now();
+  job.writing = job.writing
+    .then(() => stored().put(describe(job)))
+    .catch((err) => console.error(`❌ Could not save import job ${job.id}:`, err.message));
+  return job.writing;
+}
+
+// Drop expired finished jobs and the oldest beyond MAX_FINISHED_JOBS
+async function pruneFinished() {
+  const finished = (await stored().list())
+    .filter((job) => job.finishedAt)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+  const drop = finished.filter((job, i) => i >= MAX_FINISHED_JOBS || isExpired(job));
+  for (const job of drop) await stored().remove(job.id);
+}
+
+async function runNext() {
+  if (running || !pending.length) return;
+  const job = pending.shift();
+  running = job;
+  job.state = 'running';
+  job.startedAt = new Date().toISOString();
+  // Everything still queued has moved up a place
+  [job, ...pending].forEach(persist);
+
+  // Handed to the task: move to a phase and/or merge progress counters
+  const update = (phase, progress = {}) => {
+    const moved = phase && phase !== job.phase;
+    if (moved) {
+      job.phase = phase;
+      job.progress = {};
+    }
+    Object.assign(job.progress, progress);
+    if (moved || Date.now() - job.lastWrite >= PROGRESS_WRITE_MS) persist(job);
+  };
+
+  try {
+    const { status = 200, body } = await job.task(update);
+    job.status = status;
+    job.result = body;
+    job.state = status < 400 ? 'completed' : 'failed';
+    if (body && body.report) {
+      job.errors = body.report.rejected.slice(0, MAX_REPORTED_ERRORS);
+      job.errorCount = body.report.rejectedCount;
+      job.progress.rejected = body.report.rejectedCount;
+    }
+  } catch (err) {
+    console.error(`❌ Import job ${job.id} failed:`, err.message);
+    job.status = err.status || 500;
+    job.result = { success: false, message: err.message };
+    job.state = 'failed';
+  }
+
+  job.phase = 'done';
+  job.finishedAt = new Date().toISOString();
+  job.task = null;
+  await persist(job);
+  local.delete(job.id);
+  await pruneFinished().catch((err) => console.error('❌ Could not prune import jobs:', err.message));
+  running = null;
+  setImmediate(runNext);
+}
+
+/**
+ * Queue an import.
+ * @param {string} label - Shown in job listings (usually the file name)
+ * @param {Function} task - async (update) => ({ status, body }); call
+ *   update(phase, progress) to report progress
+ * @returns {Promise<Object>} the job's public view, once it is in storage
+ */
+async function enqueue(label, task) {
+  const job = {
+    id: crypto.randomUUID(),
+    label,
+    state: 'queued',
+    phase: 'queued',
+    progress: {},
+    errors: [],
+    errorCount: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    task,
+    writing: Promise.resolve(),
+    lastWrite: 0,
+  };
+  local.set(job.id, job);
+  pending.push(job);
+  await persist(job);
+  setImmediate(runNext);
+  return describe(job);
+}
+
+/**
+ * A job accepted by any instance; this instance's own jobs are read from
+ * memory, so their progress is never behind
+ * @returns {Promise<Object|null>} null when not found or expired
+ */
+async function getJob(id) {
+  if (local.has(id)) return describe(local.get(id));
+  const job = await stored().get(id);
+  return job && !isExpired(job) ? job : null;
+}
+
+/** Jobs on all instances, newest first */
+async function listJobs() {
+  const jobs = new Map((await stored().list()).map((job) => [job.id, job]));
+  for (const job of local.values()) jobs.set(job.id, describe(job));
+  return [...jobs.values()]
+    .filter((job) => !isExpired(job))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = { enqueue, getJob, listJobs };
@@ -0,0 +1,342 @@
+/**
+ * Water Record Validator
+ * Checks parsed rows against the constraints declared in models/WaterData.js
+ * (required, min/max, enum) so the schema stays the single source of truth.
+ */
+const WaterData = require('../models/WaterData');
+const { DEFAULT_PROFILE, applyMapping } = require('./columnMapping');
+const { SEASON_MONTHS, seasonOfMonth, normalizeSeason, recordKey } = require('./granularity');
+
+const NUMERIC_FIELDS = [
+  'year', 'consumption', 'perCapitaUsage', 'agriculturalUsage', 'industrialUsage',
+  'householdUsage', 'rainfall', 'depletionRate', 'ph', 'groundwaterLevel',
+];
+
+// Entries listed per report section; the counts still cover every row
+const MAX_REPORT_ENTRIES = 200;
+
+// Read constraints for a schema path, normalizing mongoose's [value, message] form
+function constraintsFor(field) {
+  const schemaPath = WaterData.schema.path(field);
+  if (!schemaPath) return {};
+  const opts = schemaPath.options;
+  const unwrap = (v) => (Array.isArray(v) ? v[0] : v);
+  return {
+    required: !!unwrap(opts.required),
+    min: unwrap(opts.min),
+    max: unwrap(opts.max),
+    enum: opts.enum,
+    default: typeof opts.default === 'function' ? undefined : opts.default,
+  };
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30); // day 0 of spreadsheet date serials
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+const RULES = {};
+for (const field of [...NUMERIC_FIELDS, 'location', 'scarcityLevel']) {
+  RULES[field] = constraintsFor(field);
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse an observation date: ISO (YYYY-MM-DD or YYYY-MM), DD/MM/YYYY as used in
+ * Indian field records, a Date, or a spreadsheet date serial.
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = Number(text);
+    if (serial < 20000 || serial > 80000) return null;
+    return new Date(EXCEL_EPOCH + Math.floor(serial) * 86400000).toISOString().slice(0, 10);
+  }
+  let m = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:$|T)/);
+  if (m) return isoDate(+m[1], +m[2], m[3] ? +m[3] : 1);
+  m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return isoDate(+m[3], +m[2], +m[1]);
+  return null;
+}
+
+// 1–12 or a month name ("May", "November")
+function parseMonth(value) {
+  const text = String(value).trim().toLowerCase();
+  const num = Number(text);
+  if (Number.isInteger(num) && num >= 1 && num <= 12) return num;
+  const idx = MONTH_NAMES.indexOf(text.slice(0, 3));
+  return idx === -1 ? null : idx + 1;
+}
+
+/**
+ * Observation timing from observationDate / month / season. Rows with none of
+ * them are annual records. A month or season without a date is placed on the
+ * 1st of that month (a season's standard CGWB month) once the year is known.
+ * @returns {{ observationDate, month, season, dateFromYear: boolean }}
+ */
+function parseTiming(raw, errors) {
+  const annual = { observationDate: null, month: null, season: null, dateFromYear: false };
+  let date = null;
+  let month = null;
+  let season = null;
+
+  if (!isBlank(raw.observationDate)) {
+    date = parseDate(raw.observationDate);
+    if (!date) errors.push({ field: 'observationDate', message: `observationDate "${raw.observationDate}" is not a valid date` });
+  }
+  if (!isBlank(raw.month)) {
+    month = parseMonth(raw.month);
+    if (!month) errors.push({ field: 'month', message: `month "${raw.month}" must be 1–12 or a month name` });
+  }
+  if (!isBlank(raw.season)) {
+    season = normalizeSeason(raw.season);
+    if (!season) errors.push({ field: 'season', message: `season "${raw.season}" must be pre-monsoon, monsoon, post-monsoon or winter` });
+  }
+  if (errors.length) return annual;
+
+  if (date) {
+    const dateMonth = Number(date.slice(5, 7));
+    if (month && month !== dateMonth) {
+      errors.push({ field: 'month', message: `month ${month} does not match observationDate ${date}` });
+      return annual;
+    }
+    // An explicit season wins: a late-monsoon June reading can still be pre-monsoon
+    return { observationDate: date, month: dateMonth, season: season || seasonOfMonth(dateMonth), dateFromYear: false };
+  }
+  if (month) return { observationDate: null, month, season: season || seasonOfMonth(month), dateFromYear: true };
+  if (season) return { observationDate: null, month: SEASON_MONTHS[season], season, dateFromYear: true };
+  return annual;
+}
+
+/**
+ * Validate and normalize one mapped row.
+ * Raw values may be strings, numbers, '' or undefined. Missing optional values
+ * fall back to the schema default with a warning; anything unparseable or out
+ * of range rejects the row.
+ * @param {Object} raw - Row keyed by internal field names
+ * @returns {{ record: Object|null, errors: Array, warnings: Array }}
+ */
+function validateRecord(raw) {
+  const errors = [];
+  const warnings = [];
+  const record = {};
+
+  // Timing first: an observation date can supply a missing year
+  const timing = parseTiming(raw, errors);
+  const values = { ...raw };
+  if (isBlank(values.year) && timing.observationDate) values.year = timing.observationDate.slice(0, 4);
+
+  // Location
+  const location = isBlank(raw.location) ? '' : String(raw.location).trim();
+  if (!location) errors.push({ field: 'location', message: 'Location is required' });
+  record.location = location;
+
+  // Numeric fields
+  for (const field of NUMERIC_FIELDS) {
+    const rule = RULES[field];
+    const value = values[field];
+
+    if (isBlank(value)) {
+      if (rule.required) {
+        errors.push({ field, message: `${field} is required` });
+      } else {
+        record[field] = rule.default;
+        warnings.push({ field, message: `${field} missing — defaulted to ${rule.default}` });
+      }
+      continue;
+    }
+
+    const num = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(num)) {
+      errors.push({ field, message: `${field} "${value}" is not a number` });
+      continue;
+    }
+    if (field === 'year' && !Number.isInteger(num)) {
+      errors.push({ field, message: `year "${value}" is not a whole number` });
+      continue;
+    }
+    if (rule.min !== undefined && num < rule.min) {
+      errors.push({ field, message: `${field} ${num} is below the minimum of ${rule.min}` });
+      continue;
+    }
+    if (rule.max !== undefined && num > rule.max) {
+      errors.push({ field, message: `${field} ${num} is above the maximum of ${rule.max}` });
+      continue;
+    }
+    record[field] = num;
+  }
+
+  if (Number.isInteger(record.year)) {
+    if (timing.observationDate && Number(timing.observationDate.slice(0, 4)) !== record.year) {
+      errors.push({ field: 'observationDate', message: `observationDate ${timing.observationDate} is not in year ${record.year}` });
+    }
+    if (timing.dateFromYear) {
+      timing.observationDate = isoDate(record.year, timing.month, 1);
+      warnings.push({ field: 'observationDate', message: `observationDate set to ${timing.observationDate} from ${timing.season} / month ${timing.month}` });
+    }
+  }
+  record.observationDate = timing.observationDate;
+  record.month = timing.observationDate ? timing.month : null;
+  record.season = timing.observationDate ? timing.season : null;
+
+  // Scarcity level (enum, case-insensitive match)
+  const scarcityRule = RULES.scarcityLevel;
+  if (isBlank(raw.scarcityLevel)) {
+    record.scarcityLevel = scarcityRule.default;
+    warnings.push({ field: 'scarcityLevel', message: `scarcityLevel missing — defaulted to ${scarcityRule.default}` });
+  } else {
+    const given = String(raw.scarcityLevel).trim();
+    const match = scarcityRule.enum.find((e) => e.toLowerCase() === given.toLowerCase());
+    if (!match) {
+      errors.push({ field: 'scarcityLevel', message: `scarcityLevel "${given}" must be one of ${scarcityRule.enum.join(', ')}` });
+    } else {
+      if (match !== given) warnings.push({ field: 'scarcityLevel', message: `scarcityLevel "${given}" normalized to ${match}` });
+      record.scarcityLevel = match;
+    }
+  }
+
+  // Coordinates are optional; bad values are dropped rather than rejecting the row
+  record.latitude = null;
+  record.longitude = null;
+  if (!isBlank(raw.latitude) || !isBlank(raw.longitude)) {
+    const lat = Number(raw.latitude);
+    const lng = Number(raw.longitude);
+    if (Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      record.latitude = lat;
+      record.longitude = lng;
+    } else {
+      warnings.push({ field: 'coordinates', message: `Invalid coordinates "${raw.latitude}, ${raw.longitude}" ignored` });
+    }
+  }
+
+  // Taluka (sub-district) is optional free text
+  record.taluka = isBlank(raw.taluka) ? null : String(raw.taluka).trim();
+
+  record.lastUpdated = new Date();
+  return { record: errors.length ? null : record, errors, warnings };
+}
+
+/**
+ * Accumulate validation results for a whole file, row by row.
+ * Readers hand over raw rows keyed by source header; a few reserved keys carry
+ * format-specific context: __sheet (XLSX sheet name) and __latitude/__longitude
+ * (GeoJSON point geometry).
+ * The report lists the first MAX_REPORT_ENTRIES accepted rows, rejected rows
+ * and warnings, with the full counts alongside.
+ * @param {Object} [profile] - Column mapping profile
+ */
+function createValidationReport(profile = DEFAULT_PROFILE) {
+  const accepted = [];       // { position, record }
+  const rejected = [];
+  const warnings = [];
+  let rejectedCount = 0;
+  let warningCount = 0;
+  const seen = new Map();    // recordKey → index in accepted
+  const locationUpdates = new Map(); // name → { name, latitude, longitude }
+  let totalRows = 0;
+
+  const reject = (entry) => {
+    if (rejectedCount++ < MAX_REPORT_ENTRIES) rejected.push(entry);
+  };
+  const warn = (entry) => {
+    if (warningCount++ < MAX_REPORT_ENTRIES) warnings.push(entry);
+  };
+
+  return {
+    /**
+     * @param {Object} raw - Row keyed by source header
+     * @param {Object} position - { row, sheet? } used in the report
+     */
+    add(raw, position) {
+      totalRows++;
+      const mapped = applyMapping(raw, profile);
+
+      // Geometry and sheet names fill gaps the columns leave
+      if (isBlank(mapped.latitude) && raw.__latitude !== undefined) {
+        mapped.latitude = raw.__latitude;
+        mapped.longitude = raw.__longitude;
+      }
+      if (isBlank(mapped.year) && /^\d{4}$/.test(String(raw.__sheet || '').trim())) {
+        mapped.year = String(raw.__sheet).trim();
+        warn({ ...position, field: 'year', message: `year taken from sheet name ${raw.__sheet}` });
+      }
+
+      // A located feature with no year is station metadata, not a reading
+      if (isBlank(mapped.year) && !isBlank(mapped.location) && raw.__latitude !== undefined) {
+        const name = String(mapped.location).trim();
+        locationUpdates.set(name, { name, latitude: Number(raw.__latitude), longitude: Number(raw.__longitude) });
+        return;
+      }
+
+      const { record, errors, warnings: rowWarnings } = validateRecord(mapped);
+      rowWarnings.forEach((w) => warn({ ...position, ...w }));
+
+      if (!record) {
+        reject({
+          ...position,
+          location: String(mapped.location || '').trim() || null,
+          year: mapped.year || null,
+          errors,
+        });
+        return;
+      }
+
+      // Later duplicates of the same location+year (+date) replace earlier ones
+      const key = recordKey(record);
+      if (seen.has(key)) {
+        const prev = accepted[seen.get(key)];
+        warn({
+          ...position,
+          field: 'year',
+          message: `Duplicate ${record.location} ${record.observationDate || record.year} — replaces ${describe(prev.position)}`,
+        });
+        accepted[seen.get(key)] = { position, record };
+      } else {
+        seen.set(key, accepted.length);
+        accepted.push({ position, record });
+      }
+    },
+
+    /** Running totals, for progress reporting while a file is read */
+    counts() {
+      return { processedRows: totalRows, accepted: accepted.length, rejected: rejectedCount };
+    },
+
+    /** @returns {{ rows: Array, locations: Array, report: Object }} */
+    finish() {
+      return {
+        rows: accepted.map((a) => a.record),
+        locations: [...locationUpdates.values()],
+        report: {
+          totalRows,
+          acceptedCount: accepted.length,
+          rejectedCount,
+          warningCount,
+          truncated: Math.max(accepted.length, rejectedCount, warningCount) > MAX_REPORT_ENTRIES,
+          accepted: accepted.slice(0, MAX_REPORT_ENTRIES).map((a) => ({
+            ...a.position,
+            location: a.record.location,
+            year: a.record.year,
+            ...(a.record.observationDate ? { observationDate: a.record.observationDate } : {}),
+          })),
+          rejected,
+          warnings,
+          locationsUpdated: [...locationUpdates.keys()],
+        },
+      };
+    },
+  };
+}
+
+function describe(position) {
+  return position.sheet ? `${position.sheet} row ${position.row}` : `row ${position.row}`;
+}
+
+module.exports = { validateRecord, createValidationReport, RULES, MAX_REPORT_ENTRIES };
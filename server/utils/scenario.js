@@ -0,0 +1,158 @@
+/**
+ * Scenario Simulation
+ * "What if agricultural draw falls 20% and rainfall is 15% below normal for
+ * three years?" — projects a location year by year under changed usage and
+ * rainfall, next to the baseline.
+ *
+ * The baseline is the location's forecast (or its latest reading held steady
+ * when there is too little history to forecast), with normal rainfall (the
+ * location's mean) and its latest usage. A scenario moves the water balance
+ * away from that baseline:
+ *
+ *   Δnet (Ml)      = Δextraction − Δextractable recharge         (per year)
+ *   level shift (m) = Σ Δnet × 1000 ÷ (area km² × 10⁶ × specific yield)
+ *
+ * so a deficit deepens the water level cumulatively, and a surplus lets it
+ * recover. Depletion rate scales with the stage of extraction. Recharge,
+ * area and specific yield come from the groundwater assessment parameters.
+ */
+const { calculateWaterScore, getStatus } = require('./waterScore');
+const { parametersFor, assessRecord } = require('./groundwaterAssessment');
+const { forecast } = require('./forecasting');
+
+const USAGE_FIELDS = ['agriculturalUsage', 'industrialUsage', 'householdUsage'];
+const ADJUSTABLE_FIELDS = [...USAGE_FIELDS, 'rainfall'];
+const ADJUSTMENT_RANGE = { min: -100, max: 200 }; // % change
+const MAX_YEARS = 10;
+
+/**
+ * Check a scenario request body.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateScenario(body) {
+  if (!body || typeof body !== 'object') return ['Scenario body is required'];
+  const problems = [];
+  const adjustments = body.adjustments || {};
+  if (typeof adjustments !== 'object') return ['adjustments must be an object of % changes'];
+  for (const [field, value] of Object.entries(adjustments)) {
+    if (!ADJUSTABLE_FIELDS.includes(field)) {
+      problems.push(`Unknown adjustment "${field}" (use ${ADJUSTABLE_FIELDS.join(', ')})`);
+    } else if (typeof value !== 'number' || value < ADJUSTMENT_RANGE.min || value > ADJUSTMENT_RANGE.max) {
+      problems.push(`adjustments.${field} must be a % change from ${ADJUSTMENT_RANGE.min} to ${ADJUSTMENT_RANGE.max}`);
+    }
+  }
+  for (const key of ['years', 'durationYears']) {
+    const value = body[key];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 1 && value <= MAX_YEARS)) {
+      problems.push(`${key} must be a whole number from 1 to ${MAX_YEARS}`);
+    }
+  }
+  return problems;
+}
+
+const round = (n, d = 2) => +n.toFixed(d);
+
+/** Score and status of a projected year */
+function scored(values, profile) {
+  const waterScore = calculateWaterScore(values, profile);
+  return { ...values, waterScore, status: getStatus(waterScore) };
+}
+
+/**
+ * Run a scenario for one location (call after validation).
+ * @param {Array} history - Yearly series, oldest first
+ * @param {Object} location - Location document ({ name, district })
+ * @param {Object} profile - Scoring profile for the location
+ * @param {Object} body - { adjustments: { field: % }, years?, durationYears?, model? }
+ */
+function runScenario(history, location, profile, body) {
+  const years = body.years || 3;
+  const duration = body.durationYears || years;
+  const adjustments = Object.fromEntries(ADJUSTABLE_FIELDS.map((f) => [f, (body.adjustments || {})[f] || 0]));
+  const params = parametersFor(location.name, location.district);
+  const latest = history[history.length - 1];
+  const normalRainfall = history.reduce((s, d) => s + (d.rainfall || 0), 0) / history.length;
+
+  // Baseline level and depletion: the forecast, or the latest reading held steady
+  let baselineModel = 'persistence';
+  let baseline = Array.from({ length: years }, (_, i) => ({
+    year: latest.year + i + 1,
+    groundwaterLevel: latest.groundwaterLevel,
+    depletionRate: latest.depletionRate,
+  }));
+  if (history.length >= 2) {
+    const result = forecast(history, { periodsAhead: years, model: body.model || 'auto' });
+    baselineModel = result.model;
+    baseline = result.predictions;
+  }
+
+  const baseInputs = { rainfall: normalRainfall };
+  for (const f of USAGE_FIELDS) baseInputs[f] = latest[f] || 0;
+  const baseBalance = assessRecord({ ...baseInputs, year: latest.year }, params);
+  // Ml of net draw that moves the level by one metre across the assessed area
+  const mlPerMetre = (params.areaKm2 * 1e6 * params.specificYield) / 1000;
+
+  let shift = 0;
+  const projection = baseline.map((base, i) => {
+    const active = i < duration;
+    const inputs = {};
+    for (const f of ADJUSTABLE_FIELDS) inputs[f] = baseInputs[f] * (1 + (active ? adjustments[f] : 0) / 100);
+    const balance = assessRecord({ ...inputs, year: base.year }, params);
+    const netChange = (balance.extraction.total - baseBalance.extraction.total)
+      - (balance.extractableResource - baseBalance.extractableResource);
+    shift += netChange / mlPerMetre;
+
+    const stageRatio = baseBalance.stageOfExtraction && balance.stageOfExtraction !== null
+      ? balance.stageOfExtraction / baseBalance.stageOfExtraction
+      : 1;
+    const common = { ph: latest.ph };
+    const baselineYear = scored({
+      ...common,
+      groundwaterLevel: base.groundwaterLevel,
+      depletionRate: base.depletionRate,
+      rainfall: round(normalRainfall, 1),
+      extraction: baseBalance.extraction.total,
+      stageOfExtraction: baseBalance.stageOfExtraction,
+      category: baseBalance.category,
+    }, profile);
+    const scenarioYear = scored({
+      ...common,
+      groundwaterLevel: Math.max(0, round(base.groundwaterLevel + shift)),
+      depletionRate: Math.max(0, round(base.depletionRate * stageRatio)),
+      rainfall: round(inputs.rainfall, 1),
+      extraction: balance.extraction.total,
+      stageOfExtraction: balance.stageOfExtraction,
+      category: balance.category,
+    }, profile);
+
+    return {
+      year: base.year,
+      adjusted: active,
+      netChange: round(netChange),
+      baseline: baselineYear,
+      scenario: scenarioYear,
+      change: {
+        groundwaterLevel: round(scenarioYear.groundwaterLevel - baselineYear.groundwaterLevel),
+        depletionRate: round(scenarioYear.depletionRate - baselineYear.depletionRate),
+        waterScore: scenarioYear.waterScore - baselineYear.waterScore,
+      },
+    };
+  });
+
+  return {
+    adjustments,
+    years,
+    durationYears: duration,
+    normalRainfall: round(normalRainfall, 1),
+    baselineModel,
+    parameters: params,
+    projection,
+  };
+}
+
+module.exports = {
+  ADJUSTABLE_FIELDS,
+  ADJUSTMENT_RANGE,
+  validateScenario,
+  runScenario,
+};
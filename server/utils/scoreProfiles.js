@@ -0,0 +1,198 @@
+/**
+ * Scoring Profiles
+ * Named water-score formulas — which metrics count, their weights and the
+ * normalization ranges — so hard-rock and alluvial areas can be judged on
+ * their own terms. A profile is assigned to a location or to a whole
+ * district; a location's own assignment wins over its district's, and
+ * anything unassigned uses the built-in default.
+ *
+ * Profile shape:
+ *   { id, name, description, metrics: ['waterLevel', …],
+ *     weights: { waterLevel: 0.35, … }, thresholds: { waterLevel: { min, max }, …, ph: { ideal, range } } }
+ *
+ * Scores are computed synchronously on every request, so profiles and
+ * assignments are held in memory and written through to storage.
+ */
+const { DEFAULT_SCORE_PROFILE, SCORE_METRICS } = require('./waterScore');
+
+const PROFILES_COLLECTION = 'scoreprofiles';
+const ASSIGNMENTS_COLLECTION = 'scoreassignments';
+const ASSIGNMENT_SCOPES = ['location', 'district'];
+
+let adapter = null;
+let profiles = new Map();    // id → profile
+let assignments = new Map(); // "scope:target" → assignment
+let signature = '';          // detects changes written by other instances
+
+const assignmentId = (scope, target) => `${scope}:${target}`;
+
+/**
+ * Load profiles and assignments from storage.
+ * @param {Object} storageAdapter
+ * @returns {Promise<boolean>} true when they differ from what was held before
+ */
+async function loadScoreProfiles(storageAdapter) {
+  adapter = storageAdapter;
+  const [savedProfiles, savedAssignments] = await Promise.all([
+    adapter.collection(PROFILES_COLLECTION).list(),
+    adapter.collection(ASSIGNMENTS_COLLECTION).list(),
+  ]);
+  const next = JSON.stringify([savedProfiles, savedAssignments].map((docs) => docs
+    .map((d) => `${d.id}@${d.updatedAt}`)
+    .sort()));
+  if (next === signature) return false;
+  signature = next;
+  profiles = new Map(savedProfiles.map((p) => [p.id, p]));
+  assignments = new Map(savedAssignments.map((a) => [a.id, a]));
+  return true;
+}
+
+/**
+ * Check a profile before saving or previewing.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateScoreProfile(profile, { requireName = true } = {}) {
+  const problems = [];
+  if (!profile || typeof profile !== 'object') return ['Profile body is required'];
+  if (profile.name != null && typeof profile.name !== 'string') problems.push('name must be a string');
+  else if (requireName && !(profile.name || '').trim()) problems.push('name is required');
+
+  const metrics = profile.metrics || [];
+  if (!Array.isArray(metrics) || !metrics.length) {
+    return [...problems, `metrics must list at least one of ${SCORE_METRICS.join(', ')}`];
+  }
+  for (const metric of metrics) {
+    if (!SCORE_METRICS.includes(metric)) problems.push(`Unknown metric "${metric}"`);
+  }
+
+  const weights = profile.weights || {};
+  for (const metric of metrics) {
+    const w = weights[metric];
+    if (typeof w !== 'number' || !Number.isFinite(w) || w < 0) {
+      problems.push(`weights.${metric} must be a non-negative number`);
+    }
+  }
+  if (!problems.length && metrics.every((m) => weights[m] === 0)) {
+    problems.push('At least one included metric needs a weight above 0');
+  }
+
+  const thresholds = profile.thresholds || {};
+  for (const metric of metrics) {
+    const t = thresholds[metric];
+    if (!t) continue; // falls back to the default range
+    if (metric === 'ph') {
+      if (!(t.range > 0)) problems.push('thresholds.ph.range must be above 0');
+      if (!Number.isFinite(t.ideal)) problems.push('thresholds.ph.ideal must be a number');
+    } else if (!(Number.isFinite(t.min) && Number.isFinite(t.max) && t.min < t.max)) {
+      problems.push(`thresholds.${metric} needs numeric min < max`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Fill unset thresholds from the default and scale the included metrics'
+ * weights to sum to 1 (excluded metrics weigh 0). Call after validation.
+ */
+function normalizeScoreProfile(profile) {
+  const metrics = SCORE_METRICS.filter((m) => profile.metrics.includes(m));
+  const total = metrics.reduce((s, m) => s + profile.weights[m], 0);
+  const weights = {};
+  const thresholds = {};
+  for (const metric of SCORE_METRICS) {
+    weights[metric] = metrics.includes(metric) ? +(profile.weights[metric] / total).toFixed(4) : 0;
+    thresholds[metric] = { ...DEFAULT_SCORE_PROFILE.thresholds[metric], ...(profile.thresholds || {})[metric] };
+  }
+  return { ...profile, metrics, weights, thresholds };
+}
+
+/** Built-in default first, then saved profiles by name */
+function listScoreProfiles() {
+  const saved = [...profiles.values()].sort((a, b) => a.name.localeCompare(b.name));
+  return [DEFAULT_SCORE_PROFILE, ...saved];
+}
+
+/** @returns {Object|null} */
+function getScoreProfile(id) {
+  if (!id || id === DEFAULT_SCORE_PROFILE.id) return DEFAULT_SCORE_PROFILE;
+  return profiles.get(id) || null;
+}
+
+async function saveScoreProfile(profile) {
+  await adapter.collection(PROFILES_COLLECTION).put(profile);
+  profiles.set(profile.id, profile);
+  return profile;
+}
+
+/**
+ * Delete a profile and every assignment that pointed at it
+ * @returns {Promise<string[]|null>} ids of the removed assignments, or null when not found
+ */
+async function removeScoreProfile(id) {
+  if (!profiles.has(id)) return null;
+  await adapter.collection(PROFILES_COLLECTION).remove(id);
+  profiles.delete(id);
+  const orphaned = [...assignments.values()].filter((a) => a.profileId === id).map((a) => a.id);
+  for (const aid of orphaned) await removeAssignment(aid);
+  return orphaned;
+}
+
+function listAssignments() {
+  return [...assignments.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Assign a profile to a location or district (replaces any earlier assignment)
+ */
+async function assignScoreProfile(scope, target, profileId) {
+  const assignment = {
+    id: assignmentId(scope, target),
+    scope,
+    target,
+    profileId,
+    updatedAt: new Date().toISOString(),
+  };
+  await adapter.collection(ASSIGNMENTS_COLLECTION).put(assignment);
+  assignments.set(assignment.id, assignment);
+  return assignment;
+}
+
+async function removeAssignment(id) {
+  if (!assignments.has(id)) return false;
+  await adapter.collection(ASSIGNMENTS_COLLECTION).remove(id);
+  assignments.delete(id);
+  return true;
+}
+
+/**
+ * Profile that scores a location: its own assignment, else its district's, else the default
+ * @param {string} locationName
+ * @param {string} [district]
+ */
+function resolveScoreProfile(locationName, district) {
+  const assignment = assignments.get(assignmentId('location', locationName))
+    || (district && assignments.get(assignmentId('district', district)));
+  return (assignment && profiles.get(assignment.profileId)) || DEFAULT_SCORE_PROFILE;
+}
+
+/** What responses carry to say which profile produced a score */
+function profileRef(profile) {
+  return { id: profile.id, name: profile.name };
+}
+
+module.exports = {
+  ASSIGNMENT_SCOPES,
+  assignmentId,
+  loadScoreProfiles,
+  validateScoreProfile,
+  normalizeScoreProfile,
+  listScoreProfiles,
+  getScoreProfile,
+  saveScoreProfile,
+  removeScoreProfile,
+  listAssignments,
+  assignScoreProfile,
+  removeAssignment,
+  resolveScoreProfile,
+  profileRef,
+};
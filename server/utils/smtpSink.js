@@ -0,0 +1,98 @@
+/**
+ * SMTP Sink
+ * A throwaway SMTP server for trying notifications locally: it accepts every
+ * message and prints it instead of delivering it. No TLS and no auth, so run
+ * the API with SMTP_HOST=localhost SMTP_PORT=2525 and no SMTP_USER.
+ *
+ * Usage: npm run sink:smtp -- [--port 2525]
+ */
+const net = require('net');
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? parseInt(process.argv[i + 1], 10) : fallback;
+}
+
+const PORT = argValue('port', 2525);
+let received = 0;
+
+// Undo quoted-printable encoding, in bodies and in "=?UTF-8?Q?…?=" headers
+function decodeQuotedPrintable(text) {
+  const escaped = text.replace(/=\r\n/g, '').replace(/%/g, '%25').replace(/=([0-9A-F]{2})/gi, (m, hex) => `%${hex}`);
+  try {
+    return decodeURIComponent(escaped);
+  } catch (err) {
+    return text;
+  }
+}
+
+function printMessage(envelope, data) {
+  received++;
+  const [folded, ...rest] = data.split('\r\n\r\n');
+  const headers = folded.replace(/\r\n[ \t]+/g, ' ').replace(/\?=\s+=\?UTF-8\?Q\?/gi, '');
+  const subject = ((headers.match(/^Subject: (.*)$/m) || [])[1] || '(no subject)')
+    .replace(/=\?UTF-8\?Q\?(.*?)\?=/gi, (m, encoded) => decodeQuotedPrintable(encoded.replace(/_/g, ' ')));
+  let body = rest.join('\r\n\r\n');
+  if (/^Content-Transfer-Encoding: quoted-printable/mi.test(headers)) body = decodeQuotedPrintable(body);
+  console.log(`\n📧 #${received} ${envelope.from} → ${envelope.to.join(', ')}`);
+  console.log(`   Subject: ${subject}`);
+  console.log(body.replace(/\r\n/g, '\n').replace(/^/gm, '   '));
+}
+
+const server = net.createServer((socket) => {
+  let envelope = { from: null, to: [] };
+  let buffer = '';
+  let data = null; // collecting message content between DATA and "."
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 jalrakshya-sink ESMTP ready');
+  socket.setEncoding('utf8');
+  socket.on('error', () => {});
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          printMessage(envelope, data.join('\r\n'));
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK: message accepted');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        reply('250-jalrakshya-sink');
+        reply('250 8BITMIME');
+      } else if (command === 'HELO') reply('250 jalrakshya-sink');
+      else if (command === 'MAIL') {
+        envelope.from = (line.match(/<(.*)>/) || [])[1] || '';
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push((line.match(/<(.*)>/) || [])[1] || '');
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') reply('250 OK');
+      else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else reply('502 Command not implemented');
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`📧 SMTP sink listening on port ${PORT} — set SMTP_HOST=localhost SMTP_PORT=${PORT}`);
+});
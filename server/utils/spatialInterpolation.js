@@ -0,0 +1,415 @@
+/**
+ * Spatial Interpolation
+ * Estimates a metric between monitoring stations on a regular grid over the
+ * district, then traces contours of that surface for the map.
+ *
+ *   idw      – inverse-distance weighting: a weighted mean of every station,
+ *              weights 1 / distance² (fast, never overshoots the data)
+ *   kriging  – ordinary kriging with a spherical variogram fitted to the
+ *              stations' empirical semivariogram (weights follow how quickly
+ *              values decorrelate with distance)
+ *
+ * Grid nodes further than MAX_REACH_KM from the nearest station are left
+ * blank rather than extrapolated. Contours are returned as GeoJSON
+ * MultiPolygons, one per threshold, each covering the area where the surface
+ * is at or above that threshold (like d3-contour) — draw them in order and
+ * every band shows through.
+ */
+
+// Same box as NASHIK_BOUNDS on the map (client/src/components/MapComponent.js)
+const NASHIK_BOUNDS = { south: 19.35, west: 73.2, north: 20.9, east: 74.9 };
+
+const SURFACE_METRICS = {
+  groundwaterLevel: { label: 'Water level', unit: 'm', higherIsBetter: false },
+  waterScore: { label: 'Water score', unit: '', higherIsBetter: true },
+  depletionRate: { label: 'Depletion rate', unit: '%', higherIsBetter: false },
+};
+const SURFACE_METHODS = ['idw', 'kriging'];
+
+const DEFAULT_RESOLUTION = 60;  // grid nodes along the longer side
+const MAX_RESOLUTION = 120;
+const DEFAULT_LEVELS = 6;
+const MAX_LEVELS = 12;
+const MAX_REACH_KM = 25;
+const IDW_POWER = 2;
+const VARIOGRAM_BINS = 12;
+
+const KM_PER_DEG_LAT = 111.32;
+const round = (n, d = 4) => +n.toFixed(d);
+
+/** Planar distance in km — adequate across a district */
+function distanceKm(a, b) {
+  const kmPerDegLng = KM_PER_DEG_LAT * Math.cos((((a.lat + b.lat) / 2) * Math.PI) / 180);
+  return Math.hypot((a.lat - b.lat) * KM_PER_DEG_LAT, (a.lng - b.lng) * kmPerDegLng);
+}
+
+// Average stations that share a position — kriging's system is singular otherwise
+function mergeColocated(stations) {
+  const byPos = new Map();
+  for (const s of stations) {
+    const key = `${s.lat.toFixed(5)},${s.lng.toFixed(5)}`;
+    if (!byPos.has(key)) byPos.set(key, { lat: s.lat, lng: s.lng, sum: 0, n: 0 });
+    const p = byPos.get(key);
+    p.sum += s.value;
+    p.n++;
+  }
+  return [...byPos.values()].map((p) => ({ lat: p.lat, lng: p.lng, value: p.sum / p.n }));
+}
+
+// ===== Estimators =====
+
+function idwEstimator(stations) {
+  return (point) => {
+    let num = 0;
+    let den = 0;
+    for (const s of stations) {
+      const d = distanceKm(point, s);
+      if (d < 1e-6) return s.value;
+      const w = 1 / d ** IDW_POWER;
+      num += w * s.value;
+      den += w;
+    }
+    return num / den;
+  };
+}
+
+const sphericalModel = ({ nugget, sill, range }) => (h) => {
+  if (h <= 0) return 0;
+  if (h >= range) return nugget + sill;
+  const r = h / range;
+  return nugget + sill * (1.5 * r - 0.5 * r ** 3);
+};
+
+/**
+ * Fit a spherical variogram to the binned empirical semivariogram by
+ * weighted least squares over a grid of ranges (sill and nugget are linear
+ * once the range is fixed)
+ * @returns {{ nugget, sill, range, bins }}
+ */
+function fitVariogram(stations) {
+  const pairs = [];
+  let maxDist = 0;
+  for (let i = 0; i < stations.length; i++) {
+    for (let j = i + 1; j < stations.length; j++) {
+      const h = distanceKm(stations[i], stations[j]);
+      pairs.push([h, 0.5 * (stations[i].value - stations[j].value) ** 2]);
+      if (h > maxDist) maxDist = h;
+    }
+  }
+  // Semivariance is only trusted out to half the largest separation
+  const cutoff = maxDist / 2 || 1;
+  const width = cutoff / VARIOGRAM_BINS;
+  const bins = Array.from({ length: VARIOGRAM_BINS }, (_, i) => ({ h: (i + 0.5) * width, sum: 0, n: 0 }));
+  for (const [h, g] of pairs) {
+    const b = Math.floor(h / width);
+    if (b < VARIOGRAM_BINS) {
+      bins[b].sum += g;
+      bins[b].n++;
+    }
+  }
+  const empirical = bins.filter((b) => b.n).map((b) => ({ h: b.h, gamma: b.sum / b.n, n: b.n }));
+  const mean = stations.reduce((s, p) => s + p.value, 0) / stations.length;
+  const variance = stations.reduce((s, p) => s + (p.value - mean) ** 2, 0) / stations.length || 1e-6;
+
+  let best = { nugget: 0, sill: variance, range: cutoff, sse: Infinity };
+  for (let k = 1; k <= 20; k++) {
+    const range = (cutoff * k) / 10;
+    // γ(h) = nugget + sill·f(h): weighted linear least squares in (nugget, sill)
+    let sw = 0; let sf = 0; let sff = 0; let sg = 0; let sfg = 0;
+    for (const { h, gamma, n } of empirical) {
+      const f = h >= range ? 1 : 1.5 * (h / range) - 0.5 * (h / range) ** 3;
+      sw += n; sf += n * f; sff += n * f * f; sg += n * gamma; sfg += n * f * gamma;
+    }
+    const det = sw * sff - sf * sf;
+    let sill = det ? (sw * sfg - sf * sg) / det : variance;
+    let nugget = det ? (sg - sill * sf) / sw : 0;
+    if (nugget < 0) { nugget = 0; sill = sff ? sfg / sff : variance; }
+    if (sill <= 0) { sill = variance; nugget = 0; }
+    let sse = 0;
+    for (const { h, gamma, n } of empirical) sse += n * (sphericalModel({ nugget, sill, range })(h) - gamma) ** 2;
+    if (sse < best.sse) best = { nugget, sill, range, sse };
+  }
+  return {
+    nugget: round(best.nugget), sill: round(best.sill), range: round(best.range, 2),
+    bins: empirical.map((b) => ({ h: round(b.h, 2), gamma: round(b.gamma), pairs: b.n })),
+  };
+}
+
+/** Solve A·x = b in place (Gaussian elimination, partial pivoting) */
+function solve(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    if (Math.abs(A[col][col]) < 1e-12) A[col][col] = 1e-12;
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      if (!f) continue;
+      for (let c = col; c < n; c++) A[r][c] -= f * A[col][c];
+      b[r] -= f * b[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = b[r];
+    for (let c = r + 1; c < n; c++) s -= A[r][c] * x[c];
+    x[r] = s / A[r][r];
+  }
+  return x;
+}
+
+/**
+ * Ordinary kriging. The estimate at x is Σ λᵢ zᵢ with λ = K⁻¹ k(x); since K is
+ * symmetric that equals k(x)ᵀ K⁻¹ z, so K⁻¹ z is solved once and each grid
+ * node costs one pass over the stations.
+ */
+function krigingEstimator(stations) {
+  const variogram = fitVariogram(stations);
+  const gamma = sphericalModel(variogram);
+  const n = stations.length;
+  const K = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: n + 1 }, (_, j) => {
+    if (i === n && j === n) return 0;
+    if (i === n || j === n) return 1;
+    return gamma(distanceKm(stations[i], stations[j]));
+  }));
+  const weights = solve(K, [...stations.map((s) => s.value), 0]);
+  const estimate = (point) => {
+    let z = weights[n];
+    for (let i = 0; i < n; i++) z += weights[i] * gamma(distanceKm(point, stations[i]));
+    return z;
+  };
+  return { estimate, variogram };
+}
+
+// ===== Contouring =====
+
+/**
+ * Rings enclosing grid cells at or above a threshold (marching squares).
+ * The grid is padded with a value below every threshold so all rings close.
+ * @returns {Array<Array<[number, number]>>} rings in [col, row] grid units
+ */
+function traceRings(values, threshold) {
+  const rows = values.length + 2;
+  const cols = values[0].length + 2;
+  const PAD = -Infinity;
+  const at = (r, c) => {
+    if (r === 0 || c === 0 || r === rows - 1 || c === cols - 1) return PAD;
+    const v = values[r - 1][c - 1];
+    return Number.isFinite(v) ? v : PAD;
+  };
+  const inside = (r, c) => at(r, c) >= threshold;
+  // Crossing point along an edge, linearly interpolated (snapped to the inner node next to padding)
+  const cross = (v0, v1) => (Number.isFinite(v0) && Number.isFinite(v1) ? (threshold - v0) / (v1 - v0) : v0 >= threshold ? 0 : 1);
+  const points = new Map();
+  const pointOf = (id, r0, c0, r1, c1) => {
+    if (!points.has(id)) {
+      const t = Math.min(1, Math.max(0, cross(at(r0, c0), at(r1, c1))));
+      points.set(id, [c0 + t * (c1 - c0), r0 + t * (r1 - r0)]);
+    }
+    return id;
+  };
+  const links = new Map();
+  const link = (a, b) => {
+    if (!links.has(a)) links.set(a, []);
+    if (!links.has(b)) links.set(b, []);
+    links.get(a).push(b);
+    links.get(b).push(a);
+  };
+
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols - 1; c++) {
+      const tl = inside(r, c); const tr = inside(r, c + 1);
+      const br = inside(r + 1, c + 1); const bl = inside(r + 1, c);
+      if (tl === tr && tr === br && br === bl) continue;
+      const top = tl !== tr && pointOf(`h${r},${c}`, r, c, r, c + 1);
+      const bottom = bl !== br && pointOf(`h${r + 1},${c}`, r + 1, c, r + 1, c + 1);
+      const left = tl !== bl && pointOf(`v${r},${c}`, r, c, r + 1, c);
+      const right = tr !== br && pointOf(`v${r},${c + 1}`, r, c + 1, r + 1, c + 1);
+      const edges = [top, right, bottom, left].filter(Boolean);
+      if (edges.length === 2) {
+        link(edges[0], edges[1]);
+        continue;
+      }
+      // Saddle: the cell centre decides which diagonal is connected
+      const centre = (at(r, c) + at(r, c + 1) + at(r + 1, c + 1) + at(r + 1, c)) / 4;
+      const diagonalInside = tl ? centre >= threshold : centre < threshold;
+      if (diagonalInside) {
+        link(top, right);
+        link(bottom, left);
+      } else {
+        link(left, top);
+        link(right, bottom);
+      }
+    }
+  }
+
+  const rings = [];
+  const visited = new Set();
+  for (const start of links.keys()) {
+    if (visited.has(start)) continue;
+    const ring = [];
+    let prev = null;
+    let cur = start;
+    while (cur && !visited.has(cur)) {
+      visited.add(cur);
+      ring.push(points.get(cur));
+      const next = links.get(cur).find((p) => p !== prev && !visited.has(p));
+      prev = cur;
+      cur = next;
+    }
+    if (ring.length >= 3) rings.push(ring);
+  }
+  return rings;
+}
+
+function signedArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return a / 2;
+}
+
+function contains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Group rings into polygons: a ring nested inside an odd number of others is
+ * a hole of the smallest ring that contains it
+ */
+function polygonsOf(rings) {
+  const nested = rings.map((ring) => rings.filter((other) => other !== ring && contains(other, ring[0])));
+  const polygons = new Map();
+  rings.forEach((ring, i) => {
+    if (nested[i].length % 2 === 0) polygons.set(ring, [ring]);
+  });
+  rings.forEach((ring, i) => {
+    if (nested[i].length % 2 === 0) return;
+    const owner = nested[i]
+      .filter((o) => polygons.has(o))
+      .sort((a, b) => Math.abs(signedArea(a)) - Math.abs(signedArea(b)))[0];
+    if (owner) polygons.get(owner).push(ring);
+  });
+  return [...polygons.values()];
+}
+
+// Round thresholds: equal steps of 1, 2, 2.5 or 5 × 10ⁿ, whichever gives closest to `count` bands
+function niceThresholds(min, max, count) {
+  if (!(max > min)) return [min];
+  const rough = (max - min) / count;
+  const mag = 10 ** Math.floor(Math.log10(rough));
+  const bandsOf = (s) => (max - min) / s;
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag)
+    .reduce((best, s) => (Math.abs(bandsOf(s) - count) < Math.abs(bandsOf(best) - count) ? s : best));
+  const thresholds = [];
+  for (let t = Math.floor(min / step) * step; t < max; t += step) thresholds.push(round(t, 6));
+  return thresholds;
+}
+
+/**
+ * Interpolate station values over the district and contour the surface
+ * @param {Array} stations - { lat, lng, value }
+ * @param {Object} options - { method, resolution, levels, bounds }
+ * @returns {Object} { method, grid, thresholds, variogram?, geojson }
+ */
+function interpolateSurface(stations, {
+  method = 'idw', resolution = DEFAULT_RESOLUTION, levels = DEFAULT_LEVELS, bounds = NASHIK_BOUNDS,
+} = {}) {
+  const points = mergeColocated(stations.filter((s) => Number.isFinite(s.value)));
+  if (points.length < 3) {
+    const err = new Error('At least 3 stations with coordinates and a value are needed to interpolate');
+    err.status = 422;
+    throw err;
+  }
+
+  let estimate;
+  let variogram = null;
+  if (method === 'kriging') {
+    ({ estimate, variogram } = krigingEstimator(points));
+  } else {
+    estimate = idwEstimator(points);
+  }
+
+  // Square-ish cells: `resolution` nodes along the longer side of the box
+  const midLat = (bounds.north + bounds.south) / 2;
+  const widthKm = (bounds.east - bounds.west) * KM_PER_DEG_LAT * Math.cos((midLat * Math.PI) / 180);
+  const heightKm = (bounds.north - bounds.south) * KM_PER_DEG_LAT;
+  const cols = widthKm >= heightKm ? resolution : Math.max(2, Math.round((resolution * widthKm) / heightKm));
+  const rows = heightKm > widthKm ? resolution : Math.max(2, Math.round((resolution * heightKm) / widthKm));
+  const dLat = (bounds.north - bounds.south) / (rows - 1);
+  const dLng = (bounds.east - bounds.west) / (cols - 1);
+
+  const values = [];
+  let covered = 0;
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < cols; c++) {
+      const node = { lat: bounds.north - r * dLat, lng: bounds.west + c * dLng };
+      const reach = points.reduce((m, s) => Math.min(m, distanceKm(node, s)), Infinity);
+      if (reach > MAX_REACH_KM) {
+        row.push(null);
+      } else {
+        row.push(estimate(node));
+        covered++;
+      }
+    }
+    values.push(row);
+  }
+
+  // Thresholds span the station values (kriging may overshoot them slightly)
+  const stationValues = points.map((s) => s.value);
+  const thresholds = niceThresholds(Math.min(...stationValues), Math.max(...stationValues), levels);
+  // Padded [col, row] grid units → [lng, lat]
+  const toLngLat = ([c, r]) => [
+    round(Math.min(bounds.east, Math.max(bounds.west, bounds.west + (c - 1) * dLng)), 5),
+    round(Math.min(bounds.north, Math.max(bounds.south, bounds.north - (r - 1) * dLat)), 5),
+  ];
+
+  const features = thresholds.map((threshold, i) => {
+    const polygons = polygonsOf(traceRings(values, threshold)).map((rings) => rings.map((ring, k) => {
+      const coords = ring.map(toLngLat);
+      // GeoJSON winding: outer rings counter-clockwise, holes clockwise
+      const ccw = signedArea(coords) > 0;
+      if ((k === 0) !== ccw) coords.reverse();
+      return [...coords, coords[0]];
+    }));
+    return {
+      type: 'Feature',
+      properties: { threshold, min: threshold, max: thresholds[i + 1] ?? null, index: i },
+      geometry: { type: 'MultiPolygon', coordinates: polygons },
+    };
+  }).filter((f) => f.geometry.coordinates.length);
+
+  return {
+    method,
+    stations: points.length,
+    grid: { rows, cols, cellKm: round(Math.max(widthKm / (cols - 1), heightKm / (rows - 1)), 2), coverage: round(covered / (rows * cols), 3) },
+    bounds,
+    maxReachKm: MAX_REACH_KM,
+    thresholds,
+    ...(variogram && { variogram }),
+    geojson: { type: 'FeatureCollection', features },
+  };
+}
+
+module.exports = {
+  NASHIK_BOUNDS,
+  SURFACE_METRICS,
+  SURFACE_METHODS,
+  DEFAULT_RESOLUTION,
+  MAX_RESOLUTION,
+  DEFAULT_LEVELS,
+  MAX_LEVELS,
+  idwEstimator,
+  krigingEstimator,
+  interpolateSurface,
+};
@@ -0,0 +1,62 @@
+/**
+ * Staff Authorization
+ * Guards the endpoints that publish on the district's behalf. Staff are named
+ * in STAFF_TOKENS as comma-separated `name:token` pairs and send their token
+ * as `Authorization: Bearer <token>`. Without STAFF_TOKENS the guarded
+ * endpoints are closed to everyone.
+ */
+const crypto = require('crypto');
+
+/**
+ * @param {string} [value] - "name:token,name:token"
+ * @returns {Array<{name: string, token: string}>}
+ */
+function parseStaffTokens(value = process.env.STAFF_TOKENS) {
+  return String(value || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const at = pair.indexOf(':');
+      return at > 0 ? { name: pair.slice(0, at).trim(), token: pair.slice(at + 1).trim() } : null;
+    })
+    .filter((s) => s && s.name && s.token);
+}
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Name of the staff member a request's bearer token belongs to.
+ * @returns {string|null}
+ */
+function staffFor(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (!match) return null;
+  const offered = digest(match[1].trim());
+  // Compare hashes so neither a token's length nor its prefix can be timed
+  const found = parseStaffTokens().find((s) => crypto.timingSafeEqual(digest(s.token), offered));
+  return found ? found.name : null;
+}
+
+/**
+ * Middleware: let the request through with `req.staff` set to the staff
+ * member's name, or fail it with 401 (no or unknown token) or 503 (no staff
+ * configured).
+ */
+function requireStaff(req, res, next) {
+  if (!parseStaffTokens().length) {
+    const err = new Error('Staff access is not configured on this server (set STAFF_TOKENS)');
+    err.status = 503;
+    return next(err);
+  }
+  const name = staffFor(req);
+  if (!name) {
+    const err = new Error('A valid staff token is required');
+    err.status = 401;
+    return next(err);
+  }
+  req.staff = name;
+  next();
+}
+
+module.exports = { parseStaffTokens, staffFor, requireStaff };
@@ -0,0 +1,116 @@
+/**
+ * Upload Diff
+ * Describes what ingesting a set of rows would change, without touching the store:
+ * new locations, new location-years (or dated observations), changed field
+ * values (old → new) and the effect on each affected location's latest yearly
+ * water score and status.
+ */
+const { calculateWaterScore, getStatus } = require('./waterScore');
+const { recordKey, seriesFor } = require('./granularity');
+const { profileRef } = require('./scoreProfiles');
+
+const COMPARED_FIELDS = [
+  'consumption', 'perCapitaUsage', 'agriculturalUsage', 'industrialUsage',
+  'householdUsage', 'rainfall', 'depletionRate', 'scarcityLevel', 'ph', 'groundwaterLevel',
+];
+
+function scoreOf(record, profile) {
+  if (!record) return null;
+  const score = calculateWaterScore(record, profile);
+  return { year: record.year, waterScore: score, status: getStatus(score) };
+}
+
+// Latest entry of the yearly series, so observations count through their year's aggregate
+function latestOf(records) {
+  const yearly = seriesFor(records, 'yearly');
+  return yearly[yearly.length - 1] || null;
+}
+
+/**
+ * @param {Array} rows - Validated incoming records
+ * @param {Object} store - dataStore (read-only use)
+ * @returns {Object} summary, newLocations, newLocationYears, changed, scoreImpact.
+ *   summary.statusChanges counts locations with a score whose status would
+ *   change; locations without one yet (new locations, or known ones with no
+ *   readings) are counted by the status they would start with in
+ *   summary.newLocationStatuses
+ */
+function diffUpload(rows, store) {
+  const newLocations = [];
+  const newLocationYears = [];
+  const changed = [];
+  let unchanged = 0;
+
+  const byLocation = new Map();
+  for (const row of rows) {
+    if (!byLocation.has(row.location)) byLocation.set(row.location, []);
+    byLocation.get(row.location).push(row);
+  }
+
+  const scoreImpact = [];
+  for (const [location, incoming] of byLocation) {
+    const existing = store.getRecordsByLocation(location);
+    if (!store.getLocationByName(location)) newLocations.push(location);
+
+    const existingByKey = new Map(existing.map((r) => [recordKey(r), r]));
+    for (const row of incoming) {
+      const prev = existingByKey.get(recordKey(row));
+      if (!prev) {
+        newLocationYears.push({ location, year: row.year, observationDate: row.observationDate || null });
+        continue;
+      }
+      const changes = COMPARED_FIELDS
+        .filter((f) => prev[f] !== row[f])
+        .map((f) => ({ field: f, old: prev[f], new: row[f] }));
+      if (changes.length || prev.isSynthetic) {
+        changed.push({
+          location,
+          year: row.year,
+          observationDate: row.observationDate || null,
+          replacesSynthetic: !!prev.isSynthetic,
+          changes,
+        });
+      } else {
+        unchanged++;
+      }
+    }
+
+    // Latest record before vs after applying this location's rows
+    const incomingKeys = new Set(incoming.map(recordKey));
+    const merged = [...existing.filter((r) => !incomingKeys.has(recordKey(r))), ...incoming];
+    const profile = store.getScoreProfile(location);
+    const before = scoreOf(latestOf(existing), profile);
+    const after = scoreOf(latestOf(merged), profile);
+    scoreImpact.push({
+      location,
+      scoreProfile: profileRef(profile),
+      before,
+      after,
+      scoreChange: before ? after.waterScore - before.waterScore : null,
+      statusChanged: !before || before.status !== after.status,
+    });
+  }
+
+  const newLocationStatuses = { Safe: 0, Warning: 0, Critical: 0 };
+  for (const s of scoreImpact) {
+    if (!s.before) newLocationStatuses[s.after.status]++;
+  }
+
+  return {
+    summary: {
+      rows: rows.length,
+      newLocations: newLocations.length,
+      newLocationYears: newLocationYears.length,
+      changedRecords: changed.length,
+      unchangedRecords: unchanged,
+      statusChanges: scoreImpact.filter((s) => s.before && s.statusChanged).length,
+      newLocationStatuses,
+    },
+    newLocations,
+    newLocationYears,
+    changed,
+    scoreImpact,
+  };
+}
+
+module.exports = { diffUpload, COMPARED_FIELDS };
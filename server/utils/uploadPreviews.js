@@ -0,0 +1,103 @@
+/**
+ * Upload Previews
+ * Dry-run uploads awaiting commit. They are kept in storage rather than in
+ * process memory, so POST /api/upload/commit/:previewId works on whichever
+ * instance the request lands on.
+ * A preview's parsed rows are split across documents of ROWS_PER_CHUNK rows
+ * to stay clear of MongoDB's 16MB document limit. The preview document is
+ * written after its rows, so a preview is only found once it is complete.
+ * Previews expire after PREVIEW_TTL seconds, and only the newest MAX_PREVIEWS
+ * are kept.
+ */
+const store = require('../dataStore');
+
+const PREVIEWS_COLLECTION = 'uploadpreviews';
+const ROWS_COLLECTION = 'uploadpreviewrows';
+const PREVIEW_TTL = 1800; // seconds
+const MAX_PREVIEWS = 10;
+const ROWS_PER_CHUNK = 5000;
+
+const previews = () => store.getStorage().collection(PREVIEWS_COLLECTION);
+const rowChunks = () => store.getStorage().collection(ROWS_COLLECTION);
+const chunkId = (previewId, n) => `${previewId}:${n}`;
+const isExpired = (preview) => Date.parse(preview.expiresAt) <= Date.now();
+
+async function removeStored(preview) {
+  await previews().remove(preview.id);
+  await Promise.all(Array.from({ length: preview.chunks }, (_, n) => rowChunks().remove(chunkId(preview.id, n))));
+}
+
+// Drop expired previews, and the oldest ones so a new preview fits under MAX_PREVIEWS
+async function pruneExpired() {
+  const saved = (await previews().list()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const live = saved.filter((p) => !isExpired(p));
+  const drop = [...saved.filter(isExpired), ...live.slice(0, Math.max(0, live.length - MAX_PREVIEWS + 1))];
+  for (const preview of drop) await removeStored(preview);
+}
+
+/**
+ * Store a dry run's rows and what committing it needs
+ * @param {string} id
+ * @param {Object} preview - { rows, coordinates, filename, uploader, mapping, rowCounts, baseRevision }
+ * @returns {Promise<Object>} the stored preview without its rows (with createdAt and expiresAt)
+ */
+async function savePreview(id, { rows, ...details }) {
+  await pruneExpired();
+  const chunks = Math.ceil(rows.length / ROWS_PER_CHUNK);
+  for (let n = 0; n < chunks; n++) {
+    await rowChunks().put({ id: chunkId(id, n), rows: rows.slice(n * ROWS_PER_CHUNK, (n + 1) * ROWS_PER_CHUNK) });
+  }
+  const now = Date.now();
+  const preview = {
+    ...details,
+    id,
+    chunks,
+    rowCount: rows.length,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PREVIEW_TTL * 1000).toISOString(),
+  };
+  await previews().put(preview);
+  return preview;
+}
+
+/**
+ * A preview without its rows
+ * @returns {Promise<Object|null>} null when not found or expired
+ */
+async function findPreview(id) {
+  const preview = await previews().get(id);
+  if (!preview) return null;
+  if (isExpired(preview)) {
+    await removeStored(preview);
+    return null;
+  }
+  return preview;
+}
+
+/**
+ * A preview with its rows, in upload order
+ * @returns {Promise<Object|null>} null when not found or expired
+ */
+async function loadPreview(id) {
+  const preview = await findPreview(id);
+  if (!preview) return null;
+  const chunks = await Promise.all(Array.from({ length: preview.chunks }, (_, n) => rowChunks().get(chunkId(id, n))));
+  // Removed by another instance's commit or prune while being read
+  if (chunks.some((c) => !c)) return null;
+  return { ...preview, rows: chunks.flatMap((c) => c.rows) };
+}
+
+/** Delete a preview (once committed) */
+async function removePreview(id) {
+  const preview = await previews().get(id);
+  if (preview) await removeStored(preview);
+}
+
+module.exports = {
+  MAX_PREVIEWS,
+  ROWS_PER_CHUNK,
+  savePreview,
+  findPreview,
+  loadPreview,
+  removePreview,
+};
@@ -0,0 +1,64 @@
+/**
+ * Version Diff
+ * Compares two dataset versions record by record (keyed by location+year,
+ * plus the observation date for dated observations).
+ */
+const { COMPARED_FIELDS } = require('./uploadDiff');
+const { recordKey } = require('./granularity');
+
+// Identify a record in the diff output
+function describe(r) {
+  return r.observationDate
+    ? { location: r.location, year: r.year, observationDate: r.observationDate }
+    : { location: r.location, year: r.year };
+}
+
+/**
+ * @param {Object} fromView - dataStore view of the older version
+ * @param {Object} toView - dataStore view of the newer version
+ */
+function diffVersions(fromView, toView) {
+  const fromMap = new Map(fromView.getAllRecords().map((r) => [recordKey(r), r]));
+  const toMap = new Map(toView.getAllRecords().map((r) => [recordKey(r), r]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, r] of toMap) {
+    const prev = fromMap.get(key);
+    if (!prev) {
+      added.push(describe(r));
+      continue;
+    }
+    const changes = COMPARED_FIELDS
+      .filter((f) => prev[f] !== r[f])
+      .map((f) => ({ field: f, old: prev[f], new: r[f] }));
+    if (changes.length) changed.push({ ...describe(r), changes });
+  }
+  for (const [key, r] of fromMap) {
+    if (!toMap.has(key)) removed.push(describe(r));
+  }
+
+  const fromLocs = new Set(fromView.getAllLocations().map((l) => l.name));
+  const toLocs = new Set(toView.getAllLocations().map((l) => l.name));
+
+  return {
+    from: fromView.version,
+    to: toView.version,
+    summary: {
+      addedRecords: added.length,
+      removedRecords: removed.length,
+      changedRecords: changed.length,
+      addedLocations: [...toLocs].filter((n) => !fromLocs.has(n)).length,
+      removedLocations: [...fromLocs].filter((n) => !toLocs.has(n)).length,
+    },
+    addedLocations: [...toLocs].filter((n) => !fromLocs.has(n)),
+    removedLocations: [...fromLocs].filter((n) => !toLocs.has(n)),
+    added,
+    removed,
+    changed,
+  };
+}
+
+module.exports = { diffVersions };
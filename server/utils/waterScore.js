@@ -10,6 +10,30 @@ const THRESHOLDS = {
   ph: { ideal: 7.0, range: 1.5 },      // ideal pH ± range
 };
 
+// Metrics a score can combine, in display order
+const SCORE_METRICS = ['waterLevel', 'rainfall', 'depletion', 'ph'];
+
+// Record field and reading direction behind each metric
+const METRIC_INFO = {
+  waterLevel: { label: 'Water Level', field: 'groundwaterLevel', unit: 'm', better: 'lower' },
+  rainfall: { label: 'Rainfall', field: 'rainfall', unit: 'mm', better: 'higher' },
+  depletion: { label: 'Depletion Rate', field: 'depletionRate', unit: '%', better: 'lower' },
+  ph: { label: 'pH', field: 'ph', unit: '', better: 'closer to ideal' },
+};
+
+const DEFAULT_WEIGHTS = { waterLevel: 0.35, rainfall: 0.25, depletion: 0.30, ph: 0.10 };
+
+// District-wide formula; other profiles live in utils/scoreProfiles
+const DEFAULT_SCORE_PROFILE = {
+  id: 'default',
+  name: 'Standard',
+  description: 'District-wide weights and normalization ranges',
+  builtIn: true,
+  metrics: SCORE_METRICS,
+  weights: DEFAULT_WEIGHTS,
+  thresholds: THRESHOLDS,
+};
+
 /**
  * Normalize a value to 0–100 range
  */
@@ -19,49 +43,94 @@ function normalize(value, min, max, invert = false) {
   return invert ? 100 - normalized : normalized;
 }
 
+/**
+ * Each metric's 0–100 sub-score under a profile's normalization ranges
+ */
+function metricScores(data, thresholds = THRESHOLDS) {
+  return {
+    // Water level: lower is better (closer to surface = more water)
+    waterLevel: normalize(data.groundwaterLevel, thresholds.waterLevel.min, thresholds.waterLevel.max, true),
+    // Rainfall: higher is better
+    rainfall: normalize(data.rainfall, thresholds.rainfall.min, thresholds.rainfall.max, false),
+    // Depletion: lower is better
+    depletion: normalize(data.depletionRate, thresholds.depletion.min, thresholds.depletion.max, true),
+    // pH: closer to the ideal is better
+    ph: normalize(Math.abs(data.ph - thresholds.ph.ideal), 0, thresholds.ph.range, true),
+  };
+}
+
 /**
  * Calculate Water Score (0–100)
  * Higher is better
+ * @param {Object} data - Water record
+ * @param {Object} [profile] - Scoring profile (weights over its metrics sum to 1)
  */
-function calculateWaterScore(data) {
-  // Water level: lower is better (closer to surface = more water)
-  const waterLevelScore = normalize(
-    data.groundwaterLevel,
-    THRESHOLDS.waterLevel.min,
-    THRESHOLDS.waterLevel.max,
-    true // invert: lower depth = better
-  );
-
-  // Rainfall: higher is better
-  const rainfallScore = normalize(
-    data.rainfall,
-    THRESHOLDS.rainfall.min,
-    THRESHOLDS.rainfall.max,
-    false
-  );
-
-  // Depletion: lower is better
-  const depletionScore = normalize(
-    data.depletionRate,
-    THRESHOLDS.depletion.min,
-    THRESHOLDS.depletion.max,
-    true // invert: lower depletion = better
-  );
-
-  // pH: closer to 7 is better
-  const phDeviation = Math.abs(data.ph - THRESHOLDS.ph.ideal);
-  const phScore = normalize(phDeviation, 0, THRESHOLDS.ph.range, true);
+function calculateWaterScore(data, profile = DEFAULT_SCORE_PROFILE) {
+  const scores = metricScores(data, profile.thresholds);
 
   // Weighted average
-  const score =
-    waterLevelScore * 0.35 +
-    rainfallScore * 0.25 +
-    depletionScore * 0.30 +
-    phScore * 0.10;
+  let score = 0;
+  for (const metric of profile.metrics) score += scores[metric] * profile.weights[metric];
 
   return Math.round(Math.max(0, Math.min(100, score)));
 }
 
+/**
+ * Break a score into its components: raw value, normalized sub-score, weight
+ * and weighted contribution. Contributions sum to `rawScore`; `waterScore`
+ * is that sum clamped and rounded, as calculateWaterScore returns it.
+ * With a previous record (same profile), each component also carries the
+ * previous values and the change, so a drop can be traced to its cause.
+ * @param {Object} data - Water record
+ * @param {Object} [profile] - Scoring profile
+ * @param {Object} [previous] - Earlier record to compare against
+ */
+function explainWaterScore(data, profile = DEFAULT_SCORE_PROFILE, previous = null) {
+  const explain = (record) => {
+    const scores = metricScores(record, profile.thresholds);
+    return SCORE_METRICS.map((metric) => {
+      const weight = profile.metrics.includes(metric) ? profile.weights[metric] : 0;
+      return {
+        rawValue: record[METRIC_INFO[metric].field],
+        subScore: +scores[metric].toFixed(1),
+        contribution: +(scores[metric] * weight).toFixed(2),
+        weight,
+      };
+    });
+  };
+
+  const current = explain(data);
+  const before = previous ? explain(previous) : null;
+  const round = (n) => +n.toFixed(2);
+  const components = SCORE_METRICS.map((metric, i) => ({
+    metric,
+    ...METRIC_INFO[metric],
+    included: profile.metrics.includes(metric),
+    range: profile.thresholds[metric],
+    ...current[i],
+    ...(before ? {
+      previous: { rawValue: before[i].rawValue, subScore: before[i].subScore, contribution: before[i].contribution },
+      delta: {
+        rawValue: round(current[i].rawValue - before[i].rawValue),
+        subScore: round(current[i].subScore - before[i].subScore),
+        contribution: round(current[i].contribution - before[i].contribution),
+      },
+    } : {}),
+  }));
+
+  const total = (parts) => round(parts.reduce((s, c) => s + c.contribution, 0));
+  return {
+    waterScore: calculateWaterScore(data, profile),
+    rawScore: total(current),
+    components,
+    previous: previous ? {
+      year: previous.year,
+      waterScore: calculateWaterScore(previous, profile),
+      rawScore: total(before),
+    } : null,
+  };
+}
+
 /**
  * Get status from score
  */
@@ -132,89 +201,18 @@ function linearRegression(points) {
   return { slope, intercept };
 }
 
-/**
- * Predict future values using linear regression with confidence intervals.
- */
-function predictFuture(historicalData, yearsAhead = 3) {
-  const waterLevelPoints = historicalData.map((d) => ({
-    x: d.year,
-    y: d.groundwaterLevel,
-  }));
-  const rainfallPoints = historicalData.map((d) => ({
-    x: d.year,
-    y: d.rainfall,
-  }));
-  const depletionPoints = historicalData.map((d) => ({
-    x: d.year,
-    y: d.depletionRate,
-  }));
-
-  const wlReg = linearRegression(waterLevelPoints);
-  const rfReg = linearRegression(rainfallPoints);
-  const dpReg = linearRegression(depletionPoints);
-
-  // Calculate residual standard errors for confidence intervals
-  const wlResiduals = calcResidualStdError(waterLevelPoints, wlReg);
-  const rfResiduals = calcResidualStdError(rainfallPoints, rfReg);
-  const dpResiduals = calcResidualStdError(depletionPoints, dpReg);
-
-  const lastYear = Math.max(...historicalData.map((d) => d.year));
-  const predictions = [];
-
-  for (let i = 1; i <= yearsAhead; i++) {
-    const year = lastYear + i;
-    // Confidence widens with distance from data
-    const confidenceMultiplier = 1.96 * Math.sqrt(1 + 1 / historicalData.length + (i * i) / (historicalData.length * 3));
-
-    const wlPred = +(wlReg.slope * year + wlReg.intercept).toFixed(2);
-    const rfPred = +(rfReg.slope * year + rfReg.intercept).toFixed(1);
-    const dpPred = +(dpReg.slope * year + dpReg.intercept).toFixed(2);
-
-    predictions.push({
-      year,
-      groundwaterLevel: Math.max(0, wlPred),
-      groundwaterLevelCI: {
-        lower: Math.max(0, +(wlPred - wlResiduals * confidenceMultiplier).toFixed(2)),
-        upper: +(wlPred + wlResiduals * confidenceMultiplier).toFixed(2),
-      },
-      rainfall: Math.max(0, rfPred),
-      rainfallCI: {
-        lower: Math.max(0, +(rfPred - rfResiduals * confidenceMultiplier).toFixed(1)),
-        upper: +(rfPred + rfResiduals * confidenceMultiplier).toFixed(1),
-      },
-      depletionRate: Math.max(0, dpPred),
-      depletionRateCI: {
-        lower: Math.max(0, +(dpPred - dpResiduals * confidenceMultiplier).toFixed(2)),
-        upper: +(dpPred + dpResiduals * confidenceMultiplier).toFixed(2),
-      },
-      confidenceLevel: i <= 1 ? 'high' : i <= 2 ? 'medium' : 'low',
-    });
-  }
-
-  return predictions;
-}
-
-/**
- * Calculate residual standard error from regression
- */
-function calcResidualStdError(points, reg) {
-  if (points.length < 3) return 0;
-  const residuals = points.map(p => {
-    const predicted = reg.slope * p.x + reg.intercept;
-    return (p.y - predicted) ** 2;
-  });
-  const sse = residuals.reduce((a, b) => a + b, 0);
-  return Math.sqrt(sse / (points.length - 2));
-}
-
 module.exports = {
+  THRESHOLDS,
+  SCORE_METRICS,
+  DEFAULT_SCORE_PROFILE,
   calculateWaterScore,
+  explainWaterScore,
+  metricScores,
   getStatus,
   getStatusColor,
   calculateWQI,
   calculateDepletionIndex,
   calculateSustainabilityScore,
-  predictFuture,
   normalize,
   linearRegression,
 };
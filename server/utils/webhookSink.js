@@ -0,0 +1,46 @@
+/**
+ * Webhook Sink
+ * A mock webhook receiver for trying notifications locally: it prints every
+ * delivery and checks its signature against WEBHOOK_SECRET (the secret
+ * returned when the webhook subscription was created). Answers 200, or
+ * --status to rehearse failures and retries.
+ *
+ * Usage: WEBHOOK_SECRET=… npm run sink:webhook -- [--port 4000] [--status 500]
+ */
+const http = require('http');
+const { verifySignature } = require('../notifications/webhook');
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? parseInt(process.argv[i + 1], 10) : fallback;
+}
+
+const PORT = argValue('port', 4000);
+const STATUS = argValue('status', 200);
+const SECRET = process.env.WEBHOOK_SECRET;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-jalrakshya-timestamp'];
+    const signature = req.headers['x-jalrakshya-signature'];
+    let verdict = '⚪ signature not checked (no WEBHOOK_SECRET)';
+    if (SECRET) verdict = verifySignature(SECRET, timestamp, body, signature) ? '✅ signature valid' : '❌ signature INVALID';
+
+    console.log(`\n🪝 ${req.method} ${req.url} — delivery ${req.headers['x-jalrakshya-delivery']} — ${verdict}`);
+    try {
+      const payload = JSON.parse(body);
+      console.log(`   ${payload.event}: ${payload.alerts.map((a) => `[${a.type}] ${a.title} (${a.target})`).join('; ')}`);
+    } catch (err) {
+      console.log(`   ${body}`);
+    }
+    res.writeHead(STATUS, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: STATUS < 300 }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook sink listening on http://localhost:${PORT}/ (answering ${STATUS})`);
+});
@@ -0,0 +1,114 @@
+/**
+ * Workbook Worker
+ * Reads an .xlsx upload on a worker thread so a large workbook never blocks
+ * the server, and hands the rows back in batches, waiting for the parent to
+ * ask for the next one.
+ *
+ * workerData: { filePath, sheets (all by default, or the first with `firstOnly`),
+ *   firstOnly, limit: rows to send at most, batchSize }
+ * Messages:   { type: 'sheets', names, totalRows }, { type: 'rows', entries }
+ *   (answered with 'next'), { type: 'done' }, { type: 'error', message, invalid }
+ */
+const { parentPort, workerData } = require('worker_threads');
+const ExcelJS = require('exceljs');
+
+// Day 0 of Excel's 1900 date system, as the validator counts serial dates
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A cell's value as the mapping sees it: formulas give their cached result,
+ * rich text and hyperlinks their text, errors nothing, and dates their
+ * serial day number (which the validator converts).
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return (value.getTime() - EXCEL_EPOCH) / DAY_MS;
+  if (typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+  if ('text' in value) return cellValue(value.text);
+  return ''; // { error: '#N/A' } and formulas without a cached result
+}
+
+/**
+ * Column keys from a header row, numbered like spreadsheet exports when
+ * repeated ("Notes", "Notes_1") and named __EMPTY when blank
+ */
+function headerKeys(values) {
+  const seen = new Map();
+  const keys = [];
+  for (let col = 1; col < values.length; col++) {
+    const text = String(cellValue(values[col]));
+    const base = text === '' ? '__EMPTY' : text;
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    keys[col] = n ? `${base}_${n}` : base;
+  }
+  return keys;
+}
+
+const nextRequested = () => new Promise((resolve) => parentPort.once('message', resolve));
+
+async function run({ filePath, sheets, firstOnly, limit = Infinity, batchSize }) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (err) {
+    parentPort.postMessage({ type: 'error', message: `Could not read spreadsheet: ${err.message}`, invalid: true });
+    return;
+  }
+
+  const names = workbook.worksheets.map((ws) => ws.name);
+  const missing = (sheets || []).filter((n) => !names.includes(n));
+  if (missing.length) {
+    parentPort.postMessage({
+      type: 'error',
+      message: `Sheet(s) not found: ${missing.join(', ')}. Available: ${names.join(', ')}`,
+      invalid: true,
+    });
+    return;
+  }
+
+  let chosen = workbook.worksheets;
+  if (sheets && sheets.length) chosen = chosen.filter((ws) => sheets.includes(ws.name));
+  else if (firstOnly) chosen = chosen.slice(0, 1);
+  const totalRows = Math.min(limit, chosen.reduce((sum, ws) => sum + Math.max(ws.actualRowCount - 1, 0), 0));
+  parentPort.postMessage({ type: 'sheets', names, totalRows });
+
+  let batch = [];
+  let sent = 0;
+  const flush = async () => {
+    parentPort.postMessage({ type: 'rows', entries: batch });
+    batch = [];
+    await nextRequested();
+  };
+
+  for (const worksheet of chosen) {
+    // The first non-blank row is the header; blank rows are skipped
+    let keys = null;
+    const rows = [];
+    worksheet.eachRow((row) => rows.push(row));
+    for (const row of rows) {
+      if (sent >= limit) break;
+      const values = row.values;
+      if (!values.some((v) => cellValue(v) !== '')) continue;
+      if (!keys) {
+        keys = headerKeys(values);
+        continue;
+      }
+      const raw = {};
+      keys.forEach((key, col) => { raw[key] = cellValue(values[col]); });
+      raw.__sheet = worksheet.name;
+      batch.push({ raw, position: { sheet: worksheet.name, row: row.number } });
+      sent++;
+      if (batch.length >= batchSize) await flush();
+    }
+  }
+  if (batch.length) await flush();
+  parentPort.postMessage({ type: 'done' });
+}
+
+run(workerData).catch((err) => {
+  parentPort.postMessage({ type: 'error', message: `Could not read spreadsheet: ${err.message}` });
+});